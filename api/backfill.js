@@ -0,0 +1,198 @@
+// /api/backfill.js
+// Rebuilds `series5m:{instId}` + `lastBucket:{instId}` from exchange history after a deploy or Redis flush,
+// so 4h deltas (49 points) and build regime (200 points) don't wait ~17h for live snapshots.
+//
+// Usage: /api/backfill?key=ALERT_SECRET&symbols=BTCUSDT,ETHUSDT[&hours=72][&venue=okx][&dry=1]
+// - Idempotent: live points already in the series win; only missing buckets are filled. The write merges again
+//   server-side (lib/series5m.js SERIES_WRITE_LUA), so a point /api/multi appends meanwhile is kept.
+// - Only closed buckets (< current bucket) are written; the current bucket is left to /api/multi.
+// - Venue defaults to the one on the latest snapshot (OI units must match live points), else SNAPSHOT_VENUES order.
+// - Funding is the last settled rate at or before each bucket (live points carry the current predicted rate).
+
+import { getRedis } from "../lib/redis.js";
+import { loadConfig } from "../lib/config.js";
+import { fetchVenueHistory, getExchangeAdapter, makeFetchJson, resolveVenueOrder } from "../lib/exchanges/index.js";
+import { BUCKET_MS, SERIES_POINTS_CAP, buildBackfillPoints, mergeSeriesPoints, writeSeriesPoints } from "../lib/series5m.js";
+import { isAuthorized } from "../lib/http-auth.js";
+import { safeJsonParse } from "../lib/values.js";
+
+const redis = getRedis();
+const C = loadConfig();
+
+const FETCH_TIMEOUT_MS = 8000;
+const MAX_SYMBOLS = 10;
+const FUNDING_LOOKBACK_MS = 24 * 60 * 60 * 1000; // funding settles every 1–8h; look back far enough to seed the first bucket
+
+function baseFromSymbolUSDT(symbol) {
+  const s = String(symbol || "").toUpperCase();
+  if (!s.endsWith("USDT")) return null;
+  return s.slice(0, -4);
+}
+
+async function fetchWithTimeout(url) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    return await fetch(url, { signal: controller.signal });
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+const fetchJson = makeFetchJson(fetchWithTimeout);
+
+// Latest snapshot venue first so backfilled OI matches the units of live points.
+async function venueCandidates(instId, bucketNow, requestedVenue) {
+  if (requestedVenue) {
+    const adapter = getExchangeAdapter(requestedVenue);
+    return adapter ? [adapter] : [];
+  }
+
+  const order = resolveVenueOrder(C.SNAPSHOT_VENUES.join(","));
+  for (const b of [bucketNow, bucketNow - 1]) {
+    const snap = safeJsonParse(await redis.get(`snap5m:${instId}:${b}`));
+    if (!snap) continue;
+    const live = getExchangeAdapter(snap?.venue || "okx");
+    if (live) return [live, ...order.filter((a) => a !== live)];
+  }
+  return order;
+}
+
+async function backfillOne(symbol, { hours, requestedVenue, dry, bucketNow }) {
+  const base = baseFromSymbolUSDT(symbol);
+  if (!base) return { ok: false, symbol, error: "bad symbol format" };
+
+  const instId = `${base}-USDT-SWAP`;
+  const toBucket = bucketNow - 1;
+  const fromBucket = toBucket - Math.ceil((hours * 60 * 60 * 1000) / BUCKET_MS) + 1;
+  const fromTs = (fromBucket - 1) * BUCKET_MS; // point b uses candle b-1
+  const toTs = bucketNow * BUCKET_MS;
+
+  const venues = await venueCandidates(instId, bucketNow, requestedVenue);
+  if (!venues.length) return { ok: false, symbol, instId, error: `unknown venue: ${requestedVenue}` };
+
+  let picked = null;
+  const errors = [];
+
+  for (const adapter of venues) {
+    const venueInstId = adapter.instIdForBase(base);
+    const candles = await fetchVenueHistory(adapter, "candles", { instId: venueInstId, fromTs, toTs, fetchJson });
+    if (!candles.ok || !candles.rows.length) {
+      errors.push(candles.error || `${adapter.venue} no candles`);
+      continue;
+    }
+
+    const [oi, funding] = await Promise.all([
+      fetchVenueHistory(adapter, "openInterest", { instId: venueInstId, fromTs, toTs, fetchJson }),
+      fetchVenueHistory(adapter, "funding", { instId: venueInstId, fromTs: fromTs - FUNDING_LOOKBACK_MS, toTs, fetchJson }),
+    ]);
+
+    picked = { adapter, venueInstId, candles, oi, funding };
+    break;
+  }
+
+  if (!picked) return { ok: false, symbol, instId, error: errors.join(",") || "no venue returned history" };
+
+  const incoming = buildBackfillPoints({
+    candles: picked.candles.rows,
+    openInterest: picked.oi.rows,
+    funding: picked.funding.rows,
+    fromBucket,
+    toBucket,
+    venue: picked.adapter.venue,
+  });
+
+  const seriesKey = `series5m:${instId}`;
+  const lastBucketKey = `lastBucket:${instId}`;
+
+  const [rawExisting, lastBucketRaw] = await Promise.all([
+    redis.lrange(seriesKey, 0, -1),
+    redis.get(lastBucketKey),
+  ]);
+  const existing = (rawExisting || []).map(safeJsonParse).filter(Boolean);
+  const merged = mergeSeriesPoints(existing, incoming, SERIES_POINTS_CAP);
+
+  const lastBucketNum = lastBucketRaw == null ? null : Number(lastBucketRaw);
+  const mergedLast = merged.points.length ? Number(merged.points[merged.points.length - 1].b) : null;
+  const nextLastBucket = Number.isFinite(lastBucketNum) ? Math.max(lastBucketNum, mergedLast ?? lastBucketNum) : mergedLast;
+
+  let storedLen = merged.points.length;
+  if (!dry && merged.changed && merged.points.length) {
+    storedLen = Number(await writeSeriesPoints(redis, instId, merged.points, nextLastBucket)) || storedLen;
+  }
+
+  return {
+    ok: true,
+    symbol,
+    instId,
+    venue: picked.adapter.venue,
+    venue_inst_id: picked.venueInstId,
+    dry,
+    wrote: !dry && merged.changed && merged.points.length > 0,
+    from_bucket: fromBucket,
+    to_bucket: toBucket,
+    history_rows: {
+      candles: picked.candles.rows.length,
+      open_interest: picked.oi.rows.length,
+      funding: picked.funding.rows.length,
+    },
+    history_pages: {
+      candles: picked.candles.pages,
+      open_interest: picked.oi.pages,
+      funding: picked.funding.pages,
+    },
+    oi_history_ok: picked.oi.ok && picked.oi.rows.length > 0,
+    backfill_points_built: incoming.length,
+    existing_points: merged.existing_points,
+    added_points: merged.added,
+    dropped_invalid_points: merged.dropped_invalid,
+    trimmed_points: merged.trimmed,
+    series_len: storedLen,
+    last_bucket: nextLastBucket,
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+
+    const symbols = String(req.query.symbols || req.query.symbol || C.DEFAULT_SYMBOLS.join(","))
+      .split(",")
+      .map((s) => s.trim().toUpperCase())
+      .filter(Boolean);
+
+    if (symbols.length === 0) {
+      return res.status(400).json({ ok: false, error: "No symbols provided. Use ?symbols=BTCUSDT,ETHUSDT" });
+    }
+    if (symbols.length > MAX_SYMBOLS) {
+      return res.status(400).json({ ok: false, error: `Too many symbols (max ${MAX_SYMBOLS} per backfill call).` });
+    }
+
+    const maxHours = (SERIES_POINTS_CAP * BUCKET_MS) / (60 * 60 * 1000);
+    const hoursRaw = Number(req.query.hours || maxHours);
+    const hours = Number.isFinite(hoursRaw) ? Math.max(1, Math.min(maxHours, hoursRaw)) : maxHours;
+    const requestedVenue = req.query.venue ? String(req.query.venue).toLowerCase() : "";
+    const dry = String(req.query.dry || "") === "1";
+    const bucketNow = Math.floor(Date.now() / BUCKET_MS);
+
+    // Sequential on purpose: history endpoints are rate limited per IP.
+    const results = [];
+    for (const symbol of symbols) {
+      results.push(await backfillOne(symbol, { hours, requestedVenue, dry, bucketNow }));
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({
+      ok: results.every((r) => r.ok),
+      ts: Date.now(),
+      hours,
+      dry,
+      symbols,
+      results,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: "server error", detail: String(err?.message || err) });
+  }
+}
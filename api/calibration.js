@@ -0,0 +1,73 @@
+// /api/calibration.js
+// Are A/B/C confidence and GOOD/MIXED/WEAK trade reads actually ordered by realized outcome?
+//
+// Usage: /api/calibration?key=ALERT_SECRET[&days=30][&cohort=all|fired|random|shadow][&min_n=10]
+//        [&bin_width=0.5][&metric=avg_r|avg_return|hit_rate][&suggest=1][&format=csv]
+//
+// - Rows come from stats:outcomes:{YYYY-MM-DD} (see /api/stats); rows written before confidence_score
+//   was stored only count toward the label bins.
+// - violations: adjacent bins (both n >= min_n) where the higher bin did worse on a metric.
+// - suggest=1 adds a proposed confidenceLabelFromScore threshold pair (lib/confidence.js); review only.
+// - CSV returns the bins table (one row per dimension + bin).
+
+import { getRedis } from "../lib/redis.js";
+import { STATS_RETENTION_DAYS, loadStatsRows, toCsv } from "../lib/stats.js";
+import { CALIBRATION_METRICS, buildCalibrationReport, suggestConfidenceThresholds } from "../lib/calibration.js";
+import { isAuthorized } from "../lib/http-auth.js";
+
+const redis = getRedis();
+
+const COHORTS = ["all", "fired", "random", "shadow"];
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+
+    const days = Math.min(STATS_RETENTION_DAYS, Math.max(1, Math.floor(Number(req.query.days || 30)) || 30));
+    const cohort = String(req.query.cohort || "all").toLowerCase();
+    if (!COHORTS.includes(cohort)) {
+      return res.status(400).json({ ok: false, error: "bad cohort", detail: { allowed: COHORTS } });
+    }
+    const metric = String(req.query.metric || "avg_r").toLowerCase();
+    if (!CALIBRATION_METRICS[metric]) {
+      return res.status(400).json({ ok: false, error: "bad metric", detail: { allowed: Object.keys(CALIBRATION_METRICS) } });
+    }
+    const minN = Math.max(1, Math.floor(Number(req.query.min_n || 10)) || 10);
+    const binWidth = Number(req.query.bin_width || 0.5);
+    if (!Number.isFinite(binWidth) || binWidth <= 0) {
+      return res.status(400).json({ ok: false, error: "bad bin_width" });
+    }
+    const suggest = String(req.query.suggest || "") === "1";
+    const format = String(req.query.format || "json").toLowerCase();
+
+    const now = Date.now();
+    const rows = (await loadStatsRows(redis, now, days)).filter((r) => cohort === "all" || r.observation_type === cohort);
+
+    const report = buildCalibrationReport(rows, { minN, confidenceBinWidth: binWidth });
+
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "csv") {
+      const table = Object.entries(report.dimensions).flatMap(([dimension, bins]) =>
+        bins.map(({ bin, n, hit_rate, avg_return_pct, avg_r }) => ({ dimension, bin, n, hit_rate, avg_return_pct, avg_r }))
+      );
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="calibration_${cohort}_${days}d.csv"`);
+      return res.status(200).send(toCsv(table));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      ts: now,
+      days,
+      cohort,
+      rows_read: rows.length,
+      ...report,
+      monotonic: report.violations.length === 0,
+      thresholds: suggest ? suggestConfidenceThresholds(rows, { metric, minN }) : undefined,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: "server error", detail: String(err?.message || err) });
+  }
+}
@@ -0,0 +1,56 @@
+// /api/config.js
+// Effective configuration: every env setting in lib/config.js with its typed value, where it came from
+// (env | alias | default | override) and warnings for invalid / clamped / deprecated values and unknown ALERT_* /
+// MULTI_* / SNAPSHOT_* keys.
+//
+// Usage: /api/config?key=ALERT_SECRET[&scope=alert][&source=env]
+//
+// - Resolved from this deployment's env plus active /api/overrides values, i.e. what the next alert run uses
+//   (snapshot / multi / the non-runtime libs only ever see env). config_version is the hash events will carry.
+// - scope: core, snapshot, multi, alert, analytics, outcomes, paper_ledger. source: env, alias, default, override.
+// - Secrets come back as "(set)" or null, never the value.
+
+import { getRedis } from "../lib/redis.js";
+import { CONFIG_SCHEMA } from "../lib/config.js";
+import { loadRuntimeConfig } from "../lib/config-overrides.js";
+import { isAuthorized } from "../lib/http-auth.js";
+
+const redis = getRedis();
+
+const SCOPES = [...new Set(CONFIG_SCHEMA.map((e) => e.scope))];
+const SOURCES = ["env", "alias", "default", "override"];
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+
+    const scope = String(req.query.scope || "").trim().toLowerCase();
+    if (scope && !SCOPES.includes(scope)) {
+      return res.status(400).json({ ok: false, error: "bad scope", detail: { allowed: SCOPES } });
+    }
+    const source = String(req.query.source || "").trim().toLowerCase();
+    if (source && !SOURCES.includes(source)) {
+      return res.status(400).json({ ok: false, error: "bad source", detail: { allowed: SOURCES } });
+    }
+
+    const { entries, warnings, version } = await loadRuntimeConfig(redis);
+    const counts = { total: entries.length, env: 0, alias: 0, default: 0, override: 0, warnings: warnings.length };
+    for (const e of entries) counts[e.source] += 1;
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({
+      ok: true,
+      ts: Date.now(),
+      config_version: version,
+      scope: scope || null,
+      source: source || null,
+      counts,
+      warnings,
+      entries: entries.filter((e) => (!scope || e.scope === scope) && (!source || e.source === source)),
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: "server error", detail: String(err?.message || err) });
+  }
+}
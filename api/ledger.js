@@ -0,0 +1,46 @@
+// /api/ledger.js
+// Paper-trade ledger view: equity curve, open positions, recent closes and per-recipe P&L.
+//
+// Usage: /api/ledger?key=ALERT_SECRET[&points=288][&closed=50][&format=csv]
+//
+// - Positions are opened by /api/alert for every delivered Premium selection and marked/closed by /api/snapshot
+//   (see lib/paper-ledger.js). Nothing here touches a real exchange.
+// - points: equity marks to return (newest last, 5m apart while snapshots run). closed: most recent closes.
+// - CSV returns the closed positions table.
+
+import { getRedis } from "../lib/redis.js";
+import { readLedger } from "../lib/paper-ledger.js";
+import { toCsv } from "../lib/stats.js";
+import { isAuthorized } from "../lib/http-auth.js";
+
+const redis = getRedis();
+
+function clampInt(raw, fallback, max) {
+  const n = Math.floor(Number(raw));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : fallback;
+}
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+
+    const equityPoints = clampInt(req.query.points, 288, 2016);
+    const closedLimit = clampInt(req.query.closed, 50, 2000);
+    const format = String(req.query.format || "json").toLowerCase();
+
+    const ledger = await readLedger(redis, { equityPoints, closedLimit });
+
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="ledger_closed_${closedLimit}.csv"`);
+      return res.status(200).send(toCsv(ledger.closed));
+    }
+
+    return res.status(200).json({ ok: true, ts: Date.now(), ...ledger });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: "server error", detail: String(err?.message || err) });
+  }
+}
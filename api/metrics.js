@@ -0,0 +1,32 @@
+// /api/metrics.js
+// Gateway metrics in OpenMetrics text for a Prometheus scrape: snapshot fetches per symbol, OKX calls/failures,
+// snapshot lag and series length, alerts rendered/delivered, analytics post status, delivery failures and run
+// durations. Counters live in Redis (lib/metrics.js), so they accumulate across invocations and cold starts.
+//
+// Usage: /api/metrics?key=ALERT_SECRET   (or Authorization: Bearer ALERT_SECRET, e.g. Prometheus `authorization`)
+//
+// - Counters only reset if metrics:counters is deleted; rate() copes with that like a process restart.
+// - Gauges are the last value a handler wrote (per symbol for lag / series length, per handler for last run).
+
+import { getRedis } from "../lib/redis.js";
+import { renderMetrics } from "../lib/metrics.js";
+import { isAuthorized } from "../lib/http-auth.js";
+
+const redis = getRedis();
+
+const CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+
+    const text = await renderMetrics(redis);
+    res.setHeader("Content-Type", CONTENT_TYPE);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).send(text);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: "server error", detail: String(err?.message || err) });
+  }
+}
@@ -14,19 +14,36 @@
 // - MULTI_DATA_SOURCE ("okx" | "snapshot") default "okx"
 // - SNAPSHOT_KEY_PREFIX (default "snap:okx:swap:")  -> key becomes `${prefix}${instId}`
 // - SNAPSHOT_SYMBOL_FALLBACK_PREFIX (default "snap:symbol:") -> `${prefix}${SYMBOL}`
+// - MULTI_SNAPSHOT_LOOKBACK_BUCKETS (default 2) -> fall back to bucket-1..bucket-N when the current snapshot is late
+// - MULTI_GAP_TOLERANCE_BUCKETS (default 2) -> older base point allowed when a delta's exact bucket is missing
+// - MULTI_GAP_REPAIR_MAX_BUCKETS (default 6) -> ?repair=1 interpolates interior gaps up to this size
+// Deltas are keyed on stored bucket `b`; each tf carries `degraded` when its window spans a gap.
+// Points store their venue (`v`); OI deltas are null (`venue_change`) when a window's ends came from different venues.
+// Series I/O per symbol is two pipelined round trips (read tail, then append/trim); debug=1 reports counters.redis.
+// classifyState / computeTfDeltas / computeBuildRegime are named exports for test/.
+// Each request records OKX call/failure counts, snapshot read outcomes and per-symbol lag / series length into
+// lib/metrics.js (one extra pipelined round trip); /api/metrics renders them.
 // Snapshot JSON expected (either key):
 //   { "ts": 123, "price": 123.45, "high": 123.80, "low": 122.90, "funding_rate": 0.0001, "open_interest_contracts": 123456 }
 
-import { Redis } from "@upstash/redis";
+import { countRoundTrips, getRedis } from "../lib/redis.js";
+import { loadConfig } from "../lib/config.js";
+import {
+  BUCKET_MS,
+  SERIES_POINTS_CAP,
+  SERIES_TTL_SECONDS,
+  findSeriesGaps,
+  interpolateSeriesGaps,
+  seriesVenue,
+  writeSeriesPoints,
+} from "../lib/series5m.js";
+import { recordMetrics, runSamples } from "../lib/metrics.js";
+
+// Round trips per request show up under debug.counters.redis.
+const redisTrips = countRoundTrips(getRedis());
+const redis = redisTrips.redis;
+const C = loadConfig();
 
-const redis = new Redis({
-  url: process.env.UPSTASH_REDIS_REST_URL,
-  token: process.env.UPSTASH_REDIS_REST_TOKEN,
-});
-
-const BUCKET_MS = 5 * 60 * 1000;
-const SERIES_POINTS_CAP = 864; // 72h / 5m (12 points/hour * 72h)
-const SERIES_TTL_SECONDS = 60 * 60 * 96; // 96h
 const INST_MAP_TTL_SECONDS = 60 * 60 * 24; // 24h
 const INST_LIST_TTL_SECONDS = 60 * 60 * 12; // 12h
 
@@ -44,10 +61,13 @@ const MAX_STEPS = Math.max(...Object.values(TF_TO_STEPS)); // 48
 const MAX_NEEDED_POINTS = MAX_STEPS + 1; // 49
 
 const CFG = {
-  dataSourceDefault: String(process.env.MULTI_DATA_SOURCE || "okx").toLowerCase(), // "okx" | "snapshot"
+  dataSourceDefault: C.MULTI_DATA_SOURCE, // "okx" | "snapshot"
+  gapToleranceBuckets: C.MULTI_GAP_TOLERANCE_BUCKETS, // older base point allowed when exact bucket missing
+  gapRepairMaxBuckets: C.MULTI_GAP_REPAIR_MAX_BUCKETS, // ?repair=1 only interpolates gaps up to this size
   snapshot: {
-    keyPrefix: String(process.env.SNAPSHOT_KEY_PREFIX || "snap:okx:swap:"), // + instId
-    symbolFallbackPrefix: String(process.env.SNAPSHOT_SYMBOL_FALLBACK_PREFIX || "snap:symbol:"), // + SYMBOL (e.g. BTCUSDT)
+    keyPrefix: C.SNAPSHOT_KEY_PREFIX, // + instId
+    symbolFallbackPrefix: C.SNAPSHOT_SYMBOL_FALLBACK_PREFIX, // + SYMBOL (e.g. BTCUSDT)
+    lookbackBuckets: C.MULTI_SNAPSHOT_LOOKBACK_BUCKETS, // bucket-1..bucket-N fallback
   },
 };
 
@@ -77,7 +97,7 @@ function baseFromSymbolUSDT(symbol) {
   return s.slice(0, -4);
 }
 
-function classifyState(priceChgPct, oiChgPct) {
+export function classifyState(priceChgPct, oiChgPct) {
   if (priceChgPct == null || oiChgPct == null) return "unknown";
   const pUp = priceChgPct > 0;
   const oiUp = oiChgPct > 0;
@@ -151,8 +171,7 @@ async function getOkxSwapInstrumentListCached(counters) {
   const list = Array.isArray(j?.data) ? j.data : null;
   if (!Array.isArray(list)) return null;
 
-  await redis.set(cacheKey, JSON.stringify(list));
-  await redis.expire(cacheKey, INST_LIST_TTL_SECONDS);
+  await redis.set(cacheKey, JSON.stringify(list), { ex: INST_LIST_TTL_SECONDS });
   return list;
 }
 
@@ -179,31 +198,72 @@ async function resolveOkxSwapInstId(symbol, { dataSource, counters }) {
   const found = list.find((x) => String(x?.instId || "").toUpperCase() === target);
 
   if (found?.instId) {
-    await redis.set(mapKey, String(found.instId));
-    await redis.expire(mapKey, INST_MAP_TTL_SECONDS);
+    await redis.set(mapKey, String(found.instId), { ex: INST_MAP_TTL_SECONDS });
     return String(found.instId);
   }
 
-  await redis.set(mapKey, "__NONE__");
-  await redis.expire(mapKey, INST_MAP_TTL_SECONDS);
+  await redis.set(mapKey, "__NONE__", { ex: INST_MAP_TTL_SECONDS });
   return null;
 }
 
+function isValidSnapshot(j) {
+  return (
+    !!j &&
+    Number.isFinite(Number(j?.price)) &&
+    Number.isFinite(Number(j?.open_interest_contracts)) &&
+    Number.isFinite(Number(j?.high)) &&
+    Number.isFinite(Number(j?.low))
+  );
+}
+
+// fresh = current bucket; lagged = an older bucket inside the lookback; live = OKX mode (no snapshot).
+function snapshotFreshness(cur, dataSource, now) {
+  if (dataSource !== "snapshot") {
+    return { verdict: "live", lag_buckets: 0, snapshot_bucket: null, snapshot_age_sec: null };
+  }
+  const lag = Number.isFinite(cur?.lag_buckets) ? cur.lag_buckets : null;
+  const ts = Number(cur?.ts);
+  return {
+    verdict: lag === 0 ? "fresh" : "lagged",
+    lag_buckets: lag,
+    snapshot_bucket: Number.isFinite(cur?.bucket) ? cur.bucket : null,
+    snapshot_age_sec: Number.isFinite(ts) ? Math.max(0, Math.round((now - ts) / 1000)) : null,
+  };
+}
+
 // --- Snapshot read (SNAPSHOT MODE only) ---
 // ✅ UPDATED: read the SAME keys written by /api/snapshot.js
 // /api/snapshot.js stores: `snap5m:${instId}:${bucket}`
+// Looks back up to CFG.snapshot.lookbackBuckets when the current bucket isn't written yet (snapshot ran late);
+// the newest valid bucket wins and `lag_buckets` says how far back it was.
 async function fetchSnapshotForInstId(instId, counters) {
   const now = Date.now();
-  const bucket = Math.floor(now / BUCKET_MS);
-  const key = `snap5m:${instId}:${bucket}`;
-  const raw = await redis.get(key);
+  const bucketNow = Math.floor(now / BUCKET_MS);
+  const buckets = Array.from({ length: CFG.snapshot.lookbackBuckets + 1 }, (_, i) => bucketNow - i);
+  const keys = buckets.map((b) => `snap5m:${instId}:${b}`);
+  const raws = keys.length === 1 ? [await redis.get(keys[0])] : await redis.mget(...keys);
+
+  let idx = -1;
+  let j = null;
+  let sawInvalid = false;
+  for (let i = 0; i < keys.length; i++) {
+    if (!raws?.[i]) continue;
+    const parsed = safeJsonParse(raws[i]);
+    if (isValidSnapshot(parsed)) {
+      idx = i;
+      j = parsed;
+      break;
+    }
+    sawInvalid = true;
+  }
 
-  if (!raw) {
+  if (idx < 0) {
     counters.snapshot_misses += 1;
-    return { ok: false, error: "snapshot_missing", bucket };
+    return { ok: false, error: sawInvalid ? "snapshot_invalid" : "snapshot_missing", bucket: bucketNow, lookback_buckets: CFG.snapshot.lookbackBuckets };
   }
 
-  const j = safeJsonParse(raw);
+  const key = keys[idx];
+  const bucket = buckets[idx];
   const price = Number(j?.price);
   const open = Number(j?.open);
   const high = Number(j?.high);
@@ -211,11 +271,7 @@ async function fetchSnapshotForInstId(instId, counters) {
   const fr = j?.funding_rate == null ? null : Number(j?.funding_rate);
   const oi = Number(j?.open_interest_contracts);
 
-  if (!Number.isFinite(price) || !Number.isFinite(oi) || !Number.isFinite(high) || !Number.isFinite(low)) {
-    counters.snapshot_misses += 1;
-    return { ok: false, error: "snapshot_invalid", bucket };
-  }
-
+  if (idx > 0) counters.snapshot_lagged_hits += 1;
   counters.snapshot_hits += 1;
   return {
     ok: true,
@@ -228,7 +284,10 @@ async function fetchSnapshotForInstId(instId, counters) {
     ts: j?.ts ?? null,
     key,
     bucket,
-    lag_buckets: 0,
+    lag_buckets: idx,
+    venue: j?.venue || "okx",
+    // Contract size for alert position sizing; null on snapshots written before it was stored.
+    contract: j?.ct_val != null && Number(j.ct_val) > 0 ? { ct_val: Number(j.ct_val), ct_val_ccy: String(j?.ct_val_ccy || "") } : null,
     market_structure: {
       spot_inst_id: j?.spot_inst_id || "",
       spot_return_15m_pct: j?.spot_return_15m_pct ?? null,
@@ -295,6 +354,7 @@ async function fetchOkxSwap(instId, counters) {
 
   return {
     ok: true,
+    venue: "okx",
     price,
     open,
     high,
@@ -308,15 +368,56 @@ async function fetchOkxSwap(instId, counters) {
   };
 }
 
-function computeTfDeltas(points, tf, funding_rate) {
+// Keyed on stored bucket `b`, not array index: "12 points back" must really be 1h back.
+// If the exact bucket is missing, the nearest older point within CFG.gapToleranceBuckets is used.
+// degraded = window spans missing or interpolated buckets, or the base point isn't exact.
+export function computeTfDeltas(points, tf, funding_rate) {
   const steps = TF_TO_STEPS[tf];
-  const needed = steps + 1;
 
   const nowPoint = points.length >= 1 ? points[points.length - 1] : null;
-  const prevPoint = points.length >= needed ? points[points.length - needed] : null;
+  const nowB = Number(nowPoint?.b);
+
+  let prevPoint = null;
+  let exact = false;
+  let gapBuckets = 0;
+  let interpolated = 0;
+
+  if (Number.isFinite(nowB)) {
+    const target = nowB - steps;
+    const byBucket = new Map();
+    for (const p of points) if (Number.isFinite(Number(p?.b))) byBucket.set(Number(p.b), p);
+
+    if (byBucket.has(target)) {
+      prevPoint = byBucket.get(target);
+      exact = true;
+    } else {
+      for (let b = target - 1; b >= target - CFG.gapToleranceBuckets; b--) {
+        if (byBucket.has(b)) {
+          prevPoint = byBucket.get(b);
+          break;
+        }
+      }
+    }
+
+    if (prevPoint) {
+      const prevB = Number(prevPoint.b);
+      for (let b = prevB; b <= nowB; b++) {
+        const p = byBucket.get(b);
+        if (!p) gapBuckets += 1;
+        else if (p?.ip) interpolated += 1;
+      }
+    }
+  } else {
+    // legacy points without `b`: index-based
+    const needed = steps + 1;
+    prevPoint = points.length >= needed ? points[points.length - needed] : null;
+    exact = !!prevPoint;
+  }
 
   const price_change_pct = pctChange(nowPoint?.p, prevPoint?.p);
-  const oi_change_pct = pctChange(nowPoint?.oi, prevPoint?.oi);
+  // OI units differ by venue (OKX contracts vs base coin): no OI delta across a failover.
+  const venue_change = !!(nowPoint && prevPoint) && seriesVenue(nowPoint) !== seriesVenue(prevPoint);
+  const oi_change_pct = venue_change ? null : pctChange(nowPoint?.oi, prevPoint?.oi);
 
   const funding_change =
     Number.isFinite(nowPoint?.fr) && Number.isFinite(prevPoint?.fr) ? nowPoint.fr - prevPoint.fr : null;
@@ -325,10 +426,15 @@ function computeTfDeltas(points, tf, funding_rate) {
   const { lean, why } = addLeanAndWhy(state, funding_rate);
 
   const warmup = !(nowPoint && prevPoint);
+  const degraded = !warmup && (!exact || gapBuckets > 0 || interpolated > 0);
 
   return {
     tf,
     warmup,
+    degraded,
+    span_buckets: !warmup && Number.isFinite(nowB) ? nowB - Number(prevPoint.b) : null,
+    gap_buckets: gapBuckets,
+    venue_change,
     price_change_pct,
     oi_change_pct,
     funding_change,
@@ -364,7 +470,7 @@ function pctChangeSimple(now, prev) {
   return ((now - prev) / prev) * 100;
 }
 
-function computeBuildRegime(points72) {
+export function computeBuildRegime(points72) {
   // points are {p, oi, fr}
   const pts = (points72 || []).filter((x) => x && Number.isFinite(x.p));
   const n = pts.length;
@@ -486,7 +592,7 @@ function computeBuildRegime(points72) {
   return out;
 }
 
-async function fetchOne(symbol, now, driver_tf, debugMode, dataSource, includeRegime, counters) {
+async function fetchOne(symbol, now, driver_tf, debugMode, dataSource, includeRegime, counters, repairGaps = false) {
   const base = baseFromSymbolUSDT(symbol);
   if (!base) {
     return { ok: false, symbol, error: "unsupported symbol format (expected like ETHUSDT)" };
@@ -528,52 +634,82 @@ async function fetchOne(symbol, now, driver_tf, debugMode, dataSource, includeRe
   const seriesKey = `series5m:${instId}`;
   const lastBucketKey = `lastBucket:${instId}`;
 
-  const lastBucketRaw = await redis.get(lastBucketKey);
+  // One pipelined read: last stored bucket, series length and the tail the deltas (or regime) need.
+  const readPoints = includeRegime ? SERIES_POINTS_CAP : MAX_NEEDED_POINTS + CFG.gapToleranceBuckets;
+  const [lastBucketRaw, lenBefore, rawTail] = await redis
+    .pipeline()
+    .get(lastBucketKey)
+    .llen(seriesKey)
+    .lrange(seriesKey, -readPoints, -1)
+    .exec();
   const lastBucketNum = lastBucketRaw == null ? null : Number(lastBucketRaw);
+  let seriesLen = Number(lenBefore) || 0;
+  let tail = (rawTail || []).map(safeJsonParse).filter(Boolean);
 
   let wrotePoint = false;
 
   if (!Number.isFinite(lastBucketNum) || sourceBucket > lastBucketNum) {
-    const point = { b: sourceBucket, ts: cur?.ts ?? now, p: price, o: open, h: high, l: low, fr: funding_rate, oi: open_interest_contracts };
+    const point = {
+      b: sourceBucket,
+      ts: cur?.ts ?? now,
+      p: price,
+      o: open,
+      h: high,
+      l: low,
+      fr: funding_rate,
+      oi: open_interest_contracts,
+      v: cur?.venue || "okx",
+    };
 
-    await redis.rpush(seriesKey, JSON.stringify(point));
+    // Append + trim + bookkeeping in one round trip. Trim uses POSITIVE indices (avoid negative-index quirks),
+    // derived from the length read above.
+    const lenAfter = seriesLen + 1;
+    const write = redis.pipeline().rpush(seriesKey, JSON.stringify(point));
+    if (lenAfter > SERIES_POINTS_CAP) write.ltrim(seriesKey, lenAfter - SERIES_POINTS_CAP, lenAfter - 1);
+    await write
+      .set(lastBucketKey, String(sourceBucket))
+      .expire(seriesKey, SERIES_TTL_SECONDS)
+      .expire(lastBucketKey, SERIES_TTL_SECONDS)
+      .exec();
     wrotePoint = true;
 
-    // Trim using POSITIVE indices (avoid negative-index quirks)
-    const lenAfter = await redis.llen(seriesKey);
-    if (Number.isFinite(lenAfter) && lenAfter > SERIES_POINTS_CAP) {
-      const startKeep = Math.max(0, lenAfter - SERIES_POINTS_CAP);
-      await redis.ltrim(seriesKey, startKeep, lenAfter - 1);
+    seriesLen = Math.min(lenAfter, SERIES_POINTS_CAP);
+    tail = [...tail, point].slice(-readPoints);
+  }
+  counters.series_len[symbol] = seriesLen;
+
+  // ---- Optional gap repair: interpolate short interior gaps (large gaps -> /api/backfill) ----
+  let repair = null;
+  if (repairGaps) {
+    const rawAll = await redis.lrange(seriesKey, 0, -1);
+    const all = (rawAll || []).map(safeJsonParse).filter(Boolean);
+    const filled = interpolateSeriesGaps(all, CFG.gapRepairMaxBuckets);
+    const kept = filled.points.length > SERIES_POINTS_CAP ? filled.points.slice(-SERIES_POINTS_CAP) : filled.points;
+    if (filled.added > 0 && kept.length) {
+      const lastB = Number(kept[kept.length - 1].b);
+      const storedLast = wrotePoint ? sourceBucket : lastBucketNum;
+      // Merged server-side: a point another request appended since the LRANGE above is kept.
+      const storedLen = await writeSeriesPoints(redis, instId, kept, Number.isFinite(storedLast) ? Math.max(lastB, storedLast) : lastB);
+      seriesLen = Number(storedLen) || kept.length;
+      counters.series_len[symbol] = seriesLen;
+      tail = kept.slice(-readPoints);
     }
-
-    await redis.set(lastBucketKey, String(sourceBucket));
-
-    await redis.expire(seriesKey, SERIES_TTL_SECONDS);
-    await redis.expire(lastBucketKey, SERIES_TTL_SECONDS);
+    repair = { interpolated_points: filled.added, max_gap_buckets: CFG.gapRepairMaxBuckets };
   }
 
-  // ---- Read once (max needed) then compute ALL timeframes in-memory ----
-  const seriesLen = await redis.llen(seriesKey);
-  const endIdx = Math.max(0, (seriesLen || 0) - 1);
-  const startIdx = Math.max(0, (seriesLen || 0) - MAX_NEEDED_POINTS);
-  const raw = seriesLen > 0 ? await redis.lrange(seriesKey, startIdx, endIdx) : [];
-
-  const points = (raw || []).map(safeJsonParse).filter(Boolean);
+  // ---- Compute ALL timeframes in-memory from the tail (no re-read after the write) ----
+  const points = tail.slice(-(MAX_NEEDED_POINTS + CFG.gapToleranceBuckets));
 
   const deltas = {};
   for (const tf of TF_ORDER) {
     deltas[tf] = computeTfDeltas(points, tf, funding_rate);
   }
 
-  let build_regime = null;
-if (includeRegime) {
-  const seriesLenForRegime = seriesLen;
-  const endR = Math.max(0, (seriesLenForRegime || 0) - 1);
-  const startR = Math.max(0, (seriesLenForRegime || 0) - SERIES_POINTS_CAP);
-  const rawR = seriesLenForRegime > 0 ? await redis.lrange(seriesKey, startR, endR) : [];
-  const ptsR = (rawR || []).map(safeJsonParse).filter(Boolean);
-  build_regime = computeBuildRegime(ptsR);
-}
+  // Gaps inside the 4h delta window (+ lag from the newest stored point to the current bucket)
+  const gaps = findSeriesGaps(points, { toBucket: bucket });
+  if (repair) gaps.repair = repair;
+
+  const build_regime = includeRegime ? computeBuildRegime(tail) : null;
 
   // Driver summary
   const driver = deltas[driver_tf] || deltas["5m"];
@@ -596,8 +732,12 @@ if (includeRegime) {
   lean,
   why,
   deltas,
+  degraded_tfs: TF_ORDER.filter((tf) => deltas[tf]?.degraded),
+  gaps,
   build_regime,
   market_structure: cur?.market_structure || {},
+  contract: cur?.contract || null,
+  freshness: snapshotFreshness(cur, dataSource, now),
 
   source: dataSource === "snapshot" ? "upstash_snapshot+upstash_series" : "okx_swap_public_api+upstash_series",
 };
@@ -614,10 +754,9 @@ if (includeRegime) {
       last_bucket_stored: Number.isFinite(lastBucketNum) ? lastBucketNum : null,
       wrote_point: wrotePoint,
       series_len: Number.isFinite(seriesLen) ? seriesLen : null,
-      read_start: startIdx,
-      read_end: endIdx,
+      read_points: readPoints,
       points_parsed: points.length,
-      raw_type_sample: raw?.[0] == null ? null : typeof raw[0],
+      raw_type_sample: rawTail?.[0] == null ? null : typeof rawTail[0],
     };
   }
 
@@ -676,13 +815,35 @@ function attachMarketContext(results) {
   });
 }
 
+function multiMetrics(results, counters, { startedAt }) {
+  const run = runSamples("multi", { startedAt, now: Date.now(), ok: results.every((r) => r?.ok) });
+  const gauges = [];
+  for (const r of results) {
+    if (!r?.ok) continue;
+    const labels = { symbol: r.symbol };
+    if (Number.isFinite(r.freshness?.lag_buckets)) gauges.push(["gateway_snapshot_lag_buckets", labels, r.freshness.lag_buckets]);
+    if (Number.isFinite(counters.series_len[r.symbol])) gauges.push(["gateway_series_length", labels, counters.series_len[r.symbol]]);
+  }
+  return {
+    ...run,
+    counters: [
+      ["gateway_okx_http_calls", {}, counters.okx_http_calls],
+      ["gateway_okx_http_failures", {}, counters.okx_http_failures],
+      ["gateway_multi_snapshot_reads", { result: "fresh" }, counters.snapshot_hits - counters.snapshot_lagged_hits],
+      ["gateway_multi_snapshot_reads", { result: "lagged" }, counters.snapshot_lagged_hits],
+      ["gateway_multi_snapshot_reads", { result: "miss" }, counters.snapshot_misses],
+    ],
+    gauges: [...gauges, ...run.gauges],
+  };
+}
+
 export default async function handler(req, res) {
   try {
     const driver_tf = normalizeDriverTf(req.query.driver_tf);
     const debugMode = String(req.query.debug || "") === "1";
     const dataSource = normalizeDataSource(req);
 
-    const symbolsRaw = String(req.query.symbols || process.env.DEFAULT_SYMBOLS || "ETHUSDT,LDOUSDT");
+    const symbolsRaw = String(req.query.symbols || C.DEFAULT_SYMBOLS.join(",") || "ETHUSDT,LDOUSDT");
     const symbols = symbolsRaw
       .split(",")
       .map((s) => s.trim().toUpperCase())
@@ -695,6 +856,8 @@ export default async function handler(req, res) {
       return res.status(400).json({ ok: false, error: "Too many symbols (max 50)." });
     }
 
+    redisTrips.reset();
+
     // Request-level counters to PROVE OKX usage
     const counters = {
       data_source: dataSource,
@@ -702,15 +865,18 @@ export default async function handler(req, res) {
       okx_http_failures: 0,
       okx_instrument_list_fetches: 0,
       snapshot_hits: 0,
+      snapshot_lagged_hits: 0,
       snapshot_misses: 0,
+      series_len: {},
     };
 
     const now = Date.now();
     const includeRegime = String(req.query.regime || "") === "1";
+    const repairGaps = String(req.query.repair || "") === "1";
 
     let results = await Promise.all(
      symbols.map((sym) =>
-      fetchOne(sym, now, driver_tf, debugMode, dataSource, includeRegime, counters)
+      fetchOne(sym, now, driver_tf, debugMode, dataSource, includeRegime, counters, repairGaps)
   )
 );
     results = attachMarketContext(results);
@@ -728,10 +894,12 @@ export default async function handler(req, res) {
         dataSource === "snapshot"
           ? "SNAPSHOT mode. NO OKX calls. Reads current snapshot from Upstash and updates rolling 5m series; deltas derived from stored points."
           : "OKX perps-only. Rolling 5m series (72h). Each response includes deltas for 5m/15m/30m/1h/4h derived from 5m points.",
-      tip: "Add &debug=1 to see per-symbol series_len / wrote_point plus request counters showing OKX calls (or none).",
+      tip: "Add &debug=1 to see per-symbol series_len / wrote_point plus request counters showing OKX calls (or none). Add &repair=1 to interpolate short series gaps.",
     };
 
-    if (debugMode) payload.debug = { counters };
+    await recordMetrics(redis, multiMetrics(results, counters, { startedAt: now }));
+
+    if (debugMode) payload.debug = { counters: { ...counters, redis: redisTrips.snapshot() } };
 
     return res.status(200).json(payload);
   } catch (err) {
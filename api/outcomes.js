@@ -0,0 +1,247 @@
+// /api/outcomes.js
+// Resolves queued Fired/Random alert rows once their due time has passed and posts the filled-in
+// outcome columns to the analytics sink as update rows (same alert_id, row_type "outcome_update").
+//
+// Usage: /api/outcomes?key=ALERT_SECRET[&dry=1][&debug=1]
+// Schedule: every 5 minutes after the alert job (e.g. 3-59/5 * * * *).
+//
+// - Pending rows are queued by /api/alert under outcomes:due:{eval_bucket} (lib/outcome-queue.js).
+// - One run at a time (outcomes:lock, OUTCOMES_LOCK_SECONDS); an overlapping call gets 409 and does nothing.
+// - Buckets are processed in order from outcomes:cursor (the oldest queued bucket on the first run); a run that
+//   can't reach the sink leaves the cursor where it was, so the same buckets are retried next run. Rows are marked
+//   resolved per accepted batch and already-resolved alert_ids are skipped, so a retry only posts the rest.
+// - Prices come from series5m:{instId}; OUTCOMES_SETTLE_BUCKETS keeps the due bucket's point written first.
+// - Resolved rows are also kept compactly under stats:outcomes:{day} for /api/stats.
+// - With ANALYTICS_LOCAL_SINK set, resolved rows are also appended there (kind "outcome_update").
+
+import { getRedis } from "../lib/redis.js";
+import { loadConfig } from "../lib/config.js";
+import { OUTCOME_KEYS, OUTCOME_TTL_SECONDS } from "../lib/outcome-queue.js";
+import { resolveOutcome } from "../lib/outcomes.js";
+import { writeLocalSink } from "../lib/local-sink.js";
+import { STATS_RETENTION_DAYS, statsDayKey, statsRowFromOutcome, utcDay } from "../lib/stats.js";
+import { BUCKET_MS } from "../lib/series5m.js";
+import { acquireLock, releaseLock } from "../lib/run-lock.js";
+import { isAuthorized } from "../lib/http-auth.js";
+import { safeJsonParse } from "../lib/values.js";
+
+const redis = getRedis();
+const C = loadConfig();
+
+const CFG = {
+  settleBuckets: C.OUTCOMES_SETTLE_BUCKETS,
+  maxBucketsPerRun: C.OUTCOMES_MAX_BUCKETS_PER_RUN,
+  lockSeconds: C.OUTCOMES_LOCK_SECONDS,
+  maxEventsPerPost: C.ANALYTICS_MAX_EVENTS_PER_POST,
+};
+
+function blankIfNull(obj) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, v == null ? "" : v]));
+}
+
+// Same batch contract as /api/alert's postAnalyticsBatch; returns { ok, status, batches, error }.
+// onAccepted(batchRows) runs after each batch the sink took (once for all rows with no sink configured), so a
+// failure part-way still leaves the earlier batches resolved.
+async function postOutcomeRows(rows, onAccepted) {
+  if (!rows.length) return { ok: true, status: "no_events", batches: 0 };
+  if (!process.env.ANALYTICS_WEBHOOK_URL) {
+    await onAccepted(rows);
+    return { ok: true, status: "disabled", batches: 0 };
+  }
+
+  const ingestKey = String(process.env.ANALYTICS_INGEST_SHARED_SECRET || "").trim();
+  let batches = 0;
+
+  for (let start = 0; start < rows.length; start += CFG.maxEventsPerPost) {
+    const events = rows.slice(start, start + CFG.maxEventsPerPost);
+    const payload = {
+      source: "gateway",
+      ts: Date.now(),
+      kind: "outcome_update",
+      events,
+    };
+    if (ingestKey) payload.ingest_key = ingestKey;
+
+    try {
+      const r = await fetch(process.env.ANALYTICS_WEBHOOK_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const body = safeJsonParse(await r.text().catch(() => ""));
+      if (!r.ok || body?.ok === false) {
+        return { ok: false, status: "failed", batches, error: body?.error || `analytics_webhook_http_${r.status}` };
+      }
+    } catch {
+      return { ok: false, status: "failed", batches, error: "analytics_webhook_request_failed" };
+    }
+    batches += 1;
+    await onAccepted(events);
+  }
+
+  return { ok: true, status: "posted", batches };
+}
+
+async function loadSeries(instId, cache) {
+  if (!cache.has(instId)) {
+    const raw = await redis.lrange(`series5m:${instId}`, 0, -1);
+    cache.set(instId, (raw || []).map(safeJsonParse).filter(Boolean));
+  }
+  return cache.get(instId);
+}
+
+// Compact copies for /api/stats, one list per UTC day of the alert.
+async function appendStatsRows(rows) {
+  const byDay = new Map();
+  for (const row of rows) {
+    const day = utcDay(row.ts);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(JSON.stringify(statsRowFromOutcome(row)));
+  }
+  for (const [day, items] of byDay) {
+    await redis.rpush(statsDayKey(day), ...items);
+    await redis.expire(statsDayKey(day), STATS_RETENTION_DAYS * 24 * 60 * 60);
+  }
+}
+
+// First run (no cursor yet): start at the oldest queued bucket so nothing queued before the run window is skipped.
+async function oldestDueBucket() {
+  const keys = (await redis.keys(OUTCOME_KEYS.due("*"))) || [];
+  const buckets = keys.map((k) => Number(String(k).split(":").pop())).filter(Number.isFinite);
+  return buckets.length ? Math.min(...buckets) : null;
+}
+
+function outcomeRow(pending, outcome, resolvedTs) {
+  return {
+    alert_id: pending.alert_id,
+    row_type: "outcome_update",
+    observation_type: pending.observation_type,
+    ts: pending.ts,
+    due_ts: pending.due_ts,
+    eval_bucket: pending.eval_bucket,
+    symbol: pending.symbol,
+    instId: pending.instId,
+    mode: pending.mode,
+    side: pending.side,
+    entry_price: pending.entry_price,
+    tp_price: pending.tp_price,
+    stop_loss: pending.stop_loss,
+    invalidation_price: pending.invalidation_price,
+    recipe_stamp_reason: pending.recipe_stamp_reason,
+    exec_reason: pending.exec_reason,
+    us_equity_session: pending.us_equity_session,
+    day_of_week_et: pending.day_of_week_et,
+    confidence: pending.confidence,
+    confidence_score: pending.confidence_score,
+    trade_read_label: pending.trade_read_label,
+    trade_read_score: pending.trade_read_score,
+    status: "DONE",
+    resolved_ts: resolvedTs,
+    ...blankIfNull(outcome),
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+
+    // dry=1 only reads, so it never waits on (or blocks) a real run.
+    if (String(req.query.dry || "") === "1") return await runOutcomes(req, res);
+
+    const owner = `outcomes_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    if (!(await acquireLock(redis, OUTCOME_KEYS.lock(), owner, CFG.lockSeconds))) {
+      return res.status(409).json({ ok: false, error: "run_in_progress" });
+    }
+    try {
+      return await runOutcomes(req, res);
+    } finally {
+      await releaseLock(redis, OUTCOME_KEYS.lock(), owner);
+    }
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: "server error", detail: String(err?.message || err) });
+  }
+}
+
+async function runOutcomes(req, res) {
+  const dry = String(req.query.dry || "") === "1";
+  const debug = String(req.query.debug || "") === "1";
+  const now = Date.now();
+  const targetBucket = Math.floor(now / BUCKET_MS) - CFG.settleBuckets;
+
+  const cursorRaw = await redis.get(OUTCOME_KEYS.cursor());
+  const cursor = cursorRaw == null ? null : Number(cursorRaw);
+  const fromBucket = Number.isFinite(cursor) ? cursor + 1 : (await oldestDueBucket()) ?? targetBucket;
+  const toBucket = Math.min(targetBucket, fromBucket + CFG.maxBucketsPerRun - 1);
+
+  if (toBucket < fromBucket) {
+    return res.status(200).json({ ok: true, ts: now, dry, from_bucket: fromBucket, to_bucket: toBucket, resolved: 0 });
+  }
+
+  const seriesCache = new Map();
+  const rows = [];
+  const resultCounts = {};
+  let pendingSeen = 0;
+  let alreadyResolved = 0;
+
+  for (let b = fromBucket; b <= toBucket; b++) {
+    const pending = ((await redis.lrange(OUTCOME_KEYS.due(b), 0, -1)) || []).map(safeJsonParse).filter(Boolean);
+    pendingSeen += pending.length;
+
+    for (const p of pending) {
+      if (await redis.get(OUTCOME_KEYS.resolved(p.alert_id))) {
+        alreadyResolved += 1;
+        continue;
+      }
+
+      const points = await loadSeries(p.instId, seriesCache);
+      const outcome = resolveOutcome({
+        side: p.side,
+        entryPrice: p.entry_price,
+        entryTs: p.ts,
+        horizonMin: p.horizon_min,
+        tpPrice: p.tp_price,
+        stopLoss: p.stop_loss,
+        invalidationPrice: p.invalidation_price,
+        points,
+      });
+      resultCounts[outcome.result] = (resultCounts[outcome.result] || 0) + 1;
+      rows.push(outcomeRow(p, outcome, now));
+    }
+  }
+
+  let analytics = { ok: true, status: "dry_run", batches: 0 };
+  if (!dry) {
+    let localSink = null;
+    // Only rows the sink accepted; a failed batch (and everything after it) is re-resolved next run.
+    analytics = await postOutcomeRows(rows, async (batch) => {
+      localSink = writeLocalSink(batch, "outcome_update", now).status;
+      for (const row of batch) {
+        await redis.set(OUTCOME_KEYS.resolved(row.alert_id), JSON.stringify(row), { ex: OUTCOME_TTL_SECONDS });
+      }
+      await appendStatsRows(batch);
+    });
+    if (localSink) analytics.local_sink = localSink;
+    if (analytics.ok) {
+      for (let b = fromBucket; b <= toBucket; b++) await redis.del(OUTCOME_KEYS.due(b));
+      await redis.set(OUTCOME_KEYS.cursor(), String(toBucket));
+    }
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(analytics.ok ? 200 : 502).json({
+    ok: analytics.ok,
+    ts: now,
+    dry,
+    from_bucket: fromBucket,
+    to_bucket: toBucket,
+    caught_up: toBucket === targetBucket,
+    pending: pendingSeen,
+    already_resolved: alreadyResolved,
+    resolved: rows.length,
+    results: resultCounts,
+    analytics,
+    ...(debug ? { rows } : {}),
+  });
+}
@@ -0,0 +1,123 @@
+// /api/overrides.js
+// Runtime config overrides: set / clear a Redis value that wins over env for the alert engine from its next run,
+// without a redeploy, and read back what is active plus the audit log (lib/config-overrides.js).
+//
+// Usage:
+//   GET  /api/overrides?key=ALERT_SECRET[&audit=50]                      active overrides + audit tail
+//   POST /api/overrides?key=ALERT_SECRET  JSON body, one of:
+//     { "set": "ALERT_COOLDOWN_MINUTES", "value": "45", "by": "ops", "ttl": "4h", "reason": "..." }
+//     { "set": "recipe:<id>:<field>", "value": "-0.25", "by": "ops" }
+//     { "clear": "ALERT_COOLDOWN_MINUTES", "by": "ops", "reason": "..." }
+//
+// - set / clear are POST-only (405 on GET), so a prefetched or logged URL can't change the engine.
+// - set: a runtime setting (runtime: true in /api/config) or the numeric threshold on <field> in a recipe's
+//   `when`. Values are validated like env; out-of-range numbers are rejected, not clamped.
+// - ttl: "30m" | "4h" | "1d" | "90" (minutes). Omitted = until cleared. Expiry is logged in the audit as by "ttl".
+// - by: who is changing it (required on set / clear). Free text: anyone with the shared secret can claim any name,
+//   so it is stored with by_verified: false.
+// - config_version: hash of the effective tunables after the change; analytics events carry it.
+
+import { getRedis } from "../lib/redis.js";
+import { loadConfig } from "../lib/config.js";
+import { loadRecipesWithOverride } from "../lib/recipes.js";
+import { readAudit, setOverride, clearOverride, loadRuntimeConfig } from "../lib/config-overrides.js";
+import { isAuthorized } from "../lib/http-auth.js";
+import { safeJsonParse } from "../lib/values.js";
+
+const redis = getRedis();
+const C = loadConfig();
+
+// "30m" | "2h" | "1d" | "90" (minutes) -> minutes, or null when unparseable.
+function parseDurationMinutes(raw) {
+  const m = String(raw || "").trim().toLowerCase().match(/^(\d+(?:\.\d+)?)([mhd]?)$/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  const mult = m[2] === "d" ? 1440 : m[2] === "h" ? 60 : 1;
+  const minutes = n * mult;
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : null;
+}
+
+function clampInt(raw, fallback, max) {
+  const n = Math.floor(Number(raw));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : fallback;
+}
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    const isPost = req.method === "POST";
+    if (!isPost && (req.method !== "GET" || req.query.set != null || req.query.clear != null)) {
+      return res.status(405).json({ ok: false, error: "method_not_allowed", detail: { expected: "POST with a JSON body" } });
+    }
+
+    const body = isPost ? safeJsonParse(req.body) || {} : {};
+    const setKey = String(body.set || "").trim();
+    const clearKey = String(body.clear || "").trim();
+    const by = String(body.by || "").trim();
+    const reason = String(body.reason || "").trim();
+
+    if (isPost && !setKey && !clearKey) {
+      return res.status(400).json({ ok: false, error: "bad request", detail: { expected: "set or clear" } });
+    }
+
+    if ((setKey || clearKey) && !by) {
+      return res.status(400).json({ ok: false, error: "bad by", detail: { expected: "who is making the change" } });
+    }
+
+    if (setKey) {
+      let ttlMinutes = null;
+      if (body.ttl != null && String(body.ttl).trim() !== "") {
+        ttlMinutes = parseDurationMinutes(body.ttl);
+        if (ttlMinutes == null) {
+          return res.status(400).json({ ok: false, error: "bad ttl", detail: { allowed: ["30m", "4h", "1d", "90 (minutes)"] } });
+        }
+      }
+      const { recipes } = await loadRecipesWithOverride(redis, {
+        file: C.ALERT_RECIPES_FILE,
+        redisKey: C.ALERT_RECIPES_REDIS_KEY,
+      });
+      const result = await setOverride(redis, { key: setKey, value: body.value, ttlMinutes, by, reason }, { recipes });
+      if (!result.ok) {
+        return res.status(400).json({ ok: false, error: "bad override", detail: { key: setKey, reason: result.error } });
+      }
+      const { version } = await loadRuntimeConfig(redis);
+      return res.status(200).json({
+        ok: true,
+        action: "set",
+        key: result.key,
+        override: result.override,
+        previous: result.previous,
+        config_version: version,
+      });
+    }
+
+    if (clearKey) {
+      const result = await clearOverride(redis, { key: clearKey, by, reason });
+      const { version } = await loadRuntimeConfig(redis);
+      return res.status(200).json({
+        ok: true,
+        action: "clear",
+        key: result.key,
+        cleared: result.cleared,
+        previous: result.previous,
+        config_version: version,
+      });
+    }
+
+    const { overrides, version } = await loadRuntimeConfig(redis);
+    const audit = await readAudit(redis, clampInt(req.query.audit, 50, 1000));
+    return res.status(200).json({
+      ok: true,
+      ts: Date.now(),
+      config_version: version,
+      overrides: Object.entries(overrides).map(([key, row]) => ({ key, ...row })),
+      audit,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: "server error", detail: String(err?.message || err) });
+  }
+}
@@ -1,13 +1,22 @@
 // /api/snapshot.js
-// OKX PERP (SWAP) ONLY —  strict 5m bucket snapshots + 5m deltas + state
+// USDT PERPS — strict 5m bucket snapshots + 5m deltas + state
 // Supports batch mode: ?symbols=BTCUSDT,ETHUSDT,...
-
-import { Redis } from "@upstash/redis";
-
-const redis = new Redis({
-  url: process.env.UPSTASH_REDIS_REST_URL,
-  token: process.env.UPSTASH_REDIS_REST_TOKEN,
-});
+//
+// Venues come from /lib/exchanges adapters (okx, binance, bybit).
+// - SNAPSHOT_VENUES (comma list, default "okx,binance,bybit") is the failover order per symbol.
+// - Keys stay `snap5m:{BASE}-USDT-SWAP:{bucket}` whatever the venue; the JSON carries `venue` + `venue_inst_id`.
+// - Each run also marks the paper ledger (lib/paper-ledger.js) with the fresh prices; ?ledger=0 skips it.
+// - Per-symbol ok/error counts and the run duration go to lib/metrics.js for /api/metrics.
+
+import { getRedis } from "../lib/redis.js";
+import { loadConfig } from "../lib/config.js";
+import { fetchVenueMarket, makeFetchJson, resolveVenueOrder } from "../lib/exchanges/index.js";
+import { markPaperLedger } from "../lib/paper-ledger.js";
+import { lastClosedCandle } from "../lib/series5m.js";
+import { recordMetrics, runSamples } from "../lib/metrics.js";
+
+const redis = getRedis();
+const C = loadConfig();
 
 const BUCKET_MS = 5 * 60 * 1000;
 const SNAP_TTL_SECONDS = 60 * 60 * 72;
@@ -55,7 +64,7 @@ function normalizeSymbolsQuery(req) {
 const raw =
   (req?.query?.symbols != null ? String(req.query.symbols) : "") ||
   (req?.query?.symbol != null ? String(req.query.symbol) : "") ||
-  process.env.DEFAULT_SYMBOLS ||
+  C.DEFAULT_SYMBOLS.join(",") ||
   "ETHUSDT";
 
   return raw
@@ -74,6 +83,8 @@ async function fetchWithTimeout(url) {
   }
 }
 
+const fetchJson = makeFetchJson(fetchWithTimeout);
+
 function numOrNull(value) {
   if (value === null || value === undefined || String(value).trim() === "") return null;
   const n = Number(value);
@@ -85,11 +96,6 @@ function safePctChange(now, prev) {
   return ((now - prev) / prev) * 100;
 }
 
-function spotInstIdFromSymbol(symbol) {
-  const base = baseFromSymbolUSDT(symbol);
-  return base ? `${base}-USDT` : null;
-}
-
 function candleClose(row) {
   const n = Number(row?.[4]);
   return Number.isFinite(n) ? n : null;
@@ -117,10 +123,10 @@ function computeSpotPerpDivergence({ swapCandles, spotCandles }) {
   };
 }
 
-function computeBookMetrics(bookJson, price, ctVal = 1, ctValCcy = "") {
-  const data = bookJson?.data?.[0] || {};
-  const bids = Array.isArray(data?.bids) ? data.bids : [];
-  const asks = Array.isArray(data?.asks) ? data.asks : [];
+// book is the adapter-normalized { bids: [[px, sz]], asks: [[px, sz]] }
+function computeBookMetrics(book, price, ctVal = 1, ctValCcy = "") {
+  const bids = Array.isArray(book?.bids) ? book.bids : [];
+  const asks = Array.isArray(book?.asks) ? book.asks : [];
   const bestBid = numOrNull(bids?.[0]?.[0]);
   const bestAsk = numOrNull(asks?.[0]?.[0]);
   const mid = Number.isFinite(bestBid) && Number.isFinite(bestAsk) ? (bestBid + bestAsk) / 2 : price;
@@ -145,7 +151,7 @@ function computeBookMetrics(bookJson, price, ctVal = 1, ctValCcy = "") {
     book_bid_depth_20_usd: Number.isFinite(bidDepth) ? bidDepth : null,
     book_ask_depth_20_usd: Number.isFinite(askDepth) ? askDepth : null,
     book_imbalance_20: Number.isFinite(imbalance) ? imbalance : null,
-    thin_book_flag: Number.isFinite(spreadBps) ? spreadBps > Number(process.env.SNAPSHOT_THIN_BOOK_SPREAD_BPS || 8) : null,
+    thin_book_flag: Number.isFinite(spreadBps) ? spreadBps > C.SNAPSHOT_THIN_BOOK_SPREAD_BPS : null,
   };
 }
 
@@ -171,130 +177,111 @@ function marketStructureStatus({ spotEnabled, bookEnabled, spotInstId, spotCandl
   };
 }
 
-async function getOkxSwapInstrumentListCached(reqCache) {
-  if (reqCache.swapList) return reqCache.swapList;
+function instrumentCacheKey(adapter, base) {
+  return `${adapter.venue}:${base}`;
+}
+
+async function getSwapInstrumentListCached(adapter, reqCache) {
+  if (reqCache.lists.has(adapter.venue)) return reqCache.lists.get(adapter.venue);
 
-  const cacheKey = `okx:instruments:swap:list:v1`;
+  const cacheKey = adapter.instrumentListKey;
   const cached = await redis.get(cacheKey);
   if (cached) {
-    const list = safeJsonParse(cached);
+    const list = adapter.parseInstruments(safeJsonParse(cached));
     if (Array.isArray(list)) {
-      reqCache.swapList = list;
+      reqCache.lists.set(adapter.venue, list);
       return list;
     }
   }
 
-  const r = await fetchWithTimeout(
-    "https://www.okx.com/api/v5/public/instruments?instType=SWAP"
-  );
-  if (!r.ok) return null;
-
-  const j = await r.json();
-  const list = Array.isArray(j?.data) ? j.data : null;
+  const j = await fetchJson(adapter.urls.instruments());
+  const list = j ? adapter.parseInstruments(j) : null;
   if (!Array.isArray(list)) return null;
 
   await redis.set(cacheKey, JSON.stringify(list));
   await redis.expire(cacheKey, INST_LIST_TTL_SECONDS);
 
-  reqCache.swapList = list;
+  reqCache.lists.set(adapter.venue, list);
   return list;
 }
 
-async function resolveOkxSwapInstId(symbol, reqCache) {
+async function resolveSwapInstId(adapter, symbol, reqCache) {
   const base = baseFromSymbolUSDT(symbol);
   if (!base) return null;
 
-  if (reqCache.instMap.has(base)) return reqCache.instMap.get(base);
+  const memoKey = instrumentCacheKey(adapter, base);
+  if (reqCache.instMap.has(memoKey)) return reqCache.instMap.get(memoKey);
 
-  const mapKey = `instmap:okx:swap:${base}`;
+  const mapKey = `${adapter.instMapPrefix}${base}`;
   const cached = await redis.get(mapKey);
   if (cached) {
     const v = cached === "__NONE__" ? null : String(cached);
-    reqCache.instMap.set(base, v);
+    reqCache.instMap.set(memoKey, v);
     return v;
   }
 
-  const list = await getOkxSwapInstrumentListCached(reqCache);
+  const list = await getSwapInstrumentListCached(adapter, reqCache);
   if (!Array.isArray(list)) {
-    const guess = `${base}-USDT-SWAP`;
-    reqCache.instMap.set(base, guess);
+    const guess = adapter.instIdForBase(base);
+    reqCache.instMap.set(memoKey, guess);
     return guess;
   }
 
-  const target = `${base}-USDT-SWAP`.toUpperCase();
+  const target = adapter.instIdForBase(base).toUpperCase();
   const exists = list.some((x) => String(x?.instId).toUpperCase() === target);
 
   if (exists) {
     await redis.set(mapKey, target);
     await redis.expire(mapKey, INST_MAP_TTL_SECONDS);
-    reqCache.instMap.set(base, target);
+    reqCache.instMap.set(memoKey, target);
     return target;
   }
 
   await redis.set(mapKey, "__NONE__");
   await redis.expire(mapKey, INST_MAP_TTL_SECONDS);
-  reqCache.instMap.set(base, null);
+  reqCache.instMap.set(memoKey, null);
   return null;
 }
 
-async function resolveOkxSwapMeta(symbol, reqCache) {
+async function resolveSwapMeta(adapter, symbol, reqCache) {
   const base = baseFromSymbolUSDT(symbol);
   if (!base) return null;
-  if (reqCache.metaMap?.has(base)) return reqCache.metaMap.get(base);
+  const memoKey = instrumentCacheKey(adapter, base);
+  if (reqCache.metaMap.has(memoKey)) return reqCache.metaMap.get(memoKey);
 
-  const list = await getOkxSwapInstrumentListCached(reqCache);
-  const target = `${base}-USDT-SWAP`.toUpperCase();
+  const list = await getSwapInstrumentListCached(adapter, reqCache);
+  const target = adapter.instIdForBase(base).toUpperCase();
   const row = Array.isArray(list) ? list.find((x) => String(x?.instId || "").toUpperCase() === target) : null;
   const meta = row ? { ctVal: numOrNull(row?.ctVal), ctValCcy: String(row?.ctValCcy || "") } : { ctVal: 1, ctValCcy: "" };
-  if (!reqCache.metaMap) reqCache.metaMap = new Map();
-  reqCache.metaMap.set(base, meta);
+  reqCache.metaMap.set(memoKey, meta);
   return meta;
 }
 
-async function fetchOkxSwap(instId, symbol, swapMeta = null) {
-  const spotEnabled = String(process.env.SNAPSHOT_SPOT_DIVERGENCE_ENABLED || "1") !== "0";
-  const bookEnabled = String(process.env.SNAPSHOT_ORDER_BOOK_ENABLED || "1") !== "0";
-  const spotInstId = spotInstIdFromSymbol(symbol);
-  const bookDepth = Math.max(1, Math.min(100, Number(process.env.SNAPSHOT_ORDER_BOOK_DEPTH || 20)));
-
-  const requests = [
-    fetchWithTimeout(`https://www.okx.com/api/v5/market/ticker?instId=${instId}`),
-    fetchWithTimeout(`https://www.okx.com/api/v5/public/funding-rate?instId=${instId}`),
-    fetchWithTimeout(`https://www.okx.com/api/v5/public/open-interest?instType=SWAP&instId=${instId}`),
-    fetchWithTimeout(`https://www.okx.com/api/v5/market/candles?instId=${instId}&bar=5m&limit=13`),
-  ];
-
-  if (spotEnabled && spotInstId) {
-    requests.push(fetchWithTimeout(`https://www.okx.com/api/v5/market/candles?instId=${spotInstId}&bar=5m&limit=13`));
-  } else {
-    requests.push(Promise.resolve(null));
-  }
-
-  if (bookEnabled) {
-    requests.push(fetchWithTimeout(`https://www.okx.com/api/v5/market/books?instId=${instId}&sz=${bookDepth}`));
-  } else {
-    requests.push(Promise.resolve(null));
-  }
-
-  const [tickerRes, fundingRes, oiRes, candlesRes, spotCandlesRes, bookRes] = await Promise.all(requests);
-
-  if (!tickerRes.ok || !fundingRes.ok || !oiRes.ok || !candlesRes.ok) {
-    return { ok: false, error: "okx fetch failed" };
-  }
+async function fetchSwap(adapter, venueInstId, symbol, swapMeta = null) {
+  const spotEnabled = C.SNAPSHOT_SPOT_DIVERGENCE_ENABLED;
+  const bookEnabled = C.SNAPSHOT_ORDER_BOOK_ENABLED;
+  const base = baseFromSymbolUSDT(symbol);
+  const spotInstId = adapter.spotIdForBase(base);
+  const bookDepth = C.SNAPSHOT_ORDER_BOOK_DEPTH;
 
-  const ticker = await tickerRes.json();
-  const funding = await fundingRes.json();
-  const oi = await oiRes.json();
-  const candles = await candlesRes.json();
-  const spotCandles = spotCandlesRes?.ok ? await spotCandlesRes.json().catch(() => null) : null;
-  const book = bookRes?.ok ? await bookRes.json().catch(() => null) : null;
+  const market = await fetchVenueMarket(adapter, {
+    instId: venueInstId,
+    spotId: spotInstId,
+    fetchJson,
+    spotEnabled,
+    bookEnabled,
+    bookDepth,
+    candleLimit: 13,
+  });
+  if (!market.ok) return market;
 
-  const swapRows = Array.isArray(candles?.data) ? candles.data : [];
-  const c = swapRows?.[0] || null;
+  const swapRows = market.candles;
+  // o/h/l from the last closed candle, the same candle /api/backfill stores for this bucket.
+  const c = lastClosedCandle(swapRows, Date.now());
 
-  const price = Number(ticker?.data?.[0]?.last);
-  const funding_rate = Number(funding?.data?.[0]?.fundingRate);
-  const open_interest_contracts = Number(oi?.data?.[0]?.oi);
+  const price = Number(market.price);
+  const funding_rate = Number(market.funding_rate);
+  const open_interest_contracts = Number(market.open_interest_contracts);
   const open = Number(c?.[1]);
   const high = Number(c?.[2]);
   const low = Number(c?.[3]);
@@ -309,10 +296,11 @@ async function fetchOkxSwap(instId, symbol, swapMeta = null) {
     return { ok: false, error: "instrument missing data" };
   }
 
-  const spotRows = Array.isArray(spotCandles?.data) ? spotCandles.data : [];
+  const spotCandles = market.spotCandles;
+  const book = market.book;
   const divergence = computeSpotPerpDivergence({
     swapCandles: swapRows,
-    spotCandles: spotRows,
+    spotCandles: spotCandles || [],
   });
   const bookMetrics = book ? computeBookMetrics(book, price, swapMeta?.ctVal ?? 1, swapMeta?.ctValCcy || "") : {};
   const structureStatus = marketStructureStatus({
@@ -327,12 +315,16 @@ async function fetchOkxSwap(instId, symbol, swapMeta = null) {
 
   return {
     ok: true,
+    venue: adapter.venue,
+    venue_inst_id: venueInstId,
     price,
     open,
     high,
     low,
     funding_rate,
     open_interest_contracts,
+    ct_val: swapMeta?.ctVal ?? null,
+    ct_val_ccy: swapMeta?.ctValCcy || "",
     spot_inst_id: spotInstId || "",
     ...divergence,
     ...bookMetrics,
@@ -340,6 +332,24 @@ async function fetchOkxSwap(instId, symbol, swapMeta = null) {
   };
 }
 
+// Walks SNAPSHOT_VENUES in order; the first venue that lists the symbol and returns usable data wins.
+async function fetchFromVenues(symbol, reqCache) {
+  let listed = false;
+  let lastError = null;
+
+  for (const adapter of reqCache.venues) {
+    const venueInstId = await resolveSwapInstId(adapter, symbol, reqCache);
+    if (!venueInstId) continue;
+    listed = true;
+
+    const swapMeta = await resolveSwapMeta(adapter, symbol, reqCache);
+    const market = await fetchSwap(adapter, venueInstId, symbol, swapMeta);
+    if (market.ok) return market;
+    lastError = market.error;
+  }
+
+  return { ok: false, error: listed ? lastError : "no perp market" };
+}
 
 async function mapWithConcurrency(items, limit, fn) {
   const out = new Array(items.length);
@@ -361,12 +371,11 @@ async function processOne(symbol, reqCache) {
   const base = baseFromSymbolUSDT(symbol);
   if (!base) return { ok: false, symbol, error: "bad symbol format" };
 
-  const instId = await resolveOkxSwapInstId(symbol, reqCache);
-  if (!instId) return { ok: false, symbol, error: "no perp market" };
+  const mkt = await fetchFromVenues(symbol, reqCache);
+  if (!mkt.ok) return { ok: false, symbol, error: mkt.error };
 
-  const swapMeta = await resolveOkxSwapMeta(symbol, reqCache);
-  const okx = await fetchOkxSwap(instId, symbol, swapMeta);
-  if (!okx.ok) return { ok: false, symbol, error: okx.error };
+  // Gateway key space stays on the OKX-style canonical id so multi/alert keys don't depend on venue.
+  const instId = `${base}-USDT-SWAP`;
 
   const now = Date.now();
   const bucket = Math.floor(now / BUCKET_MS);
@@ -383,26 +392,30 @@ async function processOne(symbol, reqCache) {
   if (!snapNow) {
     snapNow = {
       inst_id: instId,
-      price: okx.price,
-      open: okx.open,
-      high: okx.high,
-      low: okx.low,
-      funding_rate: okx.funding_rate,
-      open_interest_contracts: okx.open_interest_contracts,
-      spot_inst_id: okx.spot_inst_id || "",
-      spot_return_15m_pct: okx.spot_return_15m_pct,
-      perp_return_15m_pct: okx.perp_return_15m_pct,
-      spot_vs_perp_15m_pct: okx.spot_vs_perp_15m_pct,
-      spot_return_1h_pct: okx.spot_return_1h_pct,
-      perp_return_1h_pct: okx.perp_return_1h_pct,
-      spot_vs_perp_1h_pct: okx.spot_vs_perp_1h_pct,
-      spread_bps: okx.spread_bps,
-      book_bid_depth_20_usd: okx.book_bid_depth_20_usd,
-      book_ask_depth_20_usd: okx.book_ask_depth_20_usd,
-      book_imbalance_20: okx.book_imbalance_20,
-      thin_book_flag: okx.thin_book_flag,
-      market_structure_ok: okx.market_structure_ok,
-      market_structure_reason: okx.market_structure_reason,
+      venue: mkt.venue,
+      venue_inst_id: mkt.venue_inst_id,
+      price: mkt.price,
+      open: mkt.open,
+      high: mkt.high,
+      low: mkt.low,
+      funding_rate: mkt.funding_rate,
+      open_interest_contracts: mkt.open_interest_contracts,
+      ct_val: mkt.ct_val,
+      ct_val_ccy: mkt.ct_val_ccy,
+      spot_inst_id: mkt.spot_inst_id || "",
+      spot_return_15m_pct: mkt.spot_return_15m_pct,
+      perp_return_15m_pct: mkt.perp_return_15m_pct,
+      spot_vs_perp_15m_pct: mkt.spot_vs_perp_15m_pct,
+      spot_return_1h_pct: mkt.spot_return_1h_pct,
+      perp_return_1h_pct: mkt.perp_return_1h_pct,
+      spot_vs_perp_1h_pct: mkt.spot_vs_perp_1h_pct,
+      spread_bps: mkt.spread_bps,
+      book_bid_depth_20_usd: mkt.book_bid_depth_20_usd,
+      book_ask_depth_20_usd: mkt.book_ask_depth_20_usd,
+      book_imbalance_20: mkt.book_imbalance_20,
+      thin_book_flag: mkt.thin_book_flag,
+      market_structure_ok: mkt.market_structure_ok,
+      market_structure_reason: mkt.market_structure_reason,
       ts: now,
     };
     await redis.set(keyNow, JSON.stringify(snapNow));
@@ -411,34 +424,40 @@ async function processOne(symbol, reqCache) {
     snapNow = {
       ...snapNow,
       inst_id: instId,
-      open: Number.isFinite(Number(snapNow?.open)) ? snapNow.open : okx.open,
-      high: Number.isFinite(Number(snapNow?.high)) ? snapNow.high : okx.high,
-      low: Number.isFinite(Number(snapNow?.low)) ? snapNow.low : okx.low,
-      spot_inst_id: okx.spot_inst_id || snapNow?.spot_inst_id || "",
-      spot_return_15m_pct: okx.spot_return_15m_pct,
-      perp_return_15m_pct: okx.perp_return_15m_pct,
-      spot_vs_perp_15m_pct: okx.spot_vs_perp_15m_pct,
-      spot_return_1h_pct: okx.spot_return_1h_pct,
-      perp_return_1h_pct: okx.perp_return_1h_pct,
-      spot_vs_perp_1h_pct: okx.spot_vs_perp_1h_pct,
-      spread_bps: okx.spread_bps,
-      book_bid_depth_20_usd: okx.book_bid_depth_20_usd,
-      book_ask_depth_20_usd: okx.book_ask_depth_20_usd,
-      book_imbalance_20: okx.book_imbalance_20,
-      thin_book_flag: okx.thin_book_flag,
-      market_structure_ok: okx.market_structure_ok,
-      market_structure_reason: okx.market_structure_reason,
+      venue: snapNow?.venue || mkt.venue,
+      venue_inst_id: snapNow?.venue_inst_id || mkt.venue_inst_id,
+      open: Number.isFinite(Number(snapNow?.open)) ? snapNow.open : mkt.open,
+      high: Number.isFinite(Number(snapNow?.high)) ? snapNow.high : mkt.high,
+      low: Number.isFinite(Number(snapNow?.low)) ? snapNow.low : mkt.low,
+      ct_val: snapNow?.ct_val ?? mkt.ct_val,
+      ct_val_ccy: snapNow?.ct_val_ccy || mkt.ct_val_ccy,
+      spot_inst_id: mkt.spot_inst_id || snapNow?.spot_inst_id || "",
+      spot_return_15m_pct: mkt.spot_return_15m_pct,
+      perp_return_15m_pct: mkt.perp_return_15m_pct,
+      spot_vs_perp_15m_pct: mkt.spot_vs_perp_15m_pct,
+      spot_return_1h_pct: mkt.spot_return_1h_pct,
+      perp_return_1h_pct: mkt.perp_return_1h_pct,
+      spot_vs_perp_1h_pct: mkt.spot_vs_perp_1h_pct,
+      spread_bps: mkt.spread_bps,
+      book_bid_depth_20_usd: mkt.book_bid_depth_20_usd,
+      book_ask_depth_20_usd: mkt.book_ask_depth_20_usd,
+      book_imbalance_20: mkt.book_imbalance_20,
+      thin_book_flag: mkt.thin_book_flag,
+      market_structure_ok: mkt.market_structure_ok,
+      market_structure_reason: mkt.market_structure_reason,
       ts: snapNow?.ts ?? now,
     };
     await redis.set(keyNow, JSON.stringify(snapNow));
     await redis.expire(keyNow, SNAP_TTL_SECONDS);
   }
 
+  // OI units differ by venue (OKX contracts vs base coin), so only diff OI within one venue.
+  const sameVenue = (snapNow?.venue || "okx") === (snapPrev?.venue || "okx");
+
   const price_change_5m_pct = pctChange(snapNow?.price, snapPrev?.price);
-  const oi_change_5m_pct = pctChange(
-    snapNow?.open_interest_contracts,
-    snapPrev?.open_interest_contracts
-  );
+  const oi_change_5m_pct = sameVenue
+    ? pctChange(snapNow?.open_interest_contracts, snapPrev?.open_interest_contracts)
+    : null;
 
   const funding_change_5m =
     Number.isFinite(snapNow?.funding_rate) &&
@@ -450,12 +469,16 @@ async function processOne(symbol, reqCache) {
     ok: true,
     symbol,
     instId,
+    venue: snapNow?.venue || mkt.venue,
+    venue_inst_id: snapNow?.venue_inst_id || mkt.venue_inst_id,
     ts: now,
-    price: okx.price,
-    open: okx.open,
-    funding_rate: okx.funding_rate,
-    open_interest_contracts: okx.open_interest_contracts,
-    open_interest_usd: okx.open_interest_contracts * okx.price,
+    price: mkt.price,
+    open: mkt.open,
+    high: mkt.high,
+    low: mkt.low,
+    funding_rate: mkt.funding_rate,
+    open_interest_contracts: mkt.open_interest_contracts,
+    open_interest_usd: mkt.open_interest_contracts * mkt.price,
     price_change_5m_pct,
     oi_change_5m_pct,
     funding_change_5m,
@@ -475,22 +498,43 @@ async function processOne(symbol, reqCache) {
     market_structure_reason: snapNow?.market_structure_reason || "missing_from_snapshot",
     state: classifyState(price_change_5m_pct, oi_change_5m_pct),
     warmup_5m: !(snapNow && snapPrev),
-    source: "okx_swap_public_api+upstash_state",
+    source: `${mkt.venue}_swap_public_api+upstash_state`,
   };
 }
 
 export default async function handler(req, res) {
+  const startedAt = Date.now();
   try {
     const symbols = normalizeSymbolsQuery(req);
-    const reqCache = { swapList: null, instMap: new Map(), metaMap: new Map() };
+    const reqCache = {
+      venues: resolveVenueOrder(C.SNAPSHOT_VENUES.join(",")),
+      lists: new Map(),
+      instMap: new Map(),
+      metaMap: new Map(),
+    };
 
-    const maxConcurrency = Number(process.env.SNAPSHOT_MAX_CONCURRENCY || 5);
+    const maxConcurrency = C.SNAPSHOT_MAX_CONCURRENCY;
     const results = await mapWithConcurrency(symbols, maxConcurrency, (s) => processOne(s, reqCache));
 
+    const ledger =
+      String(req?.query?.ledger || "") === "0"
+        ? null
+        : await markPaperLedger(
+            redis,
+            results.filter((r) => r.ok).map((r) => ({ instId: r.instId, price: r.price, high: r.high, low: r.low, ts: r.ts })),
+            Date.now()
+          );
+
+    const run = runSamples("snapshot", { startedAt, now: Date.now(), ok: results.every((r) => r.ok) });
+    await recordMetrics(redis, {
+      ...run,
+      counters: results.map((r) => ["gateway_snapshot_fetches", { symbol: r.symbol, result: r.ok ? "ok" : "error" }, 1]),
+    });
+
     res.setHeader("Cache-Control", "no-store");
 
     if (results.length === 1) {
-      return res.status(results[0].ok ? 200 : 502).json(results[0]);
+      return res.status(results[0].ok ? 200 : 502).json({ ...results[0], ledger });
     }
 
     return res.status(200).json({
@@ -498,6 +542,7 @@ export default async function handler(req, res) {
       ts: Date.now(),
       symbols,
       results,
+      ledger,
     });
   } catch (err) {
     return res.status(500).json({
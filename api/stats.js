@@ -0,0 +1,73 @@
+// /api/stats.js
+// Per-recipe performance over resolved outcomes, compared against the Random cohort.
+//
+// Usage: /api/stats?key=ALERT_SECRET[&days=30][&group_by=recipe,session][&recipe=ID][&cohort=fired|shadow][&format=csv]
+//
+// - Rows come from stats:outcomes:{YYYY-MM-DD}, written by /api/outcomes once an alert resolves
+//   (so the window only covers alerts whose due time has passed).
+// - group_by: any of recipe, mode, side, session (us_equity_session), dow (day_of_week_et). Default recipe.
+// - Per group: win rate, avg return, avg realized R, MFE/MAE p25/p50/p75, the matching Random baseline
+//   and edge_* = group minus baseline.
+
+import { getRedis } from "../lib/redis.js";
+import { STATS_DIMENSIONS, STATS_RETENTION_DAYS, aggregateStats, loadStatsRows, toCsv } from "../lib/stats.js";
+import { isAuthorized } from "../lib/http-auth.js";
+
+const redis = getRedis();
+
+function normalizeGroupBy(raw) {
+  const dims = String(raw || "recipe")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const bad = dims.filter((d) => !STATS_DIMENSIONS.includes(d));
+  return { dims: [...new Set(dims)], bad };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ ok: false, error: "unauthorized" });
+    }
+
+    const days = Math.min(STATS_RETENTION_DAYS, Math.max(1, Math.floor(Number(req.query.days || 30)) || 30));
+    const { dims, bad } = normalizeGroupBy(req.query.group_by);
+    if (bad.length || !dims.length) {
+      return res.status(400).json({ ok: false, error: "bad group_by", detail: { unknown: bad, allowed: STATS_DIMENSIONS } });
+    }
+    const cohort = String(req.query.cohort || "fired").toLowerCase();
+    if (cohort !== "fired" && cohort !== "shadow") {
+      return res.status(400).json({ ok: false, error: "bad cohort", detail: { allowed: ["fired", "shadow"] } });
+    }
+    const recipe = String(req.query.recipe || "").trim();
+    const format = String(req.query.format || "json").toLowerCase();
+
+    const now = Date.now();
+    const fromTs = now - days * 24 * 60 * 60 * 1000;
+    const rows = await loadStatsRows(redis, now, days);
+
+    const stats = aggregateStats(rows, { groupBy: dims, cohort, recipe });
+
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="stats_${cohort}_${dims.join("-")}_${days}d.csv"`);
+      return res.status(200).send(toCsv(stats.groups));
+    }
+
+    return res.status(200).json({
+      ok: true,
+      ts: now,
+      days,
+      from: new Date(fromTs).toISOString(),
+      cohort,
+      group_by: dims,
+      recipe: recipe || null,
+      rows_read: rows.length,
+      cohorts: stats.cohorts,
+      groups: stats.groups,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: "server error", detail: String(err?.message || err) });
+  }
+}
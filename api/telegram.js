@@ -0,0 +1,255 @@
+// /api/telegram.js
+// Telegram bot webhook: lets the alert chat query and steer /api/alert.
+//
+// Register once (secret_token is echoed back by Telegram on every update):
+//   https://api.telegram.org/bot<TELEGRAM_BOT_TOKEN>/setWebhook?url=https://<host>/api/telegram&secret_token=<TELEGRAM_WEBHOOK_SECRET>
+//
+// Auth: x-telegram-bot-api-secret-token must equal TELEGRAM_WEBHOOK_SECRET (401 otherwise), and only
+// messages from TELEGRAM_CHAT_ID are acted on (others get a silent 200 so Telegram doesn't retry).
+//
+// Commands:
+// - /status                 latest /api/alert heartbeat + active mutes
+// - /mute SYMBOL [2h]        mute a symbol for 30m / 2h / 1d (default ALERT_MUTE_DEFAULT_MINUTES)
+// - /unmute [SYMBOL]         clear one mute, or all
+// - /recipes                live recipes with cooldown state
+// - /why SYMBOL              dry+debug /api/alert run over DEFAULT_SYMBOLS (+SYMBOL); replies with its skip reasons
+
+import { getRedis } from "../lib/redis.js";
+import { loadConfig } from "../lib/config.js";
+import { readMutes, setMute, clearMute, normalizeMuteSymbol } from "../lib/mutes.js";
+import { loadRecipesWithOverride } from "../lib/recipes.js";
+import { safeJsonParse } from "../lib/values.js";
+
+const redis = getRedis();
+const C = loadConfig();
+
+const CFG = {
+  heartbeatKey: C.ALERT_HEARTBEAT_KEY,
+  recipesFile: C.ALERT_RECIPES_FILE,
+  recipesRedisKey: C.ALERT_RECIPES_REDIS_KEY,
+  recipeCooldownMinutesByMode: {
+    scalp: C.ALERT_RECIPE_COOLDOWN_MINUTES_SCALP,
+    swing: C.ALERT_RECIPE_COOLDOWN_MINUTES_SWING,
+  },
+  muteDefaultMinutes: C.ALERT_MUTE_DEFAULT_MINUTES,
+  muteMaxMinutes: 60 * 24 * 7,
+  whyMaxReasons: 8,
+};
+
+const lastRecipeSentAtKey = (recipeId) => `alert:lastRecipeSentAt:${String(recipeId || "unknown")}`;
+
+function isAuthorizedUpdate(req) {
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET || "";
+  const provided = String(req.headers?.["x-telegram-bot-api-secret-token"] || "");
+  return !!secret && provided === secret;
+}
+
+// "BTC" and "btcusdt" both mean BTCUSDT (symbols are always USDT perps here).
+function parseSymbol(raw) {
+  const s = normalizeMuteSymbol(raw).replace(/[^A-Z0-9]/g, "");
+  if (!s) return "";
+  return s.endsWith("USDT") ? s : `${s}USDT`;
+}
+
+// "30m" | "2h" | "1d" | "90" (minutes) -> minutes, or null when unparseable.
+function parseDurationMinutes(raw) {
+  const m = String(raw || "").trim().toLowerCase().match(/^(\d+(?:\.\d+)?)([mhd]?)$/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  const mult = m[2] === "d" ? 1440 : m[2] === "h" ? 60 : 1;
+  const minutes = n * mult;
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : null;
+}
+
+function fmtAgo(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return "n/a";
+  const min = ms / 60000;
+  if (min < 1) return `${Math.round(ms / 1000)}s ago`;
+  if (min < 120) return `${Math.round(min)}m ago`;
+  return `${(min / 60).toFixed(1)}h ago`;
+}
+
+function fmtUntil(untilTs, now) {
+  const min = Math.max(0, (untilTs - now) / 60000);
+  const left = min < 120 ? `${Math.round(min)}m` : `${(min / 60).toFixed(1)}h`;
+  return `${new Date(untilTs).toISOString().slice(0, 16).replace("T", " ")} UTC (${left} left)`;
+}
+
+function parseCommand(text) {
+  const parts = String(text || "").trim().split(/\s+/);
+  const head = parts[0] || "";
+  if (!head.startsWith("/")) return null;
+  // Group chats send /cmd@BotName.
+  const name = head.slice(1).split("@")[0].toLowerCase();
+  return { name, args: parts.slice(1) };
+}
+
+async function sendReply(chatId, text) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) return { ok: false, detail: "Missing TELEGRAM_BOT_TOKEN" };
+  try {
+    const r = await fetch(`https://api.telegram.org/bot${token}/sendMessage`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ chat_id: chatId, text: String(text).slice(0, 3800), disable_web_page_preview: true }),
+    });
+    const j = await r.json().catch(() => null);
+    if (!r.ok || !j?.ok) return { ok: false, detail: j };
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, detail: String(err?.message || err) };
+  }
+}
+
+function muteLines(mutes, now) {
+  if (!mutes.size) return ["Mutes: none"];
+  return ["Mutes:", ...[...mutes.entries()].map(([sym, until]) => `- ${sym} until ${fmtUntil(until, now)}`)];
+}
+
+async function cmdStatus(now) {
+  const hb = safeJsonParse(await redis.get(CFG.heartbeatKey).catch(() => null));
+  const mutes = await readMutes(redis, now);
+  if (!hb) return ["Status: no heartbeat yet (alert has not run, or it expired)", ...muteLines(mutes, now)].join("\n");
+
+  const lines = [
+    `Status: ${hb.ok ? "OK" : `FAILED (${hb.stage || "unknown"})`} — last run ${fmtAgo(now - Number(hb.ts))}`,
+    `Modes: ${(hb.modes || []).join(", ") || "n/a"} | risk ${hb.risk_profile || "n/a"}`,
+    `Sent: ${hb.sent ? "yes" : "no"} | messages ${hb.rendered_message_count ?? 0} | fired ${hb.fired_row_count ?? 0} | random ${hb.random_row_count ?? 0} | shadow ${hb.shadow_row_count ?? 0}`,
+    `Analytics: ${hb.analytics_status || "n/a"}${hb.analytics_error_code ? ` (${hb.analytics_error_code})` : ""}${
+      hb.analytics_outbox_depth ? ` | outbox ${hb.analytics_outbox_depth} pending` : ""
+    }`,
+  ];
+  if (hb.error) lines.push(`Error: ${hb.error}`);
+  for (const f of (hb.delivery_failures || []).slice(0, 3)) {
+    lines.push(`Delivery failed: ${f.destination} (${f.recipe}) ${f.detail || ""}`.trim());
+  }
+  if (Number(hb.itemErrors) > 0) lines.push(`Item errors: ${hb.itemErrors}`);
+  return [...lines, ...muteLines(mutes, now)].join("\n");
+}
+
+async function cmdMute(args, now) {
+  const symbol = parseSymbol(args[0]);
+  if (!symbol) return "Usage: /mute SYMBOL [30m|2h|1d]";
+  const minutes = args[1] == null ? CFG.muteDefaultMinutes : parseDurationMinutes(args[1]);
+  if (minutes == null) return `Bad duration "${args[1]}". Use e.g. 30m, 2h, 1d.`;
+  const capped = Math.min(minutes, CFG.muteMaxMinutes);
+  const { untilTs } = await setMute(redis, symbol, now + capped * 60000, now);
+  return `Muted ${symbol} until ${fmtUntil(untilTs, now)}`;
+}
+
+async function cmdUnmute(args) {
+  const symbol = args[0] ? parseSymbol(args[0]) : "";
+  const removed = await clearMute(redis, symbol);
+  if (symbol) return removed ? `Unmuted ${symbol}` : `${symbol} was not muted`;
+  return removed ? `Cleared ${removed} mute(s)` : "Nothing was muted";
+}
+
+async function cmdRecipes(now) {
+  const loaded = await loadRecipesWithOverride(redis, { file: CFG.recipesFile, redisKey: CFG.recipesRedisKey });
+  const live = loaded.recipes.filter((recipe) => recipe.tier !== "shadow");
+  const shadowCount = loaded.recipes.length - live.length;
+  const lines = [`Recipes (${loaded.source}): ${live.length} live, ${shadowCount} shadow`];
+  if (loaded.errors.length) lines.push(`Override invalid, using bundled: ${loaded.errors.slice(0, 3).join("; ")}`);
+
+  for (const recipe of live) {
+    const sentAt = Number(await redis.get(lastRecipeSentAtKey(recipe.id)).catch(() => null));
+    const cooldownMinutes = CFG.recipeCooldownMinutesByMode[recipe.mode] ?? 60;
+    const ageMin = sentAt > 0 ? (now - sentAt) / 60000 : null;
+    const state =
+      ageMin == null
+        ? "ready (never sent)"
+        : ageMin < cooldownMinutes
+        ? `cooldown ${Math.ceil(cooldownMinutes - ageMin)}m left (sent ${fmtAgo(now - sentAt)})`
+        : `ready (sent ${fmtAgo(now - sentAt)})`;
+    lines.push(`- ${recipe.id} [${recipe.mode} ${recipe.side}]: ${state}`);
+  }
+  return lines.join("\n");
+}
+
+async function cmdWhy(args, req, now) {
+  const symbol = parseSymbol(args[0]);
+  if (!symbol) return "Usage: /why SYMBOL";
+
+  // Same symbol set as the cron run so cross-asset context (BTC, breadth) matches.
+  const defaults = C.DEFAULT_SYMBOLS;
+  const symbols = defaults.includes(symbol) ? defaults : [...defaults, symbol];
+
+  const host = req.headers["x-forwarded-host"] || req.headers.host;
+  const proto = (req.headers["x-forwarded-proto"] || "https").split(",")[0].trim();
+  const url = `${proto}://${host}/api/alert?symbols=${encodeURIComponent(symbols.join(","))}&dry=1&debug=1`;
+
+  let j = null;
+  try {
+    const r = await fetch(url, {
+      headers: { Authorization: `Bearer ${process.env.ALERT_SECRET || ""}`, "Cache-Control": "no-store" },
+    });
+    j = await r.json().catch(() => null);
+    if (!r.ok || !j?.ok) return `Why ${symbol}: dry run failed (${j?.error || `http_${r.status}`})`;
+  } catch (err) {
+    return `Why ${symbol}: dry run failed (${String(err?.message || err)})`;
+  }
+
+  const mutes = await readMutes(redis, now);
+  const lines = [`Why ${symbol} (dry run):`];
+  if (mutes.has(symbol)) lines.push(`Muted until ${fmtUntil(mutes.get(symbol), now)}`);
+
+  const wouldSend = new RegExp(`\\b${symbol}\\b`).test(String(j.renderedMessage || ""));
+  if (wouldSend) lines.push("Would be sent this run.");
+
+  const reasons = [];
+  for (const s of j.skipped || []) {
+    if (String(s?.symbol || "").toUpperCase() !== symbol) continue;
+    const recipe = s?.detail?.recipe ? ` (${s.detail.recipe})` : "";
+    const line = `- ${s.mode ? `${s.mode}: ` : ""}${s.reason}${recipe}`;
+    if (!reasons.includes(line)) reasons.push(line);
+  }
+  if (reasons.length) {
+    lines.push("Skipped:", ...reasons.slice(0, CFG.whyMaxReasons));
+    if (reasons.length > CFG.whyMaxReasons) lines.push(`… +${reasons.length - CFG.whyMaxReasons} more`);
+  } else if (!wouldSend) {
+    lines.push("No trigger this run (no recipe candidate for this symbol).");
+  }
+  return lines.join("\n");
+}
+
+const HELP = [
+  "Commands:",
+  "/status — last alert run",
+  "/mute SYMBOL [2h] — mute a symbol",
+  "/unmute [SYMBOL] — clear one mute, or all",
+  "/recipes — live recipes and cooldowns",
+  "/why SYMBOL — why nothing fired",
+].join("\n");
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") return res.status(405).json({ ok: false, error: "method_not_allowed" });
+    if (!isAuthorizedUpdate(req)) return res.status(401).json({ ok: false, error: "unauthorized" });
+
+    const update = safeJsonParse(req.body) || {};
+    const message = update.message || update.edited_message || null;
+    const chatId = String(message?.chat?.id ?? "");
+    const allowedChatId = String(process.env.TELEGRAM_CHAT_ID || "");
+    if (!message || !allowedChatId || chatId !== allowedChatId) {
+      return res.status(200).json({ ok: true, ignored: true });
+    }
+
+    const cmd = parseCommand(message.text);
+    if (!cmd) return res.status(200).json({ ok: true, ignored: true });
+
+    const now = Date.now();
+    let reply;
+    if (cmd.name === "status") reply = await cmdStatus(now);
+    else if (cmd.name === "mute") reply = await cmdMute(cmd.args, now);
+    else if (cmd.name === "unmute") reply = await cmdUnmute(cmd.args);
+    else if (cmd.name === "recipes") reply = await cmdRecipes(now);
+    else if (cmd.name === "why") reply = await cmdWhy(cmd.args, req, now);
+    else reply = HELP;
+
+    const tg = await sendReply(allowedChatId, reply);
+    // Always 200 once authenticated: a non-2xx makes Telegram redeliver the same update.
+    return res.status(200).json({ ok: true, command: cmd.name, replied: tg.ok });
+  } catch (err) {
+    return res.status(200).json({ ok: false, error: "server error", detail: String(err?.message || err) });
+  }
+}
@@ -0,0 +1,271 @@
+// /lib/alert/analytics.js
+// Analytics version tags / deploy info stamped on every event (used by evaluateRun) and the webhook posting,
+// throttle and outbox path the handler runs after delivery.
+// CommonJS because api/alert.js requires it.
+
+const { enqueueAnalyticsOutbox, drainAnalyticsOutbox } = require("../analytics-outbox.js");
+const { writeLocalSink } = require("../local-sink.js");
+const { loadConfig } = require("../config.js");
+
+const C = loadConfig();
+
+const ANALYTICS_VERSION_TAGS = Object.freeze({
+  selector_version: "selector_v3_2_external_aggregate_deprecated_2026_07_06",
+  confidence_version: "confidence_v2_1_external_aggregate_deprecated_2026_07_06",
+  trade_read_version: "trade_read_v1_1_external_aggregate_deprecated_2026_07_06",
+  ext_context_version: "external_telemetry_v1_aggregate_deprecated_2026_07_06",
+  btc_short_tf_version: "btc_short_tf_soft_v1_2026_04_14",
+  entry_idea_version: "entry_ideas_v1_2026_04_20",
+  premium_recipe_version: "manual_tg_recipes_v12_swing_short_squeeze_suppression_2026_07_17",
+  candidate_stamp_version: "2026-07-17-pooled_side_horizon_candidates_v2",
+  random_baseline_version: "random_pre_gate_full_universe_v3_2026_07_06",
+});
+
+function getAnalyticsVersionTags() {
+  return { ...ANALYTICS_VERSION_TAGS };
+}
+
+function getDeployInfo() {
+  return {
+    vercel: !!process.env.VERCEL,
+    env: process.env.VERCEL_ENV || process.env.NODE_ENV || null,
+    sha:
+      process.env.VERCEL_GIT_COMMIT_SHA ||
+      process.env.VERCEL_GITHUB_COMMIT_SHA ||
+      process.env.GITHUB_SHA ||
+      null,
+    ref:
+      process.env.VERCEL_GIT_COMMIT_REF ||
+      process.env.VERCEL_GITHUB_COMMIT_REF ||
+      process.env.GITHUB_REF_NAME ||
+      null,
+  };
+}
+
+function makeAnalyticsPostResult({
+  status = "not_attempted",
+  eventCount = 0,
+  batchCount = 0,
+  failedBatchCount = 0,
+  errorCode = null,
+} = {}) {
+  const normalStatus = String(status || "not_attempted");
+  const safeCount = (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+  };
+
+  return {
+    status: normalStatus,
+    // A scheduled event that is throttled or intentionally disabled was not
+    // durably persisted, so it is not analytics-healthy even though the main
+    // alert handler itself may have completed successfully.
+    ok: normalStatus === "posted" || normalStatus === "no_events",
+    eventCount: safeCount(eventCount),
+    batchCount: safeCount(batchCount),
+    failedBatchCount: safeCount(failedBatchCount),
+    errorCode: errorCode ? String(errorCode) : null,
+  };
+}
+
+function analyticsHeartbeatFields(result) {
+  const safe = result && typeof result === "object"
+    ? result
+    : makeAnalyticsPostResult();
+
+  return {
+    analytics_status: String(safe.status || "not_attempted"),
+    analytics_ok: typeof safe.ok === "boolean" ? safe.ok : null,
+    analytics_event_count: Number.isFinite(Number(safe.eventCount))
+      ? Math.max(0, Math.floor(Number(safe.eventCount)))
+      : 0,
+    analytics_batch_count: Number.isFinite(Number(safe.batchCount))
+      ? Math.max(0, Math.floor(Number(safe.batchCount)))
+      : 0,
+    analytics_failed_batch_count: Number.isFinite(Number(safe.failedBatchCount))
+      ? Math.max(0, Math.floor(Number(safe.failedBatchCount)))
+      : 0,
+    analytics_error_code: safe.errorCode ? String(safe.errorCode) : null,
+    analytics_outbox_depth: safe.outbox?.depth == null ? null : Number(safe.outbox.depth) || 0,
+    analytics_outbox_queued: Number(safe.outbox?.queued) || 0,
+    analytics_outbox_retried: Number(safe.outbox?.retried) || 0,
+    analytics_outbox_delivered: Number(safe.outbox?.delivered) || 0,
+    analytics_local_sink: safe.localSink?.status || "disabled",
+  };
+}
+
+function analyticsResponseSummary(result) {
+  const fields = analyticsHeartbeatFields(result);
+  return {
+    status: fields.analytics_status,
+    ok: fields.analytics_ok,
+    event_count: fields.analytics_event_count,
+    batch_count: fields.analytics_batch_count,
+    failed_batch_count: fields.analytics_failed_batch_count,
+    error_code: fields.analytics_error_code,
+    outbox: {
+      depth: fields.analytics_outbox_depth,
+      queued: fields.analytics_outbox_queued,
+      retried: fields.analytics_outbox_retried,
+      delivered: fields.analytics_outbox_delivered,
+    },
+    local_sink: result?.localSink || null,
+  };
+}
+
+// One webhook POST; { ok, errorCode }. Shared by fresh batches and outbox retries.
+async function postAnalyticsPayload(payload) {
+  const analyticsIngestKey = String(
+    process.env.ANALYTICS_INGEST_SHARED_SECRET || ""
+  ).trim();
+
+  // The existing n8n ingest ignores this field. The direct Apps Script endpoint
+  // requires it, so it can reject unauthenticated writes without exposing the
+  // secret in the endpoint URL or repository.
+  const body = analyticsIngestKey ? { ...payload, ingest_key: analyticsIngestKey } : payload;
+
+  let response;
+  let responseBody = null;
+
+  try {
+    response = await fetch(process.env.ANALYTICS_WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+    // Apps Script web apps usually return HTTP 200 even for application-level
+    // rejections. Treat an explicit { ok: false } response as a failed post so
+    // heartbeat telemetry remains truthful.
+    const responseText = await response.text();
+    if (responseText) {
+      try {
+        responseBody = JSON.parse(responseText);
+      } catch (_) {
+        responseBody = null;
+      }
+    }
+  } catch (_) {
+    return { ok: false, errorCode: "analytics_webhook_request_failed" };
+  }
+
+  const applicationRejected = responseBody && responseBody.ok === false;
+  if (!response.ok || applicationRejected) {
+    return {
+      ok: false,
+      errorCode: applicationRejected
+        ? String(responseBody.error || "analytics_webhook_rejected")
+        : `analytics_webhook_http_${response.status}`,
+    };
+  }
+  return { ok: true, errorCode: null };
+}
+
+// Local sink + outbox retry around the webhook post. Every run that posts also retries
+// due outbox entries first, so older rows land before newer ones.
+async function postAnalyticsBatch(redis, events, meta = {}) {
+  const localSink = writeLocalSink(Array.isArray(events) ? events : [], "alert");
+  const outbox = { queued: 0, retried: 0, delivered: 0, dead: 0, depth: null };
+
+  if (process.env.ANALYTICS_WEBHOOK_URL) {
+    Object.assign(outbox, await drainAnalyticsOutbox(redis, postAnalyticsPayload));
+  }
+
+  const result = await postAnalyticsEvents(redis, events, meta, outbox);
+  if (outbox.queued > 0) outbox.depth = (Number(outbox.depth) || 0) + outbox.queued;
+  return { ...result, outbox, localSink };
+}
+
+async function postAnalyticsEvents(redis, events, meta, outbox) {
+  const eventCount = Array.isArray(events) ? events.length : 0;
+
+  if (!Array.isArray(events) || eventCount === 0) {
+    return makeAnalyticsPostResult({ status: "no_events", eventCount: 0 });
+  }
+
+  if (!process.env.ANALYTICS_WEBHOOK_URL) {
+    return makeAnalyticsPostResult({ status: "disabled", eventCount });
+  }
+
+  // Keep outbound analytics writes small. The direct Apps Script ingest accepts
+  // the existing batch payload contract and writes one rectangular range per
+  // request, without routing the payload through an n8n Google Sheets node.
+  const maxEventsPerPost = C.ANALYTICS_MAX_EVENTS_PER_POST; // 1..10
+
+  const minPostMinutes = C.ANALYTICS_MIN_POST_INTERVAL_MINUTES;
+  const throttleKey = C.ANALYTICS_POST_THROTTLE_KEY;
+  const containsFired = events.some((event) => {
+    const type = String(event?.observation_type || "").toLowerCase();
+    return type === "fired" || type === "shadow";
+  });
+
+  // Random sampling may be rate-limited to control ingest volume. Fired rows
+  // must never be suppressed by that throttle because Fired is the persisted
+  // record of a Telegram alert that was actually delivered. Shadow rows are the
+  // would-have-sent twin and are exempt for the same reason.
+  if (!containsFired && Number.isFinite(minPostMinutes) && minPostMinutes > 0) {
+    try {
+      const lastPostRaw = await redis.get(throttleKey);
+      const lastPostAt = lastPostRaw == null ? null : Number(lastPostRaw);
+
+      if (
+        Number.isFinite(lastPostAt) &&
+        Date.now() - lastPostAt < minPostMinutes * 60 * 1000
+      ) {
+        return makeAnalyticsPostResult({ status: "throttled", eventCount });
+      }
+    } catch (_) {
+      // Preserve existing behavior: a throttle-read problem must not prevent
+      // a normal analytics attempt. The POST result below remains authoritative.
+    }
+  }
+
+  const payloads = [];
+  for (let start = 0; start < eventCount; start += maxEventsPerPost) {
+    payloads.push({
+      source: "gateway",
+      ts: Date.now(),
+      ...meta,
+      events: events.slice(start, start + maxEventsPerPost),
+    });
+  }
+
+  let postedBatchCount = 0;
+  for (const payload of payloads) {
+    const sent = await postAnalyticsPayload(payload);
+    if (!sent.ok) {
+      // This batch and the ones after it go to the outbox; later runs retry them with backoff.
+      outbox.queued = await enqueueAnalyticsOutbox(redis, payloads.slice(postedBatchCount), sent.errorCode);
+      const result = makeAnalyticsPostResult({
+        status: "failed",
+        eventCount,
+        batchCount: postedBatchCount,
+        failedBatchCount: 1,
+        errorCode: sent.errorCode,
+      });
+      console.error("[analytics] post failed", result.errorCode, `queued=${outbox.queued}`);
+      return result;
+    }
+
+    postedBatchCount += 1;
+  }
+
+  if (Number.isFinite(minPostMinutes) && minPostMinutes > 0) {
+    await redis.set(throttleKey, String(Date.now())).catch(() => null);
+  }
+
+  return makeAnalyticsPostResult({
+    status: "posted",
+    eventCount,
+    batchCount: postedBatchCount,
+  });
+}
+
+module.exports = {
+  getAnalyticsVersionTags,
+  getDeployInfo,
+  makeAnalyticsPostResult,
+  analyticsHeartbeatFields,
+  analyticsResponseSummary,
+  postAnalyticsBatch,
+};
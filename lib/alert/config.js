@@ -0,0 +1,506 @@
+// /lib/alert/config.js
+// Alert engine config (CFG, env-driven) and the small parsing / formatting / timing helpers every lib/alert module shares.
+// CommonJS because api/alert.js requires it.
+//
+// Env vars are typed, ranged and defaulted in lib/config.js; CFG only shapes them for the engine.
+
+const { loadConfig } = require("../config.js");
+
+const EVAL_BUCKET_MS = 5 * 60 * 1000;
+
+// Stable evaluation order only; Telegram sendability is Premium-first, not mode-first.
+const MODE_PRIORITY = ["scalp", "swing"];
+
+// Shaped from typed config values: env at load, env + /api/overrides per run (applyRuntimeValues).
+function buildCfg(C) {
+  return {
+    cooldownMinutes: C.ALERT_COOLDOWN_MINUTES,
+    minRR: C.ALERT_MIN_RR,
+    randomBaselineEnabled: C.RANDOM_BASELINE_ENABLED,
+    randomBaselinePct: C.RANDOM_BASELINE_PCT,
+    premiumRealert: {
+      // Optional, safe default. Controls whether a repeat Premium reminder is still near the original entry.
+      entryTolerancePct: C.ALERT_PREMIUM_REALERT_ENTRY_TOLERANCE_PCT,
+    },
+    shadow: {
+      messagesCap: C.ALERT_SHADOW_MESSAGES_CAP,
+    },
+    recipes: {
+      file: C.ALERT_RECIPES_FILE,
+      redisKey: C.ALERT_RECIPES_REDIS_KEY,
+    },
+    recipeRouting: {
+      shortlistSize: C.ALERT_RECIPE_SHORTLIST_SIZE,
+      cooldownMinutesByMode: {
+        scalp: C.ALERT_RECIPE_COOLDOWN_MINUTES_SCALP,
+        swing: C.ALERT_RECIPE_COOLDOWN_MINUTES_SWING,
+      },
+    },
+    stop: {
+    // candle flip method for reversals
+    reversalUseWick: C.ALERT_STOP_REVERSAL_USE_WICK, // 0=body, 1=wick
+    reversalBodyPct: C.ALERT_STOP_REVERSAL_BODY_PCT, // 0..1 (1 = full flipped body)
+    reversalPadPct: C.ALERT_STOP_REVERSAL_PAD_PCT, // percent (0.05 = 0.05%)
+    contPadPct: C.ALERT_STOP_CONT_PAD_PCT,          // percent
+    invalidationPadPct: C.ALERT_INVALIDATION_PAD_PCT, // percent, pre-trade bail line (0 = none)
+  },
+
+    // Defaults
+    // DEFAULT_MODES="scalp,swing" (comma list). Build is manual/research-only and ignored here.
+    // Fallbacks: DEFAULT_MODE then "scalp"
+    defaultModesRaw: C.DEFAULT_MODES.join(","),
+    defaultMode: C.DEFAULT_MODE, // legacy fallback
+    defaultRisk: C.DEFAULT_RISK_PROFILE,
+    defaultSymbols: C.DEFAULT_SYMBOLS, // empty = BTCUSDT only
+
+    // Detection thresholds
+    momentumAbs5mPricePct: C.ALERT_MOMENTUM_ABS_5M_PRICE_PCT,
+    shockOi15mPct: C.ALERT_SHOCK_OI_15M_PCT,
+    shockAbs15mPricePct: C.ALERT_SHOCK_ABS_15M_PRICE_PCT,
+
+    // Levels windows (from stored 5m series)
+    levelWindows: {
+    "15m": 3,   // NEW (scalp invalidation)
+    "30m": 6,
+    "1h": 12,
+    "4h": 48,
+  },
+    // Per-run series5m cache: tail length read once per instId and shared by the series helpers
+    seriesCachePoints: C.ALERT_SERIES_CACHE_POINTS,
+
+    // B1 edge (structural proximity)
+    strongEdgePct1h: C.ALERT_STRONG_EDGE_PCT_1H,
+
+    minTpPctByMode: {
+    scalp: C.ALERT_MIN_TP_PCT_SCALP,
+    swing: C.ALERT_MIN_TP_PCT_SWING,
+    build: C.ALERT_MIN_TP_PCT_BUILD,
+  },
+
+  minRangePctByMode: {
+    scalp: C.ALERT_MIN_RANGE_PCT_SCALP,
+    swing: C.ALERT_MIN_RANGE_PCT_SWING,
+    build: C.ALERT_MIN_RANGE_PCT_BUILD,
+  },
+
+    // Swing reversal micro-confirm (5m push away from extreme)
+    swingReversalMin5mMovePct: C.ALERT_SWING_REVERSAL_MIN_5M_MOVE_PCT,
+
+    // Directional Pull Score (swing/build only, neutral-rescue only)
+      dps: {
+      enabled: C.ALERT_DPS_ENABLED,
+      threshold: C.ALERT_DPS_THRESHOLD,
+      favoredReversalMult: C.ALERT_DPS_FAVORED_REVERSAL_MULT,
+    },
+
+    bottoming: {
+      enabled: C.ALERT_BOTTOMING_ENABLED,
+      lookbackCandles: C.ALERT_BOTTOMING_LOOKBACK_CANDLES,
+      repeatLookback: C.ALERT_BOTTOM_WICK_LOOKBACK,
+      repeatWickCount: C.ALERT_BOTTOM_WICK_REPEAT_COUNT,
+      pricePct: C.ALERT_EXHAUSTION_PRICE_PCT,
+      oiPct: C.ALERT_EXHAUSTION_OI_PCT,
+      nonConfirmOiPct: C.ALERT_EXHAUSTION_NONCONFIRM_OI_PCT,
+      decelMult: C.ALERT_BOTTOMING_DECEL_MULT,
+      scoreMin: C.ALERT_BOTTOMING_SCORE_MIN,
+      shortPenaltyScoreMin: C.ALERT_BOTTOMING_SHORT_PENALTY_SCORE_MIN,
+      shortBlockScoreMin: C.ALERT_BOTTOMING_SHORT_BLOCK_SCORE_MIN,
+    },
+
+    // External-market telemetry only. These fields are persisted for research but
+    // intentionally do not affect selector eligibility, confidence, or TG copy.
+    // Legacy ALERT_EXT_CONTEXT_* score/weight/source settings are intentionally ignored.
+    externalTelemetry: {
+      enabled: C.ALERT_EXTERNAL_TELEMETRY_ENABLED, // ALERT_EXT_CONTEXT_ENABLED is the deprecated alias
+      timeoutMs: C.ALERT_EXTERNAL_TELEMETRY_TIMEOUT_MS,
+      cacheTtlSeconds: C.ALERT_EXTERNAL_TELEMETRY_CACHE_TTL_SECONDS,
+      cacheKey: C.ALERT_EXTERNAL_TELEMETRY_CACHE_KEY,
+      yahooChartBaseUrl: C.ALERT_EXTERNAL_TELEMETRY_YAHOO_CHART_BASE_URL.replace(/\/$/, ""),
+      yahooSymbols: {
+        coin: C.ALERT_EXTERNAL_TELEMETRY_COIN_SYMBOL,
+        dxy: C.ALERT_EXTERNAL_TELEMETRY_DXY_SYMBOL,
+        qqq: C.ALERT_EXTERNAL_TELEMETRY_QQQ_SYMBOL,
+        spx: C.ALERT_EXTERNAL_TELEMETRY_SPX_SYMBOL,
+      },
+      vixUrl: C.ALERT_EXTERNAL_TELEMETRY_VIX_URL,
+      us2yUrlTemplate: C.ALERT_EXTERNAL_TELEMETRY_US2Y_URL_TEMPLATE,
+    },
+
+    anomaly: {
+    enabled: C.ALERT_ANOMALY_ENABLED,
+    tf: C.ALERT_ANOMALY_TF,
+    basketSymbols: C.DEFAULT_SYMBOLS.length ? C.DEFAULT_SYMBOLS : normalizeSymbols("BTCUSDT,ETHUSDT,SOLUSDT,NEARUSDT,SUIUSDT"),
+    minBasketSize: C.ALERT_ANOMALY_MIN_BASKET_SIZE,
+    fallbackBasketSize: C.ALERT_ANOMALY_FALLBACK_BASKET_SIZE,
+  },
+
+    // Macro gate (mode-aware timeframe)
+  macro: {
+    enabled: C.ALERT_MACRO_GATE_ENABLED,
+    btcSymbol: C.ALERT_MACRO_BTC_SYMBOL.toUpperCase(),
+
+    // Mode -> BTC delta timeframe used for macro
+    // Defaults: scalp=1h, swing=1h, build=4h
+    btcTfByMode: {
+    scalp: C.ALERT_MACRO_BTC_TF_SCALP,
+    swing: C.ALERT_MACRO_BTC_TF_SWING,
+    build: C.ALERT_MACRO_BTC_TF_BUILD,
+  },
+
+    // Thresholds apply to the selected BTC timeframe
+    btcPricePctMin: C.ALERT_MACRO_BTC_PRICE_PCT_MIN,
+    btcOiPctMin: C.ALERT_MACRO_BTC_OI_PCT_MIN,
+
+    blockShortsOnAltsWhenBtcBull: C.ALERT_MACRO_BLOCK_SHORTS_ON_ALTS,
+  },
+      // Short-TF BTC tape is a soft signal only. It is used for confidence/read quality, not hard entry gating.
+    btcShortTf: {
+      enabled: C.ALERT_BTC_SHORT_TF_ENABLED,
+      price5mMinPct: C.ALERT_BTC_SHORT_TF_PRICE_5M_MIN_PCT,
+      price15mMinPct: C.ALERT_BTC_SHORT_TF_PRICE_15M_MIN_PCT,
+      confidenceBoost: C.ALERT_BTC_SHORT_TF_CONFIDENCE_BOOST,
+      confidencePenalty: C.ALERT_BTC_SHORT_TF_CONFIDENCE_PENALTY,
+    },
+
+    // Optional regime adjust (kept; does not bypass entry rules)
+    regime: {
+      enabled: C.ALERT_REGIME_ENABLED,
+
+      expansionPricePctMin: C.ALERT_REGIME_EXPANSION_4H_PRICE_PCT_MIN,
+      expansionOiPctMin: C.ALERT_REGIME_EXPANSION_4H_OI_PCT_MIN,
+
+      contractionAbsPricePctMax: C.ALERT_REGIME_CONTRACTION_4H_ABS_PRICE_PCT_MAX,
+      // NOTE: keeping your env name as provided (even if it’s a bit inconsistent)
+      contractionOiPctMax: C.ALERT_REGIME_CONTRACTION_OI_4H_PCT_MAX,
+
+      contractionUpgradeEnabled: C.ALERT_REGIME_CONTRACTION_UPGRADE_ENABLED,
+      contractionUpgradeEdgeMult: C.ALERT_REGIME_CONTRACTION_UPGRADE_EDGE_MULT,
+    },
+
+    scalp: {
+      sweepLookbackPoints: C.ALERT_SCALP_SWEEP_LOOKBACK_POINTS,
+    },
+    wick: {
+      minPct: C.ALERT_WICK_MIN_PCT,
+      sweepLookbackPoints: C.ALERT_WICK_SWEEP_LOOKBACK_POINTS,
+    },
+    // Swing/build OI context rule
+    swing: {
+      minOiPct: C.ALERT_SWING_MIN_OI_PCT,
+    },
+    // Continuation timeframe for swing/build execution gates
+    continuationTfByMode: {
+      swing: C.ALERT_CONT_TF_SWING,
+      build: C.ALERT_CONT_TF_BUILD,
+    },
+
+    flowPersists: {
+      enabled: C.ALERT_FLOW_PERSISTS_ENABLED,
+      tfs: C.ALERT_FLOW_PERSISTS_TFS,
+      minMatches: C.ALERT_FLOW_PERSISTS_MIN_MATCHES,
+      requireOiPositive: C.ALERT_FLOW_PERSISTS_REQUIRE_OI_POSITIVE,
+      maxFundingAbs: C.ALERT_FLOW_PERSISTS_MAX_FUNDING_ABS,
+      min5mPricePct: C.ALERT_FLOW_PERSISTS_MIN_5M_PRICE_PCT,
+    },
+
+    entryIdeas: {
+      ignitionBreakout: {
+        enabled: C.ALERT_IDEA_IGNITION_ENABLED,
+        lookbackCandles: C.ALERT_IDEA_IGNITION_LOOKBACK,
+        minBodyMult: C.ALERT_IDEA_IGNITION_MIN_BODY_MULT,
+        minBodyPct: C.ALERT_IDEA_IGNITION_MIN_BODY_PCT,
+        minOiRiseCount: C.ALERT_IDEA_IGNITION_MIN_OI_RISE_COUNT,
+        oiRiseLookback: C.ALERT_IDEA_IGNITION_OI_RISE_LOOKBACK,
+        maxFundingAbs: C.ALERT_IDEA_IGNITION_MAX_FUNDING_ABS,
+      },
+      liquiditySnap: {
+        enabled: C.ALERT_IDEA_LIQUIDITY_SNAP_ENABLED,
+        lookbackCandles: C.ALERT_IDEA_LIQUIDITY_SNAP_LOOKBACK,
+        minReclaimPct: C.ALERT_IDEA_LIQUIDITY_SNAP_MIN_RECLAIM_PCT,
+        minWickQualityScore: C.ALERT_IDEA_LIQUIDITY_SNAP_MIN_WICK_SCORE,
+      },
+      slowLeverageSqueeze: {
+        enabled: C.ALERT_IDEA_SLOW_SQUEEZE_ENABLED,
+        oiCandles: C.ALERT_IDEA_SLOW_SQUEEZE_OI_CANDLES,
+        minOiRiseCount: C.ALERT_IDEA_SLOW_SQUEEZE_MIN_OI_RISE_COUNT,
+        maxPricePct: C.ALERT_IDEA_SLOW_SQUEEZE_MAX_PRICE_PCT,
+        breakLookbackCandles: C.ALERT_IDEA_SLOW_SQUEEZE_BREAK_LOOKBACK,
+      },
+      slowShortBreak: {
+        enabled: C.ALERT_IDEA_SHORT_BREAK_ENABLED,
+        fundingMin: C.ALERT_IDEA_SHORT_FUNDING_MIN,
+        oiRiseCandles: C.ALERT_IDEA_SHORT_OI_RISE_CANDLES,
+        maxPricePct: C.ALERT_IDEA_SHORT_MAX_PRICE_PCT,
+        breakLookbackCandles: C.ALERT_IDEA_SHORT_BREAK_LOOKBACK,
+      },
+    },
+
+    // --- Leverage Model (rendered copy + optional hard floor via ALERT_MIN_LEVERAGE) ---
+    leverage: {
+      // master switch (optional)
+      enabled: C.ALERT_LEVERAGE_ENABLED,
+
+      // MODE-AWARE risk budget (% of account) used for the STRUCTURE proxy sizing calc
+      // Legacy fallback: ALERT_RISK_BUDGET_PCT if you don’t set per-mode vars.
+      riskBudgetPctByMode: {
+        scalp: C.ALERT_LEVERAGE_RISK_BUDGET_PCT_SCALP,
+        swing: C.ALERT_LEVERAGE_RISK_BUDGET_PCT_SWING,
+        build: C.ALERT_LEVERAGE_RISK_BUDGET_PCT_BUILD,
+      },
+
+      // Hard cap so we don’t suggest insanity
+      maxCap: C.ALERT_LEVERAGE_MAX_CAP,
+
+      // OI instability thresholds (abs %)
+      oiReduce1: C.ALERT_LEVERAGE_OI_REDUCE1,
+      oiReduce2: C.ALERT_LEVERAGE_OI_REDUCE2,
+
+      // Funding stretch thresholds (abs)
+      fundingReduce1: C.ALERT_LEVERAGE_FUNDING_REDUCE1,
+      fundingReduce2: C.ALERT_LEVERAGE_FUNDING_REDUCE2,
+
+      // Hard floor: selections below it are skipped (0 = off)
+      minLeverage: C.ALERT_MIN_LEVERAGE,
+    },
+
+    // Snapshot freshness (multi falls back to bucket-1..N when /api/snapshot is late)
+    freshness: {
+      maxEntryLagBuckets: C.ALERT_MAX_ENTRY_LAG_BUCKETS, // lagged reads beyond this cannot gate entries
+    },
+
+    // Heartbeat (debug/run visibility)
+    heartbeat: {
+      key: C.ALERT_HEARTBEAT_KEY,
+      ttlSeconds: C.ALERT_HEARTBEAT_TTL_SECONDS,
+    },
+
+    keys: {
+      lastState: (mode, id) => `alert:lastState:${String(mode || "unknown")}:${id}`,
+      last15mState: (id) => `alert:lastState15m:${id}`, // legacy
+      lastSentAt: (id, mode) => `alert:lastSentAt:${id}:${String(mode || "unknown")}`,
+      lastFiredAlert: (id, mode) => `alert:lastFiredAlert:${id}:${String(mode || "unknown")}`,
+      lastPremiumAlert: (id, mode) => `alert:lastPremiumAlert:${id}:${String(mode || "unknown")}`,
+      lastRecipeSentAt: (recipeId) => `alert:lastRecipeSentAt:${String(recipeId || "unknown")}`,
+      lastShadowAlert: (id, mode) => `alert:lastShadowAlert:${id}:${String(mode || "unknown")}`,
+      lastShadowRecipeSentAt: (recipeId) => `alert:lastShadowRecipeSentAt:${String(recipeId || "unknown")}`,
+      shadowMessages: () => "alert:shadow:messages",
+      series5m: (id) => `series5m:${id}`,
+      externalTelemetry: () => CFG.externalTelemetry.cacheKey,
+    },
+  };
+}
+
+const CFG = buildCfg(loadConfig());
+
+// Runtime overrides (lib/config-overrides.js) re-resolve the schema at the start of a run. CFG is rebuilt in place
+// so every module holding it sees the new values; the engine reads CFG per call, never copies it at load.
+// Every key is replaced and keys the rebuild lacks are dropped, so nothing from an earlier run's overrides survives
+// on a warm instance. values omitted = env alone.
+function applyRuntimeValues(values = loadConfig()) {
+  const next = buildCfg(values);
+  for (const key of Object.keys(CFG)) {
+    if (!Object.prototype.hasOwnProperty.call(next, key)) delete CFG[key];
+  }
+  Object.assign(CFG, next);
+}
+
+function normalizeSymbols(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+function stopTfForMode(mode) {
+  const m = String(mode || "scalp").toLowerCase();
+  if (m === "scalp") return "15m"; // tighter structure for scalps
+  if (m === "swing") return "1h";
+  if (m === "build") return "4h";
+  return "1h";
+}
+
+function invalidationTfForMode(mode) {
+  const m = String(mode || "scalp").toLowerCase();
+  if (m === "scalp") return "15m";
+  if (m === "swing") return "1h";
+  if (m === "build") return "4h";
+  return "1h";
+}
+
+function normalizeDriverTf(raw) {
+  const tf = String(raw || "5m").toLowerCase();
+  return ["5m", "15m", "30m", "1h", "4h"].includes(tf) ? tf : "5m";
+}
+
+function normalizeRisk(raw) {
+  const r = String(raw || "").toLowerCase();
+  return ["conservative", "normal", "aggressive"].includes(r) ? r : null;
+}
+
+// multi-mode parsing
+function normalizeModes(raw) {
+  const allowed = new Set(MODE_PRIORITY);
+  return String(raw || "")
+    .toLowerCase()
+    .split(",")
+    .map((m) => m.trim())
+    .filter((m) => allowed.has(m));
+}
+
+function prioritizeModes(modes) {
+  const set = new Set(modes);
+  return MODE_PRIORITY.filter((m) => set.has(m));
+}
+
+const asNum = (x) => (Number.isFinite(Number(x)) ? Number(x) : null);
+const abs = (x) => (x == null ? null : Math.abs(Number(x)));
+
+const fmtPrice = (x) => {
+  const n = Number(x);
+  if (!Number.isFinite(n)) return "n/a";
+  if (n >= 1000) return n.toFixed(2);
+  if (n >= 1) return n.toFixed(3);
+  return n.toFixed(4);
+};
+
+const fmtPct = (x, digits = 2) => {
+  const n = Number(x);
+  if (!Number.isFinite(n)) return "n/a";
+  return `${n.toFixed(digits)}%`;
+};
+
+function safeJsonParse(v) {
+  if (v == null) return null;
+  if (typeof v === "object") return v;
+  if (typeof v === "string") {
+    try {
+      return JSON.parse(v);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+function getModeCfg(mode) {
+  const m = String(mode || "scalp").toLowerCase();
+  return {
+    minTpPct: Number(CFG.minTpPctByMode?.[m] ?? 0),
+    minRangePct: Number(CFG.minRangePctByMode?.[m] ?? 0),
+  };
+}
+
+function horizonMinForMode(mode) {
+  const m = String(mode || "scalp").toLowerCase();
+  if (m === "scalp") return 60;
+  if (m === "swing") return 240;
+  if (m === "build") return 1440;
+  return 240;
+}
+
+function buildEvaluationTiming(baseTs, horizonMin) {
+  const hasHorizon = Number.isFinite(Number(horizonMin)) && Number(horizonMin) > 0;
+  if (!hasHorizon) {
+    return {
+      dueTs: "",
+      evalBucket: "",
+      evalTsEffective: "",
+    };
+  }
+
+  const dueTs = Number(baseTs) + Number(horizonMin) * 60 * 1000;
+  const evalBucket = Math.floor(dueTs / EVAL_BUCKET_MS);
+
+  return {
+    dueTs,
+    evalBucket,
+    evalTsEffective: evalBucket * EVAL_BUCKET_MS,
+  };
+}
+
+function getEtSessionTelemetry(ts = Date.now()) {
+  const n = Number(ts);
+  const date = Number.isFinite(n) ? new Date(n) : new Date();
+
+  const fallback = {
+    day_of_week_et: "",
+    day_num_et: "",
+    is_weekend_et: "",
+    is_us_equity_rth: "",
+    us_equity_session: "",
+  };
+
+  if (!Number.isFinite(date.getTime())) return fallback;
+
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone: "America/New_York",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(date);
+
+    const partMap = Object.fromEntries(parts.map((p) => [p.type, p.value]));
+    const dayShort = String(partMap.weekday || "");
+    const weekdayNum = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }[dayShort];
+    const weekdayName = {
+      Sun: "Sunday",
+      Mon: "Monday",
+      Tue: "Tuesday",
+      Wed: "Wednesday",
+      Thu: "Thursday",
+      Fri: "Friday",
+      Sat: "Saturday",
+    }[dayShort] || "";
+
+    const hour = Number(partMap.hour);
+    const minute = Number(partMap.minute);
+
+    if (!Number.isFinite(weekdayNum) || !Number.isFinite(hour) || !Number.isFinite(minute)) {
+      return fallback;
+    }
+
+    const minuteOfDay = hour * 60 + minute;
+    const isWeekend = weekdayNum === 0 || weekdayNum === 6;
+    const isRth = !isWeekend && minuteOfDay >= 9 * 60 + 30 && minuteOfDay < 16 * 60;
+
+    let session = "overnight";
+    if (isWeekend) session = "weekend";
+    else if (isRth) session = "regular";
+    else if (minuteOfDay >= 4 * 60 && minuteOfDay < 9 * 60 + 30) session = "pre_market";
+    else if (minuteOfDay >= 16 * 60 && minuteOfDay < 20 * 60) session = "after_hours";
+
+    return {
+      day_of_week_et: weekdayName,
+      day_num_et: weekdayNum,
+      is_weekend_et: isWeekend,
+      is_us_equity_rth: isRth,
+      us_equity_session: session,
+    };
+  } catch (_) {
+    return fallback;
+  }
+}
+
+module.exports = {
+  MODE_PRIORITY,
+  CFG,
+  applyRuntimeValues,
+  normalizeSymbols,
+  stopTfForMode,
+  invalidationTfForMode,
+  normalizeDriverTf,
+  normalizeRisk,
+  normalizeModes,
+  prioritizeModes,
+  asNum,
+  abs,
+  fmtPrice,
+  fmtPct,
+  safeJsonParse,
+  getModeCfg,
+  horizonMinForMode,
+  buildEvaluationTiming,
+  getEtSessionTelemetry,
+};
@@ -0,0 +1,1777 @@
+// /lib/alert/engine.js
+// The alert engine behind /api/alert: one run's evaluation from a /api/multi payload to candidates, recipe
+// selections, analytics events and rendered messages. No Redis writes, no sends, no analytics posts; the handler
+// does all of that with what evaluateRun returns. CommonJS because api/alert.js requires it.
+
+const { computePositionSize, positionSizeFields } = require("../sizing.js");
+const { EXPOSURE_CFG, seriesReturns, betaTo, checkExposure } = require("../exposure.js");
+const {
+  CFG,
+  invalidationTfForMode,
+  asNum,
+  safeJsonParse,
+  getModeCfg,
+  horizonMinForMode,
+  buildEvaluationTiming,
+  getEtSessionTelemetry,
+} = require("./config.js");
+const { computeLevelsFromSeries, getRecentSeriesPoints, btcInstIdFromSymbol } = require("./state.js");
+const { buildExternalTelemetrySummary } = require("./telemetry.js");
+const { getAnalyticsVersionTags, getDeployInfo } = require("./analytics.js");
+const {
+  buildCrossAssetAnomaly,
+  snapshotFreshnessVerdict,
+  rangePct1h,
+  loadBtcTapeContext,
+  computeDps,
+  biasFromItem,
+  strongRecoB1,
+  evaluateCriteria,
+  computeBtcMacro,
+  computeBtcWaterfall,
+  scalpExecutionGate,
+  swingExecutionGate,
+} = require("./gates.js");
+const {
+  getManualRecipes,
+  getLiveManualRecipe,
+  getShadowManualRecipe,
+  getDirectManualRecipe,
+  getRecipeShortlistSize,
+  getRecipeCooldownMinutes,
+  sortManualRecipeCandidates,
+  buildRankedRecipeTelegramMessage,
+} = require("./recipes.js");
+const {
+  getTradeProfile,
+  evaluateSelectorPolicy,
+  computeConfidence,
+  getBtcShortTfSignal,
+  computeTradeRead,
+  isSendableTradeStamp,
+  isManualRecipeStamp,
+  computeRecipeStamp,
+  computeCandidateStamps,
+  getEntryAtoms,
+} = require("./stamps.js");
+const {
+  computeStopLossPx,
+  computeRiskReward,
+  buildTpLadder,
+  computeLeverageFromStop,
+  evaluateRepeatAlertPolicy,
+  computeDynamicRiskBudget,
+  chooseDynamicTp,
+} = require("./risk.js");
+
+// Anomaly-ranking columns for one symbol (blank when it isn't ranked).
+function anomalyEventFields(anomalyRanking, symbol = "") {
+  const sym = String(symbol || "").toUpperCase();
+  const ranking = Array.isArray(anomalyRanking?.ranking) ? anomalyRanking.ranking : [];
+  const idx = ranking.findIndex((r) => String(r?.symbol || "").toUpperCase() === sym);
+  const row = idx >= 0 ? ranking[idx] : null;
+
+  return {
+    anomaly_tf: anomalyRanking?.ok ? anomalyRanking?.tf ?? "" : "",
+    anomaly_score: row?.score ?? "",
+    anomaly_rank: idx >= 0 ? idx + 1 : "",
+    anomaly_pattern: row?.pattern ?? "",
+    anomaly_price_pct: row?.price_pct ?? "",
+    anomaly_oi_pct: row?.oi_pct ?? "",
+    anomaly_funding_rate: row?.funding_rate ?? "",
+    anomaly_basket_price_pct: row?.basket_price_pct ?? "",
+    anomaly_basket_oi_pct: row?.basket_oi_pct ?? "",
+    anomaly_basket_funding_rate: row?.basket_funding_rate ?? "",
+    anomaly_price_oi_gap: row?.components?.price_oi_gap ?? "",
+    anomaly_funding_deviation_bps: row?.components?.funding_deviation_bps ?? "",
+    anomaly_oi_trend_deviation: row?.components?.oi_trend_deviation ?? "",
+    anomaly_price_deviation: row?.components?.price_deviation ?? "",
+  };
+}
+
+// Direct (declarative) recipe candidates for one multi row: one per matching live / shadow recipe.
+async function buildDirectManualRecipeCandidates(run, item) {
+  const { multiPayload, state, now, modes, force, debug, skipped, recipes, anomalyRanking, btcTapeContext, externalTelemetry } = run;
+  const instId = String(item?.instId || "").trim();
+  const symbol = String(item?.symbol || "?").trim();
+  const price = asNum(item?.price);
+
+  if (!instId || !Number.isFinite(price)) return [];
+
+  const anomalyCtx = anomalyEventFields(anomalyRanking, symbol);
+  const probeCtx = {
+    btc5mOi15mPct: btcTapeContext?.oi15mPct ?? null,
+    btc5mOi60mPct: btcTapeContext?.oi60mPct ?? null,
+    btc5mFunding15mAvg: btcTapeContext?.funding15mAvg ?? null,
+    symbolVsBtc15mPct: item?.market_context?.symbol_vs_btc_15m_pct ?? null,
+    symbolVsEth1hPct: item?.market_context?.symbol_vs_eth_1h_pct ?? null,
+    cryptoBreadth1hPct: item?.market_context?.crypto_breadth_1h_pct ?? null,
+    spotVsPerp1hPct: item?.market_structure?.spot_vs_perp_1h_pct ?? null,
+    anomalyPattern: anomalyCtx.anomaly_pattern || "",
+  };
+
+  const matchingRecipes = recipes.direct.filter((recipe) => {
+    if (!modes.includes(recipe.mode)) return false;
+    return recipe.matches({ mode: recipe.mode, bias: recipe.side, execReason: recipe.id, ctx: probeCtx });
+  });
+
+  if (matchingRecipes.length === 0) return [];
+
+  const levels = await computeLevelsFromSeries(state, instId);
+  if (!force && levels?.["1h"]?.warmup) {
+    if (debug) {
+      for (const recipe of matchingRecipes) {
+        skipped.push({ symbol, mode: recipe.mode, reason: "direct_recipe_warmup_gate_1h", detail: { recipe: recipe.id } });
+      }
+    }
+    return [];
+  }
+
+  const stateByMode = new Map();
+  const candidates = [];
+
+  for (const recipe of matchingRecipes) {
+    let stateInfo = stateByMode.get(recipe.mode);
+    if (!stateInfo) {
+      const lastStateRaw = await state.get(CFG.keys.lastState(recipe.mode, instId)).catch(() => null);
+      const lastState = lastStateRaw ? String(lastStateRaw) : null;
+      stateInfo = evaluateCriteria(item, lastState, recipe.mode);
+      stateByMode.set(recipe.mode, stateInfo);
+    }
+
+    const baseBias = biasFromItem(item, recipe.mode);
+    const b1 = strongRecoB1({ bias: recipe.side, levels, price });
+    const macroMode = computeBtcMacro(multiPayload.results || [], recipe.mode);
+
+    const t = {
+      mode: recipe.mode,
+      instId,
+      _rawItem: item,
+      symbol,
+      price,
+      bias: recipe.side,
+      baseBias,
+      triggers: stateInfo?.triggers || [],
+      levels,
+      b1,
+      entryLine: null,
+      execReason: recipe.id,
+      execDetail: {
+        directRecipe: recipe.id,
+        rankValue: recipe.rankValue({ ctx: probeCtx }),
+      },
+      curState: stateInfo?.curState || null,
+      observationType: recipe.tier === "shadow" ? "shadow" : "fired",
+      randomGroupId: "",
+      randomSource: "",
+      analyticsOnly: false,
+      rejectionReason: "",
+      manualRecipeId: recipe.id,
+      ctx: {
+        anomalyTf: anomalyCtx.anomaly_tf || "",
+        anomalyScore: asNum(anomalyCtx.anomaly_score),
+        anomalyRank: asNum(anomalyCtx.anomaly_rank),
+        anomalyPricePct: asNum(anomalyCtx.anomaly_price_pct),
+        anomalyOiPct: asNum(anomalyCtx.anomaly_oi_pct),
+        anomalyFundingRate: asNum(anomalyCtx.anomaly_funding_rate),
+        anomalyPattern: anomalyCtx.anomaly_pattern || "",
+        anomalyBasketPricePct: asNum(anomalyCtx.anomaly_basket_price_pct),
+        anomalyBasketOiPct: asNum(anomalyCtx.anomaly_basket_oi_pct),
+        anomalyBasketFundingRate: asNum(anomalyCtx.anomaly_basket_funding_rate),
+        anomalyPriceOiGap: asNum(anomalyCtx.anomaly_price_oi_gap),
+        anomalyFundingDeviationBps: asNum(anomalyCtx.anomaly_funding_deviation_bps),
+        anomalyOiTrendDeviation: asNum(anomalyCtx.anomaly_oi_trend_deviation),
+        anomalyPriceDeviation: asNum(anomalyCtx.anomaly_price_deviation),
+        oi15: asNum(item?.deltas?.["15m"]?.oi_change_pct),
+        lean15m: String(item?.deltas?.["15m"]?.lean || "").toLowerCase(),
+        lean1h: String(item?.deltas?.["1h"]?.lean || "").toLowerCase(),
+        wickMeta: null,
+        dps: null,
+        bottoming: null,
+        externalBias: "neutral",
+        externalContextAdj: 0,
+        externalContextOk: !!externalTelemetry?.ok,
+        externalContextReason: String(externalTelemetry?.reason || "telemetry_only|missing"),
+        externalContextComponentSummary: buildExternalTelemetrySummary(externalTelemetry),
+        coinDayPct: externalTelemetry?.coinDayPct ?? null,
+        vixDayPct: externalTelemetry?.vixDayPct ?? null,
+        dxyDayPct: externalTelemetry?.dxyDayPct ?? null,
+        qqqDayPct: externalTelemetry?.qqqDayPct ?? null,
+        spxDayPct: externalTelemetry?.spxDayPct ?? null,
+        us2yDelta: externalTelemetry?.us2yDelta ?? null,
+        btc5mPrice5mPct: btcTapeContext?.price5mPct ?? null,
+        btc5mPrice15mPct: btcTapeContext?.price15mPct ?? null,
+        btc5mPrice30mPct: btcTapeContext?.price30mPct ?? null,
+        btc5mPrice60mPct: btcTapeContext?.price60mPct ?? null,
+        btc5mOi5mPct: btcTapeContext?.oi5mPct ?? null,
+        btc5mOi15mPct: btcTapeContext?.oi15mPct ?? null,
+        btc5mOi30mPct: btcTapeContext?.oi30mPct ?? null,
+        btc5mOi60mPct: btcTapeContext?.oi60mPct ?? null,
+        btc5mFunding: btcTapeContext?.funding ?? null,
+        btc5mFunding5mAvg: btcTapeContext?.funding5mAvg ?? null,
+        btc5mFunding15mAvg: btcTapeContext?.funding15mAvg ?? null,
+        btc5mFunding30mAvg: btcTapeContext?.funding30mAvg ?? null,
+        btcTapeState: String(btcTapeContext?.tapeState || "neutral"),
+        isUsEquityRth: getEtSessionTelemetry(now).is_us_equity_rth,
+        symbolVsBtc15mPct: item?.market_context?.symbol_vs_btc_15m_pct ?? null,
+        symbolVsBtc1hPct: item?.market_context?.symbol_vs_btc_1h_pct ?? null,
+        symbolVsEth15mPct: item?.market_context?.symbol_vs_eth_15m_pct ?? null,
+        symbolVsEth1hPct: item?.market_context?.symbol_vs_eth_1h_pct ?? null,
+        cryptoBreadth15mPct: item?.market_context?.crypto_breadth_15m_pct ?? null,
+        cryptoBreadth1hPct: item?.market_context?.crypto_breadth_1h_pct ?? null,
+        cryptoBreadthTilt15m: item?.market_context?.crypto_breadth_tilt_15m ?? "",
+        cryptoBreadthTilt1h: item?.market_context?.crypto_breadth_tilt_1h ?? "",
+        spotVsPerp15mPct: item?.market_structure?.spot_vs_perp_15m_pct ?? null,
+        spotVsPerp1hPct: item?.market_structure?.spot_vs_perp_1h_pct ?? null,
+        spreadBps: item?.market_structure?.spread_bps ?? null,
+        bookBidDepth20Usd: item?.market_structure?.book_bid_depth_20_usd ?? null,
+        bookAskDepth20Usd: item?.market_structure?.book_ask_depth_20_usd ?? null,
+        bookImbalance20: item?.market_structure?.book_imbalance_20 ?? null,
+        thinBookFlag: item?.market_structure?.thin_book_flag ?? null,
+        marketStructureOk: item?.market_structure?.market_structure_ok ?? false,
+        marketStructureReason: item?.market_structure?.market_structure_reason || "missing_from_multi_item",
+        btcMacro: {
+          ok: !!macroMode?.ok,
+          reason: String(macroMode?.reason || ""),
+          tf: String(macroMode?.tf || ""),
+          lean: String(macroMode?.btc?.lean || ""),
+          pricePct: macroMode?.btc?.pricePct ?? null,
+          oiPct: macroMode?.btc?.oiPct ?? null,
+          bullExpansion: !!macroMode?.btcBullExpansion,
+        },
+        selectorFamily: `pooled_recipe_${recipe.mode}_${recipe.side}`,
+        selectorAllowed: true,
+        selectorRejectionReason: "",
+      },
+    };
+
+    if (recipe.matches(t)) candidates.push(t);
+  }
+
+  return candidates;
+}
+
+// Per-mode criteria / execution-gate evaluation for one multi row; the random baseline's candidate comes from here.
+async function evaluateCandidate(run, {
+  item,
+  modeList = run.modes,
+  forcedBias = null,
+  observationType = "fired",
+  randomGroupId = "",
+  randomSource = "",
+  analyticsOnly = false,
+  rawObservation = false,
+}) {
+  const { multiPayload, state, now, force, debug, skipped, anomalyRanking, btcTapeContext, externalTelemetry } = run;
+  const instId = String(item?.instId || "");
+  const symbol = String(item?.symbol || "?");
+  const levels = await computeLevelsFromSeries(state, instId);
+
+  function buildCandidate({
+    mode,
+    bias,
+    baseBias,
+    triggers = [],
+    b1 = null,
+    entryLine = null,
+    execReason = null,
+    execDetail = null,
+    curState = null,
+    dps = null,
+    wickMeta = null,
+    bottoming = null,
+    rejectionReason = "",
+  }) {
+    // Legacy aggregate is retired. Raw external-market values below are capture-only.
+    const externalContextAdj = 0;
+
+        const anomalyCtx = anomalyEventFields(anomalyRanking, symbol);
+
+    return {
+      mode,
+      instId,
+      _rawItem: item,
+      symbol,
+      price: item.price,
+      bias,
+      baseBias,
+      triggers,
+      levels,
+      b1,
+      entryLine,
+      execReason,
+      execDetail,
+      curState,
+      observationType,
+      randomGroupId,
+      randomSource,
+      analyticsOnly,
+      rejectionReason,
+      ctx: {
+        anomalyTf: anomalyCtx.anomaly_tf || "",
+        anomalyScore: asNum(anomalyCtx.anomaly_score),
+        anomalyRank: asNum(anomalyCtx.anomaly_rank),
+        anomalyPricePct: asNum(anomalyCtx.anomaly_price_pct),
+        anomalyOiPct: asNum(anomalyCtx.anomaly_oi_pct),
+        anomalyFundingRate: asNum(anomalyCtx.anomaly_funding_rate),
+        anomalyPattern: anomalyCtx.anomaly_pattern || "",
+        anomalyBasketPricePct: asNum(anomalyCtx.anomaly_basket_price_pct),
+        anomalyBasketOiPct: asNum(anomalyCtx.anomaly_basket_oi_pct),
+        anomalyBasketFundingRate: asNum(anomalyCtx.anomaly_basket_funding_rate),
+        anomalyPriceOiGap: asNum(anomalyCtx.anomaly_price_oi_gap),
+        anomalyFundingDeviationBps: asNum(anomalyCtx.anomaly_funding_deviation_bps),
+        anomalyOiTrendDeviation: asNum(anomalyCtx.anomaly_oi_trend_deviation),
+        anomalyPriceDeviation: asNum(anomalyCtx.anomaly_price_deviation),
+        oi15: asNum(item?.deltas?.["15m"]?.oi_change_pct),
+        lean15m: String(item?.deltas?.["15m"]?.lean || "").toLowerCase(),
+        lean1h: String(item?.deltas?.["1h"]?.lean || "").toLowerCase(),
+        wickMeta: wickMeta || null,
+        dps: dps || null,
+        bottoming: bottoming || null,
+        externalBias: "neutral",
+        externalContextAdj,
+        externalContextOk: !!externalTelemetry?.ok,
+        externalContextReason: String(externalTelemetry?.reason || "telemetry_only|missing"),
+        externalContextComponentSummary: buildExternalTelemetrySummary(externalTelemetry),
+        coinDayPct: externalTelemetry?.coinDayPct ?? null,
+        vixDayPct: externalTelemetry?.vixDayPct ?? null,
+        dxyDayPct: externalTelemetry?.dxyDayPct ?? null,
+        qqqDayPct: externalTelemetry?.qqqDayPct ?? null,
+        spxDayPct: externalTelemetry?.spxDayPct ?? null,
+        us2yDelta: externalTelemetry?.us2yDelta ?? null,
+        btc5mPrice5mPct: btcTapeContext?.price5mPct ?? null,
+        btc5mPrice15mPct: btcTapeContext?.price15mPct ?? null,
+        btc5mPrice30mPct: btcTapeContext?.price30mPct ?? null,
+        btc5mPrice60mPct: btcTapeContext?.price60mPct ?? null,
+        btc5mOi5mPct: btcTapeContext?.oi5mPct ?? null,
+        btc5mOi15mPct: btcTapeContext?.oi15mPct ?? null,
+        btc5mOi30mPct: btcTapeContext?.oi30mPct ?? null,
+        btc5mOi60mPct: btcTapeContext?.oi60mPct ?? null,
+        btc5mFunding: btcTapeContext?.funding ?? null,
+        btc5mFunding5mAvg: btcTapeContext?.funding5mAvg ?? null,
+        btc5mFunding15mAvg: btcTapeContext?.funding15mAvg ?? null,
+        btc5mFunding30mAvg: btcTapeContext?.funding30mAvg ?? null,
+        btcTapeState: String(btcTapeContext?.tapeState || "neutral"),
+        isUsEquityRth: getEtSessionTelemetry(now).is_us_equity_rth,
+        symbolVsBtc15mPct: item?.market_context?.symbol_vs_btc_15m_pct ?? null,
+        symbolVsBtc1hPct: item?.market_context?.symbol_vs_btc_1h_pct ?? null,
+        symbolVsEth15mPct: item?.market_context?.symbol_vs_eth_15m_pct ?? null,
+        symbolVsEth1hPct: item?.market_context?.symbol_vs_eth_1h_pct ?? null,
+        cryptoBreadth15mPct: item?.market_context?.crypto_breadth_15m_pct ?? null,
+        cryptoBreadth1hPct: item?.market_context?.crypto_breadth_1h_pct ?? null,
+        cryptoBreadthTilt15m: item?.market_context?.crypto_breadth_tilt_15m ?? "",
+        cryptoBreadthTilt1h: item?.market_context?.crypto_breadth_tilt_1h ?? "",
+        spotVsPerp15mPct: item?.market_structure?.spot_vs_perp_15m_pct ?? null,
+        spotVsPerp1hPct: item?.market_structure?.spot_vs_perp_1h_pct ?? null,
+        spreadBps: item?.market_structure?.spread_bps ?? null,
+        bookBidDepth20Usd: item?.market_structure?.book_bid_depth_20_usd ?? null,
+        bookAskDepth20Usd: item?.market_structure?.book_ask_depth_20_usd ?? null,
+        bookImbalance20: item?.market_structure?.book_imbalance_20 ?? null,
+        thinBookFlag: item?.market_structure?.thin_book_flag ?? null,
+        marketStructureOk: item?.market_structure?.market_structure_ok ?? false,
+        marketStructureReason: item?.market_structure?.market_structure_reason || "missing_from_multi_item",
+      },
+    };
+  }
+
+  const defaultMode = String(modeList?.[0] || "scalp").toLowerCase();
+  const defaultBaseBias = biasFromItem(item, defaultMode);
+  const defaultBias = forcedBias || defaultBaseBias;
+
+  // Random is intentionally sampled before every live candidate, selector, and
+  // manual-trade gate. We may calculate the same pre-entry features for analysis,
+  // but no gate can reject or redefine the sampled observation.
+  if (rawObservation) {
+    const { triggers, curState } = evaluateCriteria(item, null, defaultMode);
+    const b1 = strongRecoB1({ bias: defaultBias, levels, price: item.price });
+    const candidate = buildCandidate({
+      mode: defaultMode,
+      bias: defaultBias,
+      baseBias: defaultBaseBias,
+      triggers,
+      b1,
+      curState,
+    });
+
+    const macroMode = computeBtcMacro(multiPayload.results || [], defaultMode);
+    const selectorPolicy = evaluateSelectorPolicy(candidate);
+    candidate.ctx = {
+      ...(candidate.ctx || {}),
+      btcMacro: {
+        ok: !!macroMode?.ok,
+        reason: String(macroMode?.reason || ""),
+        tf: String(macroMode?.tf || ""),
+        lean: String(macroMode?.btc?.lean || ""),
+        pricePct: macroMode?.btc?.pricePct ?? null,
+        oiPct: macroMode?.btc?.oiPct ?? null,
+        bullExpansion: !!macroMode?.btcBullExpansion,
+      },
+      selectorFamily: selectorPolicy.family,
+      selectorAllowed: selectorPolicy.allowed,
+      selectorRejectionReason: selectorPolicy.reason,
+    };
+
+    return {
+      winner: candidate,
+      winners: [candidate],
+      candidate,
+      rejectionReason: "",
+      rejectionMode: "",
+      rejectionBias: "",
+      rejectionDetail: null,
+    };
+  }
+
+  if (!force && levels?.["1h"]?.warmup) {
+    if (debug) skipped.push({ symbol, reason: "warmup_gate_1h" });
+    return {
+      winner: null,
+      candidate: buildCandidate({
+        mode: defaultMode,
+        bias: defaultBias,
+        baseBias: defaultBaseBias,
+        rejectionReason: "warmup_gate_1h",
+      }),
+      rejectionReason: "warmup_gate_1h",
+      rejectionMode: defaultMode,
+      rejectionBias: defaultBias,
+      rejectionDetail: null,
+    };
+  }
+
+  let winner = null;
+  const winners = [];
+  let candidate = null;
+  let lastReject = {
+    reason: "",
+    mode: "",
+    bias: defaultBias || "",
+    detail: null,
+  };
+
+  for (const mode of modeList) {
+    const lastStateModeRaw = await state.get(CFG.keys.lastState(mode, instId));
+    const lastState = lastStateModeRaw ? String(lastStateModeRaw) : null;
+
+    const { triggers, curState } = evaluateCriteria(item, lastState, mode);
+
+    const baseBias = biasFromItem(item, mode);
+    let dps = null;
+    let bias = forcedBias || baseBias;
+
+    if (!forcedBias && (mode === "swing" || mode === "build") && baseBias === "neutral" && CFG.dps?.enabled) {
+      const recentPtsForDps = await getRecentSeriesPoints(
+        state,
+        instId,
+        Math.max(2, CFG.wick.sweepLookbackPoints)
+      );
+      const lastPtForDps = recentPtsForDps.length
+        ? recentPtsForDps[recentPtsForDps.length - 1]
+        : null;
+
+      dps = computeDps({
+        levels,
+        price: item.price,
+        lastPoint: lastPtForDps,
+      });
+
+      if (dps?.bias && dps.bias !== "neutral") bias = dps.bias;
+    }
+
+    const b1 = strongRecoB1({ bias, levels, price: item.price });
+
+    candidate = buildCandidate({
+      mode,
+      bias,
+      baseBias,
+      triggers,
+      b1,
+      curState,
+      dps,
+    });
+
+    // Do not apply pre-Premium cooldown here. Premium repeat control happens
+    // after recipe stamping, so non-Premium candidates cannot suppress Premium.
+
+    const { minRangePct } = getModeCfg(mode);
+    const rPct = rangePct1h({ levels, price: item.price });
+    const deferRangeFloorForSwingShort = mode === "swing" && bias === "short";
+
+    if (!force && Number.isFinite(minRangePct) && minRangePct > 0) {
+      if (!Number.isFinite(rPct) || rPct < minRangePct) {
+        if (deferRangeFloorForSwingShort) {
+          if (debug) skipped.push({
+            symbol,
+            mode,
+            reason: "range_floor_deferred",
+            detail: { rangePct1h: rPct, minRangePct },
+          });
+          candidate = {
+            ...candidate,
+            ctx: {
+              ...(candidate.ctx || {}),
+              deferredRangeFloor: {
+                hit: true,
+                rangePct1h: rPct,
+                minRangePct,
+              },
+            },
+          };
+        } else {
+          if (debug) skipped.push({
+            symbol,
+            mode,
+            reason: "range_floor",
+            detail: { rangePct1h: rPct, minRangePct },
+          });
+          lastReject = { reason: "range_floor", mode, bias, detail: { rangePct1h: rPct, minRangePct } };
+          candidate = { ...candidate, rejectionReason: "range_floor" };
+          continue;
+        }
+      }
+    }
+
+    const macroMode = computeBtcMacro(multiPayload.results || [], mode);
+
+    // Preserve the exact mode-specific BTC macro state used by the live gate.
+    // This is analytics-only telemetry; it does not alter routing.
+    candidate = {
+      ...candidate,
+      ctx: {
+        ...(candidate?.ctx || {}),
+        btcMacro: {
+          ok: !!macroMode?.ok,
+          reason: String(macroMode?.reason || ""),
+          tf: String(macroMode?.tf || ""),
+          lean: String(macroMode?.btc?.lean || ""),
+          pricePct: macroMode?.btc?.pricePct ?? null,
+          oiPct: macroMode?.btc?.oiPct ?? null,
+          bullExpansion: !!macroMode?.btcBullExpansion,
+        },
+      },
+    };
+
+    if (
+      !force &&
+      CFG.macro.enabled &&
+      CFG.macro.blockShortsOnAltsWhenBtcBull &&
+      macroMode?.ok &&
+      macroMode?.btcBullExpansion &&
+      symbol.toUpperCase() !== CFG.macro.btcSymbol &&
+      bias === "short"
+    ) {
+      if (debug) skipped.push({
+        symbol,
+        mode,
+        reason: "macro_block_btc_bull_expansion",
+        btc: macroMode?.btc || null,
+        tf: macroMode?.tf || null,
+      });
+      lastReject = { reason: "macro_block_btc_bull_expansion", mode, bias, detail: null };
+      candidate = { ...candidate, rejectionReason: "macro_block_btc_bull_expansion" };
+      continue;
+    }
+
+    const waterfallMode = computeBtcWaterfall(multiPayload.results || [], mode);
+
+    if (
+      !force &&
+      waterfallMode?.ok &&
+      waterfallMode?.btcWaterfall &&
+      bias === "long"
+    ) {
+      if (debug) skipped.push({
+        symbol,
+        mode,
+        reason: "btc_waterfall_override",
+        btc: waterfallMode?.btc || null,
+        tf: waterfallMode?.tf || null,
+      });
+      lastReject = { reason: "btc_waterfall_override", mode, bias, detail: null };
+      candidate = { ...candidate, rejectionReason: "btc_waterfall_override" };
+      continue;
+    }
+
+      let entryLine = null;
+    let execReason = null;
+    let execDetail = null;
+    let execWickMeta = null;
+    let execBottoming = null;
+
+    if (!force) {
+      if (mode === "scalp") {
+        if (!b1.strong) {
+          if (debug) skipped.push({ symbol, mode, reason: `weak_reco:${b1.reason}` });
+          lastReject = { reason: `weak_reco:${b1.reason}`, mode, bias, detail: null };
+          candidate = { ...candidate, rejectionReason: `weak_reco:${b1.reason}` };
+          continue;
+        }
+
+        const g = await scalpExecutionGate({ state, instId, item, bias, levels });
+        if (!g.ok) {
+          if (debug) skipped.push({
+            symbol,
+            mode,
+            reason: `scalp_exec:${g.reason}`,
+            bias,
+            oi15: item?.deltas?.["15m"]?.oi_change_pct ?? null,
+          });
+          lastReject = { reason: `scalp_exec:${g.reason}`, mode, bias, detail: g.detail || null };
+          candidate = { ...candidate, rejectionReason: `scalp_exec:${g.reason}` };
+          continue;
+        }
+
+        entryLine = g.entryLine || null;
+        execReason = g.reason || null;
+        execDetail = g.detail || null;
+        execWickMeta = g.wickMeta || null;
+        execBottoming = g.bottoming || null;
+      } else {
+        if (mode === "build") {
+          const br = item?.build_regime;
+          if (br?.regime === "avoid") {
+            if (debug) skipped.push({ symbol, mode, reason: "build_regime_avoid", detail: br });
+            lastReject = { reason: "build_regime_avoid", mode, bias, detail: br };
+            candidate = { ...candidate, rejectionReason: "build_regime_avoid" };
+            continue;
+          }
+        }
+
+        const modeLabel = mode === "build" ? "BUILD" : "SWING";
+        const g = await swingExecutionGate({ state, instId, bias, levels, item, modeLabel, dps });
+
+        if (!g.ok) {
+          if (debug) skipped.push({
+            symbol,
+            mode,
+            reason: `${mode}_exec:${g.reason}`,
+            bias,
+            detail: g.detail || null,
+          });
+          lastReject = { reason: `${mode}_exec:${g.reason}`, mode, bias, detail: g.detail || null };
+          candidate = { ...candidate, rejectionReason: `${mode}_exec:${g.reason}` };
+          continue;
+        }
+
+        entryLine = g.entryLine || null;
+        execReason = g.reason || null;
+        execDetail = g.detail || null;
+        execWickMeta = g.wickMeta || null;
+        execBottoming = g.bottoming || null;
+      }
+    }
+    winner = buildCandidate({
+      mode,
+      bias,
+      baseBias,
+      triggers,
+      b1,
+      entryLine,
+      execReason,
+      execDetail,
+      curState,
+      dps,
+      wickMeta: execWickMeta,
+      bottoming: execBottoming,
+    });
+
+    if (candidate?.ctx) {
+      // Preserve execution-specific ctx fields from winner. The earlier candidate
+      // ctx can contain null wickMeta/bottoming values, so it must not overwrite
+      // the execution gate metadata used by entry_atom_wick_* analytics fields.
+      const executionCtx = winner.ctx || {};
+      winner.ctx = {
+        ...candidate.ctx,
+        ...executionCtx,
+        wickMeta: executionCtx.wickMeta ?? candidate.ctx?.wickMeta ?? null,
+        bottoming: executionCtx.bottoming ?? candidate.ctx?.bottoming ?? null,
+        dps: executionCtx.dps ?? candidate.ctx?.dps ?? null,
+      };
+    }
+
+    const selectorPolicy = evaluateSelectorPolicy(winner);
+    winner.ctx = {
+      ...(winner.ctx || {}),
+      selectorFamily: selectorPolicy.family,
+      selectorAllowed: selectorPolicy.allowed,
+      selectorRejectionReason: selectorPolicy.reason,
+    };
+
+    if (!force && !selectorPolicy.allowed) {
+      if (debug) skipped.push({
+        symbol,
+        mode,
+        reason: `selector_policy:${selectorPolicy.reason}`,
+        bias,
+        detail: { family: selectorPolicy.family, reasons: selectorPolicy.reasons },
+      });
+      lastReject = {
+        reason: `selector_policy:${selectorPolicy.reason}`,
+        mode,
+        bias,
+        detail: { family: selectorPolicy.family, reasons: selectorPolicy.reasons },
+      };
+      candidate = {
+        ...winner,
+        rejectionReason: `selector_policy:${selectorPolicy.reason}`,
+      };
+      winner = null;
+      continue;
+    }
+
+    winners.push(winner);
+    continue;
+  }
+
+  return {
+    winner: winners[0] || null,
+    winners,
+    candidate,
+    rejectionReason: winners.length ? "" : lastReject.reason,
+    rejectionMode: winners.length ? "" : lastReject.mode,
+    rejectionBias: winners.length ? "" : lastReject.bias,
+    rejectionDetail: winners.length ? null : lastReject.detail,
+  };
+}
+
+// evaluateRun({ multiPayload, state, now, config })
+//   multiPayload  /api/multi response ({ ok, results: [...] })
+//   state         run state reader (createRedisState in lib/alert/state.js, or any object of that shape)
+//   now           run timestamp in ms; alert ids, eval buckets, repeat/cooldown ages and ET session use it
+//   config        { modes, riskProfile, driverTf, force, debug } as parsed from the request, plus configVersion
+//                 (lib/config-overrides.js hash of the tunables in CFG) stamped on every event
+// Returns:
+//   candidates      triggered rows in shortlist order (carry curState for the lastState write)
+//   selections      Map recipeId -> ranked picks ({ t, event, ... }) for live and shadow recipes
+//   events          analytics events (random / shadow / fired-to-be) in creation order
+//   messages        one Telegram group per live recipe with picks: { recipeId, recipe, selections, events, text }
+//   shadowMessages  the same for shadow recipes (recorded, never sent)
+//   rows            PASTE_ROWS_PIPE rows for the fired / random events
+//   triggered, skipped, macroByMode, anomalyRanking, debugBuildRegimes  debug / heartbeat detail
+async function evaluateRun({ multiPayload, state, now, config }) {
+  const { modes, riskProfile: risk_profile, driverTf: driver_tf, force = false, debug = false, configVersion = "" } = config;
+  const { mutedSymbols, externalTelemetry } = state;
+  const recipes = getManualRecipes();
+  const { live: LIVE_MANUAL_RECIPES, shadow: SHADOW_MANUAL_RECIPES, direct: DIRECT_MANUAL_RECIPES } = recipes;
+
+  // Macro snapshot for debug/response (use highest-priority mode as representative)
+  const macroByMode = Object.fromEntries(
+    (modes || ["scalp"]).map((m) => [m, computeBtcMacro(multiPayload.results || [], m)])
+  );
+
+  const deployInfo = getDeployInfo();
+  const btcTapeInstId =
+    (multiPayload.results || []).find(
+      (it) => String(it?.symbol || "").toUpperCase() === String(CFG.macro.btcSymbol || "BTCUSDT").toUpperCase()
+    )?.instId || btcInstIdFromSymbol(CFG.macro.btcSymbol);
+  const btcTapeContext = await loadBtcTapeContext(state, btcTapeInstId);
+  const anomalyRanking = buildCrossAssetAnomaly({
+    items: multiPayload.results || [],
+  });
+
+  const triggered = [];
+  const skipped = [];
+  const analyticsEvents = [];
+  // Run-scoped inputs the per-symbol builders above read.
+  const run = {
+    multiPayload,
+    state,
+    now,
+    modes,
+    force,
+    debug,
+    skipped,
+    recipes,
+    anomalyRanking,
+    btcTapeContext,
+    externalTelemetry,
+  };
+
+  // Debug-only: show build regime per symbol (so you can confirm gate inputs)
+  const debug_build_regimes =
+    debug && modes.includes("build")
+      ? (multiPayload.results || []).map((it) => ({
+          symbol: it?.symbol,
+          ok: it?.ok,
+          regime: it?.build_regime?.regime ?? null,
+          score: it?.build_regime?.score ?? null,
+          warmup: it?.build_regime?.warmup ?? null,
+          points: it?.build_regime?.inputs?.points72 ?? null,
+        }))
+      : undefined;
+
+let randomEval = null;
+const randomGroupId = `${now}_random`;
+
+if (CFG.randomBaselineEnabled && Array.isArray(multiPayload.results) && multiPayload.results.length > 0) {
+  const roll = Math.floor(Math.random() * 100) + 1;
+
+  if (roll <= CFG.randomBaselinePct) {
+    // Full /alert input universe: a valid multi row × active mode × side.
+    // Do not call candidate, selector, execution, target, RR, cooldown, or
+    // recipe logic before admitting this sample to the Random cohort.
+    const eligible = multiPayload.results.filter((x) =>
+      x?.ok &&
+      snapshotFreshnessVerdict(x).can_gate_entries &&
+      Number.isFinite(asNum(x?.price)) &&
+      String(x?.instId || "").trim()
+    );
+
+    if (eligible.length > 0 && modes.length > 0) {
+      const pick = eligible[Math.floor(Math.random() * eligible.length)];
+      const side = Math.random() < 0.5 ? "long" : "short";
+      const modePick = modes[Math.floor(Math.random() * modes.length)];
+
+      randomEval = await evaluateCandidate(run, {
+        item: pick,
+        modeList: [modePick],
+        forcedBias: side,
+        observationType: "random",
+        randomGroupId,
+        randomSource: "pre_gate_full_multi_universe_v1",
+        analyticsOnly: true,
+        rawObservation: true,
+      });
+    }
+  }
+}
+
+for (const item of multiPayload.results || []) {
+  if (!item?.ok) {
+    const detail = String(item?.error || "item_not_ok");
+    if (debug) skipped.push({ symbol: item?.symbol || "?", reason: detail });
+    continue;
+  }
+
+  const freshness = snapshotFreshnessVerdict(item);
+  if (!freshness.can_gate_entries) {
+    if (debug) skipped.push({ symbol: item.symbol, reason: "snapshot_stale", detail: freshness });
+    continue;
+  }
+
+  const directCandidates = await buildDirectManualRecipeCandidates(run, item);
+  if (directCandidates.length) triggered.push(...directCandidates);
+}
+
+if (randomEval?.winner) {
+  triggered.push(randomEval.winner);
+} else if (randomEval?.candidate) {
+  triggered.push(randomEval.candidate);
+}
+
+const directGroups = new Map(DIRECT_MANUAL_RECIPES.map((recipe) => [recipe.id, []]));
+const otherTriggered = [];
+const randomTriggered = [];
+
+for (const t of triggered) {
+  if (String(t?.observationType || "") === "random") {
+    randomTriggered.push(t);
+    continue;
+  }
+  const recipe = getDirectManualRecipe(t?.execReason);
+  if (recipe) directGroups.get(recipe.id).push(t);
+  else otherTriggered.push(t);
+}
+
+const orderedTriggered = [];
+for (const recipe of DIRECT_MANUAL_RECIPES) {
+  orderedTriggered.push(...sortManualRecipeCandidates(recipe, directGroups.get(recipe.id)));
+}
+orderedTriggered.push(...otherTriggered, ...randomTriggered);
+
+const recipeCooldownState = new Map();
+for (const recipe of DIRECT_MANUAL_RECIPES) {
+  const candidates = directGroups.get(recipe.id) || [];
+  if (candidates.length === 0 || force) {
+    recipeCooldownState.set(recipe.id, { active: false, ageMinutes: null });
+    continue;
+  }
+
+  const cooldownKey = recipe.tier === "shadow"
+    ? CFG.keys.lastShadowRecipeSentAt(recipe.id)
+    : CFG.keys.lastRecipeSentAt(recipe.id);
+  const raw = await state.get(cooldownKey).catch(() => null);
+  const sentAt = asNum(raw);
+  const ageMinutes = Number.isFinite(sentAt) ? (now - sentAt) / 60000 : null;
+  const cooldownMinutes = getRecipeCooldownMinutes(recipe);
+  recipeCooldownState.set(recipe.id, {
+    active: Number.isFinite(ageMinutes) && ageMinutes >= 0 && ageMinutes < cooldownMinutes,
+    ageMinutes: Number.isFinite(ageMinutes) ? Number(ageMinutes.toFixed(2)) : null,
+    cooldownMinutes,
+  });
+}
+
+// ---- Build ranked Telegram recipe messages and analytics rows ----
+
+const recipeSelections = new Map(DIRECT_MANUAL_RECIPES.map((recipe) => [recipe.id, []]));
+const shortlistSize = getRecipeShortlistSize();
+
+// Exposure guard state: 5m returns per instId and open alerts, both loaded on first use.
+const exposureReturns = new Map();
+let openExposure = null;
+const exposureReturnsFor = async (instId) => {
+  if (!exposureReturns.has(instId)) {
+    const points = await getRecentSeriesPoints(state, instId, EXPOSURE_CFG.lookbackPoints + 1).catch(() => []);
+    exposureReturns.set(instId, seriesReturns(points));
+  }
+  return exposureReturns.get(instId);
+};
+const exposureItem = async (item) => {
+  const returns = await exposureReturnsFor(item.instId);
+  return { ...item, returns, beta: betaTo(returns, await exposureReturnsFor(btcTapeInstId)) };
+};
+const checkShortlistExposure = async (t, side, isShadow) => {
+  if (openExposure === null) openExposure = await state.openExposure();
+  const held = [...openExposure];
+  for (const recipe of DIRECT_MANUAL_RECIPES) {
+    if ((recipe.tier === "shadow") !== isShadow) continue;
+    for (const s of recipeSelections.get(recipe.id) || []) {
+      held.push({ instId: s.t.instId, symbol: s.t.symbol, side: s.event.side, source: `run:${recipe.id}` });
+    }
+  }
+  const candidate = await exposureItem({ instId: t.instId, symbol: t.symbol, side });
+  const heldItems = [];
+  for (const h of held) heldItems.push(String(h.side) === side ? await exposureItem(h) : h);
+  return checkExposure(candidate, heldItems);
+};
+for (const t of orderedTriggered) {
+  const mode = String(t.mode || "swing").toLowerCase();
+  const modeUp = mode.toUpperCase();
+  let observationType = t.observationType || "fired";
+  const isRandom = observationType === "random";
+  const isShadow = observationType === "shadow";
+  let rejectionReason = String(t.rejectionReason || "");
+  let isRejected = !!rejectionReason;
+  const lateRejectionReasons = [];
+  const randomGroupIdForEvent = t.randomGroupId || "";
+  const randomSourceForEvent = t.randomSource || "";
+
+  // ENTRY ZONE stays 1h B1 band (per your current spec)
+  const levels = t.levels;
+  const l1h = t.levels?.["1h"];
+  const hi1h = l1h && !l1h.warmup ? asNum(l1h.hi) : null;
+  const lo1h = l1h && !l1h.warmup ? asNum(l1h.lo) : null;
+  const mid1h = hi1h != null && lo1h != null ? (hi1h + lo1h) / 2 : null;
+
+    const price = asNum(t.price);
+  const bias = String(t.bias || "neutral").toLowerCase();
+  const biasUp = bias.toUpperCase();
+
+  const anomalyCtx = anomalyEventFields(anomalyRanking, t.symbol);
+  t.ctx = {
+    ...(t.ctx || {}),
+    anomalyTf: anomalyCtx.anomaly_tf || "",
+    anomalyScore: asNum(anomalyCtx.anomaly_score),
+    anomalyRank: asNum(anomalyCtx.anomaly_rank),
+    anomalyOiPct: asNum(anomalyCtx.anomaly_oi_pct),
+    anomalyPattern: anomalyCtx.anomaly_pattern || "",
+    anomalyBasketFundingRate: asNum(anomalyCtx.anomaly_basket_funding_rate),
+    anomalyPriceOiGap: asNum(anomalyCtx.anomaly_price_oi_gap),
+    anomalyFundingDeviationBps: asNum(anomalyCtx.anomaly_funding_deviation_bps),
+    anomalyOiTrendDeviation: asNum(anomalyCtx.anomaly_oi_trend_deviation),
+    anomalyPriceDeviation: asNum(anomalyCtx.anomaly_price_deviation),
+  };
+
+  const confidenceMeta = computeConfidence(t);
+  const confidence = confidenceMeta.finalConfidence;
+  const entryAtoms = getEntryAtoms(t);
+  const recipeStamp = computeRecipeStamp({ t, confidenceMeta, entryAtoms });
+  const candidateStamps = computeCandidateStamps({ t, confidenceMeta, entryAtoms });
+  const hasAnalyticsCandidateStamp = candidateStamps.length > 0;
+  // Shadow rows mirror Premium handling end to end; only the Telegram render is withheld.
+  const isPremium = isManualRecipeStamp(recipeStamp);
+  const isSendableManualTrade = isShadow ? isManualRecipeStamp(recipeStamp) : isSendableTradeStamp(recipeStamp);
+  const liveRecipe = isShadow ? getShadowManualRecipe(t?.execReason) : getLiveManualRecipe(t?.execReason);
+
+  if (!isRandom && !isShadow && mutedSymbols.has(String(t.symbol || "").toUpperCase())) {
+    if (debug) skipped.push({
+      symbol: t.symbol,
+      mode,
+      reason: "symbol_muted",
+      detail: { until: new Date(mutedSymbols.get(String(t.symbol || "").toUpperCase())).toISOString() },
+    });
+    continue;
+  }
+
+  if (!isRandom && liveRecipe) {
+    const cooldownState = recipeCooldownState.get(liveRecipe.id) || { active: false };
+    if (!force && cooldownState.active) {
+      if (debug) skipped.push({
+        symbol: t.symbol,
+        mode,
+        reason: "recipe_cooldown",
+        detail: {
+          recipe: liveRecipe.id,
+          ageMinutes: cooldownState.ageMinutes,
+          cooldownMinutes: cooldownState.cooldownMinutes,
+        },
+      });
+      continue;
+    }
+
+    if ((recipeSelections.get(liveRecipe.id) || []).length >= shortlistSize) {
+      if (debug) skipped.push({
+        symbol: t.symbol,
+        mode,
+        reason: "recipe_shortlist_rank",
+        detail: { recipe: liveRecipe.id, shortlistSize },
+      });
+      continue;
+    }
+
+    if (EXPOSURE_CFG.enabled && (bias === "long" || bias === "short")) {
+      const exposure = await checkShortlistExposure(t, bias, isShadow);
+      if (!exposure.ok) {
+        if (debug) skipped.push({
+          symbol: t.symbol,
+          mode,
+          reason: exposure.reason,
+          detail: { recipe: liveRecipe.id, ...exposure.detail },
+        });
+        continue;
+      }
+    }
+  }
+
+  // Persisted analytics cohorts:
+  // - Random: one pre-gate baseline observation per eligible run.
+  // - Fired: only a Premium alert that is rendered and accepted by at least one delivery destination.
+  // - Shadow: a shadow-tier recipe pick that would have been sent; recorded, never delivered.
+  // Analytics-only candidate stamps remain metadata on Random rows. Non-Premium
+  // candidates are deliberately not appended as a third cohort or relabeled Fired.
+  if (!isRandom && !isSendableManualTrade) {
+    if (debug) skipped.push({
+      symbol: t.symbol,
+      mode,
+      reason: "non_manual_recipe_not_sendable",
+      detail: { execReason: t?.execReason || "", side: bias },
+    });
+    continue;
+  }
+  const profile = getTradeProfile(t);
+  const wickMeta = t?.ctx?.wickMeta || {};
+  const flowPersists = profile.flowPersists;
+  const reversalConfirmed = profile.reversalConfirmed;
+  const breakoutOnly = profile.pureBreakoutOnly;
+  const dynamicRisk =
+  mode === "swing"
+    ? computeDynamicRiskBudget({ mode, t })
+    : null;
+
+
+  // MODE-AWARE INVALIDATION TF (fallback-safe)
+  const invTfRaw = invalidationTfForMode(mode); // you added this helper
+  const invTf = t.levels?.[invTfRaw] && !t.levels?.[invTfRaw]?.warmup ? invTfRaw : "1h";
+  const invLvl = t.levels?.[invTf];
+  const invHi = invLvl && !invLvl.warmup ? asNum(invLvl.hi) : null;
+  const invLo = invLvl && !invLvl.warmup ? asNum(invLvl.lo) : null;
+
+  // Padding knobs (defaults 0 until you decide)
+  const invPadPct = CFG.stop.invalidationPadPct; // ex: 0.05 = 0.05% (NOT 5%)
+
+  // Compute invalidation (PRE-trade structure bail line)
+  let invalidationPx = null;
+  if (bias === "long" && invLo != null) invalidationPx = invLo * (1 - invPadPct / 100);
+  if (bias === "short" && invHi != null) invalidationPx = invHi * (1 + invPadPct / 100);
+
+  // Compute stop loss (POST-trade risk line) — currently anchored to 1h extremes w/ padding
+  const stopLossPx = await computeStopLossPx({
+  state,
+  instId: t.instId,
+  mode,
+  bias,
+  price,
+  levels: t.levels,
+  execReason: t.execReason,
+});
+
+const lev = computeLeverageFromStop({
+  mode,
+  entryPrice: price,
+  stopLossPx,
+  item: t._rawItem,
+  dynamicRisk,
+});
+const minLev = CFG.leverage.minLeverage;
+const positionSize = computePositionSize({
+  entryPrice: price,
+  stopLossPx,
+  lev,
+  riskProfile: risk_profile,
+  contract: t._rawItem?.contract || null,
+});
+
+if (!force) {
+  const effectiveLev = Number(lev?.suggestedHigh || 0);
+
+ if (effectiveLev < minLev) {
+    if (!isRandom) skipped.push({
+      symbol: t.symbol,
+      mode,
+      reason: hasAnalyticsCandidateStamp ? "candidate_leverage_floor_advisory" : "leverage_floor",
+      bias,
+      detail: {
+        riskBudgetPct: lev?.riskBudgetPct ?? null,
+        baseRiskBudgetPct: lev?.baseRiskBudgetPct ?? null,
+        dynamicRisk: lev?.dynamicRisk ?? null,
+        suggestedLow: lev?.suggestedLow ?? null,
+        suggestedHigh: lev?.suggestedHigh ?? null,
+        minLev,
+      },
+    });
+    if (!hasAnalyticsCandidateStamp) {
+      lateRejectionReasons.push("leverage_floor");
+      if (!isRejected) {
+        if (!isRandom) {
+          continue;
+        }
+      }
+    }
+  }
+}
+
+
+
+  // ---- Block ----
+  // If you want the mode header per-trade instead of once at top, uncomment:
+  // lines.push(`⚡️ ${modeUp} TRADE ENTRY`);
+  // lines.push("");
+
+  // Take Profit (DYNAMIC TF)
+// dynamic TP
+const { minTpPct } = getModeCfg(mode);
+
+const tpPick = chooseDynamicTp({
+  mode,
+  bias,
+  price,
+  levels,
+  minTpPct,
+  stopLossPx,
+});
+
+if (!tpPick) {
+  if (!isRandom) skipped.push({ symbol: t.symbol, mode, reason: isPremium ? "premium_no_dynamic_tp_advisory" : "no_dynamic_tp" });
+  if (!isPremium && !hasAnalyticsCandidateStamp) {
+    lateRejectionReasons.push("no_dynamic_tp");
+    if (!isRejected) {
+      if (!isRandom) {
+        continue;
+      }
+    }
+  }
+}
+
+const tp = tpPick?.tp ?? null;
+const tpTf = tpPick?.tf || "";
+const tpPct = tpPick?.tpPct ?? null;
+if (mode === "build" && Number.isFinite(tpPct) && tpPct < CFG.minTpPctByMode.build) {
+  skipped.push({
+    symbol: t.symbol,
+    mode,
+    reason: "build_tp_too_small",
+    detail: {
+      tpPct,
+      minTpPct: CFG.minTpPctByMode.build,
+      forced: !!tpPick?.forced,
+      entryPrice: price,
+      tp,
+      tpTf,
+    },
+  });
+
+  if (!isPremium && !hasAnalyticsCandidateStamp) {
+    lateRejectionReasons.push("build_tp_too_small");
+    if (!isRejected) {
+      if (!isRandom) {
+        continue;
+      }
+    }
+  }
+}
+const buildTargets = mode === "build"
+  ? buildTpLadder({ bias, entryPrice: price, levels })
+  : [];
+const rrAnchorTp = tp;
+
+const rrInfo = computeRiskReward({
+  entryPrice: price,
+  stopLossPx,
+  tp: rrAnchorTp,
+});
+
+if (tpPick && (!rrInfo || rrInfo.rr < CFG.minRR)) {
+  skipped.push({
+    symbol: t.symbol,
+    mode,
+    reason: "rr_too_small",
+    detail: {
+      rr: rrInfo?.rr ?? null,
+      minRR: CFG.minRR,
+      rewardPct: rrInfo?.rewardPct ?? null,
+      riskPct: rrInfo?.riskPct ?? null,
+      entryPrice: price,
+      stopLossPx,
+      tp,
+    }
+  });
+
+  if (!isPremium && !hasAnalyticsCandidateStamp) {
+    lateRejectionReasons.push("rr_too_small");
+    if (!isRejected) {
+      if (!isRandom) {
+        continue;
+      }
+    }
+  }
+}
+  const deferredRangeFloor = t?.ctx?.deferredRangeFloor;
+const shouldApplyDeferredRangeFloor =
+  !force &&
+  mode === "swing" &&
+  bias === "short" &&
+  !!deferredRangeFloor?.hit;
+
+if (shouldApplyDeferredRangeFloor) {
+  const onlyHadLocal1hTarget = tpTf === "1h";
+  const stillFailsCompletedTrade =
+    !tpPick ||
+    !rrInfo ||
+    rrInfo.rr < CFG.minRR ||
+    onlyHadLocal1hTarget;
+
+  if (stillFailsCompletedTrade) {
+    skipped.push({
+      symbol: t.symbol,
+      mode,
+      reason: isPremium ? "premium_range_floor_advisory" : "range_floor",
+      detail: {
+        rangePct1h: deferredRangeFloor?.rangePct1h ?? null,
+        minRangePct: deferredRangeFloor?.minRangePct ?? null,
+        tpTf: tpTf || "",
+        rr: rrInfo?.rr ?? null,
+        rewardPct: rrInfo?.rewardPct ?? null,
+        riskPct: rrInfo?.riskPct ?? null,
+        entryPrice: price,
+        stopLossPx,
+        tp: tp ?? null,
+      },
+    });
+
+    if (!isPremium && !hasAnalyticsCandidateStamp) {
+      lateRejectionReasons.push("range_floor");
+      if (!isRejected) {
+        if (!isRandom) {
+          continue;
+        }
+      }
+    }
+  }
+}
+      console.log("DYNAMIC_RISK", JSON.stringify({
+    symbol: t.symbol,
+    mode,
+    side: bias,
+    confidence,
+    dynamicRisk,
+    leverage: lev ? {
+      suggestedLow: lev.suggestedLow,
+      suggestedHigh: lev.suggestedHigh,
+      stopDistPct: lev.stopDistPct,
+      riskBudgetPct: lev.riskBudgetPct,
+      baseRiskBudgetPct: lev.baseRiskBudgetPct,
+    } : null,
+  }));
+const tradeRead = computeTradeRead({ t, confidenceMeta, rrInfo });
+const btcShortTfSignal = confidenceMeta?.btcShortTfSignal || getBtcShortTfSignal(profile);
+const analyticsVersionTags = getAnalyticsVersionTags();
+let repeatDecision = { reject: false, isReminder: false, reason: "" };
+
+if (!isRandom && !force) {
+  const lastFiredKey = isShadow ? CFG.keys.lastShadowAlert(t.instId, mode) : CFG.keys.lastFiredAlert(t.instId, mode);
+  const lastFiredRaw = await state.get(lastFiredKey).catch(() => null);
+  const lastFiredState = safeJsonParse(lastFiredRaw);
+  repeatDecision = evaluateRepeatAlertPolicy({
+    t,
+    recipeStamp,
+    tradeRead,
+    lastFiredState,
+    now,
+  });
+
+  if (repeatDecision.reject) {
+    if (debug) skipped.push({
+      symbol: t.symbol,
+      mode,
+      reason: repeatDecision.reason,
+      detail: { execReason: t?.execReason || "", recipe: recipeStamp.reason || "" },
+    });
+    continue;
+  }
+}
+
+const horizonMin = horizonMinForMode(mode);
+const evalTiming = buildEvaluationTiming(now, horizonMin);
+const sessionTelemetry = getEtSessionTelemetry(now);
+const anomaly = anomalyEventFields(anomalyRanking, t.symbol);
+
+
+const finalRejectionReason = isRandom
+  ? ""
+  : [
+      rejectionReason,
+      ...lateRejectionReasons.filter((x) => x && x !== rejectionReason),
+    ].filter(Boolean).join("|");
+const analyticsEvent = {
+  alert_id: isRandom
+  ? `${now}_random_${t.symbol}_${mode}_${bias}`
+  : `${now}_${t.symbol}_${mode}_${bias}`,
+  source: "gateway",
+  ts: now,
+  ...sessionTelemetry,
+  due_ts: evalTiming.dueTs,
+  eval_bucket: evalTiming.evalBucket,
+  eval_ts_effective: evalTiming.evalTsEffective,
+  symbol: t.symbol,
+  instId: t.instId,
+  driver_tf,
+  mode,
+  side: bias,
+  entry_price: price,
+  tp_price: tp ?? "",
+  stop_loss: stopLossPx ?? "",
+  invalidation_price: invalidationPx ?? "",
+  rr: rrInfo?.rr ?? "",
+  confidence,
+  confidence_base: confidenceMeta.baseConfidence,
+  confidence_score: confidenceMeta.finalScore,  
+  ...analyticsVersionTags,
+  trade_read_label: tradeRead.label,
+  trade_read_score: tradeRead.score,
+  trade_read_summary: tradeRead.summary,
+  trade_read_cautions: tradeRead.cautions.join(","),
+  btc_short_tf_state: btcShortTfSignal.state,
+  btc_short_tf_confidence_adj: btcShortTfSignal.confidenceAdj,
+  btc_short_tf_reasons: btcShortTfSignal.reasons.join(","),
+  btc_short_tf_cautions: btcShortTfSignal.cautions.join(","),
+  selector_family: confidenceMeta.selectorFamily || t?.ctx?.selectorFamily || "",
+  selector_allowed: confidenceMeta.selectorAllowed,
+  selector_rejection_reason: confidenceMeta.selectorReason || t?.ctx?.selectorRejectionReason || "",
+  anomaly_pattern_adj: confidenceMeta.anomalyPatternAdj ?? "",
+  ext_context_adj: confidenceMeta.extAdj,
+  ext_context_bias: confidenceMeta.externalBias,
+  exec_reason: t?.execReason || "",
+  recipe_stamp_label: recipeStamp.label || "",
+  recipe_stamp_reason: recipeStamp.reason || "",
+  recipe_stamp_profile: recipeStamp.profile || "",
+  candidate_stamp_labels: candidateStamps.map((x) => x.label).join(","),
+  candidate_stamp_reasons: candidateStamps.map((x) => x.reason).join(" | "),
+  candidate_stamp_profiles: candidateStamps.map((x) => x.profile).join(" | "),
+  premium_realert: !!repeatDecision.isReminder,
+  premium_realert_reason: repeatDecision.reason || "",
+  premium_realert_entry_distance_pct: repeatDecision.entryDistancePct ?? "",
+  ...entryAtoms,
+b1_strong: !!t?.b1?.strong,
+lean_15m: t?.ctx?.lean15m || "",
+lean_1h: t?.ctx?.lean1h || "",
+oi_15m_pct: t?.ctx?.oi15 ?? "",
+wick_strong: !!wickMeta?.strong,
+wick_extreme: !!wickMeta?.extreme,
+flow_persists: flowPersists,
+reversal_confirmed: reversalConfirmed,
+breakout_only: breakoutOnly,
+    leverage_suggested_low: lev?.suggestedLow ?? "",
+  leverage_suggested_high: lev?.suggestedHigh ?? "",
+  leverage_stop_dist_pct: lev?.stopDistPct ?? "",
+  min_lev: minLev ?? "",
+  risk_budget_pct: lev?.riskBudgetPct ?? dynamicRisk?.effectiveRiskPct ?? "",
+  risk_budget_base_pct: lev?.baseRiskBudgetPct ?? dynamicRisk?.baseRiskPct ?? "",
+  risk_budget_multiplier: dynamicRisk?.multiplier ?? "",
+  risk_budget_score: dynamicRisk?.score ?? "",
+  risk_budget_reasons: (dynamicRisk?.reasons || []).join(","),
+  ...positionSizeFields(positionSize),
+   horizon_min: horizonMin,
+status: isRandom ? "PENDING" : (finalRejectionReason ? "DONE" : "PENDING"),
+exit_price: "",
+return_pct: "",
+abs_return_pct: "",
+mfe_pct: "",
+mae_pct: "",
+mfe_before_due_pct: "",
+mae_before_due_pct: "",
+hit_1r: "",
+hit_1_5r: "",
+hit_2r: "",
+time_to_mfe_min: "",
+return_at_due_pct: "",
+return_at_2x_due_pct: "",
+time_to_1r_min: "",
+time_to_1_5r_min: "",
+time_to_2r_min: "",
+first_hit_level: "",
+first_hit_min: "",
+mfe_giveback_pct: "",
+return_10m_pct: "",
+return_20m_pct: "",
+return_30m_pct: "",
+return_60m_pct: "",
+best_return_before_due_pct: "",
+worst_return_before_due_pct: "",
+result: isRandom ? "" : (finalRejectionReason ? "SKIPPED" : ""),
+gateway_version: deployInfo.sha || "",
+config_version: configVersion,
+observation_type: observationType,
+    ext_context_ok: !!t?.ctx?.externalContextOk,
+ext_context_reason: t?.ctx?.externalContextReason || "",
+ext_context_component_summary: t?.ctx?.externalContextComponentSummary || "",
+coin_day_pct: t?.ctx?.coinDayPct ?? "",
+vix_day_pct: t?.ctx?.vixDayPct ?? "",
+dxy_day_pct: t?.ctx?.dxyDayPct ?? "",
+qqq_day_pct: t?.ctx?.qqqDayPct ?? "",
+spx_day_pct: t?.ctx?.spxDayPct ?? "",
+us2y_delta: t?.ctx?.us2yDelta ?? "",
+btc_5m_price_5m_pct: t?.ctx?.btc5mPrice5mPct ?? "",
+btc_5m_price_15m_pct: t?.ctx?.btc5mPrice15mPct ?? "",
+btc_5m_price_30m_pct: t?.ctx?.btc5mPrice30mPct ?? "",
+btc_5m_price_60m_pct: t?.ctx?.btc5mPrice60mPct ?? "",
+btc_5m_oi_5m_pct: t?.ctx?.btc5mOi5mPct ?? "",
+btc_5m_oi_15m_pct: t?.ctx?.btc5mOi15mPct ?? "",
+btc_5m_oi_30m_pct: t?.ctx?.btc5mOi30mPct ?? "",
+btc_5m_oi_60m_pct: t?.ctx?.btc5mOi60mPct ?? "",
+btc_5m_funding: t?.ctx?.btc5mFunding ?? "",
+btc_5m_funding_5m_avg: t?.ctx?.btc5mFunding5mAvg ?? "",
+btc_5m_funding_15m_avg: t?.ctx?.btc5mFunding15mAvg ?? "",
+btc_5m_funding_30m_avg: t?.ctx?.btc5mFunding30mAvg ?? "",
+btc_tape_state: t?.ctx?.btcTapeState || "",
+btc_macro_ok: !!t?.ctx?.btcMacro?.ok,
+btc_macro_reason: t?.ctx?.btcMacro?.reason || "",
+btc_macro_tf: t?.ctx?.btcMacro?.tf || "",
+btc_macro_lean: t?.ctx?.btcMacro?.lean || "",
+btc_macro_price_pct: t?.ctx?.btcMacro?.pricePct ?? "",
+btc_macro_oi_pct: t?.ctx?.btcMacro?.oiPct ?? "",
+btc_macro_bull_expansion: !!t?.ctx?.btcMacro?.bullExpansion,
+btc_macro_price_threshold_pct: CFG.macro.btcPricePctMin,
+btc_macro_oi_threshold_pct: CFG.macro.btcOiPctMin,
+btc_macro_block_shorts_enabled: CFG.macro.blockShortsOnAltsWhenBtcBull,
+symbol_vs_btc_15m_pct: t?.ctx?.symbolVsBtc15mPct ?? "",
+symbol_vs_btc_1h_pct: t?.ctx?.symbolVsBtc1hPct ?? "",
+symbol_vs_eth_15m_pct: t?.ctx?.symbolVsEth15mPct ?? "",
+symbol_vs_eth_1h_pct: t?.ctx?.symbolVsEth1hPct ?? "",
+crypto_breadth_15m_pct: t?.ctx?.cryptoBreadth15mPct ?? "",
+crypto_breadth_1h_pct: t?.ctx?.cryptoBreadth1hPct ?? "",
+crypto_breadth_tilt_15m: t?.ctx?.cryptoBreadthTilt15m ?? "",
+crypto_breadth_tilt_1h: t?.ctx?.cryptoBreadthTilt1h ?? "",
+spot_vs_perp_15m_pct: t?.ctx?.spotVsPerp15mPct ?? "",
+spot_vs_perp_1h_pct: t?.ctx?.spotVsPerp1hPct ?? "",
+spread_bps: t?.ctx?.spreadBps ?? "",
+book_bid_depth_20_usd: t?.ctx?.bookBidDepth20Usd ?? "",
+book_ask_depth_20_usd: t?.ctx?.bookAskDepth20Usd ?? "",
+book_imbalance_20: t?.ctx?.bookImbalance20 ?? "",
+thin_book_flag: t?.ctx?.thinBookFlag ?? "",
+market_structure_ok: t?.ctx?.marketStructureOk ?? "",
+market_structure_reason: t?.ctx?.marketStructureReason || "",
+bottoming_triggered: !!t?.ctx?.bottoming?.triggered,
+bottoming_score: t?.ctx?.bottoming?.score ?? "",
+bottoming_reasons: Array.isArray(t?.ctx?.bottoming?.reasons) ? t.ctx.bottoming.reasons.join(",") : "",
+bottoming_downside_stress: !!t?.ctx?.bottoming?.downsideStress,
+bottoming_oi_stress: !!t?.ctx?.bottoming?.oiStress,
+bottoming_lower_wick_count: t?.ctx?.bottoming?.lowerWickCount ?? "",
+bottoming_downside_decelerating: !!t?.ctx?.bottoming?.downsideDecel,
+bottoming_positioning_non_confirm: !!t?.ctx?.bottoming?.positioningNonConfirm,
+  rejection_reason: finalRejectionReason,
+random_group_id: isRandom ? randomGroupIdForEvent : "",
+random_source: isRandom ? randomSourceForEvent : "",
+  anomaly_tf: anomaly.anomaly_tf,
+  anomaly_score: anomaly.anomaly_score,
+  anomaly_rank: anomaly.anomaly_rank,
+  anomaly_pattern: anomaly.anomaly_pattern,
+  anomaly_price_pct: anomaly.anomaly_price_pct,
+  anomaly_oi_pct: anomaly.anomaly_oi_pct,
+  anomaly_funding_rate: anomaly.anomaly_funding_rate,
+  anomaly_basket_price_pct: anomaly.anomaly_basket_price_pct,
+  anomaly_basket_oi_pct: anomaly.anomaly_basket_oi_pct,
+  anomaly_basket_funding_rate: anomaly.anomaly_basket_funding_rate,
+  anomaly_price_oi_gap: anomaly.anomaly_price_oi_gap,
+  anomaly_funding_deviation_bps: anomaly.anomaly_funding_deviation_bps,
+  anomaly_oi_trend_deviation: anomaly.anomaly_oi_trend_deviation,
+  anomaly_price_deviation: anomaly.anomaly_price_deviation
+};
+analyticsEvents.push(analyticsEvent);
+
+if (!isRandom && isSendableManualTrade && liveRecipe) {
+  recipeSelections.get(liveRecipe.id).push({
+    t,
+    event: analyticsEvent,
+    repeatDecision,
+    recipeStamp,
+    size: positionSize,
+  });
+}
+
+// TG intentionally omits TP/SL/invalidation/leverage price lines.
+// Those values remain captured in analytics and can still gate/reject internally,
+// but they are structure heuristics, not sufficiently validated manual instructions.
+}
+
+const telegramRowFields = [
+  "alert_id",
+  "source",
+  "ts",
+  "day_of_week_et",
+  "day_num_et",
+  "is_weekend_et",
+  "is_us_equity_rth",
+  "us_equity_session",
+  "due_ts",
+  "eval_bucket",
+  "eval_ts_effective",
+  "symbol",
+  "instId",
+  "driver_tf",
+  "mode",
+  "side",
+  "entry_price",
+  "tp_price",
+  "stop_loss",
+  "invalidation_price",
+  "rr",
+  "confidence",
+  "confidence_base",
+  "confidence_score",
+  "selector_version",
+  "confidence_version",
+  "trade_read_version",
+  "ext_context_version",
+  "btc_short_tf_version",
+  "entry_idea_version",
+  "premium_recipe_version",
+  "random_baseline_version",
+  "trade_read_label",
+  "trade_read_score",
+  "trade_read_summary",
+  "trade_read_cautions",
+  "btc_short_tf_state",
+  "btc_short_tf_confidence_adj",
+  "btc_short_tf_reasons",
+  "btc_short_tf_cautions",
+  "selector_family",
+  "selector_allowed",
+  "selector_rejection_reason",
+  "anomaly_pattern_adj",
+  "exec_reason",
+  "recipe_stamp_label",
+  "recipe_stamp_reason",
+  "recipe_stamp_profile",
+  "candidate_stamp_version",
+  "candidate_stamp_labels",
+  "candidate_stamp_reasons",
+  "candidate_stamp_profiles",
+  "premium_realert",
+  "premium_realert_reason",
+  "premium_realert_entry_distance_pct",
+  "entry_atom_cont_tf",
+  "entry_atom_hi_1h",
+  "entry_atom_lo_1h",
+  "entry_atom_cont_hi",
+  "entry_atom_cont_lo",
+  "entry_atom_p5",
+  "entry_atom_reversal_min_pct",
+  "entry_atom_in_low_band",
+  "entry_atom_in_high_band",
+  "entry_atom_matched_tfs",
+  "entry_atom_match_count",
+  "entry_atom_recent_low",
+  "entry_atom_recent_high",
+  "entry_atom_reclaim_pct",
+  "entry_atom_body_now_pct",
+  "entry_atom_avg_body_pct",
+  "entry_atom_oi_rise_count",
+  "entry_atom_price_pct",
+  "entry_atom_funding_rate",
+  "entry_atom_wick_pct",
+  "entry_atom_wick_quality_score",
+  "entry_atom_wick_strong",
+  "entry_atom_wick_extreme",
+  "b1_strong",
+  "lean_15m",
+  "lean_1h",
+  "oi_15m_pct",
+  "wick_strong",
+  "wick_extreme",
+  "flow_persists",
+  "reversal_confirmed",
+  "breakout_only",
+  "ext_context_adj",
+  "ext_context_bias",
+  "ext_context_ok",
+  "ext_context_reason",
+  "ext_context_component_summary",
+  "coin_day_pct",
+  "vix_day_pct",
+  "dxy_day_pct",
+  "qqq_day_pct",
+  "spx_day_pct",
+  "us2y_delta",
+  "btc_5m_price_5m_pct",
+  "btc_5m_price_15m_pct",
+  "btc_5m_price_30m_pct",
+  "btc_5m_price_60m_pct",
+  "btc_5m_oi_5m_pct",
+  "btc_5m_oi_15m_pct",
+  "btc_5m_oi_30m_pct",
+  "btc_5m_oi_60m_pct",
+  "btc_5m_funding",
+  "btc_5m_funding_5m_avg",
+  "btc_5m_funding_15m_avg",
+  "btc_5m_funding_30m_avg",
+  "btc_tape_state",
+  "btc_macro_ok",
+  "btc_macro_reason",
+  "btc_macro_tf",
+  "btc_macro_lean",
+  "btc_macro_price_pct",
+  "btc_macro_oi_pct",
+  "btc_macro_bull_expansion",
+  "btc_macro_price_threshold_pct",
+  "btc_macro_oi_threshold_pct",
+  "btc_macro_block_shorts_enabled",
+  "symbol_vs_btc_15m_pct",
+  "symbol_vs_btc_1h_pct",
+  "symbol_vs_eth_15m_pct",
+  "symbol_vs_eth_1h_pct",
+  "crypto_breadth_15m_pct",
+  "crypto_breadth_1h_pct",
+  "crypto_breadth_tilt_15m",
+  "crypto_breadth_tilt_1h",
+  "spot_vs_perp_15m_pct",
+  "spot_vs_perp_1h_pct",
+  "spread_bps",
+  "book_bid_depth_20_usd",
+  "book_ask_depth_20_usd",
+  "book_imbalance_20",
+  "thin_book_flag",
+  "market_structure_ok",
+  "market_structure_reason",
+  "bottoming_triggered",
+  "bottoming_score",
+  "bottoming_reasons",
+  "bottoming_downside_stress",
+  "bottoming_oi_stress",
+  "bottoming_lower_wick_count",
+  "bottoming_downside_decelerating",
+  "bottoming_positioning_non_confirm",
+  "anomaly_tf",
+  "anomaly_score",
+  "anomaly_rank",
+  "anomaly_pattern",
+  "anomaly_price_pct",
+  "anomaly_oi_pct",
+  "anomaly_funding_rate",
+  "anomaly_basket_price_pct",
+  "anomaly_basket_oi_pct",
+  "anomaly_basket_funding_rate",
+  "anomaly_price_oi_gap",
+  "anomaly_funding_deviation_bps",
+  "anomaly_oi_trend_deviation",
+  "anomaly_price_deviation",
+  "risk_budget_pct",
+  "risk_budget_base_pct",
+  "risk_budget_multiplier",
+  "risk_budget_score",
+  "risk_budget_reasons",
+  "leverage_suggested_low",
+  "leverage_suggested_high",
+  "leverage_stop_dist_pct",
+  "min_lev",
+  "horizon_min",
+  "status",
+  "exit_price",
+  "return_pct",
+  "abs_return_pct",
+  "mfe_pct",
+  "mae_pct",
+  "mfe_before_due_pct",
+  "mae_before_due_pct",
+  "hit_1r",
+  "hit_1_5r",
+  "hit_2r",
+  "time_to_mfe_min",
+  "return_at_due_pct",
+  "return_at_2x_due_pct",
+  "time_to_1r_min",
+  "time_to_1_5r_min",
+  "time_to_2r_min",
+  "first_hit_level",
+  "first_hit_min",
+  "mfe_giveback_pct",
+  "return_10m_pct",
+  "return_20m_pct",
+  "return_30m_pct",
+  "return_60m_pct",
+  "best_return_before_due_pct",
+  "worst_return_before_due_pct",
+  "result",
+  "gateway_version",
+  "observation_type",
+  "rejection_reason",
+  "random_group_id",
+  "random_source",
+];
+    
+const telegramDelimiter = "|";
+
+const telegramRows = analyticsEvents
+  .filter((e) => e.observation_type === "fired" || e.observation_type === "random")
+  .map((e) =>
+    telegramRowFields
+      .map((k) => {
+        const v = e?.[k];
+        return v == null ? "" : String(v).replace(/\||\t|\n|\r/g, " ");
+      })
+      .join(telegramDelimiter)
+  );
+
+
+const telegramMessages = LIVE_MANUAL_RECIPES
+  .map((recipe) => {
+    const selections = recipeSelections.get(recipe.id) || [];
+    const text = buildRankedRecipeTelegramMessage(recipe, selections);
+    return {
+      recipeId: recipe.id,
+      recipe,
+      selections,
+      events: selections.map((selection) => selection.event),
+      text,
+    };
+  })
+  .filter((group) => group.text && group.events.length > 0);
+
+// Shadow picks render the same message text but only land in Redis + analytics.
+const shadowMessages = SHADOW_MANUAL_RECIPES
+  .map((recipe) => {
+    const selections = recipeSelections.get(recipe.id) || [];
+    return {
+      recipeId: recipe.id,
+      selections,
+      events: selections.map((selection) => selection.event),
+      text: buildRankedRecipeTelegramMessage(recipe, selections),
+    };
+  })
+  .filter((group) => group.text && group.events.length > 0);
+
+  return {
+    candidates: orderedTriggered,
+    selections: recipeSelections,
+    events: analyticsEvents,
+    messages: telegramMessages,
+    shadowMessages,
+    rows: telegramRows,
+    triggered,
+    skipped,
+    macroByMode,
+    anomalyRanking,
+    debugBuildRegimes: debug_build_regimes,
+  };
+}
+
+module.exports = { evaluateRun };
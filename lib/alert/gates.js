@@ -0,0 +1,1235 @@
+// /lib/alert/gates.js
+// Per-symbol entry gates: cross-asset anomaly ranking, BTC tape / macro / waterfall context, wick / DPS / bottoming
+// atoms, the entry-idea checks and the scalp / swing execution gates. Series reads go through the run state reader.
+// CommonJS because api/alert.js requires it.
+
+const { CFG, asNum, abs, fmtPrice, fmtPct } = require("./config.js");
+const { getRecentSeriesPoints, pctChangeFromValues } = require("./state.js");
+
+function average(nums = []) {
+  const vals = (nums || []).map((x) => Number(x)).filter((x) => Number.isFinite(x));
+  if (!vals.length) return null;
+  return vals.reduce((a, b) => a + b, 0) / vals.length;
+}
+
+function classifyAnomalyPattern({ pricePct, oiPct }) {
+  if (!Number.isFinite(pricePct) || !Number.isFinite(oiPct)) return "unknown";
+  if (pricePct > 0 && oiPct > 0) return "long_build";
+  if (pricePct < 0 && oiPct < 0) return "long_liq";
+  if (pricePct > 0 && oiPct < 0) return "short_squeeze";
+  if (pricePct < 0 && oiPct > 0) return "short_build";
+  return "mixed";
+}
+
+function buildCrossAssetAnomaly({
+  items = [],
+  tf = CFG.anomaly?.tf || "15m",
+  preferredBasket = CFG.anomaly?.basketSymbols || ["BTCUSDT", "ETHUSDT", "SOLUSDT", "NEARUSDT", "SUIUSDT"],
+  minBasketSize = CFG.anomaly?.minBasketSize || 3,
+  fallbackBasketSize = CFG.anomaly?.fallbackBasketSize || 5,
+}) {
+  if (!CFG.anomaly?.enabled) {
+    return {
+      ok: false,
+      reason: "disabled",
+      tf,
+      basket_symbols: [],
+      ranking: [],
+    };
+  }
+
+  const rows = (items || [])
+    .filter((it) => it?.ok && it?.symbol)
+    .map((it) => {
+      const pricePct = asNum(it?.deltas?.[tf]?.price_change_pct);
+      const oiPct = asNum(it?.deltas?.[tf]?.oi_change_pct);
+      const fundingRate = asNum(it?.funding_rate);
+
+      if (!Number.isFinite(pricePct) || !Number.isFinite(oiPct) || !Number.isFinite(fundingRate)) {
+        return null;
+      }
+
+      return {
+        symbol: String(it.symbol).toUpperCase(),
+        pricePct,
+        oiPct,
+        fundingRate,
+      };
+    })
+    .filter(Boolean);
+
+  const preferredSet = new Set(
+    (preferredBasket || []).map((s) => String(s || "").toUpperCase()).filter(Boolean)
+  );
+
+  let basketRows = rows.filter((r) => preferredSet.has(r.symbol));
+
+  if (basketRows.length < minBasketSize) {
+    basketRows = rows
+      .slice()
+      .sort((a, b) => {
+        const aPri = preferredSet.has(a.symbol) ? 0 : 1;
+        const bPri = preferredSet.has(b.symbol) ? 0 : 1;
+        if (aPri !== bPri) return aPri - bPri;
+        return a.symbol.localeCompare(b.symbol);
+      })
+      .slice(0, Math.min(fallbackBasketSize, rows.length));
+  }
+
+  if (basketRows.length < minBasketSize) {
+    return {
+      ok: false,
+      reason: "basket_too_small",
+      tf,
+      basket_symbols: basketRows.map((r) => r.symbol),
+      ranking: [],
+    };
+  }
+
+  const basketPricePct = average(basketRows.map((r) => r.pricePct));
+  const basketOiPct = average(basketRows.map((r) => r.oiPct));
+  const basketFundingRate = average(basketRows.map((r) => r.fundingRate));
+
+  if (
+    !Number.isFinite(basketPricePct) ||
+    !Number.isFinite(basketOiPct) ||
+    !Number.isFinite(basketFundingRate)
+  ) {
+    return {
+      ok: false,
+      reason: "basket_invalid",
+      tf,
+      basket_symbols: basketRows.map((r) => r.symbol),
+      ranking: [],
+    };
+  }
+
+  const ranking = rows
+    .map((r) => {
+      const priceOiGap = Math.abs(r.oiPct - r.pricePct);
+      const fundingDeviationBps = Math.abs((r.fundingRate - basketFundingRate) * 10000);
+      const oiTrendDeviation = Math.abs(r.oiPct - basketOiPct);
+      const priceDeviation = Math.abs(r.pricePct - basketPricePct);
+
+      const score = Number(
+        (priceOiGap + fundingDeviationBps + oiTrendDeviation + priceDeviation).toFixed(2)
+      );
+
+      return {
+        symbol: r.symbol,
+        score,
+        pattern: classifyAnomalyPattern({ pricePct: r.pricePct, oiPct: r.oiPct }),
+        price_pct: Number(r.pricePct.toFixed(4)),
+        oi_pct: Number(r.oiPct.toFixed(4)),
+        funding_rate: r.fundingRate,
+        basket_price_pct: Number(basketPricePct.toFixed(4)),
+        basket_oi_pct: Number(basketOiPct.toFixed(4)),
+        basket_funding_rate: basketFundingRate,
+        components: {
+          price_oi_gap: Number(priceOiGap.toFixed(2)),
+          funding_deviation_bps: Number(fundingDeviationBps.toFixed(2)),
+          oi_trend_deviation: Number(oiTrendDeviation.toFixed(2)),
+          price_deviation: Number(priceDeviation.toFixed(2)),
+        },
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    ok: true,
+    tf,
+    basket_symbols: basketRows.map((r) => r.symbol),
+    basket: {
+      price_pct: Number(basketPricePct.toFixed(4)),
+      oi_pct: Number(basketOiPct.toFixed(4)),
+      funding_rate: basketFundingRate,
+    },
+    ranking,
+  };
+}
+
+// Multi rows carry freshness { verdict: fresh|lagged|live, lag_buckets }; rows without it are treated as fresh.
+function snapshotFreshnessVerdict(item) {
+  const f = item?.freshness || null;
+  const lag = Number(f?.lag_buckets);
+  const lagBuckets = Number.isFinite(lag) ? lag : 0;
+  return {
+    verdict: String(f?.verdict || "fresh"),
+    lag_buckets: lagBuckets,
+    can_gate_entries: lagBuckets <= CFG.freshness.maxEntryLagBuckets,
+  };
+}
+
+// Uses 1h range as the structural “room to trade” proxy
+function rangePct1h({ levels, price }) {
+  const l1h = levels?.["1h"];
+  const p = asNum(price);
+  if (!l1h || l1h.warmup || p == null || p <= 0) return null;
+
+  const hi = asNum(l1h.hi);
+  const lo = asNum(l1h.lo);
+  if (hi == null || lo == null) return null;
+
+  const range = hi - lo;
+  if (!(range > 0)) return null;
+
+  return (range / p) * 100;
+}
+
+async function loadBtcTapeContext(state, instId) {
+  const out = {
+    ok: false,
+    reason: "warmup",
+    instId: instId || "",
+    price5mPct: null,
+    price15mPct: null,
+    price30mPct: null,
+    price60mPct: null,
+    oi5mPct: null,
+    oi15mPct: null,
+    oi30mPct: null,
+    oi60mPct: null,
+    funding: null,
+    funding5mAvg: null,
+    funding15mAvg: null,
+    funding30mAvg: null,
+    tapeState: "neutral",
+  };
+
+  if (!instId) {
+    out.reason = "missing_instid";
+    return out;
+  }
+
+  const pts = await getRecentSeriesPoints(state, instId, 13);
+  if (!Array.isArray(pts) || pts.length < 7) {
+    out.reason = "warmup";
+    return out;
+  }
+
+  const latest = pts[pts.length - 1] || {};
+  const latestPrice = asNum(latest?.p);
+  const latestOi = asNum(latest?.oi);
+  const fundingNow = asNum(latest?.fr);
+
+  const point1 = pts.length >= 2 ? pts[pts.length - 2] : null;
+  const point3 = pts.length >= 4 ? pts[pts.length - 4] : null;
+  const point6 = pts.length >= 7 ? pts[pts.length - 7] : null;
+  const point12 = pts.length >= 13 ? pts[pts.length - 13] : null;
+
+  out.price5mPct = pctChangeFromValues(asNum(point1?.p), latestPrice);
+  out.price15mPct = pctChangeFromValues(asNum(point3?.p), latestPrice);
+  out.price30mPct = pctChangeFromValues(asNum(point6?.p), latestPrice);
+  out.price60mPct = pctChangeFromValues(asNum(point12?.p), latestPrice);
+
+  out.oi5mPct = pctChangeFromValues(asNum(point1?.oi), latestOi);
+  out.oi15mPct = pctChangeFromValues(asNum(point3?.oi), latestOi);
+  out.oi30mPct = pctChangeFromValues(asNum(point6?.oi), latestOi);
+  out.oi60mPct = pctChangeFromValues(asNum(point12?.oi), latestOi);
+
+  out.funding = fundingNow;
+  out.funding5mAvg = avg(pts.slice(-1).map((p) => asNum(p?.fr)));
+  out.funding15mAvg = avg(pts.slice(-3).map((p) => asNum(p?.fr)));
+  out.funding30mAvg = avg(pts.slice(-6).map((p) => asNum(p?.fr)));
+
+  if (Number.isFinite(out.funding) && Number.isFinite(out.price30mPct)) {
+    if (out.funding > 0 && out.price30mPct > 0) out.tapeState = "short_hostile";
+    else if (out.funding < 0 && out.price30mPct < 0) out.tapeState = "long_hostile";
+  }
+
+  out.ok = true;
+  out.reason = "ok";
+  return out;
+}
+
+function wickPct(point, bias) {
+  const h = asNum(point?.h ?? point?.p);
+  const l = asNum(point?.l ?? point?.p);
+  const c = asNum(point?.p);
+
+  if (h == null || l == null || c == null || c <= 0) return null;
+
+  if (bias === "short") return ((h - c) / c) * 100;
+  if (bias === "long") return ((c - l) / c) * 100;
+  return null;
+}
+
+function candleBodyPct(point) {
+  const o = asNum(point?.o ?? point?.open);
+  const c = asNum(point?.p ?? point?.c ?? point?.close);
+  if (o == null || c == null || c <= 0) return null;
+  return (Math.abs(c - o) / c) * 100;
+}
+
+function wickQuality(point, bias) {
+  const h = asNum(point?.h ?? point?.p);
+  const l = asNum(point?.l ?? point?.p);
+  const c = asNum(point?.p ?? point?.c ?? point?.close);
+
+  if (h == null || l == null || c == null || c <= 0) {
+    return {
+      wickPct: null,
+      bodyPct: null,
+      wickToBody: null,
+      qualityScore: 0,
+      dominant: false,
+      strong: false,
+      extreme: false,
+      bodyAware: false,
+    };
+  }
+
+  const wick = wickPct(point, bias);
+  const body = candleBodyPct(point);
+  const bodyAware = Number.isFinite(body) && body > 0;
+  const wickToBody =
+    Number.isFinite(wick) && bodyAware
+      ? wick / Math.max(body, 0.0001)
+      : null;
+
+  const dominant = bodyAware
+    ? Number.isFinite(wickToBody) && wickToBody >= 1.5
+    : Number.isFinite(wick) && wick >= Math.max(CFG.wick.minPct * 1.75, CFG.wick.minPct + 0.12);
+
+  const strong = bodyAware
+    ? Number.isFinite(wick) &&
+      wick >= Math.max(CFG.wick.minPct * 1.5, CFG.wick.minPct + 0.10) &&
+      dominant
+    : Number.isFinite(wick) && wick >= Math.max(CFG.wick.minPct * 2.0, CFG.wick.minPct + 0.18);
+
+  const extreme = bodyAware
+    ? Number.isFinite(wick) &&
+      wick >= Math.max(CFG.wick.minPct * 2, CFG.wick.minPct + 0.20) &&
+      Number.isFinite(wickToBody) &&
+      wickToBody >= 2.5
+    : Number.isFinite(wick) && wick >= Math.max(CFG.wick.minPct * 2.6, CFG.wick.minPct + 0.30);
+
+  let qualityScore = 0;
+  if (Number.isFinite(wick)) qualityScore += Math.min(3, wick / Math.max(CFG.wick.minPct, 0.01));
+  if (Number.isFinite(wickToBody)) qualityScore += Math.min(3, wickToBody / 1.5);
+  else if (Number.isFinite(wick)) qualityScore += Math.min(1.5, wick / Math.max(CFG.wick.minPct * 2, 0.02));
+
+  return {
+    wickPct: Number.isFinite(wick) ? wick : null,
+    bodyPct: Number.isFinite(body) ? body : null,
+    wickToBody: Number.isFinite(wickToBody) ? wickToBody : null,
+    qualityScore,
+    dominant,
+    strong,
+    extreme,
+    bodyAware,
+  };
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function computeDps({ levels, price, lastPoint }) {
+  const l1h = levels?.["1h"];
+  const p = asNum(price);
+
+  if (!CFG.dps?.enabled || !l1h || l1h.warmup || p == null) {
+    return { score: 0, bias: "neutral", pos01: null, wickEdge: null, locationScore: null };
+  }
+
+  const hi = asNum(l1h.hi);
+  const lo = asNum(l1h.lo);
+  if (hi == null || lo == null || !(hi > lo)) {
+    return { score: 0, bias: "neutral", pos01: null, wickEdge: null, locationScore: null };
+  }
+
+  const pos01 = clamp((p - lo) / (hi - lo), 0, 1);
+  const locationScore = (pos01 - 0.5) * 2; // near high = +1 => short tilt
+
+  const shortWick = wickQuality(lastPoint, "short");
+  const longWick = wickQuality(lastPoint, "long");
+
+  const shortEdge = Number(shortWick?.qualityScore || 0);
+  const longEdge = Number(longWick?.qualityScore || 0);
+  const wickEdge = (shortEdge - longEdge) / 3;
+
+  const score = locationScore + wickEdge;
+
+  let bias = "neutral";
+  if (score >= CFG.dps.threshold) bias = "short";
+  else if (score <= -CFG.dps.threshold) bias = "long";
+
+  return { score, bias, pos01, wickEdge, locationScore };
+}
+
+function computeBottomingSignal({ item, points }) {
+  const cfg = CFG.bottoming;
+  if (!cfg?.enabled) {
+    return { ok: false, triggered: false, score: 0, reasons: ["bottoming_disabled"] };
+  }
+
+  const need = Math.max(4, cfg.lookbackCandles);
+  if (!Array.isArray(points) || points.length < need) {
+    return { ok: false, triggered: false, score: 0, reasons: ["bottoming_warmup"] };
+  }
+
+  const recent = points.slice(-need);
+  const last = recent[recent.length - 1];
+  const prev = recent.slice(0, -1);
+
+  const d5 = asNum(item?.deltas?.["5m"]?.price_change_pct);
+  const d15 = asNum(item?.deltas?.["15m"]?.price_change_pct);
+  const oi5 = asNum(item?.deltas?.["5m"]?.oi_change_pct);
+  const oi15 = asNum(item?.deltas?.["15m"]?.oi_change_pct);
+
+  let score = 0;
+  const reasons = [];
+
+  const downsideStress =
+    (Number.isFinite(d15) && d15 <= -Math.abs(cfg.pricePct)) ||
+    (Number.isFinite(d5) && d5 <= -(Math.abs(cfg.pricePct) * 0.5));
+
+  if (downsideStress) {
+    score += 1;
+    reasons.push("downside_stress");
+  }
+
+  const oiStress =
+    (Number.isFinite(oi5) && oi5 >= cfg.oiPct) ||
+    (Number.isFinite(oi15) && oi15 >= cfg.oiPct);
+
+  if (downsideStress && oiStress) {
+    score += 1;
+    reasons.push("oi_stress");
+  }
+
+  const wickWindow = recent.slice(-Math.max(2, cfg.repeatLookback));
+  const lowerWickCount = wickWindow.reduce((count, pt) => {
+    const meta = wickQuality(pt, "long");
+    return count + (meta.strong || meta.extreme ? 1 : 0);
+  }, 0);
+
+  if (lowerWickCount >= cfg.repeatWickCount) {
+    score += 1;
+    reasons.push("repeat_lower_wicks");
+  } else if (lowerWickCount >= 1) {
+    score += 0.5;
+    reasons.push("lower_wick_reject");
+  }
+
+  const barMoves = [];
+  for (let i = 1; i < recent.length; i++) {
+    const move = priceChangePctBetweenPoints(recent[i - 1], recent[i]);
+    if (Number.isFinite(move)) barMoves.push(move);
+  }
+
+  const lastMove = barMoves.length ? barMoves[barMoves.length - 1] : null;
+  const priorDownAbs = barMoves.slice(0, -1).filter((x) => x < 0).map((x) => Math.abs(x));
+  const priorDownAvg = avg(priorDownAbs);
+
+  const downsideDecel =
+    Number.isFinite(lastMove) &&
+    lastMove < 0 &&
+    Number.isFinite(priorDownAvg) &&
+    priorDownAvg > 0 &&
+    Math.abs(lastMove) <= priorDownAvg * cfg.decelMult;
+
+  if (downsideDecel) {
+    score += 1;
+    reasons.push("downside_decelerating");
+  }
+
+  const prevLows = prev.map((pt) => asNum(pt?.l ?? pt?.p)).filter((x) => x != null);
+  const prevLow = prevLows.length ? Math.min(...prevLows) : null;
+  const lastLow = asNum(last?.l ?? last?.p);
+  const lastClose = asNum(last?.p ?? last?.c ?? last?.close);
+
+  const positioningNonConfirm =
+    Number.isFinite(lastLow) &&
+    Number.isFinite(prevLow) &&
+    lastLow < prevLow &&
+    Number.isFinite(lastClose) &&
+    lastClose > lastLow &&
+    (
+      !Number.isFinite(oi5) ||
+      oi5 <= cfg.nonConfirmOiPct ||
+      !Number.isFinite(oi15) ||
+      oi15 <= cfg.nonConfirmOiPct
+    );
+
+  if (positioningNonConfirm) {
+    score += 1;
+    reasons.push("positioning_non_confirm");
+  }
+
+  const finalScore = Number(score.toFixed(2));
+
+  return {
+    ok: true,
+    triggered: finalScore >= cfg.scoreMin,
+    score: finalScore,
+    reasons,
+    downsideStress,
+    oiStress,
+    lowerWickCount,
+    downsideDecel,
+    positioningNonConfirm,
+    lastMove,
+    priorDownAvg,
+  };
+}
+
+function avg(nums) {
+  const vals = (nums || []).filter((x) => Number.isFinite(x));
+  if (!vals.length) return null;
+  return vals.reduce((a, b) => a + b, 0) / vals.length;
+}
+
+function countOiRiseIntervals(points) {
+  let rises = 0;
+  for (let i = 1; i < points.length; i++) {
+    const prevOi = asNum(points[i - 1]?.oi);
+    const curOi = asNum(points[i]?.oi);
+    if (prevOi != null && curOi != null && curOi > prevOi) rises += 1;
+  }
+  return rises;
+}
+
+function priceChangePctBetweenPoints(firstPoint, lastPoint) {
+  const first = asNum(firstPoint?.p);
+  const last = asNum(lastPoint?.p);
+  if (first == null || last == null || first <= 0) return null;
+  return ((last - first) / first) * 100;
+}
+
+async function getIdeaWindow(state, instId, n) {
+  const pts = await getRecentSeriesPoints(state, instId, n);
+  return Array.isArray(pts) ? pts : [];
+}
+
+function ignitionBreakoutLongCheck(points, price, fundingRate) {
+  const cfg = CFG.entryIdeas.ignitionBreakout;
+  if (!cfg?.enabled) return { ok: false, reason: 'ignition_disabled' };
+  const need = Math.max(cfg.lookbackCandles + 1, cfg.oiRiseLookback + 1, 4);
+  if (!Array.isArray(points) || points.length < need) return { ok: false, reason: 'ignition_warmup' };
+
+  const last = points[points.length - 1];
+  const prev = points.slice(-(cfg.lookbackCandles + 1), -1);
+  const prevHighs = prev.map((pt) => asNum(pt?.h ?? pt?.p)).filter((x) => x != null);
+  if (!prevHighs.length) return { ok: false, reason: 'ignition_missing_highs' };
+
+  const recentHigh = Math.max(...prevHighs);
+  const bodyNow = candleBodyPct(last);
+  const avgBody = avg(prev.slice(-5).map(candleBodyPct));
+  const breakout = Number.isFinite(price) && Number.isFinite(recentHigh) && price > recentHigh;
+  const bodyOk = Number.isFinite(bodyNow) && bodyNow >= cfg.minBodyPct && (!Number.isFinite(avgBody) || bodyNow >= avgBody * cfg.minBodyMult);
+
+  const oiWindow = points.slice(-(cfg.oiRiseLookback + 1));
+  const oiRiseCount = countOiRiseIntervals(oiWindow);
+  const oiOk = oiRiseCount >= cfg.minOiRiseCount;
+  const fundingOk = !Number.isFinite(fundingRate) || Math.abs(fundingRate) <= cfg.maxFundingAbs;
+
+  if (breakout && bodyOk && oiOk && fundingOk) {
+    return {
+      ok: true,
+      reason: 'ignition_breakout_long',
+      entryLine: `ignition breakout above ${fmtPrice(recentHigh)} + expanding body + OI rise (${oiRiseCount}/${cfg.oiRiseLookback})`,
+      detail: { recentHigh, bodyNow, avgBody, oiRiseCount },
+    };
+  }
+
+  return { ok: false, reason: 'ignition_not_ready', detail: { recentHigh, bodyNow, avgBody, oiRiseCount, breakout, bodyOk, oiOk, fundingOk } };
+}
+
+function liquiditySnapReversalLongCheck(points, price, p5) {
+  const cfg = CFG.entryIdeas.liquiditySnap;
+  if (!cfg?.enabled) return { ok: false, reason: 'liq_snap_disabled' };
+  const need = cfg.lookbackCandles + 1;
+  if (!Array.isArray(points) || points.length < need) return { ok: false, reason: 'liq_snap_warmup' };
+
+  const last = points[points.length - 1];
+  const prev = points.slice(-(cfg.lookbackCandles + 1), -1);
+  const prevLows = prev.map((pt) => asNum(pt?.l ?? pt?.p)).filter((x) => x != null);
+  if (!prevLows.length) return { ok: false, reason: 'liq_snap_missing_lows' };
+
+  const recentLow = Math.min(...prevLows);
+  const lastLow = asNum(last?.l ?? last?.p);
+  const wickMeta = wickQuality(last, 'long');
+  const reclaimPct = Number.isFinite(price) && Number.isFinite(recentLow) && recentLow > 0 ? ((price - recentLow) / recentLow) * 100 : null;
+  const swept = Number.isFinite(lastLow) && Number.isFinite(recentLow) && lastLow < recentLow;
+  const reclaimed = Number.isFinite(price) && Number.isFinite(recentLow) && price > recentLow;
+  const reclaimOk = Number.isFinite(reclaimPct) && reclaimPct >= cfg.minReclaimPct;
+  const wickOk = wickMeta.strong || wickMeta.extreme || (Number.isFinite(wickMeta.qualityScore) && wickMeta.qualityScore >= cfg.minWickQualityScore);
+  const turnOk = Number.isFinite(p5) && p5 > 0;
+
+  if (swept && reclaimed && reclaimOk && wickOk && turnOk) {
+    return {
+      ok: true,
+      reason: 'liquidity_snap_reversal_long',
+      entryLine: `liquidity snap below ${fmtPrice(recentLow)} then reclaim + strong wick reversal`,
+      wickMeta,
+      detail: { recentLow, reclaimPct },
+    };
+  }
+
+  return { ok: false, reason: 'liq_snap_not_ready', detail: { recentLow, lastLow, reclaimPct, swept, reclaimed, wickOk, turnOk } };
+}
+
+function slowLeverageSqueezeLongCheck(points, price) {
+  const cfg = CFG.entryIdeas.slowLeverageSqueeze;
+  if (!cfg?.enabled) return { ok: false, reason: 'slow_squeeze_disabled' };
+  const need = Math.max(cfg.oiCandles + 1, cfg.breakLookbackCandles + 1);
+  if (!Array.isArray(points) || points.length < need) return { ok: false, reason: 'slow_squeeze_warmup' };
+
+  const oiWindow = points.slice(-(cfg.oiCandles + 1));
+  const prevBreakWindow = points.slice(-(cfg.breakLookbackCandles + 1), -1);
+  const prevHighs = prevBreakWindow.map((pt) => asNum(pt?.h ?? pt?.p)).filter((x) => x != null);
+  if (!prevHighs.length) return { ok: false, reason: 'slow_squeeze_missing_highs' };
+
+  const recentHigh = Math.max(...prevHighs);
+  const oiRiseCount = countOiRiseIntervals(oiWindow);
+  const pricePct = priceChangePctBetweenPoints(oiWindow[0], oiWindow[oiWindow.length - 1]);
+  const breakout = Number.isFinite(price) && price > recentHigh;
+  const compressionOk = Number.isFinite(pricePct) && pricePct > 0 && pricePct < cfg.maxPricePct;
+  const oiOk = oiRiseCount >= cfg.minOiRiseCount;
+
+  if (breakout && compressionOk && oiOk) {
+    return {
+      ok: true,
+      reason: 'slow_leverage_squeeze_long',
+      entryLine: `slow leverage squeeze: OI rose ${oiRiseCount}/${cfg.oiCandles} candles, price compressed, then broke ${fmtPrice(recentHigh)}`,
+      detail: { recentHigh, oiRiseCount, pricePct },
+    };
+  }
+
+  return { ok: false, reason: 'slow_squeeze_not_ready', detail: { recentHigh, oiRiseCount, pricePct, breakout, compressionOk, oiOk } };
+}
+
+function slowShortBreakdownCheck(points, price, fundingRate) {
+  const cfg = CFG.entryIdeas.slowShortBreak;
+  if (!cfg?.enabled) return { ok: false, reason: 'slow_short_disabled' };
+  const need = Math.max(cfg.oiRiseCandles + 1, cfg.breakLookbackCandles + 1);
+  if (!Array.isArray(points) || points.length < need) return { ok: false, reason: 'slow_short_warmup' };
+
+  const oiWindow = points.slice(-(cfg.oiRiseCandles + 1));
+  const prevBreakWindow = points.slice(-(cfg.breakLookbackCandles + 1), -1);
+  const prevLows = prevBreakWindow.map((pt) => asNum(pt?.l ?? pt?.p)).filter((x) => x != null);
+  if (!prevLows.length) return { ok: false, reason: 'slow_short_missing_lows' };
+
+  const recentLow = Math.min(...prevLows);
+  const oiRiseCount = countOiRiseIntervals(oiWindow);
+  const pricePct = priceChangePctBetweenPoints(oiWindow[0], oiWindow[oiWindow.length - 1]);
+  const fundingOk = Number.isFinite(fundingRate) && fundingRate > cfg.fundingMin;
+  const oiOk = oiRiseCount >= cfg.oiRiseCandles;
+  const driftOk = Number.isFinite(pricePct) && Math.abs(pricePct) < cfg.maxPricePct;
+  const breakdown = Number.isFinite(price) && price < recentLow;
+
+  if (fundingOk && oiOk && driftOk && breakdown) {
+    return {
+      ok: true,
+      reason: 'slow_short_breakdown',
+      entryLine: `funding stretched + OI rose ${oiRiseCount}/${cfg.oiRiseCandles} candles + broke ${fmtPrice(recentLow)}`,
+      detail: { recentLow, oiRiseCount, pricePct, fundingRate },
+    };
+  }
+
+  return { ok: false, reason: 'slow_short_not_ready', detail: { recentLow, oiRiseCount, pricePct, fundingRate, fundingOk, oiOk, driftOk, breakdown } };
+}
+
+// bias logic (mode intent)
+function biasFromItem(item, mode) {
+  const m = String(mode || "scalp").toLowerCase();
+
+  const lean5m = String(item?.deltas?.["5m"]?.lean || item?.lean || "neutral").toLowerCase();
+  const lean15m = String(item?.deltas?.["15m"]?.lean || lean5m || "neutral").toLowerCase();
+  const lean1h = String(item?.deltas?.["1h"]?.lean || lean15m || "neutral").toLowerCase();
+  const lean4h = String(item?.deltas?.["4h"]?.lean || lean1h || "neutral").toLowerCase();
+
+  if (m === "build") return lean4h;
+  if (m === "swing") return lean1h;
+  return lean5m;
+}
+
+// B1 edge check
+function edgeRecoCheck({ bias, levels, price, edgePct }) {
+  const l1h = levels?.["1h"];
+  if (!l1h || l1h.warmup) return { strong: false, reason: "1h_warmup" };
+
+  const hi = asNum(l1h.hi);
+  const lo = asNum(l1h.lo);
+  const p = asNum(price);
+  if (hi == null || lo == null || p == null) return { strong: false, reason: "missing_levels" };
+
+  const range = hi - lo;
+  if (!(range > 0)) return { strong: false, reason: "bad_range" };
+
+  const edge = edgePct * range;
+
+  if (bias === "long") {
+    const ok = p <= lo + edge;
+    return { strong: ok, reason: ok ? "long_near_low" : "long_not_near_low", edge, hi, lo };
+  }
+  if (bias === "short") {
+    const ok = p >= hi - edge;
+    return { strong: ok, reason: ok ? "short_near_high" : "short_not_near_high", edge, hi, lo };
+  }
+  return { strong: false, reason: "neutral_bias" };
+}
+
+function strongRecoB1({ bias, levels, price }) {
+  return edgeRecoCheck({ bias, levels, price, edgePct: CFG.strongEdgePct1h });
+}
+
+function evaluateCriteria(item, lastState, mode) {
+  const m = String(mode || "scalp").toLowerCase();
+
+  const d5 = item?.deltas?.["5m"];
+  const d15 = item?.deltas?.["15m"];
+
+  const triggers = [];
+
+  const stateTf = m === "scalp" ? d5 : d15;
+  const curState = String(stateTf?.state || "unknown");
+
+  if (lastState && curState !== lastState) triggers.push({ code: "setup_flip" });
+
+  if ((abs(d5?.price_change_pct) ?? 0) >= CFG.momentumAbs5mPricePct) {
+    triggers.push({ code: "momentum_confirm" });
+  }
+
+  const shock5 =
+    (d5?.oi_change_pct ?? -Infinity) >= CFG.shockOi15mPct ||
+    (abs(d5?.price_change_pct) ?? 0) >= CFG.shockAbs15mPricePct;
+
+  const shock15 =
+    (d15?.oi_change_pct ?? -Infinity) >= CFG.shockOi15mPct ||
+    (abs(d15?.price_change_pct) ?? 0) >= CFG.shockAbs15mPricePct;
+
+  if (shock5 || shock15) triggers.push({ code: "positioning_shock" });
+
+  return { triggers, curState };
+}
+
+// Macro gate
+function computeBtcMacro(results, mode) {
+  if (!CFG.macro.enabled) return { ok: false, reason: "macro_disabled", btcBullExpansion: false };
+
+  const btcSym = CFG.macro.btcSymbol;
+  const btcItem = (results || []).find((x) => String(x?.symbol || "").toUpperCase() === btcSym);
+  if (!btcItem?.ok) return { ok: false, reason: "btc_missing", btcBullExpansion: false };
+
+  const m = String(mode || "swing").toLowerCase();
+  const tf = CFG.macro.btcTfByMode?.[m] || "4h";
+
+  const d = btcItem?.deltas?.[tf];
+  const pricePct = asNum(d?.price_change_pct);
+  const oiPct = asNum(d?.oi_change_pct);
+  const lean = String(d?.lean || "").toLowerCase();
+
+  const bull =
+    lean === "long" &&
+    Number.isFinite(pricePct) &&
+    Number.isFinite(oiPct) &&
+    pricePct >= CFG.macro.btcPricePctMin &&
+    oiPct >= CFG.macro.btcOiPctMin;
+
+  return {
+    ok: true,
+    reason: "ok",
+    btcBullExpansion: bull,
+    tf,
+    btc: {
+      lean: lean || null,
+      pricePct: Number.isFinite(pricePct) ? pricePct : null,
+      oiPct: Number.isFinite(oiPct) ? oiPct : null,
+    },
+  };
+}
+
+function computeBtcWaterfall(results, mode) {
+  if (!CFG.macro.enabled) return { ok: false, reason: "macro_disabled", btcWaterfall: false };
+
+  const btcSym = CFG.macro.btcSymbol;
+  const btcItem = (results || []).find((x) => String(x?.symbol || "").toUpperCase() === btcSym);
+  if (!btcItem?.ok) return { ok: false, reason: "btc_missing", btcWaterfall: false };
+
+  const m = String(mode || "swing").toLowerCase();
+  const tf = CFG.macro.btcTfByMode?.[m] || "4h";
+
+  const d = btcItem?.deltas?.[tf];
+  const pricePct = asNum(d?.price_change_pct);
+  const oiPct = asNum(d?.oi_change_pct);
+
+  const waterfall =
+    Number.isFinite(pricePct) &&
+    Number.isFinite(oiPct) &&
+    pricePct <= -CFG.macro.btcPricePctMin &&
+    oiPct >= CFG.macro.btcOiPctMin;
+
+  return {
+    ok: true,
+    reason: "ok",
+    btcWaterfall: waterfall,
+    tf,
+    btc: {
+      pricePct: Number.isFinite(pricePct) ? pricePct : null,
+      oiPct: Number.isFinite(oiPct) ? oiPct : null,
+    },
+  };
+}
+
+/**
+ * STRICT ENTRY (SCALP) — unchanged logic, UPDATED COPY (message contract ready)
+ */
+async function scalpExecutionGate({ state, instId, item, bias, levels }) {
+  const l1h = levels?.["1h"];
+  if (!l1h || l1h.warmup) return { ok: false, reason: "1h_warmup" };
+
+  const hi = asNum(l1h.hi);
+  const lo = asNum(l1h.lo);
+  const priceNow = asNum(item?.price);
+  if (hi == null || lo == null || priceNow == null)
+    return { ok: false, reason: "missing_levels_or_price" };
+
+  const oi15 = asNum(item?.deltas?.["15m"]?.oi_change_pct);
+  if (!Number.isFinite(oi15) || oi15 < CFG.shockOi15mPct)
+    return { ok: false, reason: "oi15_not_confirming" };
+
+    const recentPts = await getRecentSeriesPoints(state, instId, CFG.wick.sweepLookbackPoints);
+  const minRecent = recentPts.length
+    ? Math.min(...recentPts.map((p) => asNum(p?.l ?? p?.p)).filter((x) => x != null))
+    : null;
+  const maxRecent = recentPts.length
+    ? Math.max(...recentPts.map((p) => asNum(p?.h ?? p?.p)).filter((x) => x != null))
+    : null;
+
+  const lastPt = recentPts.length ? recentPts[recentPts.length - 1] : null;
+  const wickMeta = wickQuality(lastPt, bias);
+  const lastWickPct = wickMeta.wickPct;
+
+  if (bias === "long") {
+    const breakout = priceNow > hi;
+    const sweptDown = minRecent != null && minRecent < lo;
+    const sweepReclaim = sweptDown && priceNow > lo;
+
+    if (breakout) {
+      return {
+        ok: true,
+        reason: "long_breakout",
+        entryLine: `broke above 1h high (${fmtPrice(hi)}) + OI confirms (15m ≥ ${fmtPct(
+          CFG.shockOi15mPct
+        )})`,
+      };
+    }
+        if (sweepReclaim) {
+      return {
+        ok: true,
+        reason: "long_sweep_reclaim",
+        entryLine: `swept 1h low (${fmtPrice(lo)}) then reclaimed + OI confirms (15m ≥ ${fmtPct(
+          CFG.shockOi15mPct
+        )})`,
+      };
+    }
+
+    const wickFlushReclaim =
+      Number.isFinite(lastWickPct) &&
+      lastWickPct >= CFG.wick.minPct &&
+      priceNow > lo;
+
+    if (wickFlushReclaim) {
+      return {
+        ok: true,
+        reason: "long_wick_flush_reclaim",
+        entryLine: `5m flush wick reclaimed above 1h low (${fmtPrice(lo)}) + OI confirms`,
+        wickMeta,
+      };
+    }
+
+    return { ok: false, reason: "price_trigger_not_active" };
+  }
+
+  if (bias === "short") {
+    const breakdown = priceNow < lo;
+    const sweptUp = maxRecent != null && maxRecent > hi;
+    const sweepReject = sweptUp && priceNow < hi;
+
+    if (breakdown) {
+      return {
+        ok: true,
+        reason: "short_breakdown",
+        entryLine: `broke below 1h low (${fmtPrice(lo)}) + OI confirms (15m ≥ ${fmtPct(
+          CFG.shockOi15mPct
+        )})`,
+      };
+    }
+        if (sweepReject) {
+      return {
+        ok: true,
+        reason: "short_sweep_reject",
+        entryLine: `swept 1h high (${fmtPrice(hi)}) then rejected + OI confirms (15m ≥ ${fmtPct(
+          CFG.shockOi15mPct
+        )})`,
+      };
+    }
+
+    const wickSpikeReject =
+      Number.isFinite(lastWickPct) &&
+      lastWickPct >= CFG.wick.minPct &&
+      priceNow < hi;
+
+    if (wickSpikeReject) {
+      return {
+        ok: true,
+        reason: "short_wick_spike_reject",
+        entryLine: `5m spike wick rejected below 1h high (${fmtPrice(hi)}) + OI confirms`,
+        wickMeta,
+      };
+    }
+
+    return { ok: false, reason: "price_trigger_not_active" };
+  }
+
+  return { ok: false, reason: "neutral_bias" };
+}
+
+/**
+ * SWING/BUILD ENTRY
+ * Two ways to be actionable:
+ *  A) BREAK: price beyond 1h high/low
+ *  B) REVERSAL: tag B1 band + 5m push away from extreme
+ *
+ * Returns entryLine (for "Entry:" DM line).
+ */
+
+function continuationTfForMode(modeLabel) {
+  const m = String(modeLabel || "").toLowerCase();
+  if (m === "swing") return CFG.continuationTfByMode.swing;
+  if (m === "build") return CFG.continuationTfByMode.build;
+  return "1h";
+}
+
+function flowPersistsAcrossTfs(item, bias) {
+  const cfg = CFG.flowPersists;
+  const funding = asNum(item?.funding_rate);
+  const p5 = asNum(item?.deltas?.["5m"]?.price_change_pct);
+  const matchedTfs = [];
+
+  if (!cfg?.enabled) {
+    return {
+      ok: false,
+      reason: "flow_persists_disabled",
+      matchedTfs,
+      matchCount: 0,
+      funding,
+      p5,
+    };
+  }
+
+  if (!Number.isFinite(p5) || Math.abs(p5) < cfg.min5mPricePct) {
+    return {
+      ok: false,
+      reason: "flow_persists_5m_too_small",
+      matchedTfs,
+      matchCount: 0,
+      funding,
+      p5,
+    };
+  }
+
+  if (Number.isFinite(funding) && Math.abs(funding) > cfg.maxFundingAbs) {
+    return {
+      ok: false,
+      reason: "flow_persists_funding_too_high",
+      matchedTfs,
+      matchCount: 0,
+      funding,
+      p5,
+    };
+  }
+
+  for (const tf of cfg.tfs) {
+    const d = item?.deltas?.[tf];
+    if (!d) continue;
+
+    const lean = String(d?.lean || "").toLowerCase();
+    const oi = asNum(d?.oi_change_pct);
+
+    if (lean !== bias) continue;
+    if (cfg.requireOiPositive && !(Number.isFinite(oi) && oi > 0)) continue;
+
+    matchedTfs.push(tf);
+  }
+
+  const matchCount = matchedTfs.length;
+  if (matchCount < cfg.minMatches) {
+    return {
+      ok: false,
+      reason: "flow_persists_not_enough_matches",
+      matchedTfs,
+      matchCount,
+      funding,
+      p5,
+    };
+  }
+
+  return {
+    ok: true,
+    reason: `flow_persists_${bias}`,
+    matchedTfs,
+    matchCount,
+    funding,
+    p5,
+  };
+}
+
+async function swingExecutionGate({ state, instId, bias, levels, item, modeLabel = "SWING", dps = null }) {
+  const l1h = levels?.["1h"];
+  if (!l1h || l1h.warmup) return { ok: false, reason: "1h_warmup" };
+
+  const contTf = continuationTfForMode(modeLabel);
+  const contLvl = levels?.[contTf];
+  if (!contLvl || contLvl.warmup) return { ok: false, reason: `${contTf}_warmup` };
+
+  const hi = asNum(l1h.hi);
+  const lo = asNum(l1h.lo);
+  const p = asNum(item?.price);
+  const contHi = asNum(contLvl.hi);
+  const contLo = asNum(contLvl.lo);
+
+  if (hi == null || lo == null || contHi == null || contLo == null || p == null) {
+    return { ok: false, reason: "missing_levels_or_price" };
+  }
+
+  const oi15 = asNum(item?.deltas?.["15m"]?.oi_change_pct);
+  if (Number.isFinite(oi15) && oi15 < CFG.swing.minOiPct) {
+    return {
+      ok: false,
+      reason: "oi15_too_negative_for_swing",
+      detail: { oi15, min: CFG.swing.minOiPct },
+    };
+  }
+
+  const d5 = item?.deltas?.["5m"];
+  const p5 = asNum(d5?.price_change_pct);
+  const maxIdeaLookback = Math.max(
+    CFG.entryIdeas.ignitionBreakout.lookbackCandles + 1,
+    CFG.entryIdeas.liquiditySnap.lookbackCandles + 1,
+    CFG.entryIdeas.slowLeverageSqueeze.breakLookbackCandles + 1,
+    CFG.entryIdeas.slowLeverageSqueeze.oiCandles + 1,
+    CFG.entryIdeas.slowShortBreak.breakLookbackCandles + 1,
+    CFG.entryIdeas.slowShortBreak.oiRiseCandles + 1,
+    CFG.bottoming.lookbackCandles,
+    10
+  );
+  const recentPts = await getIdeaWindow(state, instId, maxIdeaLookback);
+  const lastPt = recentPts.length ? recentPts[recentPts.length - 1] : null;
+  const wickMeta = wickQuality(lastPt, bias);
+  const lastWickPct = wickMeta.wickPct;
+    const bottoming = computeBottomingSignal({ item, points: recentPts });
+
+  const range = hi - lo;
+  if (!(range > 0)) return { ok: false, reason: "bad_range" };
+
+  const edge = CFG.strongEdgePct1h * range;
+  const lowBandLo = lo;
+  const lowBandHi = lo + edge;
+  const highBandLo = hi - edge;
+  const highBandHi = hi;
+  const inLowBand = p <= lowBandHi;
+  const inHighBand = p >= highBandLo;
+  const lowBandTxt = `${fmtPrice(lowBandLo)}–${fmtPrice(lowBandHi)}`;
+  const highBandTxt = `${fmtPrice(highBandLo)}–${fmtPrice(highBandHi)}`;
+  let reversalMin = CFG.swingReversalMin5mMovePct;
+  const dpsBias = String(dps?.bias || "neutral").toLowerCase();
+  if (dpsBias === bias) reversalMin *= CFG.dps.favoredReversalMult;
+
+  if (bias === "long") {
+    const ignition = ignitionBreakoutLongCheck(recentPts, p, asNum(item?.funding_rate));
+    if (ignition.ok) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_${ignition.reason}`,
+        entryLine: ignition.entryLine,
+        detail: ignition.detail,
+        bottoming,
+      };
+    }
+
+    const liqSnap = liquiditySnapReversalLongCheck(recentPts, p, p5);
+    if (liqSnap.ok) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_${liqSnap.reason}`,
+        entryLine: liqSnap.entryLine,
+        wickMeta: liqSnap.wickMeta,
+        detail: liqSnap.detail,
+        bottoming,
+      };
+    }
+
+    const slowSqueeze = slowLeverageSqueezeLongCheck(recentPts, p);
+    if (slowSqueeze.ok) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_${slowSqueeze.reason}`,
+        entryLine: slowSqueeze.entryLine,
+        detail: slowSqueeze.detail,
+        bottoming,
+      };
+    }
+
+    if (p > contHi) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_break_above_${contTf}_high`,
+        entryLine: `break above ${contTf} high (${fmtPrice(contHi)}) → continuation`,
+        bottoming,
+      };
+    }
+
+    const reversalOk = inLowBand && Number.isFinite(p5) && p5 >= reversalMin;
+    if (reversalOk) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_b1_reversal_long`,
+        entryLine: `bounce in B1 low band (${lowBandTxt}) + 5m turned up (≥ ${fmtPct(reversalMin)})`,
+        bottoming,
+      };
+    }
+
+    const wickReclaim =
+      modeLabel === "SWING" &&
+      inLowBand &&
+      Number.isFinite(lastWickPct) &&
+      lastWickPct >= CFG.wick.minPct &&
+      Number.isFinite(p5) &&
+      p5 > 0;
+
+    if (wickReclaim) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_wick_reclaim_long`,
+        entryLine: `wick reclaim in B1 low band (${lowBandTxt}) + 5m turned up`,
+        wickMeta,
+        bottoming,
+      };
+    }
+
+    const flowPersist = flowPersistsAcrossTfs(item, "long");
+    if (flowPersist.ok) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_flow_persists_long`,
+        entryLine: `flow persists across TFs (${flowPersist.matchedTfs.join("/")}) + OI aligned`,
+        detail: flowPersist,
+        bottoming,
+      };
+    }
+
+    return {
+      ok: false,
+      reason: "no_entry_trigger",
+      detail: { p, hi, lo, inLowBand, p5, lastWickPct, flowPersists: flowPersist, bottoming },
+    };
+  }
+
+    if (bias === "short") {
+    const slowShort = slowShortBreakdownCheck(recentPts, p, asNum(item?.funding_rate));
+    if (slowShort.ok) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_${slowShort.reason}`,
+        entryLine: slowShort.entryLine,
+        detail: slowShort.detail,
+        bottoming,
+      };
+    }
+
+    if (modeLabel === "SWING" && p < contLo) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_break_below_${contTf}_low`,
+        entryLine: `break below ${contTf} low (${fmtPrice(contLo)}) → continuation`,
+        bottoming,
+      };
+    }
+
+    const flowPersist = flowPersistsAcrossTfs(item, "short");
+    if (modeLabel === "SWING" && flowPersist.ok) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_flow_persists_short`,
+        entryLine: `flow persists across TFs (${flowPersist.matchedTfs.join("/")}) + OI aligned`,
+        detail: flowPersist,
+        bottoming,
+      };
+    }
+
+    const reversalOk = inHighBand && Number.isFinite(p5) && p5 <= -reversalMin;
+    if (reversalOk) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_b1_reversal_short`,
+        entryLine: `reject in B1 high band (${highBandTxt}) + 5m turned down (≤ -${fmtPct(reversalMin)})`,
+        bottoming,
+      };
+    }
+
+    const wickReject =
+      modeLabel === "SWING" &&
+      inHighBand &&
+      Number.isFinite(lastWickPct) &&
+      lastWickPct >= CFG.wick.minPct &&
+      Number.isFinite(p5) &&
+      p5 < 0;
+
+    if (wickReject) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_wick_reject_short`,
+        entryLine: `wick reject in B1 high band (${highBandTxt}) + 5m turned down`,
+        wickMeta,
+        bottoming,
+      };
+    }
+
+    if (modeLabel !== "SWING" && p < contLo) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_break_below_${contTf}_low`,
+        entryLine: `break below ${contTf} low (${fmtPrice(contLo)}) → continuation`,
+        bottoming,
+      };
+    }
+
+    if (modeLabel !== "SWING" && flowPersist.ok) {
+      return {
+        ok: true,
+        reason: `${modeLabel.toLowerCase()}_flow_persists_short`,
+        entryLine: `flow persists across TFs (${flowPersist.matchedTfs.join("/")}) + OI aligned`,
+        detail: flowPersist,
+        bottoming,
+      };
+    }
+
+        return {
+      ok: false,
+      reason: "no_entry_trigger",
+      detail: { p, hi, lo, inHighBand, p5, lastWickPct, flowPersists: flowPersist, bottoming },
+    };
+  }
+
+  return { ok: false, reason: "neutral_bias" };
+}
+
+module.exports = {
+  buildCrossAssetAnomaly,
+  snapshotFreshnessVerdict,
+  rangePct1h,
+  loadBtcTapeContext,
+  computeDps,
+  biasFromItem,
+  strongRecoB1,
+  evaluateCriteria,
+  computeBtcMacro,
+  computeBtcWaterfall,
+  scalpExecutionGate,
+  continuationTfForMode,
+  swingExecutionGate,
+};
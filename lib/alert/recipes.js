@@ -0,0 +1,193 @@
+// /lib/alert/recipes.js
+// Live / shadow manual recipe sets (bundled, optionally overridden from Redis per run), recipe routing knobs
+// and the ranked per-recipe Telegram message.
+// CommonJS because api/alert.js requires it.
+
+const { loadBundledRecipes, loadRecipesWithOverride, applyRecipeThresholds } = require("../recipes.js");
+const { ACCOUNT_CFG, positionSizeLine } = require("../sizing.js");
+const { CFG, asNum, fmtPrice } = require("./config.js");
+
+// Manual recipes are declarative (lib/recipes.js DSL). The bundled set is config/recipes.json
+// (or ALERT_RECIPES_FILE) and must be valid at load; ALERT_RECIPES_REDIS_KEY, when set, overrides it
+// per run and falls back to the bundled set if the stored config is missing or invalid.
+// Threshold overrides from /api/overrides (recipe:<id>:<field>) are applied on top of whichever set loaded.
+const BUNDLED_MANUAL_RECIPES = loadBundledRecipes(CFG.recipes.file);
+
+// Live recipes render to Telegram. Shadow recipes run the same direct-recipe pipeline
+// (cooldown, repeat policy, shortlist) but their would-have-sent messages are only recorded.
+let LIVE_MANUAL_RECIPES = [];
+let SHADOW_MANUAL_RECIPES = [];
+let DIRECT_MANUAL_RECIPES = [];
+let LIVE_MANUAL_RECIPE_BY_ID = new Map();
+let SHADOW_MANUAL_RECIPE_BY_ID = new Map();
+let liveRecipeStatus = null;
+
+function setLiveManualRecipes(recipes, status) {
+  LIVE_MANUAL_RECIPES = recipes.filter((recipe) => recipe.tier !== "shadow");
+  SHADOW_MANUAL_RECIPES = recipes.filter((recipe) => recipe.tier === "shadow");
+  DIRECT_MANUAL_RECIPES = [...LIVE_MANUAL_RECIPES, ...SHADOW_MANUAL_RECIPES];
+  LIVE_MANUAL_RECIPE_BY_ID = new Map(LIVE_MANUAL_RECIPES.map((recipe) => [recipe.id, recipe]));
+  SHADOW_MANUAL_RECIPE_BY_ID = new Map(SHADOW_MANUAL_RECIPES.map((recipe) => [recipe.id, recipe]));
+  liveRecipeStatus = {
+    ...status,
+    count: LIVE_MANUAL_RECIPES.length,
+    shadow_count: SHADOW_MANUAL_RECIPES.length,
+  };
+}
+
+setLiveManualRecipes(BUNDLED_MANUAL_RECIPES, { source: CFG.recipes.file ? "file" : "bundled", errors: [] });
+
+// thresholds: { recipeId: { field: number } } from lib/config-overrides.js loadRuntimeConfig.
+async function refreshLiveManualRecipes(redis, thresholds = {}) {
+  const loaded = await loadRecipesWithOverride(redis, {
+    file: CFG.recipes.file,
+    redisKey: CFG.recipes.redisKey,
+    bundled: BUNDLED_MANUAL_RECIPES,
+  });
+  if (loaded.errors.length) console.error("[recipes] invalid redis recipe config; using bundled", loaded.errors);
+  const overridden = applyRecipeThresholds(loaded.recipes, thresholds);
+  if (overridden.errors.length) console.error("[recipes] threshold overrides not applied", overridden.errors);
+  return setLiveManualRecipes(overridden.recipes, {
+    source: loaded.source,
+    errors: loaded.errors,
+    ...(overridden.applied.length ? { threshold_overrides: overridden.applied } : {}),
+  });
+}
+
+// The sets are swapped on every refresh, so callers read them through here rather than holding a copy.
+function getManualRecipes() {
+  return {
+    live: LIVE_MANUAL_RECIPES,
+    shadow: SHADOW_MANUAL_RECIPES,
+    direct: DIRECT_MANUAL_RECIPES,
+    status: liveRecipeStatus,
+  };
+}
+
+function getLiveManualRecipe(recipeId) {
+  return LIVE_MANUAL_RECIPE_BY_ID.get(String(recipeId || "")) || null;
+}
+
+function getShadowManualRecipe(recipeId) {
+  return SHADOW_MANUAL_RECIPE_BY_ID.get(String(recipeId || "")) || null;
+}
+
+function getDirectManualRecipe(recipeId) {
+  return getLiveManualRecipe(recipeId) || getShadowManualRecipe(recipeId);
+}
+
+function getRecipeShortlistSize() {
+  const configured = Number(CFG.recipeRouting?.shortlistSize);
+  if (!Number.isFinite(configured)) return 3;
+  return Math.max(1, Math.min(5, Math.floor(configured)));
+}
+
+function getRecipeCooldownMinutes(recipe) {
+  const configured = Number(CFG.recipeRouting?.cooldownMinutesByMode?.[recipe?.mode]);
+  const fallback = recipe?.mode === "swing" ? 240 : 60;
+  return Number.isFinite(configured) && configured >= 0 ? configured : fallback;
+}
+
+function formatFundingRate(value) {
+  const n = asNum(value);
+  if (!Number.isFinite(n)) return "n/a";
+  return n.toFixed(6);
+}
+
+function sortManualRecipeCandidates(recipe, candidates) {
+  return [...(candidates || [])].sort((a, b) => {
+    const av = asNum(recipe?.rankValue?.(a));
+    const bv = asNum(recipe?.rankValue?.(b));
+    const dir = recipe?.rankDirection === "desc" ? -1 : 1;
+    if (Number.isFinite(av) && Number.isFinite(bv) && av !== bv) return dir * (av - bv);
+    if (Number.isFinite(av) && !Number.isFinite(bv)) return -1;
+    if (!Number.isFinite(av) && Number.isFinite(bv)) return 1;
+    return String(a?.symbol || "").localeCompare(String(b?.symbol || ""));
+  });
+}
+
+function buildRankedRecipeTelegramMessage(recipe, selections) {
+  const ranked = selections || [];
+  if (!recipe || ranked.length === 0) return "";
+
+  const header = `⚡️ ${String(recipe.mode || "").toUpperCase()} ${String(recipe.side || "").toUpperCase()}`;
+  const lines = [header, `PREMIUM ✅ | ${recipe.profile}`, ""];
+
+  ranked.forEach((selection, index) => {
+    const t = selection?.t || {};
+    const reminder = selection?.repeatDecision?.isReminder ? " | Reminder" : "";
+    const metric = recipe.rankMetric?.(t) || "";
+    lines.push(`${index + 1}. ${t.symbol} — Entry ${fmtPrice(t.price)}${reminder}`);
+    if (metric) lines.push(`   ${metric}`);
+    // Opt-in: a concrete account size is an instruction, unlike the TP/SL heuristics kept out of TG.
+    const sizeLine = ACCOUNT_CFG.telegramLine ? positionSizeLine(selection?.size) : "";
+    if (sizeLine) lines.push(`   ${sizeLine}`);
+  });
+
+  const contextLines = recipe.marketContext?.(ranked[0]?.t) || [];
+  if (contextLines.length) {
+    lines.push("");
+    lines.push(`Market: ${contextLines.join(" | ")}`);
+  }
+  if (recipe.managementHint) lines.push(`Mgmt: ${recipe.managementHint}`);
+
+  return lines.join("\n");
+}
+
+function buildManagementHint(t, recipeStamp) {
+  const mode = String(t?.mode || "").toLowerCase();
+  const bias = String(t?.bias || "").toLowerCase();
+  const execReason = String(t?.execReason || "").toLowerCase();
+  const recipeReason = String(recipeStamp?.reason || "").toLowerCase();
+  const liveRecipe = getDirectManualRecipe(execReason);
+  if (liveRecipe?.managementHint) return liveRecipe.managementHint;
+
+  // Former TG pilots remain analytics-only during revalidation; do not attach
+  // unvalidated management language to either family.
+
+  if (recipeReason.includes("scalp_short_anomaly")) {
+    return "Fast TP; exit if downside stalls.";
+  }
+
+  if (mode === "swing" && execReason === "swing_ignition_breakout_long") {
+    return "Take partials into strength; runner only with follow-through.";
+  }
+
+  if (mode === "swing" && execReason === "swing_flow_persists_short") {
+    return "Fast validation; exit if downside stalls.";
+  }
+
+  if (mode === "swing" && execReason === "swing_flow_persists_long") {
+    return "Standard hold; runner only if MFE expands cleanly.";
+  }
+
+  if (mode === "scalp") {
+    return bias === "short"
+      ? "Fast scalp; cover quickly if downside stalls."
+      : "Fast scalp; take profit quickly if follow-through stalls.";
+  }
+
+  if (recipeReason) {
+    return "Manual management; do not blindly hold to due window.";
+  }
+
+  return "";
+}
+
+function compactTradeWatch(tradeRead) {
+  // TG is Premium-only and should not surface generic analytical cautions.
+  // Invalidating conditions belong in recipe gates; non-invalidating cautions stay in analytics.
+  return "";
+}
+
+module.exports = {
+  refreshLiveManualRecipes,
+  getManualRecipes,
+  getLiveManualRecipe,
+  getShadowManualRecipe,
+  getDirectManualRecipe,
+  getRecipeShortlistSize,
+  getRecipeCooldownMinutes,
+  sortManualRecipeCandidates,
+  buildRankedRecipeTelegramMessage,
+};
@@ -0,0 +1,456 @@
+// /lib/alert/risk.js
+// Stop loss, R:R / TP ladder and dynamic TP, leverage from stop, swing dynamic risk budget and the repeat-alert policy.
+// CommonJS because api/alert.js requires it.
+
+const { CFG, stopTfForMode, asNum, horizonMinForMode } = require("./config.js");
+const { getPrevClosePair, getRecentSeriesPoints } = require("./state.js");
+const { getTradeProfile, isManualRecipeStamp } = require("./stamps.js");
+
+async function computeStopLossPx({ state, instId, mode, bias, price, levels, execReason }) {
+  const px = asNum(price);
+  if (px == null) return null;
+
+  const reason = String(execReason || "").toLowerCase();
+  const isReversal =
+    reason.includes("b1_reversal") ||
+    reason.includes("wick_reclaim") ||
+    reason.includes("wick_reject") ||
+    reason.includes("wick_flush_reclaim") ||
+    reason.includes("wick_spike_reject") ||
+    reason.includes("liquidity_snap_reversal");
+
+  const b = String(bias || "neutral").toLowerCase();
+  if (b !== "long" && b !== "short") return null;
+
+  // ---- REVERSAL STOP ----
+  // Prefer real wick anchoring for wick-driven reversals. Fallback to body-flip for generic reversals.
+  if (isReversal) {
+    const useWick = CFG.stop.reversalUseWick && reason.includes("wick");
+
+    if (useWick) {
+      const recentPts = await getRecentSeriesPoints(state, instId, Math.max(2, CFG.wick.sweepLookbackPoints));
+      if (recentPts.length) {
+        const wickLows = recentPts
+          .map((pt) => asNum(pt?.l ?? pt?.p))
+          .filter((x) => x != null);
+        const wickHighs = recentPts
+          .map((pt) => asNum(pt?.h ?? pt?.p))
+          .filter((x) => x != null);
+        const wickLow = wickLows.length ? Math.min(...wickLows) : null;
+        const wickHigh = wickHighs.length ? Math.max(...wickHighs) : null;
+        const pad = Math.abs(Number(CFG.stop.reversalPadPct) || 0) / 100;
+
+        if (b === "long" && wickLow != null) {
+          let sl = wickLow;
+          if (pad > 0) sl = sl * (1 - pad);
+          if (Number.isFinite(sl) && sl < px) return sl;
+        }
+
+        if (b === "short" && wickHigh != null) {
+          let sl = wickHigh;
+          if (pad > 0) sl = sl * (1 + pad);
+          if (Number.isFinite(sl) && sl > px) return sl;
+        }
+      }
+    }
+
+    const pair = await getPrevClosePair(state, instId);
+    if (!pair) return null;
+
+    const prev = pair.prev;
+    const last = pair.last;
+    const body = Math.abs(last - prev);
+    if (!Number.isFinite(body) || body <= 0) return null;
+
+    const dist = body * Math.max(0, Math.min(1, CFG.stop.reversalBodyPct));
+
+    let sl = null;
+    if (b === "long") sl = px - dist;
+    if (b === "short") sl = px + dist;
+
+    const pad = Math.abs(Number(CFG.stop.reversalPadPct) || 0) / 100;
+    if (pad > 0) {
+      if (b === "long") sl = sl * (1 - pad);
+      if (b === "short") sl = sl * (1 + pad);
+    }
+    return sl;
+  }
+
+  // ---- CONTINUATION STOP (structure on stop TF) ----
+  const tf = stopTfForMode(mode);
+  const lvl = levels?.[tf];
+  if (!lvl || lvl.warmup) return null;
+
+  const hi = asNum(lvl.hi);
+  const lo = asNum(lvl.lo);
+  if (hi == null || lo == null) return null;
+
+  const pad = Math.abs(Number(CFG.stop.contPadPct) || 0) / 100;
+
+  let sl = null;
+  if (b === "long") sl = lo;
+  if (b === "short") sl = hi;
+
+  if (pad > 0) {
+    if (b === "long") sl = sl * (1 - pad);
+    if (b === "short") sl = sl * (1 + pad);
+  }
+  return sl;
+}
+
+function computeRiskReward({ entryPrice, stopLossPx, tp }) {
+  const entry = asNum(entryPrice);
+  const sl = asNum(stopLossPx);
+  const take = asNum(tp);
+
+  if (entry == null || sl == null || take == null || entry <= 0) return null;
+
+  const rewardPct = (Math.abs(take - entry) / entry) * 100;
+  const riskPct = (Math.abs(entry - sl) / entry) * 100;
+
+  if (!Number.isFinite(rewardPct) || !Number.isFinite(riskPct) || riskPct <= 0) return null;
+
+  return {
+    rewardPct,
+    riskPct,
+    rr: rewardPct / riskPct,
+  };
+}
+
+function buildTpLadder({ bias, entryPrice, levels }) {
+  const entry = asNum(entryPrice);
+  const dir = String(bias || "").toLowerCase();
+  const lvl = levels?.["4h"];
+
+  if (entry == null || entry <= 0 || (dir !== "long" && dir !== "short")) return [];
+  if (!lvl || lvl.warmup) return [];
+
+  const hi = asNum(lvl.hi);
+  const lo = asNum(lvl.lo);
+  const mid = asNum(lvl.mid);
+  if (hi == null || lo == null || mid == null || !(hi > lo)) return [];
+
+  const range = hi - lo;
+  const rawTargets = dir === "long"
+    ? [mid, hi, hi + range * 0.5, hi + range]
+    : [mid, lo, lo - range * 0.5, lo - range];
+
+  const targets = [];
+  for (const raw of rawTargets) {
+    const tp = asNum(raw);
+    if (tp == null) continue;
+    if (dir === "long" && tp <= entry) continue;
+    if (dir === "short" && tp >= entry) continue;
+    if (targets.some((x) => Math.abs(x.tp - tp) <= Math.max(entry * 0.000001, 0.00000001))) continue;
+
+    targets.push({
+      label: `TP${targets.length + 1}`,
+      tp,
+      tpPct: (Math.abs(tp - entry) / entry) * 100,
+    });
+  }
+
+  return targets;
+}
+
+// --- Leverage suggestion (advisory) ---
+// Base = floor(riskBudgetPct / distance_to_invalidation_pct)
+// Then reduce if OI is jumpy or funding is stretched.
+function computeLeverageFromStop({ mode, entryPrice, stopLossPx, item, dynamicRisk = null }) {
+  if (!CFG.leverage?.enabled) return null;
+
+  const m = String(mode || "scalp").toLowerCase();
+  const baseRiskBudgetPct = CFG.leverage?.riskBudgetPctByMode?.[m] ?? 1.0;
+  const riskBudgetPct =
+    dynamicRisk && Number.isFinite(Number(dynamicRisk.effectiveRiskPct))
+      ? Number(dynamicRisk.effectiveRiskPct)
+      : baseRiskBudgetPct;
+
+  const entry = asNum(entryPrice);
+  const sl = asNum(stopLossPx);
+  if (entry == null || sl == null) return null;
+
+  const stopDistPct = Math.abs((entry - sl) / entry) * 100;
+  if (!Number.isFinite(stopDistPct) || stopDistPct <= 0) return null;
+
+  const baseMax = Math.floor(
+    Math.max(0, Number(riskBudgetPct) || 0) / Math.max(0.01, stopDistPct)
+  );
+
+  const oi5 = Math.abs(asNum(item?.deltas?.["5m"]?.oi_change_pct) ?? 0);
+  const oi15 = Math.abs(asNum(item?.deltas?.["15m"]?.oi_change_pct) ?? 0);
+
+  let oiMult = 1;
+  if (oi5 > CFG.leverage.oiReduce2 || oi15 > CFG.leverage.oiReduce2) oiMult = 0.6;
+  else if (oi5 > CFG.leverage.oiReduce1 || oi15 > CFG.leverage.oiReduce1) oiMult = 0.75;
+
+  const funding = Math.abs(asNum(item?.funding_rate) ?? 0);
+
+  let fMult = 1;
+  if (funding > CFG.leverage.fundingReduce2) fMult = 0.6;
+  else if (funding > CFG.leverage.fundingReduce1) fMult = 0.8;
+
+  const adjustedMax = Math.max(
+    1,
+    Math.min(Math.floor(baseMax * oiMult * fMult), CFG.leverage.maxCap)
+  );
+
+  return {
+    suggestedLow: Math.max(1, Math.floor(adjustedMax * 0.5)),
+    suggestedHigh: adjustedMax,
+    adjustedMax,
+    stopDistPct,
+    riskBudgetPct,
+    baseRiskBudgetPct,
+    flags: { oiReduced: oiMult < 1, fundingReduced: fMult < 1 },
+    dynamicRisk: dynamicRisk || null,
+  };
+}
+
+/**
+ * CONFIDENCE ENGINE (rule-based, mechanical)
+ *
+ * Architecture:
+ * - selectors decide whether an archetype is allowed to fire
+ * - modifiers shape score only after a selector is valid
+ * - external-market fields are telemetry-only; they do not shape selectors, confidence, or TG copy
+ */
+function isSameAlertSetup(last = {}, t = {}) {
+  return (
+    String(last.symbol || "").toUpperCase() === String(t?.symbol || "").toUpperCase() &&
+    String(last.instId || "") === String(t?.instId || "") &&
+    String(last.mode || "").toLowerCase() === String(t?.mode || "").toLowerCase() &&
+    String(last.side || "").toLowerCase() === String(t?.bias || "").toLowerCase() &&
+    String(last.execReason || "").toLowerCase() === String(t?.execReason || "").toLowerCase()
+  );
+}
+
+function entryDistancePct(a, b) {
+  const x = asNum(a);
+  const y = asNum(b);
+  if (!Number.isFinite(x) || !Number.isFinite(y) || y <= 0) return null;
+  return Math.abs((x - y) / y) * 100;
+}
+
+function getRepeatStateAgeMinutes(lastState, now) {
+  const ts = asNum(lastState?.ts);
+  if (!Number.isFinite(ts)) return null;
+  const ageMin = (Number(now) - ts) / 60000;
+  return Number.isFinite(ageMin) && ageMin >= 0 ? ageMin : null;
+}
+
+function evaluateRepeatAlertPolicy({ t, recipeStamp, tradeRead, lastFiredState, now }) {
+  if (!lastFiredState || !isSameAlertSetup(lastFiredState, t)) {
+    return { reject: false, isReminder: false, reason: "new_or_changed_setup" };
+  }
+
+  const ageMin = getRepeatStateAgeMinutes(lastFiredState, now);
+  if (!Number.isFinite(ageMin)) {
+    return { reject: false, isReminder: false, reason: "repeat_state_missing_timestamp" };
+  }
+
+  if (ageMin < CFG.cooldownMinutes) {
+    return {
+      reject: true,
+      isReminder: false,
+      reason: "cooldown",
+      ageMinutes: Number(ageMin.toFixed(2)),
+    };
+  }
+
+  const maxAgeMin = Math.max(CFG.cooldownMinutes * 2, horizonMinForMode(t?.mode));
+  if (ageMin > maxAgeMin) {
+    return { reject: false, isReminder: false, reason: "repeat_state_expired" };
+  }
+
+  if (!isManualRecipeStamp(recipeStamp)) {
+    return { reject: true, isReminder: false, reason: "repeat_non_manual_recipe_suppressed" };
+  }
+
+  const distPct = entryDistancePct(t?.price, lastFiredState?.entryPrice);
+  const tolerancePct = Number(CFG.premiumRealert?.entryTolerancePct || 0.35);
+  if (!Number.isFinite(distPct) || distPct > tolerancePct) {
+    return { reject: true, isReminder: false, reason: "premium_repeat_not_near_entry" };
+  }
+
+  if ((tradeRead?.cautions || []).length > 1) {
+    return { reject: true, isReminder: false, reason: "premium_repeat_caution_heavy" };
+  }
+
+  return {
+    reject: false,
+    isReminder: true,
+    reason: "premium_still_valid_entry_reminder",
+    entryDistancePct: Number(distPct.toFixed(4)),
+  };
+}
+
+function computeDynamicRiskBudget({ mode, t }) {
+  const m = String(mode || "scalp").toLowerCase();
+  const baseRiskPct = CFG.leverage?.riskBudgetPctByMode?.[m] ?? 1.0;
+
+  let score = 0;
+  const reasons = [];
+
+  const profile = getTradeProfile(t);
+  const bias = profile.bias;
+  const oneHourAligned = profile.oneHourAligned;
+  const counter1hLean = profile.counter1hLean;
+  const b1Strong = profile.b1Strong;
+  const flowPersists = profile.flowPersists;
+  const reversalConfirmed = profile.reversalConfirmed;
+  const liquiditySnap = profile.liquiditySnap;
+  const breakoutOnly = profile.pureBreakoutOnly;
+  const wickStrong = profile.wickStrong;
+  const wickExtreme = profile.wickExtreme;
+  const strongBottoming = profile.strongBottoming;
+
+  const pureContinuationShort =
+    bias === "short" &&
+    flowPersists &&
+    !b1Strong &&
+    !reversalConfirmed;
+
+  const shortIntoBottoming =
+    pureContinuationShort &&
+    strongBottoming;
+
+  if (b1Strong) { score += 1; reasons.push("b1_strong"); }
+  if (oneHourAligned && !pureContinuationShort) { score += 1; reasons.push("aligned_1h"); }
+  if (wickExtreme) { score += 0.5; reasons.push("wick_extreme"); }
+  else if (wickStrong) { score += 0.25; reasons.push("wick_strong"); }
+  
+  if (breakoutOnly) { score -= 0.5; reasons.push("breakout_only"); }
+  if (counter1hLean) { score -= 1; reasons.push("counter_1h"); }
+  if (pureContinuationShort) { reasons.push("continuation_short_base_size"); }
+  if (shortIntoBottoming) { score -= 1; reasons.push("bottoming_penalty"); }
+  let multiplier = 1.0;
+  if (score >= 5) multiplier = 2.0;
+  else if (score >= 4) multiplier = 1.75;
+  else if (score >= 3) multiplier = 1.5;
+  else if (score >= 2) multiplier = 1.25;
+  else if (score <= 0) multiplier = 0.75;
+
+  const effectiveRiskPct = Number((baseRiskPct * multiplier).toFixed(4));
+
+  return {
+    baseRiskPct,
+    effectiveRiskPct,
+    multiplier,
+    score,
+    reasons,
+  };
+}
+
+/**
+ * DETECTION (mode-aware; loosened)
+ */
+function structuralTpCandidatesForTf({ bias, price, levels, tf }) {
+  const entry = asNum(price);
+  const dir = String(bias || "").toLowerCase();
+  const lvl = levels?.[tf];
+  if (entry == null || entry <= 0 || (dir !== "long" && dir !== "short")) return [];
+  if (!lvl || lvl.warmup) return [];
+
+  const mid = asNum(lvl.mid);
+  const hi = asNum(lvl.hi);
+  const lo = asNum(lvl.lo);
+  const rawTargets = dir === "long"
+    ? [{ level: "mid", tp: mid }, { level: "high", tp: hi }]
+    : [{ level: "mid", tp: mid }, { level: "low", tp: lo }];
+
+  return rawTargets
+    .map((target) => {
+      const tp = asNum(target.tp);
+      if (tp == null) return null;
+      if (dir === "long" && tp <= entry) return null;
+      if (dir === "short" && tp >= entry) return null;
+      return {
+        tf,
+        level: target.level,
+        tp,
+        tpPct: (Math.abs(tp - entry) / entry) * 100,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.tpPct - b.tpPct);
+}
+
+function tpCandidatePasses({ candidate, entryPrice, stopLossPx, minTpPct = 0 }) {
+  if (!candidate) return false;
+  if (Number.isFinite(Number(minTpPct)) && candidate.tpPct < Number(minTpPct)) return false;
+
+  const sl = asNum(stopLossPx);
+  if (sl == null) return true;
+
+  const rrInfo = computeRiskReward({
+    entryPrice,
+    stopLossPx: sl,
+    tp: candidate.tp,
+  });
+
+  return !!rrInfo && rrInfo.rr >= CFG.minRR;
+}
+
+function firstPassingCandidate(candidates, args) {
+  for (const candidate of candidates || []) {
+    if (tpCandidatePasses({ candidate, ...args })) return { ...candidate, forced: false };
+  }
+  return null;
+}
+
+function firstFallbackCandidate(candidates = []) {
+  return candidates.length ? { ...candidates[0], forced: true } : null;
+}
+
+function chooseDynamicTp({ mode, bias, price, levels, minTpPct = 0, stopLossPx = null }) {
+  const m = String(mode || "").toLowerCase();
+  const args = { entryPrice: price, stopLossPx, minTpPct };
+
+  if (m === "scalp") {
+    const ordered = ["15m", "1h", "4h"];
+    const all = [];
+    for (const tf of ordered) {
+      const candidates = structuralTpCandidatesForTf({ bias, price, levels, tf });
+      all.push(...candidates);
+      const picked = firstPassingCandidate(candidates, args);
+      if (picked) return picked;
+    }
+    return firstFallbackCandidate(all);
+  }
+
+  if (m === "swing") {
+    const oneHour = structuralTpCandidatesForTf({ bias, price, levels, tf: "1h" });
+    const oneHourPick = firstPassingCandidate(oneHour, args);
+    if (oneHourPick) return oneHourPick;
+
+    const fourHour = structuralTpCandidatesForTf({ bias, price, levels, tf: "4h" });
+    const fourHourPick = firstPassingCandidate(fourHour, args);
+    if (fourHourPick) return fourHourPick;
+
+    return firstFallbackCandidate([...oneHour, ...fourHour]);
+  }
+
+  if (m === "build") {
+    const ladder = buildTpLadder({ bias, entryPrice: price, levels });
+    const picked = firstPassingCandidate(
+      ladder.map((target) => ({ ...target, tf: "4h", level: target.label })),
+      args
+    );
+    if (picked) return picked;
+    return firstFallbackCandidate(ladder.map((target) => ({ ...target, tf: "4h", level: target.label })));
+  }
+
+  const fallback = structuralTpCandidatesForTf({ bias, price, levels, tf: "1h" });
+  return firstPassingCandidate(fallback, args) || firstFallbackCandidate(fallback);
+}
+
+module.exports = {
+  computeStopLossPx,
+  computeRiskReward,
+  buildTpLadder,
+  computeLeverageFromStop,
+  evaluateRepeatAlertPolicy,
+  computeDynamicRiskBudget,
+  chooseDynamicTp,
+};
@@ -0,0 +1,1298 @@
+// /lib/alert/stamps.js
+// Trade profile, selector policy, confidence, trade read, recipe / candidate stamps and entry atoms for a candidate.
+// CommonJS because api/alert.js requires it.
+
+const { confidenceLabelFromScore } = require("../confidence.js");
+const { CFG, asNum } = require("./config.js");
+const { continuationTfForMode } = require("./gates.js");
+const { getLiveManualRecipe, getShadowManualRecipe } = require("./recipes.js");
+
+function getTradeProfile(t) {
+  const mode = String(t?.mode || "").toLowerCase();
+  const bias = String(t?.bias || "").toLowerCase();
+  const execReason = String(t?.execReason || "").toLowerCase();
+  const b1Strong = !!t?.b1?.strong;
+
+  const reversalConfirmed =
+    execReason.includes("b1_reversal") ||
+    execReason.includes("wick_reclaim") ||
+    execReason.includes("wick_reject") ||
+    execReason.includes("wick_flush_reclaim") ||
+    execReason.includes("wick_spike_reject") ||
+    execReason.includes("liquidity_snap_reversal");
+
+  const liquiditySnap = execReason.includes("liquidity_snap_reversal");
+  const wickDriven = execReason.includes("wick");
+  const flowPersists =
+    execReason.includes("flow_persists_long") ||
+    execReason.includes("flow_persists_short") ||
+    execReason.includes("flow_persists");
+
+  const pureBreakoutOnly =
+    execReason.includes("break_above_") ||
+    execReason.includes("break_below_");
+
+  const structuredBreakout =
+    execReason.includes("ignition_breakout") ||
+    execReason.includes("slow_leverage_squeeze") ||
+    execReason.includes("slow_short_breakdown");
+
+  const lean15m = String(t?.ctx?.lean15m || "").toLowerCase();
+  const lean1h = String(t?.ctx?.lean1h || "").toLowerCase();
+  const oi15 = asNum(t?.ctx?.oi15);
+  const oiAligned = lean15m === bias;
+  const oiNeutral =
+    lean15m === "neutral" ||
+    lean15m === "" ||
+    (Number.isFinite(oi15) && Math.abs(oi15) < CFG.shockOi15mPct);
+  const oiWeak = !oiAligned && !oiNeutral;
+  const oneHourAligned = lean1h === bias;
+  const counter1hLean = lean1h && lean1h !== "neutral" && !oneHourAligned;
+
+  const wickMeta = t?.ctx?.wickMeta || {};
+  const wickStrong = !!wickMeta?.strong;
+  const wickExtreme = !!wickMeta?.extreme;
+
+  const bottoming = t?.ctx?.bottoming || {};
+  const bottomingScore = asNum(bottoming?.score);
+  const strongBottoming =
+    !!bottoming?.triggered &&
+    Number.isFinite(bottomingScore) &&
+    bottomingScore >= CFG.bottoming.scoreMin;
+
+  const btcTapeState = String(t?.ctx?.btcTapeState || "neutral").toLowerCase();
+  const btcPrice5mPct = asNum(t?.ctx?.btc5mPrice5mPct);
+  const btcPrice15mPct = asNum(t?.ctx?.btc5mPrice15mPct);
+  const btcOi5mPct = asNum(t?.ctx?.btc5mOi5mPct);
+  const btcOi15mPct = asNum(t?.ctx?.btc5mOi15mPct);
+  const anomalyPattern = String(t?.ctx?.anomalyPattern || "").toLowerCase();
+  const anomalyOiPct = asNum(t?.ctx?.anomalyOiPct);
+
+  return {
+    mode,
+    bias,
+    execReason,
+    b1Strong,
+    reversalConfirmed,
+    liquiditySnap,
+    wickDriven,
+    flowPersists,
+    pureBreakoutOnly,
+    structuredBreakout,
+    lean15m,
+    lean1h,
+    oi15,
+    oiAligned,
+    oiNeutral,
+    oiWeak,
+    oneHourAligned,
+    counter1hLean,
+    wickStrong,
+    wickExtreme,
+    strongBottoming,
+    btcTapeState,
+    btcPrice5mPct,
+    btcPrice15mPct,
+    btcOi5mPct,
+    btcOi15mPct,
+    anomalyPattern,
+    anomalyOiPct,
+  };
+}
+
+function classifySelectorFamily(profile) {
+  const p = profile || {};
+  if (p.mode === "swing" && p.bias === "long" && p.liquiditySnap) return "swing_long_liquidity_snap";
+  if (p.mode === "swing" && p.bias === "long" && p.reversalConfirmed) return "swing_long_reversal";
+  if (p.mode === "swing" && p.bias === "long" && p.flowPersists) return "swing_long_flow_persists";
+  if (p.mode === "swing" && p.bias === "short" && p.flowPersists) return "swing_short_flow_persists";
+  if (p.mode === "swing" && p.bias === "short" && p.structuredBreakout) return "swing_short_continuation";
+  if (p.mode === "swing" && p.bias === "short" && p.reversalConfirmed) return "swing_short_reversal";
+  if (p.pureBreakoutOnly) return "pure_breakout_only";
+  if (p.structuredBreakout) return "structured_breakout";
+  return "generic";
+}
+
+function evaluateSelectorPolicy(t) {
+  const profile = getTradeProfile(t);
+  const family = classifySelectorFamily(profile);
+  const reasons = [];
+
+  if (profile.mode === "build" && profile.execReason === "build_b1_reversal_short") {
+    reasons.push("suppressed_build_b1_reversal_short");
+  }
+
+  if (profile.mode === "build" && profile.execReason === "build_flow_persists_long") {
+    reasons.push("suppressed_build_flow_persists_long");
+  }
+
+ if (profile.mode === "swing" && profile.bias === "short" && profile.reversalConfirmed) {
+  reasons.push("short_reversal_disabled");
+}
+
+  if (profile.pureBreakoutOnly) {
+    reasons.push("pure_breakout_only_disabled");
+  }
+
+  if (profile.mode === "swing" && profile.bias === "long" && profile.flowPersists && !profile.reversalConfirmed) {
+    // This family remains analytics-only while it is revalidated. Do not let the
+    // retired external aggregate accidentally become a path back to TG eligibility.
+    reasons.push("swing_long_flow_persists_demoted");
+    if (profile.btcTapeState === "long_hostile") reasons.push("flow_persists_long_btc_hostile");
+  }
+
+    const shortContinuationStyle =
+    profile.mode === "swing" &&
+    profile.bias === "short" &&
+    !profile.reversalConfirmed &&
+    (profile.flowPersists || profile.structuredBreakout || profile.pureBreakoutOnly);
+
+  if (shortContinuationStyle) {
+    if (!Number.isFinite(profile.anomalyOiPct)) {
+      reasons.push("short_continuation_needs_anomaly_oi");
+    } else if (profile.anomalyOiPct >= 0) {
+      reasons.push("short_continuation_needs_negative_anomaly_oi");
+    }
+  }
+
+  return {
+    allowed: reasons.length === 0,
+    family,
+    profile,
+    reasons,
+    reason: reasons.join("|"),
+  };
+}
+
+function getAnomalyPatternAdj(profile) {
+  const p = String(profile?.anomalyPattern || "").toLowerCase();
+  const side = String(profile?.bias || "").toLowerCase();
+  if (side === "short") {
+    if (p === "long_liq") return 0.4;
+    if (p === "short_build") return -0.35;
+    if (p === "long_build") return -0.2;
+    if (p === "short_squeeze") return 0.05;
+    return 0;
+  }
+
+  if (p === "long_liq") return 0.2;
+  if (p === "short_build") return -0.2;
+  if (p === "long_build") return -0.05;
+  if (p === "short_squeeze") return 0.05;
+  return 0;
+}
+
+function computeConfidenceBase(t) {
+  const p = getTradeProfile(t);
+
+  if (p.bias === "short" && p.flowPersists && p.strongBottoming) return "C";
+
+  if (p.mode === "swing" && p.bias === "long") {
+    if (p.liquiditySnap && p.b1Strong && p.oiAligned && p.oneHourAligned) return "A";
+    if (p.reversalConfirmed && p.b1Strong && p.oiAligned && (p.oneHourAligned || p.strongBottoming)) return "A";
+    if (p.liquiditySnap && (p.oiAligned || p.oneHourAligned)) return "B";
+    if (p.reversalConfirmed && !p.counter1hLean && (p.oiAligned || p.oneHourAligned || p.wickStrong)) return "B";
+    if ((p.flowPersists || p.structuredBreakout) && p.oiAligned && p.oneHourAligned) return "C";
+    if ((p.flowPersists || p.structuredBreakout) && (p.oiAligned || p.oneHourAligned)) return "C";
+    return "C";
+  }
+
+  if (p.mode === "swing" && p.bias === "short") {
+    if (p.reversalConfirmed) return "C";
+    if ((p.flowPersists || p.structuredBreakout) && p.oiAligned && p.oneHourAligned) return "B";
+    if ((p.flowPersists || p.structuredBreakout) && (p.oiAligned || p.oneHourAligned)) return "C";
+    return "C";
+  }
+
+  if (p.b1Strong && p.reversalConfirmed && p.oiAligned && p.oneHourAligned) return "A";
+  if (p.b1Strong && p.reversalConfirmed && (p.oiAligned || p.oneHourAligned)) return "B";
+  if ((p.flowPersists || p.structuredBreakout) && (p.oiAligned || p.oneHourAligned)) return "C";
+  return "C";
+}
+
+function confidenceScoreFromLabel(label) {
+  if (label === "A") return 3;
+  if (label === "B") return 2;
+  return 1;
+}
+
+function computeConfidence(t) {
+  const profile = getTradeProfile(t);
+  const selectorPolicy = evaluateSelectorPolicy(t);
+  const baseConfidence = computeConfidenceBase(t);
+  const baseScore = confidenceScoreFromLabel(baseConfidence);
+  // Legacy external aggregate intentionally retired. Keep the published field at
+  // zero for schema compatibility, while raw metrics remain in telemetry columns.
+  const extAdj = 0;
+  const anomalyPatternAdj = getAnomalyPatternAdj(profile);
+  const btcShortTfSignal = getBtcShortTfSignal(profile);
+
+  let adjustedScore = Number((baseScore + anomalyPatternAdj + btcShortTfSignal.confidenceAdj).toFixed(2));
+
+  if (profile.mode === "swing" && profile.bias === "long" && profile.liquiditySnap) {
+    adjustedScore += 0.5;
+  } else if (profile.mode === "swing" && profile.bias === "long" && profile.reversalConfirmed) {
+    adjustedScore += 0.25;
+  }
+
+  if (profile.mode === "swing" && profile.bias === "short" && profile.reversalConfirmed) {
+    adjustedScore -= 0.75;
+  }
+
+  if (profile.mode === "swing" && profile.bias === "short" && profile.flowPersists && profile.oiAligned && profile.oneHourAligned) {
+    adjustedScore += 0.25;
+  }
+
+  if (profile.pureBreakoutOnly) adjustedScore -= 0.5;
+  if (profile.bias === "long" && profile.btcTapeState === "long_hostile") adjustedScore -= 0.25;
+  if (profile.bias === "short" && profile.btcTapeState === "short_hostile") adjustedScore -= 0.25;
+
+  const shortContinuationStyle =
+    profile.mode === "swing" &&
+    profile.bias === "short" &&
+    !profile.reversalConfirmed &&
+    (profile.flowPersists || profile.structuredBreakout || profile.pureBreakoutOnly);
+
+  if (shortContinuationStyle && Number.isFinite(profile.anomalyOiPct) && profile.anomalyOiPct >= 0) {
+    adjustedScore -= 0.35;
+  }
+
+  if (profile.mode === "swing" && profile.bias === "long" && profile.flowPersists && !profile.reversalConfirmed) {
+    adjustedScore = Math.min(adjustedScore, 2.49);
+  }
+
+  if (profile.mode === "swing" && profile.bias === "short" && profile.reversalConfirmed) {
+    adjustedScore = Math.min(adjustedScore, 1.49);
+  }
+
+  if (profile.bias === "short" && profile.flowPersists && profile.strongBottoming) {
+    adjustedScore = Math.min(adjustedScore, 1.49);
+  }
+
+  if (!selectorPolicy.allowed) {
+    adjustedScore = Math.min(adjustedScore, 1.49);
+  }
+
+  const finalScore = Number(adjustedScore.toFixed(2));
+  const finalConfidence = confidenceLabelFromScore(finalScore);
+
+  return {
+    baseConfidence,
+    baseScore,
+    extAdj,
+    anomalyPatternAdj,
+    btcShortTfSignal,
+    finalScore,
+    finalConfidence,
+    externalBias: "neutral",
+    selectorFamily: selectorPolicy.family,
+    selectorAllowed: selectorPolicy.allowed,
+    selectorReason: selectorPolicy.reason,
+  };
+}
+
+function prettifyDecisionToken(value) {
+  return String(value || "")
+    .replace(/_/g, " ")
+    .replace(/\|/g, " + ")
+    .trim();
+}
+
+function describeSelectorFamily(family, profile) {
+  const f = String(family || "").toLowerCase();
+  if (f === "swing_long_liquidity_snap") return "liquidity snap long";
+  if (f === "swing_long_reversal") return "reversal long";
+  if (f === "swing_long_flow_persists") return "flow persists long";
+  if (f === "swing_short_flow_persists") return "flow persists short";
+  if (f === "swing_short_continuation") return "short continuation";
+  if (f === "swing_short_reversal") return "short reversal";
+  if (f === "pure_breakout_only") return "pure breakout only";
+  if (f === "structured_breakout") return "structured breakout";
+  if (profile?.bias === "long") return "long setup";
+  if (profile?.bias === "short") return "short setup";
+  return "setup";
+}
+
+function getModelDecisionLabel(confidenceMeta) {
+  if (confidenceMeta?.selectorAllowed === false) return "REJECTED";
+  const label = String(confidenceMeta?.finalConfidence || "").toUpperCase();
+  if (label === "A") return "PROMOTED";
+  if (label === "B") return "VALID";
+  return "CAPPED";
+}
+
+function buildModelDecisionReason(t, confidenceMeta) {
+  const profile = getTradeProfile(t);
+  if (confidenceMeta?.selectorAllowed === false && confidenceMeta?.selectorReason) {
+    return prettifyDecisionToken(confidenceMeta.selectorReason);
+  }
+
+  const parts = [];
+  parts.push(describeSelectorFamily(confidenceMeta?.selectorFamily, profile));
+
+  const anomalyAdj = Number(confidenceMeta?.anomalyPatternAdj || 0);
+  if (anomalyAdj > 0.1) parts.push("anomaly support");
+  else if (anomalyAdj < -0.1) parts.push("anomaly drag");
+
+  if (profile.oneHourAligned) parts.push("1h aligned");
+  else if (profile.counter1hLean) parts.push("counter 1h lean");
+
+  if (profile.mode === "swing" && profile.bias === "long" && profile.reversalConfirmed) {
+    parts.push("reversal confirmed");
+  }
+
+  const unique = [];
+  for (const part of parts) {
+    const text = String(part || "").trim();
+    if (!text || unique.includes(text)) continue;
+    unique.push(text);
+  }
+
+  return unique.slice(0, 3).join(" + ") || "base setup";
+}
+
+function sideSignedMove(value, side) {
+  const n = asNum(value);
+  if (!Number.isFinite(n)) return null;
+  return String(side || "").toLowerCase() === "short" ? -n : n;
+}
+
+function getBtcShortTfSignal(profile) {
+  if (!CFG.btcShortTf?.enabled) {
+    return { state: "off", label: "off", confidenceAdj: 0, reasons: [], cautions: [] };
+  }
+
+  const side = String(profile?.bias || "").toLowerCase();
+  if (side !== "long" && side !== "short") {
+    return { state: "neutral", label: "BTC short-TF neutral", confidenceAdj: 0, reasons: [], cautions: [] };
+  }
+
+  const p5 = sideSignedMove(profile?.btcPrice5mPct, side);
+  const p15 = sideSignedMove(profile?.btcPrice15mPct, side);
+  const min5 = Number(CFG.btcShortTf.price5mMinPct || 0);
+  const min15 = Number(CFG.btcShortTf.price15mMinPct || 0);
+  const reasons = [];
+  const cautions = [];
+
+  if (Number.isFinite(p15)) {
+    if (p15 >= min15) reasons.push("BTC 15m aligned");
+    else if (p15 <= -min15) cautions.push("BTC 15m hostile");
+  }
+
+  if (Number.isFinite(p5)) {
+    if (p5 >= min5) reasons.push("BTC 5m aligned");
+    else if (p5 <= -min5) cautions.push("BTC 5m hostile");
+  }
+
+  let state = "neutral";
+  let confidenceAdj = 0;
+
+  if (cautions.some((x) => x.includes("15m"))) {
+    state = "hostile";
+    confidenceAdj = -Math.abs(Number(CFG.btcShortTf.confidencePenalty || 0));
+  } else if (reasons.some((x) => x.includes("15m")) && cautions.length === 0) {
+    state = reasons.some((x) => x.includes("5m")) ? "strong_support" : "support";
+    confidenceAdj = Math.abs(Number(CFG.btcShortTf.confidenceBoost || 0));
+  } else if (cautions.length > 0) {
+    state = "minor_hostile";
+    confidenceAdj = -Math.abs(Number(CFG.btcShortTf.confidencePenalty || 0)) / 2;
+  } else if (reasons.length > 0) {
+    state = "minor_support";
+    confidenceAdj = Math.abs(Number(CFG.btcShortTf.confidenceBoost || 0)) / 2;
+  }
+
+  return {
+    state,
+    label: state.replace(/_/g, " "),
+    confidenceAdj: Number(confidenceAdj.toFixed(2)),
+    reasons,
+    cautions,
+  };
+}
+
+function computeTradeRead({ t, confidenceMeta, rrInfo }) {
+  const profile = getTradeProfile(t);
+  const btcShortTf = confidenceMeta?.btcShortTfSignal || getBtcShortTfSignal(profile);
+  const modelDecision = getModelDecisionLabel(confidenceMeta);
+  const positives = [];
+  const cautions = [];
+  let score = 0;
+
+  if (confidenceMeta?.selectorAllowed === false) {
+    return {
+      label: "WEAK",
+      emoji: "❌",
+      summary: "selector rejected",
+      positives: [],
+      cautions: [prettifyDecisionToken(confidenceMeta?.selectorReason || "selector rejected")],
+    };
+  }
+
+  if (modelDecision === "PROMOTED") score += 1;
+  else if (modelDecision === "VALID") score += 0.5;
+
+  if (profile.mode === "swing" && profile.bias === "long") {
+    if (profile.liquiditySnap) {
+      score += 2;
+      positives.push("liquidity snap reversal");
+    } else if (profile.reversalConfirmed) {
+      score += 1.5;
+      positives.push("reversal confirmed");
+    } else if (profile.flowPersists) {
+      score -= 0.5;
+      cautions.push("generic continuation");
+    }
+
+    if (profile.oneHourAligned) {
+      score += 1;
+      positives.push("1h aligned");
+    } else if (profile.counter1hLean) {
+      score -= 1;
+      cautions.push("counter 1h lean");
+    }
+  } else if (profile.mode === "swing" && profile.bias === "short") {
+    if (Number.isFinite(profile.anomalyOiPct) && profile.anomalyOiPct < 0) {
+      score += 2;
+      positives.push("negative anomaly OI");
+    } else {
+      score -= 2;
+      cautions.push("no negative anomaly OI");
+    }
+
+    if (profile.strongBottoming) {
+      score -= 2;
+      cautions.push("bottoming warning");
+    }
+
+    if (profile.oneHourAligned) {
+      score += 1;
+      positives.push("1h aligned");
+    } else if (profile.counter1hLean) {
+      score -= 1;
+      cautions.push("counter 1h lean");
+    }
+
+  }
+
+  if (btcShortTf.state === "strong_support") {
+    score += 1.5;
+    positives.push("BTC 5/15 aligned");
+  } else if (btcShortTf.state === "support") {
+    score += 1;
+    positives.push("BTC 15m aligned");
+  } else if (btcShortTf.state === "hostile") {
+    score -= 1.5;
+    cautions.push("BTC 15m hostile");
+  } else if (btcShortTf.state === "minor_hostile") {
+    score -= 0.75;
+    cautions.push("BTC 5m hostile");
+  }
+
+  let label = "MIXED";
+  let emoji = "⚠️";
+  if (score >= 4 && cautions.length <= 1) {
+    label = "GOOD";
+    emoji = "✅";
+  } else if (score <= 1 || cautions.length >= 3) {
+    label = "WEAK";
+    emoji = "❌";
+  }
+
+  return {
+    label,
+    emoji,
+    score: Number(score.toFixed(2)),
+    summary: positives.slice(0, 3).join(" + ") || "limited confirmed edge",
+    cautions: [...new Set(cautions)].slice(0, 3),
+  };
+}
+
+function tradeStamp(label, reason, profile) {
+  const cleanLabel = String(label || "").toUpperCase();
+  const emoji = cleanLabel === "PREMIUM" ? "✅" : "";
+  return { label: cleanLabel, emoji, reason, profile };
+}
+
+function premiumStamp(label, reason, profile) {
+  return tradeStamp(label, reason, profile);
+}
+
+function isSendableTradeStamp(recipeStamp) {
+  const label = String(recipeStamp?.label || "").toUpperCase();
+  return label === "PREMIUM";
+}
+
+// Premium or its shadow twin: both take the full manual-recipe path; only Premium is sendable.
+function isManualRecipeStamp(recipeStamp) {
+  const label = String(recipeStamp?.label || "").toUpperCase();
+  return label === "PREMIUM" || label === "SHADOW";
+}
+
+function isTruthyBoolean(value) {
+  return value === true || String(value).toLowerCase() === "true" || String(value) === "1";
+}
+
+function computeRecipeStamp({ t, confidenceMeta, entryAtoms = {} }) {
+  const mode = String(t?.mode || "").toLowerCase();
+  const bias = String(t?.bias || "").toLowerCase();
+  const execReason = String(t?.execReason || "").toLowerCase();
+  const liveRecipe = getLiveManualRecipe(execReason);
+
+  // Dedicated pooled-history recipes are complete routes. They intentionally do
+  // not depend on the legacy selector or execution families, but the exact
+  // approved predicate is rechecked here before granting Premium status.
+  if (
+    t?.analyticsOnly !== true &&
+    liveRecipe &&
+    liveRecipe.mode === mode &&
+    liveRecipe.side === bias &&
+    liveRecipe.matches(t)
+  ) {
+    return premiumStamp("PREMIUM", liveRecipe.id, liveRecipe.profile);
+  }
+
+  // Shadow recipes get the same predicate recheck but a SHADOW stamp, so they can never render to TG.
+  const shadowRecipe = t?.observationType === "shadow" ? getShadowManualRecipe(execReason) : null;
+  if (
+    shadowRecipe &&
+    shadowRecipe.mode === mode &&
+    shadowRecipe.side === bias &&
+    shadowRecipe.matches(t)
+  ) {
+    return tradeStamp("SHADOW", shadowRecipe.id, shadowRecipe.profile);
+  }
+
+  if (confidenceMeta?.selectorAllowed === false) {
+    return { label: "", emoji: "", reason: "selector_rejected", profile: "" };
+  }
+
+  // Manual TG stance: Scalp/Swing only. Build is research-only.
+  if (mode === "build") {
+    return { label: "", emoji: "", reason: "build_manual_research_only", profile: "" };
+  }
+
+  // The former V9 Swing Short continuation route is intentionally demoted to
+  // analytics-only. No legacy route can grant Premium status in V10.
+  return { label: "", emoji: "", reason: "no_validated_manual_recipe", profile: "" };
+}
+
+const BLOCKED_PROMOTION_CANDIDATE_STAMPS = new Set([
+  "suppressed_scalp_long_breadth_spotperp_washout",
+  "suppressed_scalp_short_btc_oi_relative_lag",
+  "suppressed_swing_long_liquidity_snap_revalidation",
+  "suppressed_swing_long_flow_persists_long",
+  "suppressed_swing_long_ignition_breakout_long",
+  "suppressed_swing_long_btc_oi_compression_long",
+  "candidate_swing_short_anom_oi_negative_btc15_negative",
+]);
+
+function addCandidateStamp(stamps, label, reason, profile) {
+  const promotionBlocked = BLOCKED_PROMOTION_CANDIDATE_STAMPS.has(label);
+  stamps.push({
+    label,
+    reason: promotionBlocked ? `promotion_blocked:${reason}` : reason,
+    profile: promotionBlocked ? `Blocked: ${profile}` : profile,
+    promotionBlocked,
+  });
+}
+
+function computeCandidateStamps({ t, confidenceMeta, entryAtoms = {} }) {
+  const stamps = [];
+  const mode = String(t?.mode || "").toLowerCase();
+  const bias = String(t?.bias || "").toLowerCase();
+
+  // Candidate stamps are analytics-only. They must not grant TG/Premium eligibility.
+  if (mode === "build") return stamps;
+
+  const anomalyOiPct = asNum(t?.ctx?.anomalyOiPct);
+  const anomalyPricePct = asNum(t?.ctx?.anomalyPricePct);
+  const anomalyBasketOiPct = asNum(t?.ctx?.anomalyBasketOiPct);
+  const anomalyPattern = String(t?.ctx?.anomalyPattern || "").toLowerCase();
+  const anomalyScore = asNum(t?.ctx?.anomalyScore);
+  const anomalyRank = asNum(t?.ctx?.anomalyRank);
+  const anomalyFundingRate = asNum(t?.ctx?.anomalyFundingRate);
+  const anomalyOiTrendDeviation = asNum(t?.ctx?.anomalyOiTrendDeviation);
+  const anomalyFundingDeviationBps = asNum(t?.ctx?.anomalyFundingDeviationBps);
+  const anomalyPriceDeviation = asNum(t?.ctx?.anomalyPriceDeviation);
+  const coinDayPct = asNum(t?.ctx?.coinDayPct);
+  const vixDayPct = asNum(t?.ctx?.vixDayPct);
+  const dxyDayPct = asNum(t?.ctx?.dxyDayPct);
+  const spxDayPct = asNum(t?.ctx?.spxDayPct);
+  const btc15mPct = asNum(t?.ctx?.btc5mPrice15mPct);
+  const btcFunding30mAvg = asNum(t?.ctx?.btc5mFunding30mAvg);
+  const btcShortTfState = String(confidenceMeta?.btcShortTfSignal?.state || "neutral").toLowerCase();
+  const symbolVsBtc15mPct = asNum(t?.ctx?.symbolVsBtc15mPct);
+  const symbolVsBtc1hPct = asNum(t?.ctx?.symbolVsBtc1hPct);
+  const symbolVsEth15mPct = asNum(t?.ctx?.symbolVsEth15mPct);
+  const symbolVsEth1hPct = asNum(t?.ctx?.symbolVsEth1hPct);
+  const cryptoBreadth15mPct = asNum(t?.ctx?.cryptoBreadth15mPct);
+  const cryptoBreadth1hPct = asNum(t?.ctx?.cryptoBreadth1hPct);
+  const spotVsPerp15mPct = asNum(t?.ctx?.spotVsPerp15mPct);
+  const spotVsPerp1hPct = asNum(t?.ctx?.spotVsPerp1hPct);
+  const bookImbalance20 = asNum(t?.ctx?.bookImbalance20);
+  const spreadBps = asNum(t?.ctx?.spreadBps);
+  const btcOi15mPct = asNum(t?.ctx?.btc5mOi15mPct);
+  const btcOi30mPct = asNum(t?.ctx?.btc5mOi30mPct);
+  const btcPrice5mPct = asNum(t?.ctx?.btc5mPrice5mPct);
+  const btcPrice15mPct = asNum(t?.ctx?.btc5mPrice15mPct);
+  const btcPrice60mPct = asNum(t?.ctx?.btc5mPrice60mPct);
+  const btcOi60mPct = asNum(t?.ctx?.btc5mOi60mPct);
+  const anomalyPriceOiGap = asNum(t?.ctx?.anomalyPriceOiGap);
+  const marketStructureOk = isTruthyBoolean(t?.ctx?.marketStructureOk);
+  const lean1h = String(t?.ctx?.lean1h || "").toLowerCase();
+  const entryAtomP5 = asNum(entryAtoms?.entry_atom_p5);
+  const inLowBand = isTruthyBoolean(entryAtoms?.entry_atom_in_low_band);
+  const inHighBand = isTruthyBoolean(entryAtoms?.entry_atom_in_high_band);
+
+  // Demoted July 2026 Scalp routes. Preserve exact qualification as blocked,
+  // analytics-only stamps so forward evidence continues without Telegram noise.
+  if (
+    mode === "scalp" &&
+    bias === "long" &&
+    Number.isFinite(cryptoBreadth1hPct) &&
+    cryptoBreadth1hPct <= 10 &&
+    Number.isFinite(spotVsPerp1hPct) &&
+    spotVsPerp1hPct <= -0.02
+  ) {
+    addCandidateStamp(
+      stamps,
+      "suppressed_scalp_long_breadth_spotperp_washout",
+      "former live Scalp Long; breadth 1h <= 10%; spot/perp 1h <= -0.02%",
+      "Scalp Long: demoted breadth washout + spot/perp divergence"
+    );
+  }
+
+  if (
+    mode === "scalp" &&
+    bias === "short" &&
+    Number.isFinite(btcOi15mPct) &&
+    btcOi15mPct >= 0.02 &&
+    btcOi15mPct <= 0.13 &&
+    Number.isFinite(symbolVsBtc15mPct) &&
+    symbolVsBtc15mPct >= -0.11 &&
+    symbolVsBtc15mPct <= -0.02
+  ) {
+    addCandidateStamp(
+      stamps,
+      "suppressed_scalp_short_btc_oi_relative_lag",
+      "former live Scalp Short; BTC OI 15m 0.02% to 0.13%; symbol vs BTC 15m -0.11% to -0.02%",
+      "Scalp Short: demoted moderate BTC OI rise + BTC-relative lag"
+    );
+  }
+
+  // Pooled-side, horizon-aligned candidates. These remain analytics-only and
+  // use only fields already available before entry in the live candidate context.
+  const ethVsBtc15mLag =
+    Number.isFinite(symbolVsBtc15mPct) && Number.isFinite(symbolVsEth15mPct)
+      ? symbolVsBtc15mPct - symbolVsEth15mPct
+      : null;
+
+  if (
+    mode === "scalp" &&
+    bias === "long" &&
+    Number.isFinite(anomalyScore) &&
+    anomalyScore >= 1.30 &&
+    Number.isFinite(ethVsBtc15mLag) &&
+    ethVsBtc15mLag <= -0.04 &&
+    Number.isFinite(btcPrice5mPct) &&
+    btcPrice5mPct >= 0
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_scalp_long_ethbtc_lag_anomaly_rebound",
+      "scalp long; anomaly score >= 1.30; symbol-vs-BTC minus symbol-vs-ETH 15m <= -0.04%; BTC 5m price >= 0%",
+      "Scalp Long: ETH/BTC lag anomaly rebound"
+    );
+  }
+
+  if (
+    mode === "scalp" &&
+    bias === "short" &&
+    Number.isFinite(entryAtomP5) &&
+    entryAtomP5 >= 0.20 &&
+    Number.isFinite(anomalyPriceDeviation) &&
+    anomalyPriceDeviation >= 0.14 &&
+    Number.isFinite(anomalyFundingDeviationBps) &&
+    anomalyFundingDeviationBps <= 0.67
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_scalp_short_reversal_pressure_fade",
+      "scalp short; entry 5m price atom >= 0.20%; anomaly price deviation >= 0.14; anomaly funding deviation <= 0.67 bps",
+      "Scalp Short: reversal pressure fade"
+    );
+  }
+
+  const btcShortTfRebound =
+    Number.isFinite(btcPrice5mPct) && Number.isFinite(btcPrice15mPct)
+      ? btcPrice5mPct - btcPrice15mPct / 3
+      : null;
+
+  if (
+    mode === "swing" &&
+    bias === "long" &&
+    Number.isFinite(cryptoBreadth1hPct) &&
+    cryptoBreadth1hPct <= 25 &&
+    Number.isFinite(btcShortTfRebound) &&
+    btcShortTfRebound >= 0.04 &&
+    lean1h === "short"
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_long_breadth_washout_btc_rebound",
+      "swing long; breadth 1h <= 25%; BTC 5m minus one-third BTC 15m price >= 0.04%; 1h lean short",
+      "Swing Long: breadth washout + BTC rebound"
+    );
+  }
+
+  const quietAnomalyPressure =
+    Number.isFinite(anomalyPriceOiGap) && Number.isFinite(anomalyOiTrendDeviation)
+      ? anomalyPriceOiGap + anomalyOiTrendDeviation
+      : null;
+
+  if (
+    mode === "swing" &&
+    bias === "long" &&
+    Number.isFinite(btcPrice60mPct) &&
+    btcPrice60mPct <= -0.25 &&
+    Number.isFinite(quietAnomalyPressure) &&
+    quietAnomalyPressure <= 0.31
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_long_btc_washout_quiet_anomaly_pressure",
+      "swing long; BTC 60m price <= -0.25%; anomaly price/OI gap plus OI-trend deviation <= 0.31",
+      "Swing Long: BTC washout + quiet anomaly pressure"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    Number.isFinite(cryptoBreadth1hPct) &&
+    cryptoBreadth1hPct >= 60 &&
+    Number.isFinite(anomalyFundingDeviationBps) &&
+    anomalyFundingDeviationBps <= 0.13
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_broad_risk_on_low_funding_dispersion",
+      "swing short; breadth 1h >= 60%; anomaly funding deviation <= 0.13 bps",
+      "Swing Short: broad risk-on + low funding dispersion"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "long" &&
+    String(t?.execReason || "").toLowerCase() === "swing_liquidity_snap_reversal_long"
+  ) {
+    addCandidateStamp(
+      stamps,
+      "suppressed_swing_long_liquidity_snap_revalidation",
+      "former TG Premium; keep analytics only pending entry-quality revalidation",
+      "Swing Long liquidity-snap revalidation"
+    );
+  }
+
+  if (mode === "swing" && bias === "long" && String(t?.execReason || "").toLowerCase() === "swing_flow_persists_long") {
+    addCandidateStamp(
+      stamps,
+      "suppressed_swing_long_flow_persists_long",
+      "suppressed weak swing long continuation; keep analytics only",
+      "Suppressed: Swing Long flow persists long"
+    );
+  }
+
+  if (mode === "swing" && bias === "long" && String(t?.execReason || "").toLowerCase() === "swing_ignition_breakout_long") {
+    addCandidateStamp(
+      stamps,
+      "suppressed_swing_long_ignition_breakout_long",
+      "suppressed weak swing long breakout; keep analytics only",
+      "Suppressed: Swing Long ignition breakout long"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    Number.isFinite(coinDayPct) &&
+    coinDayPct <= -4.8 &&
+    Number.isFinite(spxDayPct) &&
+    spxDayPct <= 0
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_macro_riskoff_coin_crash_spx_weak",
+      "swing short; COIN day <= -4.8%; SPX day <= 0",
+      "Swing Short: macro risk-off + coin crash"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    Number.isFinite(coinDayPct) &&
+    coinDayPct <= -4.8 &&
+    Number.isFinite(spxDayPct) &&
+    spxDayPct <= 0 &&
+    Number.isFinite(dxyDayPct) &&
+    dxyDayPct >= -0.05
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_macro_riskoff_coin_crash_spx_weak_dxy_firm",
+      "swing short; COIN day <= -4.8%; SPX day <= 0; DXY day >= -0.05%",
+      "Swing Short: macro risk-off + firm DXY"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "long" &&
+    Number.isFinite(anomalyBasketOiPct) &&
+    anomalyBasketOiPct >= 0.15
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_long_basket_oi_accumulation",
+      "swing long; anomaly basket OI >= 0.15%",
+      "Swing Long: basket OI accumulation"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "long" &&
+    Number.isFinite(anomalyBasketOiPct) &&
+    anomalyBasketOiPct >= 0.15 &&
+    anomalyPattern === "mixed"
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_long_basket_oi_accumulation_mixed_anomaly",
+      "swing long; anomaly basket OI >= 0.15%; anomaly pattern mixed",
+      "Swing Long: basket OI accumulation + mixed anomaly"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "long" &&
+    Number.isFinite(vixDayPct) &&
+    vixDayPct >= 6.8 &&
+    Number.isFinite(btcFunding30mAvg) &&
+    btcFunding30mAvg <= 0.000005
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_long_vix_stress_low_btc_funding_relief",
+      "swing long; VIX day >= 6.8%; BTC 30m funding avg <= 0.000005",
+      "Swing Long: VIX stress + low BTC funding relief"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "long" &&
+    Number.isFinite(btc15mPct) &&
+    btc15mPct <= -0.25 &&
+    Number.isFinite(cryptoBreadth15mPct) &&
+    cryptoBreadth15mPct <= 0
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_long_btc15_breadth_washout_relief",
+      "swing long; BTC15 <= -0.25%; crypto breadth 15m <= 0%",
+      "Swing Long: BTC15/breadth washout relief"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "long" &&
+    Number.isFinite(btc15mPct) &&
+    btc15mPct <= -0.25 &&
+    Number.isFinite(cryptoBreadth15mPct) &&
+    cryptoBreadth15mPct <= 0 &&
+    Number.isFinite(anomalyBasketOiPct) &&
+    anomalyBasketOiPct >= 0.15
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_long_btc15_breadth_washout_basket_oi_rebound",
+      "swing long; BTC15 <= -0.25%; crypto breadth 15m <= 0%; anomaly basket OI >= 0.15%",
+      "Swing Long: BTC/breadth washout + basket OI rebound"
+    );
+  }
+
+  if (
+    mode === "scalp" &&
+    bias === "short" &&
+    Number.isFinite(anomalyOiTrendDeviation) &&
+    anomalyOiTrendDeviation >= 0.63 &&
+    Number.isFinite(anomalyPricePct) &&
+    anomalyPricePct >= 0.5 &&
+    Number.isFinite(anomalyRank) &&
+    anomalyRank <= 7
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_scalp_short_ranked_price_oi_trend_pressure",
+      "scalp short; anomaly OI trend deviation >= 0.63; anomaly price >= 0.5%; anomaly rank <= 7",
+      "Scalp Short: ranked price/OI trend pressure"
+    );
+  }
+
+  if (
+    mode === "scalp" &&
+    bias === "long" &&
+    Number.isFinite(anomalyPriceOiGap) &&
+    anomalyPriceOiGap >= 1.0
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_scalp_long_anomaly_price_oi_gap_impulse",
+      "scalp long; anomaly price/OI gap >= 1.0",
+      "Scalp Long: price/OI gap impulse"
+    );
+  }
+
+  if (
+    mode === "scalp" &&
+    bias === "long" &&
+    Number.isFinite(btcOi15mPct) &&
+    btcOi15mPct <= -0.155 &&
+    Number.isFinite(symbolVsBtc15mPct) &&
+    symbolVsBtc15mPct <= -0.335
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_scalp_long_btc_oi_flush_relative_weakness_bounce",
+      "scalp long; BTC OI 15m <= -0.155%; symbol <= -0.335% vs BTC over 15m",
+      "Scalp Long: BTC OI flush + relative weakness bounce"
+    );
+  }
+
+  const scalpShortAnomalyClean =
+    mode === "scalp" &&
+    bias === "short" &&
+    Number.isFinite(anomalyScore) &&
+    anomalyScore >= 1.2 &&
+    (!Number.isFinite(coinDayPct) || coinDayPct <= 1.0) &&
+    btcShortTfState !== "hostile" &&
+    btcShortTfState !== "minor_hostile";
+
+  if (scalpShortAnomalyClean) {
+    addCandidateStamp(
+      stamps,
+      "candidate_scalp_short_anomaly_pressure_coin_not_hot_btc_no_hostile_no_minor_hostile",
+      "scalp short anomaly pressure; coin not hot; BTC short-TF clean",
+      "Scalp Short: strict anomaly pressure"
+    );
+  }
+
+  if (scalpShortAnomalyClean && Number.isFinite(symbolVsBtc15mPct) && symbolVsBtc15mPct >= 0.20) {
+    addCandidateStamp(
+      stamps,
+      "candidate_scalp_short_anomaly_clean_rsb15_overextended",
+      "scalp short anomaly pressure; BTC short-TF clean; symbol >= 0.20% vs BTC over 15m",
+      "Scalp Short: anomaly + BTC-relative overextension"
+    );
+  }
+
+  if (
+    scalpShortAnomalyClean &&
+    inLowBand &&
+    Number.isFinite(anomalyPriceOiGap) &&
+    anomalyPriceOiGap >= 0.51
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_scalp_short_anomaly_clean_low_band_gap",
+      "scalp short anomaly pressure; BTC short-TF clean; low-band entry; anomaly price/OI gap >= 0.51",
+      "Scalp Short: anomaly + low-band gap"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "long" &&
+    Number.isFinite(btcOi60mPct) &&
+    btcOi60mPct <= -1 &&
+    Number.isFinite(btcOi30mPct) &&
+    btcOi30mPct <= -0.5
+  ) {
+    addCandidateStamp(
+      stamps,
+      "suppressed_swing_long_btc_oi_compression_long",
+      "suppressed weak swing long; BTC OI 60m <= -1 and BTC OI 30m <= -0.5",
+      "Swing Long BTC OI compression"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    Number.isFinite(anomalyRank) &&
+    anomalyRank <= 7 &&
+    Number.isFinite(anomalyFundingRate) &&
+    anomalyFundingRate >= 0.00008
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_ranked_anomaly_hot_funding",
+      "swing short; anomaly rank <= 7; anomaly funding rate >= 0.00008",
+      "Swing Short: ranked anomaly + hot funding"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    Number.isFinite(anomalyFundingRate) &&
+    anomalyFundingRate >= 0.00008 &&
+    Number.isFinite(anomalyPricePct) &&
+    anomalyPricePct <= -0.15
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_hot_funding_price_down",
+      "swing short; anomaly funding rate >= 0.00008; anomaly price <= -0.15%",
+      "Candidate: Swing Short hot funding + anomaly price down"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    Number.isFinite(btcFunding30mAvg) &&
+    btcFunding30mAvg >= 0.000024
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_btc_funding_high",
+      "swing short; BTC 30m average funding >= 0.000024",
+      "Candidate: Swing Short high BTC funding"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    Number.isFinite(anomalyRank) &&
+    anomalyRank <= 7 &&
+    Number.isFinite(anomalyFundingRate) &&
+    anomalyFundingRate >= 0.00008 &&
+    btcShortTfState === "hostile"
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_ranked_anomaly_hot_funding_btc_hostile",
+      "swing short; anomaly rank <= 7; anomaly funding rate >= 0.00008; BTC short-TF hostile",
+      "Swing Short: ranked anomaly + hot funding + BTC hostile"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    Number.isFinite(symbolVsEth1hPct) &&
+    symbolVsEth1hPct <= -0.25 &&
+    Number.isFinite(cryptoBreadth1hPct) &&
+    cryptoBreadth1hPct >= 80
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_eth1h_weak_breadth1h_strong",
+      "swing short; symbol <= -0.25% vs ETH over 1h; crypto breadth 1h >= 80%",
+      "Swing Short: ETH-relative weakness in strong breadth"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    Number.isFinite(symbolVsEth1hPct) &&
+    symbolVsEth1hPct <= -0.25 &&
+    Number.isFinite(spotVsPerp1hPct) &&
+    spotVsPerp1hPct >= 0.0277
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_eth1h_weak_spotperp_high",
+      "swing short; symbol <= -0.25% vs ETH over 1h; spot/perp 1h >= 0.0277",
+      "Swing Short: ETH-relative weakness + spot/perp support"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    Number.isFinite(anomalyOiPct) &&
+    anomalyOiPct < 0 &&
+    Number.isFinite(btc15mPct) &&
+    btc15mPct < 0
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_anom_oi_negative_btc15_negative",
+      "swing short; anomaly OI negative; BTC15 negative",
+      "Swing Short: OI unwind + BTC15 down"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    inHighBand &&
+    Number.isFinite(anomalyOiPct) &&
+    anomalyOiPct < 0 &&
+    Number.isFinite(btc15mPct) &&
+    btc15mPct < 0
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_high_band_anom_oi_negative_btc15_negative",
+      "swing short; high-band entry; anomaly OI negative; BTC15 negative",
+      "Swing Short: high-band OI unwind"
+    );
+  }
+
+  if (
+    mode === "swing" &&
+    bias === "short" &&
+    inHighBand &&
+    Number.isFinite(anomalyOiPct) &&
+    anomalyOiPct < 0 &&
+    Number.isFinite(btc15mPct) &&
+    btc15mPct < 0
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_swing_short_high_band_oi_unwind_btc15_down",
+      "swing short; high-band entry; anomaly OI negative; BTC15 negative",
+      "Swing Short: high-band OI unwind + BTC15 down"
+    );
+  }
+
+  if (
+    mode === "scalp" &&
+    bias === "short" &&
+    Number.isFinite(btcFunding30mAvg) &&
+    btcFunding30mAvg >= 0.00003 &&
+    Number.isFinite(btcOi30mPct) &&
+    btcOi30mPct >= -0.01
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_scalp_short_btc_funding_high_flat_oi",
+      "scalp short; BTC 30m average funding >= 0.00003; BTC 30m OI >= -0.01%",
+      "Candidate: Scalp Short high BTC funding + flat-to-rising BTC OI"
+    );
+  }
+
+  if (
+    mode === "scalp" &&
+    bias === "short" &&
+    Number.isFinite(btcOi60mPct) &&
+    btcOi60mPct <= -1 &&
+    Number.isFinite(btcOi30mPct) &&
+    btcOi30mPct <= -0.5
+  ) {
+    addCandidateStamp(
+      stamps,
+      "candidate_scalp_short_btc_oi_compression_overlay",
+      "scalp short; BTC OI 60m <= -1 and BTC OI 30m <= -0.5",
+      "Scalp Short: BTC OI compression overlay"
+    );
+  }
+
+  return stamps;
+}
+
+function getEntryAtoms(t = {}) {
+  const detail = t?.execDetail || t?.ctx?.execDetail || {};
+  const rawItem = t?._rawItem || {};
+  const levels = t?.levels || {};
+  const mode = String(t?.mode || "").toLowerCase();
+  const bias = String(t?.bias || "").toLowerCase();
+  const price = asNum(t?.price);
+
+  const l1h = levels?.["1h"];
+  const hi1h = asNum(l1h?.hi);
+  const lo1h = asNum(l1h?.lo);
+
+  const contTf = continuationTfForMode(mode);
+  const contLvl = levels?.[contTf];
+  const contHi = asNum(detail?.contHi ?? contLvl?.hi);
+  const contLo = asNum(detail?.contLo ?? contLvl?.lo);
+
+  const p5 = asNum(detail?.p5 ?? rawItem?.deltas?.["5m"]?.price_change_pct);
+  const wickMeta = t?.ctx?.wickMeta || {};
+
+  let reversalMin = CFG.swingReversalMin5mMovePct;
+  const dpsBias = String(t?.ctx?.dps?.bias || "neutral").toLowerCase();
+  if (dpsBias === bias) reversalMin *= CFG.dps.favoredReversalMult;
+
+  let inLowBand = "";
+  let inHighBand = "";
+  if (
+    Number.isFinite(price) &&
+    Number.isFinite(hi1h) &&
+    Number.isFinite(lo1h) &&
+    hi1h > lo1h
+  ) {
+    const edge = CFG.strongEdgePct1h * (hi1h - lo1h);
+    inLowBand = price <= lo1h + edge;
+    inHighBand = price >= hi1h - edge;
+  }
+
+  const numOrBlank = (v) => {
+    const n = asNum(v);
+    return Number.isFinite(n) ? n : "";
+  };
+
+  const boolOrBlank = (v) => (typeof v === "boolean" ? v : "");
+
+  const matchedTfs = Array.isArray(detail?.matchedTfs) ? detail.matchedTfs : [];
+
+  return {
+    entry_atom_cont_tf: contTf || "",
+    entry_atom_hi_1h: numOrBlank(hi1h),
+    entry_atom_lo_1h: numOrBlank(lo1h),
+    entry_atom_cont_hi: numOrBlank(contHi),
+    entry_atom_cont_lo: numOrBlank(contLo),
+    entry_atom_p5: numOrBlank(p5),
+    entry_atom_reversal_min_pct: numOrBlank(reversalMin),
+    entry_atom_in_low_band: boolOrBlank(inLowBand),
+    entry_atom_in_high_band: boolOrBlank(inHighBand),
+    entry_atom_matched_tfs: matchedTfs.join(","),
+    entry_atom_match_count: numOrBlank(detail?.matchCount),
+    entry_atom_recent_low: numOrBlank(detail?.recentLow),
+    entry_atom_recent_high: numOrBlank(detail?.recentHigh),
+    entry_atom_reclaim_pct: numOrBlank(detail?.reclaimPct),
+    entry_atom_body_now_pct: numOrBlank(detail?.bodyNow),
+    entry_atom_avg_body_pct: numOrBlank(detail?.avgBody),
+    entry_atom_oi_rise_count: numOrBlank(detail?.oiRiseCount),
+    entry_atom_price_pct: numOrBlank(detail?.pricePct),
+    entry_atom_funding_rate: numOrBlank(detail?.fundingRate ?? detail?.funding),
+    entry_atom_wick_pct: numOrBlank(wickMeta?.wickPct),
+    entry_atom_wick_quality_score: numOrBlank(wickMeta?.qualityScore),
+    entry_atom_wick_strong: boolOrBlank(wickMeta?.strong),
+    entry_atom_wick_extreme: boolOrBlank(wickMeta?.extreme),
+  };
+}
+
+module.exports = {
+  getTradeProfile,
+  evaluateSelectorPolicy,
+  computeConfidence,
+  getBtcShortTfSignal,
+  computeTradeRead,
+  isSendableTradeStamp,
+  isManualRecipeStamp,
+  computeRecipeStamp,
+  computeCandidateStamps,
+  getEntryAtoms,
+};
@@ -0,0 +1,140 @@
+// /lib/alert/state.js
+// Run state reader for the alert engine plus the series5m-derived level / point helpers that read through it.
+// CommonJS because api/alert.js requires it.
+
+const { loadOpenExposure } = require("../exposure.js");
+const { CFG, asNum, safeJsonParse } = require("./config.js");
+
+// ---- Run state reader ----
+// evaluateRun reads stored state only through this object and never writes through it:
+//   get(key)               raw Redis GET (rejects like redis.get; callers decide on .catch)
+//   seriesTail(instId, n)  last n series5m points, oldest first
+//   openExposure()         open alerts for the exposure guard (lib/exposure.js)
+//   mutedSymbols           Map symbol -> muted-until ms (lib/mutes.js)
+//   externalTelemetry      capture-only macro telemetry snapshot (lib/alert/telemetry.js)
+// A backtester or bot can hand evaluateRun any object of this shape.
+//
+// series5m doesn't change during a run (multi appended this bucket before alert reads), so every helper reads
+// through one tail per instId. One reader per run; prefetchSeries loads every symbol in one pipeline.
+function createRedisState(redis, { mutedSymbols = new Map(), externalTelemetry = null } = {}) {
+  const seriesCache = new Map(); // instId -> { n, points }
+  const seriesCacheStats = { hits: 0, misses: 0, prefetched: 0 };
+
+  function cacheSeriesTail(instId, n, raw) {
+    const points = (raw || []).map(safeJsonParse).filter(Boolean);
+    seriesCache.set(instId, { n, points });
+    return points;
+  }
+
+  return {
+    mutedSymbols,
+    externalTelemetry,
+    seriesCacheStats,
+
+    get(key) {
+      return redis.get(key);
+    },
+
+    async prefetchSeries(instIds) {
+      const n = CFG.seriesCachePoints;
+      const ids = [...new Set(instIds.filter(Boolean))].filter((id) => !seriesCache.has(id));
+      if (!ids.length) return;
+      const pipe = redis.pipeline();
+      for (const id of ids) pipe.lrange(CFG.keys.series5m(id), -n, -1);
+      const raws = await pipe.exec();
+      ids.forEach((id, i) => cacheSeriesTail(id, n, raws?.[i]));
+      seriesCacheStats.prefetched += ids.length;
+    },
+
+    // Served from the cache when it holds enough.
+    async seriesTail(instId, n) {
+      const want = Math.max(1, n);
+      const cached = seriesCache.get(instId);
+      // A cached tail shorter than what was asked for is the whole list.
+      if (cached && (cached.n >= want || cached.points.length < cached.n)) {
+        seriesCacheStats.hits += 1;
+        return cached.points.slice(-want);
+      }
+      seriesCacheStats.misses += 1;
+      const fetchN = Math.max(want, CFG.seriesCachePoints);
+      const points = cacheSeriesTail(instId, fetchN, await redis.lrange(CFG.keys.series5m(instId), -fetchN, -1));
+      return points.slice(-want);
+    },
+
+    openExposure() {
+      return loadOpenExposure(redis, { lastFiredAlert: CFG.keys.lastFiredAlert });
+    },
+  };
+}
+
+async function getPrevClosePair(state, instId) {
+  const pts = await state.seriesTail(instId, 3);
+  const closes = pts.map(p => asNum(p?.p)).filter(x => x != null);
+  if (closes.length < 2) return null;
+  return { prev: closes[closes.length - 2], last: closes[closes.length - 1] };
+}
+
+async function computeLevelsFromSeries(state, instId) {
+  const need = Math.max(...Object.values(CFG.levelWindows));
+  const pts = await state.seriesTail(instId, need);
+  const out = {};
+
+  for (const [label, n] of Object.entries(CFG.levelWindows)) {
+    if (pts.length < n) {
+      out[label] = { warmup: true };
+      continue;
+    }
+
+        const highs = pts
+      .slice(-n)
+      .map((p) => asNum(p?.h ?? p?.p))
+      .filter((x) => x != null);
+
+    const lows = pts
+      .slice(-n)
+      .map((p) => asNum(p?.l ?? p?.p))
+      .filter((x) => x != null);
+
+    if (!highs.length || !lows.length) {
+      out[label] = { warmup: true };
+      continue;
+    }
+
+    const hi = Math.max(...highs);
+    const lo = Math.min(...lows);
+    out[label] = {
+      warmup: false,
+      hi,
+      lo,
+      mid: (hi + lo) / 2,
+    };
+  }
+
+  return out;
+}
+
+async function getRecentSeriesPoints(state, instId, n) {
+  return state.seriesTail(instId, n);
+}
+
+function btcInstIdFromSymbol(symbol = "BTCUSDT") {
+  const sym = String(symbol || "BTCUSDT").toUpperCase();
+  if (sym.endsWith("USDT") && sym.length > 4) {
+    return `${sym.slice(0, -4)}-USDT-SWAP`;
+  }
+  return "BTC-USDT-SWAP";
+}
+
+function pctChangeFromValues(first, last) {
+  if (!Number.isFinite(first) || !Number.isFinite(last) || first <= 0) return null;
+  return ((last - first) / first) * 100;
+}
+
+module.exports = {
+  createRedisState,
+  getPrevClosePair,
+  computeLevelsFromSeries,
+  getRecentSeriesPoints,
+  btcInstIdFromSymbol,
+  pctChangeFromValues,
+};
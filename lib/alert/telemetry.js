@@ -0,0 +1,267 @@
+// /lib/alert/telemetry.js
+// Capture-only external macro telemetry (COIN / VIX / DXY / QQQ / SPX / US2Y), cached in Redis between runs.
+// The handler loads it before evaluateRun and passes the snapshot in on the run state.
+// CommonJS because api/alert.js requires it.
+
+const { CFG, safeJsonParse } = require("./config.js");
+
+async function fetchWithTimeout(url, timeoutMs = 2500) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, {
+      headers: {
+        "Cache-Control": "no-store",
+        Accept: "application/json,text/csv,text/xml,application/xml,text/plain;q=0.9,*/*;q=0.8",
+      },
+      signal: controller.signal,
+    });
+    if (!response.ok) throw new Error(`http_${response.status}`);
+    return response;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchTextWithTimeout(url, timeoutMs = 2500) {
+  const response = await fetchWithTimeout(url, timeoutMs);
+  return response.text();
+}
+
+async function fetchJsonWithTimeout(url, timeoutMs = 2500) {
+  const response = await fetchWithTimeout(url, timeoutMs);
+  return response.json();
+}
+
+function computePctChange(current, previous) {
+  if (!Number.isFinite(current) || !Number.isFinite(previous) || previous === 0) return null;
+  return ((current - previous) / previous) * 100;
+}
+
+function parseYahooChartDayPct(payload) {
+  const result = payload?.chart?.result?.[0];
+  const quote = result?.indicators?.quote?.[0] || {};
+  const opens = Array.isArray(quote?.open) ? quote.open : [];
+  const closes = Array.isArray(quote?.close) ? quote.close : [];
+
+  for (let i = Math.min(opens.length, closes.length) - 1; i >= 0; i -= 1) {
+    const openPx = Number(opens[i]);
+    const closePx = Number(closes[i]);
+    if (Number.isFinite(openPx) && openPx > 0 && Number.isFinite(closePx) && closePx > 0) {
+      return computePctChange(closePx, openPx);
+    }
+  }
+
+  const validCloses = closes.map(Number).filter((value) => Number.isFinite(value) && value > 0);
+  if (validCloses.length >= 2) {
+    return computePctChange(validCloses[validCloses.length - 1], validCloses[validCloses.length - 2]);
+  }
+
+  throw new Error("yahoo_chart_prices_missing");
+}
+
+function parseCsvRow(line) {
+  return String(line || "")
+    .split(",")
+    .map((cell) => cell.trim().replace(/^"|"$/g, ""));
+}
+
+function parseCboeVixDayPct(text) {
+  const lines = String(text || "")
+    .trim()
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const headerIndex = lines.findIndex((line) => /\bdate\b/i.test(line) && /\bopen\b/i.test(line) && /\bclose\b/i.test(line));
+  if (headerIndex < 0) throw new Error("cboe_vix_header_missing");
+
+  const header = parseCsvRow(lines[headerIndex]).map((name) => name.toUpperCase());
+  const dateIndex = header.indexOf("DATE");
+  const openIndex = header.indexOf("OPEN");
+  const closeIndex = header.indexOf("CLOSE");
+  if (dateIndex < 0 || openIndex < 0 || closeIndex < 0) throw new Error("cboe_vix_columns_missing");
+
+  const rows = lines
+    .slice(headerIndex + 1)
+    .map(parseCsvRow)
+    .map((cells) => ({
+      dateMs: Date.parse(String(cells[dateIndex] || "")),
+      open: Number(cells[openIndex]),
+      close: Number(cells[closeIndex]),
+    }))
+    .filter((row) => Number.isFinite(row.close) && row.close > 0);
+
+  if (!rows.length) throw new Error("cboe_vix_prices_missing");
+  const datedRows = rows.filter((row) => Number.isFinite(row.dateMs));
+  const orderedRows = datedRows.length ? datedRows.sort((a, b) => a.dateMs - b.dateMs) : rows;
+  const latest = orderedRows[orderedRows.length - 1];
+  if (Number.isFinite(latest.open) && latest.open > 0) {
+    return computePctChange(latest.close, latest.open);
+  }
+  if (rows.length >= 2) {
+    return computePctChange(latest.close, rows[rows.length - 2].close);
+  }
+  throw new Error("cboe_vix_change_missing");
+}
+
+function extractXmlTag(text, tagName) {
+  const escaped = String(tagName).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const match = String(text || "").match(
+    new RegExp(`<\\/?(?:[A-Za-z0-9_-]+:)?${escaped}\\b[^>]*>([^<]*)<\\/(?:[A-Za-z0-9_-]+:)?${escaped}>`, "i")
+  );
+  return match ? String(match[1] || "").trim() : null;
+}
+
+function parseTreasuryUs2yDelta(text) {
+  const entries = String(text || "").match(/<entry\b[\s\S]*?<\/entry>/gi) || [];
+  const rows = entries
+    .map((entry) => {
+      const dateRaw = extractXmlTag(entry, "NEW_DATE");
+      const valueRaw = extractXmlTag(entry, "BC_2YEAR");
+      const dateMs = Date.parse(String(dateRaw || ""));
+      const value = Number(valueRaw);
+      return { dateMs, value };
+    })
+    .filter((row) => Number.isFinite(row.dateMs) && Number.isFinite(row.value));
+
+  if (rows.length < 2) throw new Error("treasury_us2y_values_missing");
+  rows.sort((a, b) => a.dateMs - b.dateMs);
+  return rows[rows.length - 1].value - rows[rows.length - 2].value;
+}
+
+function metricFailureReason(label, res) {
+  if (!res) return `${label}_missing`;
+  if (res.status === "rejected") {
+    return res.reason?.name === "AbortError"
+      ? `${label}_timeout`
+      : `${label}_${res.reason?.message || "fetch_failed"}`;
+  }
+  return `${label}_non_finite`;
+}
+
+function buildYahooChartUrl(symbol) {
+  const baseUrl = CFG.externalTelemetry.yahooChartBaseUrl;
+  const encodedSymbol = encodeURIComponent(String(symbol || ""));
+  return `${baseUrl}/${encodedSymbol}?range=5d&interval=1d&includePrePost=false&events=history`;
+}
+
+function buildTreasuryUs2yUrl() {
+  const template = String(CFG.externalTelemetry.us2yUrlTemplate || "");
+  return template.replaceAll("{year}", String(new Date().getUTCFullYear()));
+}
+
+function buildExternalTelemetrySummary(ctx = {}) {
+  const source = ctx?.source || {};
+  const labels = [
+    `coin:${source.coin || "missing"}`,
+    `vix:${source.vix || "missing"}`,
+    `dxy:${source.dxy || "missing"}`,
+    `qqq:${source.qqq || "missing"}`,
+    `spx:${source.spx || "missing"}`,
+    `us2y:${source.us2y || "missing"}`,
+  ];
+  return `telemetry_only|${labels.join(",")}`;
+}
+
+async function readExternalTelemetryCache(redis) {
+  const raw = await redis.get(CFG.keys.externalTelemetry()).catch(() => null);
+  const cached = typeof raw === "string" ? safeJsonParse(raw) : raw;
+  if (!cached || typeof cached !== "object") return null;
+
+  const fetchedAt = Number(cached?.fetchedAt);
+  const ttlMs = Math.max(0, Number(CFG.externalTelemetry.cacheTtlSeconds || 0)) * 1000;
+  if (!Number.isFinite(fetchedAt) || !ttlMs || Date.now() - fetchedAt > ttlMs) return null;
+  return { ...cached, cache: "hit" };
+}
+
+async function writeExternalTelemetryCache(redis, snapshot) {
+  await redis
+    .set(CFG.keys.externalTelemetry(), JSON.stringify(snapshot))
+    .catch(() => null);
+}
+
+async function loadExternalTelemetry(redis) {
+  const out = {
+    ok: false,
+    bias: "neutral",
+    coinDayPct: null,
+    vixDayPct: null,
+    dxyDayPct: null,
+    qqqDayPct: null,
+    spxDayPct: null,
+    us2yDelta: null,
+    reason: null,
+    source: {
+      coin: "yahoo_chart",
+      vix: "cboe_csv",
+      dxy: "yahoo_chart",
+      qqq: "yahoo_chart",
+      spx: "yahoo_chart",
+      us2y: "treasury_xml",
+    },
+    fetchedAt: Date.now(),
+    cache: "miss",
+  };
+
+  if (!CFG.externalTelemetry?.enabled) {
+    out.reason = "telemetry_only|disabled";
+    return out;
+  }
+
+  const cached = await readExternalTelemetryCache(redis);
+  if (cached) return cached;
+
+  const timeoutMs = CFG.externalTelemetry.timeoutMs;
+  const symbols = CFG.externalTelemetry.yahooSymbols || {};
+  const tasks = [
+    ["coin", () => fetchJsonWithTimeout(buildYahooChartUrl(symbols.coin), timeoutMs).then(parseYahooChartDayPct)],
+    ["vix", () => fetchTextWithTimeout(CFG.externalTelemetry.vixUrl, timeoutMs).then(parseCboeVixDayPct)],
+    ["dxy", () => fetchJsonWithTimeout(buildYahooChartUrl(symbols.dxy), timeoutMs).then(parseYahooChartDayPct)],
+    ["qqq", () => fetchJsonWithTimeout(buildYahooChartUrl(symbols.qqq), timeoutMs).then(parseYahooChartDayPct)],
+    ["spx", () => fetchJsonWithTimeout(buildYahooChartUrl(symbols.spx), timeoutMs).then(parseYahooChartDayPct)],
+    ["us2y", () => fetchTextWithTimeout(buildTreasuryUs2yUrl(), timeoutMs).then(parseTreasuryUs2yDelta)],
+  ];
+
+  const settled = await Promise.allSettled(tasks.map(([_, run]) => run()));
+  const metricMap = Object.fromEntries(tasks.map(([label], index) => [label, settled[index]]));
+
+  const assign = (label, outputKey) => {
+    const result = metricMap[label];
+    if (result?.status === "fulfilled" && Number.isFinite(result.value)) out[outputKey] = result.value;
+  };
+  assign("coin", "coinDayPct");
+  assign("vix", "vixDayPct");
+  assign("dxy", "dxyDayPct");
+  assign("qqq", "qqqDayPct");
+  assign("spx", "spxDayPct");
+  assign("us2y", "us2yDelta");
+
+  const required = ["coinDayPct", "vixDayPct", "dxyDayPct", "qqqDayPct", "spxDayPct", "us2yDelta"];
+  const failures = tasks
+    .filter(([label], index) => {
+      const outputKey = {
+        coin: "coinDayPct",
+        vix: "vixDayPct",
+        dxy: "dxyDayPct",
+        qqq: "qqqDayPct",
+        spx: "spxDayPct",
+        us2y: "us2yDelta",
+      }[label];
+      return !Number.isFinite(out[outputKey]);
+    })
+    .map(([label]) => metricFailureReason(label, metricMap[label]));
+
+  out.ok = required.every((key) => Number.isFinite(out[key]));
+  out.reason = out.ok
+    ? "telemetry_only|ok"
+    : `telemetry_only|partial|${failures.join("|") || "missing"}`;
+
+  await writeExternalTelemetryCache(redis, out);
+  return out;
+}
+
+module.exports = {
+  buildExternalTelemetrySummary,
+  loadExternalTelemetry,
+};
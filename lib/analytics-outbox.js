@@ -0,0 +1,121 @@
+// /lib/analytics-outbox.js
+// Durable retry queue for analytics batches the webhook did not accept.
+// CommonJS because api/alert.js requires it.
+//
+// Layout:
+// - analytics:outbox       list of { id, payload, attempts, next_attempt_at, first_failed_at, last_error }
+//                          (payload is the batch body minus ingest_key, which is re-added on send)
+// - analytics:outbox:dead  entries that ran out of attempts (capped; inspect/replay by hand)
+// - analytics:outbox:lock  drain lock (SET NX owner token, lib/run-lock.js acquireLock)
+//
+// Alert runs with different mode sets can post in the same bucket, so draining takes the lock first and a run
+// that finds it held skips the retry (the holder is working the same entries). Under the lock entries are peeked
+// from the head and only popped once handled, so a crash mid-drain re-sends instead of dropping (the sink dedupes
+// on alert_id). Producers only RPUSH to the tail, so the popped head is the entry just sent.
+
+const { loadConfig } = require("./config.js");
+const { safeJsonParse } = require("./values.js");
+const { acquireLock, releaseLock } = require("./run-lock.js");
+
+const C = loadConfig();
+
+const OUTBOX_KEYS = {
+  queue: () => C.ANALYTICS_OUTBOX_KEY,
+  dead: () => `${C.ANALYTICS_OUTBOX_KEY}:dead`,
+  lock: () => `${C.ANALYTICS_OUTBOX_KEY}:lock`,
+};
+
+const OUTBOX_CFG = {
+  maxPerRun: C.ANALYTICS_OUTBOX_MAX_PER_RUN,
+  maxAttempts: C.ANALYTICS_OUTBOX_MAX_ATTEMPTS,
+  backoffBaseMinutes: C.ANALYTICS_OUTBOX_BACKOFF_MINUTES,
+  backoffMaxMinutes: 6 * 60,
+  deadCap: 1000,
+  lockSeconds: 120,
+};
+
+// 5m, 10m, 20m, ... capped at 6h.
+function backoffMs(attempts) {
+  const minutes = Math.min(OUTBOX_CFG.backoffMaxMinutes, OUTBOX_CFG.backoffBaseMinutes * 2 ** Math.max(0, attempts - 1));
+  return minutes * 60000;
+}
+
+// Queues failed batch payloads; returns how many were queued. Never throws.
+async function enqueueAnalyticsOutbox(redis, payloads, errorCode, now = Date.now()) {
+  const entries = (payloads || []).map((payload, i) => {
+    const { ingest_key: _omit, ...body } = payload || {};
+    return JSON.stringify({
+      id: `${now}_${i}`,
+      payload: body,
+      attempts: 1,
+      next_attempt_at: now + backoffMs(1),
+      first_failed_at: now,
+      last_error: errorCode || null,
+    });
+  });
+  if (!entries.length) return 0;
+  try {
+    await redis.rpush(OUTBOX_KEYS.queue(), ...entries);
+    return entries.length;
+  } catch (_) {
+    console.error("[analytics] outbox enqueue failed; batch dropped", errorCode);
+    return 0;
+  }
+}
+
+// Retries due entries from the head via send(payload) -> { ok, errorCode }.
+// Stops at the first failure (the sink is likely still down). Returns { retried, delivered, dead, depth }.
+// Does nothing but report the depth while another run holds the drain lock.
+async function drainAnalyticsOutbox(redis, send, now = Date.now()) {
+  const out = { retried: 0, delivered: 0, dead: 0, depth: 0 };
+  const owner = `drain_${now}_${Math.random().toString(36).slice(2, 10)}`;
+  let locked = false;
+  try {
+    // Nothing queued (the usual case): no lock round trips.
+    out.depth = Number(await redis.llen(OUTBOX_KEYS.queue())) || 0;
+    if (!out.depth) return out;
+    locked = await acquireLock(redis, OUTBOX_KEYS.lock(), owner, OUTBOX_CFG.lockSeconds);
+    if (!locked) return out;
+
+    const head = ((await redis.lrange(OUTBOX_KEYS.queue(), 0, OUTBOX_CFG.maxPerRun - 1)) || []).map(safeJsonParse);
+
+    for (const entry of head) {
+      if (!entry?.payload) {
+        await redis.lpop(OUTBOX_KEYS.queue());
+        continue;
+      }
+      if (Number(entry.next_attempt_at) > now) break;
+
+      out.retried += 1;
+      const res = await send(entry.payload);
+      await redis.lpop(OUTBOX_KEYS.queue());
+
+      if (res?.ok) {
+        out.delivered += 1;
+        continue;
+      }
+
+      const attempts = Number(entry.attempts || 0) + 1;
+      const next = { ...entry, attempts, next_attempt_at: now + backoffMs(attempts), last_error: res?.errorCode || null };
+      if (attempts >= OUTBOX_CFG.maxAttempts) {
+        await redis.lpush(OUTBOX_KEYS.dead(), JSON.stringify(next));
+        await redis.ltrim(OUTBOX_KEYS.dead(), 0, OUTBOX_CFG.deadCap - 1);
+        out.dead += 1;
+      } else {
+        // Back to the head so batch order is kept for the next run.
+        await redis.lpush(OUTBOX_KEYS.queue(), JSON.stringify(next));
+      }
+      break;
+    }
+
+    out.depth = Number(await redis.llen(OUTBOX_KEYS.queue())) || 0;
+  } catch (_) {
+    // Retrying is best-effort; the entries stay queued for the next run.
+    out.depth = Number(await redis.llen(OUTBOX_KEYS.queue()).catch(() => 0)) || 0;
+  } finally {
+    if (locked) await releaseLock(redis, OUTBOX_KEYS.lock(), owner);
+  }
+  return out;
+}
+
+module.exports = { OUTBOX_KEYS, OUTBOX_CFG, enqueueAnalyticsOutbox, drainAnalyticsOutbox };
@@ -0,0 +1,120 @@
+// /lib/calibration.js
+// Confidence / trade-read calibration over resolved outcomes (stats rows from lib/stats.js), for /api/calibration.
+//
+// Bins resolved rows by confidence label, confidence_score, trade_read_label and trade_read_score, reports
+// hit rate (WIN / rows with data), avg return and avg realized R per bin, and flags monotonicity violations:
+// a higher bin that does worse than a lower one (both with at least minN rows).
+// Optionally searches confidenceLabelFromScore thresholds that order A >= B >= C on the chosen metric;
+// the suggestion is for review only, nothing here changes lib/confidence.js.
+
+import { summarize, round4 } from "./stats.js";
+import { CONFIDENCE_THRESHOLDS, confidenceLabelFromScore } from "./confidence.js";
+
+const LABEL_ORDER = {
+  confidence: ["C", "B", "A"],
+  trade_read_label: ["WEAK", "MIXED", "GOOD"],
+};
+
+// ?metric= value -> bin stat it reads.
+export const CALIBRATION_METRICS = {
+  hit_rate: "hit_rate",
+  avg_return: "avg_return_pct",
+  avg_r: "avg_r",
+};
+
+function binStats(rows) {
+  const s = summarize(rows);
+  return { n: s.n, hit_rate: s.win_rate, avg_return_pct: s.avg_return_pct, avg_r: s.avg_r };
+}
+
+function binByLabel(rows, field) {
+  return LABEL_ORDER[field].map((label) => ({ bin: label, ...binStats(rows.filter((r) => r[field] === label)) }));
+}
+
+// Fixed-width bins over a numeric field, ascending; empty bins are dropped.
+function binByScore(rows, field, width) {
+  const scored = rows.filter((r) => r[field] != null);
+  const byBin = new Map();
+  for (const r of scored) {
+    const lo = Math.floor(r[field] / width) * width;
+    if (!byBin.has(lo)) byBin.set(lo, []);
+    byBin.get(lo).push(r);
+  }
+  return [...byBin.keys()]
+    .sort((a, b) => a - b)
+    .map((lo) => ({ bin: `[${round4(lo)}, ${round4(lo + width)})`, lo: round4(lo), ...binStats(byBin.get(lo)) }));
+}
+
+// Ascending bins should not get worse. Only bins with n >= minN take part.
+function findViolations(dimension, bins, minN) {
+  const eligible = bins.filter((b) => b.n >= minN);
+  const violations = [];
+  for (const metric of ["hit_rate", "avg_return_pct", "avg_r"]) {
+    for (let i = 1; i < eligible.length; i++) {
+      const lower = eligible[i - 1];
+      const higher = eligible[i];
+      if (lower[metric] == null || higher[metric] == null) continue;
+      if (higher[metric] < lower[metric]) {
+        violations.push({
+          dimension,
+          metric,
+          lower_bin: lower.bin,
+          higher_bin: higher.bin,
+          lower_value: lower[metric],
+          higher_value: higher[metric],
+        });
+      }
+    }
+  }
+  return violations;
+}
+
+function labelStatsFor(rows, thresholds) {
+  const byLabel = { A: [], B: [], C: [] };
+  for (const r of rows) byLabel[confidenceLabelFromScore(r.confidence_score, thresholds)].push(r);
+  return Object.fromEntries(Object.entries(byLabel).map(([label, members]) => [label, binStats(members)]));
+}
+
+// Grid-searches B < A over observed score range (step `step`). A candidate is valid when every label
+// has >= minN rows and metric(A) >= metric(B) >= metric(C); the widest A-C spread wins.
+// Grid points are lo + k * step from an integer k (rounded), not a running sum: adding 0.1 repeatedly drifts
+// past the top point and drops it.
+export function suggestConfidenceThresholds(rows, { metric = "avg_r", minN = 10, step = 0.25 } = {}) {
+  const key = CALIBRATION_METRICS[metric] || "avg_r";
+  const scored = rows.filter((r) => r.confidence_score != null && r.result && r.result !== "NO_DATA");
+  const current = { thresholds: { ...CONFIDENCE_THRESHOLDS }, labels: labelStatsFor(scored, CONFIDENCE_THRESHOLDS) };
+  if (!scored.length) return { ok: false, reason: "no_scored_rows", metric: key, min_n: minN, current };
+
+  const scores = scored.map((r) => r.confidence_score);
+  const loK = Math.floor(round4(Math.min(...scores) / step));
+  const hiK = Math.ceil(round4(Math.max(...scores) / step));
+  const at = (k) => round4(k * step);
+
+  let best = null;
+  for (let kb = loK + 1; kb < hiK; kb++) {
+    for (let ka = kb + 1; ka <= hiK; ka++) {
+      const thresholds = { A: at(ka), B: at(kb) };
+      const labels = labelStatsFor(scored, thresholds);
+      if (labels.A.n < minN || labels.B.n < minN || labels.C.n < minN) continue;
+      const [mA, mB, mC] = [labels.A[key], labels.B[key], labels.C[key]];
+      if (mA == null || mB == null || mC == null || mA < mB || mB < mC) continue;
+      const spread = mA - mC;
+      if (!best || spread > best.spread) best = { thresholds, labels, spread: round4(spread) };
+    }
+  }
+
+  if (!best) return { ok: false, reason: "no_monotonic_split", metric: key, min_n: minN, current };
+  return { ok: true, metric: key, min_n: minN, current, suggested: best };
+}
+
+export function buildCalibrationReport(rows, { minN = 10, confidenceBinWidth = 0.5, tradeReadBinWidth = 1 } = {}) {
+  const resolved = rows.filter((r) => r.result && r.result !== "NO_DATA");
+  const dimensions = {
+    confidence: binByLabel(resolved, "confidence"),
+    confidence_score: binByScore(resolved, "confidence_score", confidenceBinWidth),
+    trade_read_label: binByLabel(resolved, "trade_read_label"),
+    trade_read_score: binByScore(resolved, "trade_read_score", tradeReadBinWidth),
+  };
+  const violations = Object.entries(dimensions).flatMap(([dimension, bins]) => findViolations(dimension, bins, minN));
+  return { rows: resolved.length, min_n: minN, dimensions, violations };
+}
@@ -0,0 +1,15 @@
+// /lib/confidence.js
+// Confidence label thresholds, shared by /api/alert (labels each event) and /api/calibration
+// (checks them against realized outcomes). CommonJS because api/alert.js requires it.
+//
+// Changing these moves A/B/C for every new event; review /api/calibration?suggest=1 first.
+
+const CONFIDENCE_THRESHOLDS = Object.freeze({ A: 2.5, B: 1.5 });
+
+function confidenceLabelFromScore(score, thresholds = CONFIDENCE_THRESHOLDS) {
+  if (score >= thresholds.A) return "A";
+  if (score >= thresholds.B) return "B";
+  return "C";
+}
+
+module.exports = { CONFIDENCE_THRESHOLDS, confidenceLabelFromScore };
@@ -0,0 +1,208 @@
+// /lib/config-overrides.js
+// Runtime config overrides: values set through /api/overrides that layer over env for the alert engine, so a
+// cooldown or recipe threshold can change without a redeploy. Each has an optional expiry, and every change lands
+// in an append-only audit log. /api/alert loads them at the start of each run.
+// CommonJS because api/alert.js requires it.
+//
+// Layout: hash ALERT_CONFIG_OVERRIDES_KEY (default config:overrides), field KEY -> JSON
+// { value, set_by, by_verified, set_at, expires_at, reason }; list ALERT_CONFIG_AUDIT_KEY (default config:audit),
+// one JSON row per set / clear / expiry, appended and never trimmed.
+// - by is whatever the caller typed (the shared secret identifies no one), so set / clear rows carry
+//   by_verified: false; expiry rows are written by the system as by "ttl", by_verified: true.
+// - KEY is a runtime entry of lib/config.js (e.g. ALERT_COOLDOWN_MINUTES), or recipe:<id>:<field> for the
+//   numeric threshold on that field in the recipe's `when` (e.g. recipe:swing_..._long:symbolVsEth1hPct).
+// - value is stored as the raw string and parsed like the env var, so it reads exactly as the same env value would.
+// - Expired overrides are ignored on read and pruned by the next write, with an "expired" audit row.
+
+const crypto = require("crypto");
+const { CONFIG_SCHEMA, parseValue, resolveConfig, loadConfig } = require("./config.js");
+const { findRecipeThreshold } = require("./recipes.js");
+const { safeJsonParse } = require("./values.js");
+
+const C = loadConfig();
+
+const OVERRIDES_KEY = C.ALERT_CONFIG_OVERRIDES_KEY;
+const AUDIT_KEY = C.ALERT_CONFIG_AUDIT_KEY;
+
+const RUNTIME_ENTRIES = new Map(CONFIG_SCHEMA.filter((e) => e.runtime).map((e) => [e.key, e]));
+const RECIPE_KEY_RE = /^recipe:([a-z0-9_]+):([A-Za-z0-9]+)$/;
+
+const isActive = (row, now) => !!row && (row.expires_at == null || Number(row.expires_at) > now);
+
+/**
+ * Checks an override before it is stored. recipes: the current compiled set, for recipe:<id>:<field> keys.
+ * Returns { ok, key, value } (canonical key, raw value to store) or { ok: false, error }.
+ * Out-of-range numbers and unknown list items are rejected rather than clamped: the stored value is what runs.
+ */
+function validateOverride(key, raw, recipes) {
+  const k = String(key || "").trim();
+  const v = String(raw ?? "").trim();
+  if (!v) return { ok: false, error: "empty value" };
+
+  const m = k.match(RECIPE_KEY_RE);
+  if (m) {
+    const found = findRecipeThreshold(recipes, m[1], m[2]);
+    if (found.error) return { ok: false, error: found.error };
+    const n = Number(v);
+    if (!Number.isFinite(n)) return { ok: false, error: "not a number" };
+    return { ok: true, key: k, value: String(n) };
+  }
+
+  const entry = RUNTIME_ENTRIES.get(k.toUpperCase());
+  if (!entry) return { ok: false, error: `${k || "(empty)"} is not a runtime setting` };
+  const parsed = parseValue(entry, v);
+  if (parsed.error) return { ok: false, error: parsed.error };
+  if (parsed.note) return { ok: false, error: parsed.note.replace(/, clamped$/, "") };
+  return { ok: true, key: entry.key, value: v };
+}
+
+// Active overrides at `now`: { KEY: { value, set_by, set_at, expires_at, reason } }. Never throws (empty on error).
+async function readOverrides(redis, now = Date.now()) {
+  const active = {};
+  try {
+    const raw = (await redis.hgetall(OVERRIDES_KEY)) || {};
+    for (const key of Object.keys(raw).sort()) {
+      const row = safeJsonParse(raw[key]);
+      if (isActive(row, now)) active[key] = row;
+    }
+  } catch (_) {
+    // A Redis hiccup must not block alerts; run on env alone.
+  }
+  return active;
+}
+
+// Oldest first; `limit` most recent rows.
+async function readAudit(redis, limit = 50) {
+  const rows = (await redis.lrange(AUDIT_KEY, -limit, -1)) || [];
+  return rows.map(safeJsonParse).filter(Boolean);
+}
+
+async function appendAudit(redis, rows) {
+  if (rows.length) await redis.rpush(AUDIT_KEY, ...rows.map((row) => JSON.stringify(row)));
+}
+
+async function pruneExpiredOverrides(redis, now) {
+  const raw = (await redis.hgetall(OVERRIDES_KEY)) || {};
+  const expired = Object.keys(raw)
+    .sort()
+    .map((key) => [key, safeJsonParse(raw[key])])
+    .filter(([, row]) => !isActive(row, now));
+  if (!expired.length) return;
+  await redis.hdel(OVERRIDES_KEY, ...expired.map(([key]) => key));
+  await appendAudit(
+    redis,
+    expired.map(([key, row]) => ({
+      ts: Number(row?.expires_at) || now,
+      action: "expired",
+      key,
+      value: null,
+      previous: row?.value ?? null,
+      by: "ttl",
+      by_verified: true,
+      reason: "",
+      expires_at: null,
+    }))
+  );
+}
+
+/**
+ * Validates and stores one override. ttlMinutes: null/0 = until cleared. by: who (required for the audit).
+ * Returns { ok, key, override, previous } or { ok: false, error }.
+ */
+async function setOverride(redis, { key, value, ttlMinutes = null, by, reason = "" }, { recipes = [], now = Date.now() } = {}) {
+  const actor = String(by || "").trim();
+  if (!actor) return { ok: false, error: "missing by" };
+  const checked = validateOverride(key, value, recipes);
+  if (!checked.ok) return checked;
+
+  await pruneExpiredOverrides(redis, now);
+  const previous = safeJsonParse(await redis.hget(OVERRIDES_KEY, checked.key));
+  const override = {
+    value: checked.value,
+    set_by: actor,
+    by_verified: false,
+    set_at: now,
+    expires_at: ttlMinutes > 0 ? now + Math.round(ttlMinutes * 60 * 1000) : null,
+    reason: String(reason || ""),
+  };
+  await redis.hset(OVERRIDES_KEY, { [checked.key]: JSON.stringify(override) });
+  await appendAudit(redis, [
+    {
+      ts: now,
+      action: "set",
+      key: checked.key,
+      value: override.value,
+      previous: previous?.value ?? null,
+      by: actor,
+      by_verified: false,
+      reason: override.reason,
+      expires_at: override.expires_at,
+    },
+  ]);
+  return { ok: true, key: checked.key, override, previous };
+}
+
+// Removes one override (back to env). Returns { ok, key, cleared, previous }; clearing an absent key writes no audit row.
+async function clearOverride(redis, { key, by, reason = "" }, { now = Date.now() } = {}) {
+  const actor = String(by || "").trim();
+  if (!actor) return { ok: false, error: "missing by" };
+  const k = RECIPE_KEY_RE.test(String(key || "").trim()) ? String(key).trim() : String(key || "").trim().toUpperCase();
+
+  await pruneExpiredOverrides(redis, now);
+  const previous = safeJsonParse(await redis.hget(OVERRIDES_KEY, k));
+  if (!previous) return { ok: true, key: k, cleared: false, previous: null };
+  await redis.hdel(OVERRIDES_KEY, k);
+  await appendAudit(redis, [
+    {
+      ts: now,
+      action: "clear",
+      key: k,
+      value: null,
+      previous: previous.value,
+      by: actor,
+      by_verified: false,
+      reason: String(reason || ""),
+      expires_at: null,
+    },
+  ]);
+  return { ok: true, key: k, cleared: true, previous };
+}
+
+// Short hash of the engine tunables and recipe thresholds in effect; analytics events carry it as config_version.
+function configVersion(values, thresholds = {}) {
+  const tunables = [...RUNTIME_ENTRIES.keys()].map((key) => [key, values[key]]);
+  const recipes = Object.keys(thresholds)
+    .sort()
+    .map((id) => [id, Object.keys(thresholds[id]).sort().map((field) => [field, thresholds[id][field]])]);
+  return crypto.createHash("sha256").update(JSON.stringify({ tunables, recipes })).digest("hex").slice(0, 12);
+}
+
+/**
+ * Env + active overrides, resolved the way lib/config.js resolves env alone.
+ * Returns resolveConfig's { values, entries, warnings } plus overrides (active rows), thresholds
+ * ({ recipeId: { field: number } } for lib/recipes.js applyRecipeThresholds) and version.
+ */
+async function loadRuntimeConfig(redis, { env = process.env, now = Date.now() } = {}) {
+  const overrides = await readOverrides(redis, now);
+  const envOverrides = {};
+  const thresholds = {};
+  for (const [key, row] of Object.entries(overrides)) {
+    const m = key.match(RECIPE_KEY_RE);
+    if (!m) envOverrides[key] = row.value;
+    else if (Number.isFinite(Number(row.value))) (thresholds[m[1]] = thresholds[m[1]] || {})[m[2]] = Number(row.value);
+  }
+  const resolved = resolveConfig(env, CONFIG_SCHEMA, envOverrides);
+  return { ...resolved, overrides, thresholds, version: configVersion(resolved.values, thresholds) };
+}
+
+module.exports = {
+  OVERRIDES_KEY,
+  AUDIT_KEY,
+  validateOverride,
+  readOverrides,
+  readAudit,
+  setOverride,
+  clearOverride,
+  configVersion,
+  loadRuntimeConfig,
+};
@@ -0,0 +1,426 @@
+// /lib/config.js
+// Typed env config shared by snapshot, multi, alert and the libs they load: one schema entry per env var
+// (type, default, range, deprecated aliases). Each module resolves it once at load; /api/config shows the result.
+// CommonJS because api/alert.js requires it.
+//
+// - Unset or "" → default. A value that doesn't parse (or isn't in the allowed set) falls back to the default;
+//   a number outside [min, max] is clamped. Both leave a warning instead of a silent NaN.
+// - aliases are older names, still honoured when the canonical name is unset (deprecated warning).
+// - ALERT_* / MULTI_* / SNAPSHOT_* keys the schema doesn't know are reported as unknown (usually a typo).
+// - Secrets, tokens and webhook URLs are listed (so they aren't "unknown" and /api/config can say whether
+//   they're set) but never shown, and are still read from process.env where they're used.
+// - runtime entries (the engine tunables) can also be overridden from Redis (lib/config-overrides.js); an
+//   override wins over env and shows as source "override".
+
+const TFS = ["5m", "15m", "30m", "1h", "4h"];
+const MODES = ["scalp", "swing", "build"];
+const RISK_PROFILES = ["conservative", "normal", "aggressive"];
+const CONT_TFS = ["15m", "30m", "1h", "4h"];
+const VENUES = ["okx", "binance", "bybit"];
+
+const CHECKED_PREFIXES = ["ALERT_", "MULTI_", "SNAPSHOT_"];
+// Read by nothing on purpose; setting them only earns a warning.
+const IGNORED_PREFIXES = [
+  { prefix: "ALERT_EXT_CONTEXT_", reason: "legacy external-context scoring; telemetry no longer affects selection" },
+];
+
+const num = (key, def, opts = {}) => ({ key, type: "number", default: def, ...opts });
+const int = (key, def, opts = {}) => ({ key, type: "int", default: def, ...opts });
+const bool = (key, def, opts = {}) => ({ key, type: "bool", default: def, ...opts });
+const str = (key, def = "", opts = {}) => ({ key, type: "string", default: def, ...opts });
+const oneOf = (key, def, values, opts = {}) => ({ key, type: "enum", default: def, values, ...opts });
+const list = (key, def, opts = {}) => ({ key, type: "list", default: def, ...opts });
+const secret = (key, opts = {}) => ({ key, type: "string", default: "", secret: true, ...opts });
+
+function section(scope, entries, opts = {}) {
+  return entries.map((e) => ({ scope, ...opts, ...e }));
+}
+
+const CONFIG_SCHEMA = [
+  ...section("core", [
+    str("UPSTASH_REDIS_REST_URL"),
+    secret("UPSTASH_REDIS_REST_TOKEN"),
+    secret("ALERT_SECRET"),
+    secret("DEBUG_SECRET"),
+    secret("TELEGRAM_BOT_TOKEN"),
+    str("TELEGRAM_CHAT_ID"),
+    secret("TELEGRAM_WEBHOOK_SECRET"),
+    // Each endpoint keeps its own fallback when unset (snapshot ETHUSDT, alert BTCUSDT, anomaly basket BTC/ETH/SOL/NEAR/SUI).
+    list("DEFAULT_SYMBOLS", [], { upper: true }),
+    list("DEFAULT_MODES", [], { values: MODES }),
+    oneOf("DEFAULT_MODE", "scalp", MODES, { deprecated: "use DEFAULT_MODES" }),
+    oneOf("DEFAULT_RISK_PROFILE", "normal", RISK_PROFILES),
+  ]),
+
+  ...section("snapshot", [
+    list("SNAPSHOT_VENUES", [], { values: VENUES }),
+    num("SNAPSHOT_THIN_BOOK_SPREAD_BPS", 8, { min: 0 }),
+    bool("SNAPSHOT_SPOT_DIVERGENCE_ENABLED", true),
+    bool("SNAPSHOT_ORDER_BOOK_ENABLED", true),
+    int("SNAPSHOT_ORDER_BOOK_DEPTH", 20, { min: 1, max: 100 }),
+    int("SNAPSHOT_MAX_CONCURRENCY", 5, { min: 1 }),
+    str("SNAPSHOT_KEY_PREFIX", "snap:okx:swap:"),
+    str("SNAPSHOT_SYMBOL_FALLBACK_PREFIX", "snap:symbol:"),
+  ]),
+
+  ...section("multi", [
+    oneOf("MULTI_DATA_SOURCE", "okx", ["okx", "snapshot"]),
+    int("MULTI_GAP_TOLERANCE_BUCKETS", 2, { min: 0 }),
+    int("MULTI_GAP_REPAIR_MAX_BUCKETS", 6, { min: 1 }),
+    int("MULTI_SNAPSHOT_LOOKBACK_BUCKETS", 2, { min: 0, max: 12 }),
+  ]),
+
+  // Engine tunables (CFG in lib/alert/config.js): runtime, so /api/overrides can layer a Redis value over them.
+  ...section("alert", [
+    num("ALERT_COOLDOWN_MINUTES", 20, { min: 0 }),
+    num("ALERT_MIN_RR", 1.5, { min: 0 }),
+    bool("RANDOM_BASELINE_ENABLED", false),
+    num("RANDOM_BASELINE_PCT", 10, { min: 0, max: 100 }),
+    num("ALERT_PREMIUM_REALERT_ENTRY_TOLERANCE_PCT", 0.35, { min: 0 }),
+    int("ALERT_RECIPE_SHORTLIST_SIZE", 3, { min: 0 }),
+    num("ALERT_RECIPE_COOLDOWN_MINUTES_SCALP", 60, { min: 0 }),
+    num("ALERT_RECIPE_COOLDOWN_MINUTES_SWING", 240, { min: 0 }),
+
+    bool("ALERT_STOP_REVERSAL_USE_WICK", false),
+    num("ALERT_STOP_REVERSAL_BODY_PCT", 1.0, { min: 0, max: 1 }),
+    num("ALERT_STOP_REVERSAL_PAD_PCT", 0.05, { min: 0 }),
+    num("ALERT_STOP_CONT_PAD_PCT", 0.03, { min: 0 }),
+    num("ALERT_INVALIDATION_PAD_PCT", 0, { min: 0 }),
+
+    num("ALERT_MOMENTUM_ABS_5M_PRICE_PCT", 0.1, { min: 0 }),
+    num("ALERT_SHOCK_OI_15M_PCT", 0.5, { min: 0 }),
+    num("ALERT_SHOCK_ABS_15M_PRICE_PCT", 0.2, { min: 0 }),
+    num("ALERT_STRONG_EDGE_PCT_1H", 0.15, { min: 0 }),
+    num("ALERT_MIN_TP_PCT_SCALP", 0.25, { min: 0 }),
+    num("ALERT_MIN_TP_PCT_SWING", 1.0, { min: 0 }),
+    num("ALERT_MIN_TP_PCT_BUILD", 3.0, { min: 0 }),
+    num("ALERT_MIN_RANGE_PCT_SCALP", 0.4, { min: 0 }),
+    num("ALERT_MIN_RANGE_PCT_SWING", 0.9, { min: 0 }),
+    num("ALERT_MIN_RANGE_PCT_BUILD", 1.0, { min: 0 }),
+    num("ALERT_SWING_REVERSAL_MIN_5M_MOVE_PCT", 0.05, { min: 0 }),
+    oneOf("ALERT_CONT_TF_SWING", "30m", CONT_TFS),
+    oneOf("ALERT_CONT_TF_BUILD", "1h", CONT_TFS),
+
+    bool("ALERT_DPS_ENABLED", true),
+    num("ALERT_DPS_THRESHOLD", 0.35, { min: 0 }),
+    num("ALERT_DPS_FAVORED_REVERSAL_MULT", 0.85, { min: 0 }),
+
+    bool("ALERT_BOTTOMING_ENABLED", true),
+    int("ALERT_BOTTOMING_LOOKBACK_CANDLES", 6, { min: 1 }),
+    int("ALERT_BOTTOM_WICK_LOOKBACK", 3, { min: 1 }),
+    int("ALERT_BOTTOM_WICK_REPEAT_COUNT", 2, { min: 1 }),
+    num("ALERT_EXHAUSTION_PRICE_PCT", 0.35, { min: 0 }),
+    num("ALERT_EXHAUSTION_OI_PCT", 0.25, { min: 0 }),
+    num("ALERT_EXHAUSTION_NONCONFIRM_OI_PCT", 0.1, { min: 0 }),
+    num("ALERT_BOTTOMING_DECEL_MULT", 0.8, { min: 0 }),
+    num("ALERT_BOTTOMING_SCORE_MIN", 2.5),
+    num("ALERT_BOTTOMING_SHORT_PENALTY_SCORE_MIN", 2.5),
+    num("ALERT_BOTTOMING_SHORT_BLOCK_SCORE_MIN", 3.5),
+
+    bool("ALERT_ANOMALY_ENABLED", true),
+    oneOf("ALERT_ANOMALY_TF", "15m", TFS),
+    int("ALERT_ANOMALY_MIN_BASKET_SIZE", 3, { min: 1 }),
+    int("ALERT_ANOMALY_FALLBACK_BASKET_SIZE", 5, { min: 1 }),
+
+    bool("ALERT_MACRO_GATE_ENABLED", true),
+    str("ALERT_MACRO_BTC_SYMBOL", "BTCUSDT"),
+    oneOf("ALERT_MACRO_BTC_TF_SCALP", "1h", TFS),
+    oneOf("ALERT_MACRO_BTC_TF_SWING", "4h", TFS),
+    oneOf("ALERT_MACRO_BTC_TF_BUILD", "4h", TFS),
+    // The 4H names predate the per-mode BTC timeframe.
+    num("ALERT_MACRO_BTC_PRICE_PCT_MIN", 2.0, { aliases: ["ALERT_MACRO_BTC_4H_PRICE_PCT_MIN"] }),
+    num("ALERT_MACRO_BTC_OI_PCT_MIN", 0.5, { aliases: ["ALERT_MACRO_BTC_4H_OI_PCT_MIN"] }),
+    bool("ALERT_MACRO_BLOCK_SHORTS_ON_ALTS", true),
+
+    bool("ALERT_BTC_SHORT_TF_ENABLED", true),
+    num("ALERT_BTC_SHORT_TF_PRICE_5M_MIN_PCT", 0.1, { min: 0 }),
+    num("ALERT_BTC_SHORT_TF_PRICE_15M_MIN_PCT", 0.2, { min: 0 }),
+    num("ALERT_BTC_SHORT_TF_CONFIDENCE_BOOST", 0.15, { min: 0 }),
+    num("ALERT_BTC_SHORT_TF_CONFIDENCE_PENALTY", 0.25, { min: 0 }),
+
+    bool("ALERT_REGIME_ENABLED", true),
+    num("ALERT_REGIME_EXPANSION_4H_PRICE_PCT_MIN", 3.0),
+    num("ALERT_REGIME_EXPANSION_4H_OI_PCT_MIN", 1.0),
+    num("ALERT_REGIME_CONTRACTION_4H_ABS_PRICE_PCT_MAX", 1.0, { min: 0 }),
+    num("ALERT_REGIME_CONTRACTION_OI_4H_PCT_MAX", -1.0),
+    bool("ALERT_REGIME_CONTRACTION_UPGRADE_ENABLED", true),
+    num("ALERT_REGIME_CONTRACTION_UPGRADE_EDGE_MULT", 1.5, { min: 0 }),
+
+    int("ALERT_SCALP_SWEEP_LOOKBACK_POINTS", 3, { min: 1 }),
+    num("ALERT_WICK_MIN_PCT", 0.15, { min: 0 }),
+    int("ALERT_WICK_SWEEP_LOOKBACK_POINTS", 3, { min: 1 }),
+    num("ALERT_SWING_MIN_OI_PCT", -0.5),
+
+    bool("ALERT_FLOW_PERSISTS_ENABLED", true),
+    list("ALERT_FLOW_PERSISTS_TFS", ["5m", "15m", "30m"], { values: TFS }),
+    int("ALERT_FLOW_PERSISTS_MIN_MATCHES", 3, { min: 1 }),
+    bool("ALERT_FLOW_PERSISTS_REQUIRE_OI_POSITIVE", true),
+    num("ALERT_FLOW_PERSISTS_MAX_FUNDING_ABS", 0.01, { min: 0 }),
+    num("ALERT_FLOW_PERSISTS_MIN_5M_PRICE_PCT", 0.03, { min: 0 }),
+
+    bool("ALERT_IDEA_IGNITION_ENABLED", true),
+    int("ALERT_IDEA_IGNITION_LOOKBACK", 10, { min: 1 }),
+    num("ALERT_IDEA_IGNITION_MIN_BODY_MULT", 1.5, { min: 0 }),
+    num("ALERT_IDEA_IGNITION_MIN_BODY_PCT", 0.12, { min: 0 }),
+    int("ALERT_IDEA_IGNITION_MIN_OI_RISE_COUNT", 2, { min: 0 }),
+    int("ALERT_IDEA_IGNITION_OI_RISE_LOOKBACK", 3, { min: 1 }),
+    num("ALERT_IDEA_IGNITION_MAX_FUNDING_ABS", 0.01, { min: 0 }),
+    bool("ALERT_IDEA_LIQUIDITY_SNAP_ENABLED", true),
+    int("ALERT_IDEA_LIQUIDITY_SNAP_LOOKBACK", 10, { min: 1 }),
+    num("ALERT_IDEA_LIQUIDITY_SNAP_MIN_RECLAIM_PCT", 0, { min: 0 }),
+    num("ALERT_IDEA_LIQUIDITY_SNAP_MIN_WICK_SCORE", 2.5),
+    bool("ALERT_IDEA_SLOW_SQUEEZE_ENABLED", true),
+    int("ALERT_IDEA_SLOW_SQUEEZE_OI_CANDLES", 6, { min: 1 }),
+    int("ALERT_IDEA_SLOW_SQUEEZE_MIN_OI_RISE_COUNT", 5, { min: 0 }),
+    num("ALERT_IDEA_SLOW_SQUEEZE_MAX_PRICE_PCT", 0.6, { min: 0 }),
+    int("ALERT_IDEA_SLOW_SQUEEZE_BREAK_LOOKBACK", 10, { min: 1 }),
+    bool("ALERT_IDEA_SHORT_BREAK_ENABLED", true),
+    num("ALERT_IDEA_SHORT_FUNDING_MIN", 0.01),
+    int("ALERT_IDEA_SHORT_OI_RISE_CANDLES", 6, { min: 1 }),
+    num("ALERT_IDEA_SHORT_MAX_PRICE_PCT", 0.6, { min: 0 }),
+    int("ALERT_IDEA_SHORT_BREAK_LOOKBACK", 10, { min: 1 }),
+
+    bool("ALERT_LEVERAGE_ENABLED", true),
+    num("ALERT_LEVERAGE_RISK_BUDGET_PCT_SCALP", 0.5, { min: 0, aliases: ["ALERT_RISK_BUDGET_PCT"] }),
+    num("ALERT_LEVERAGE_RISK_BUDGET_PCT_SWING", 1.0, { min: 0, aliases: ["ALERT_RISK_BUDGET_PCT"] }),
+    num("ALERT_LEVERAGE_RISK_BUDGET_PCT_BUILD", 1.5, { min: 0, aliases: ["ALERT_RISK_BUDGET_PCT"] }),
+    num("ALERT_LEVERAGE_MAX_CAP", 15, { min: 1 }),
+    num("ALERT_LEVERAGE_OI_REDUCE1", 1.0, { min: 0 }),
+    num("ALERT_LEVERAGE_OI_REDUCE2", 2.5, { min: 0 }),
+    num("ALERT_LEVERAGE_FUNDING_REDUCE1", 0.0004, { min: 0 }),
+    num("ALERT_LEVERAGE_FUNDING_REDUCE2", 0.0008, { min: 0 }),
+    num("ALERT_MIN_LEVERAGE", 0, { min: 0 }),
+
+    int("ALERT_MAX_ENTRY_LAG_BUCKETS", 1, { min: 0 }),
+  ], { runtime: true }),
+
+  ...section("alert", [
+    int("ALERT_SHADOW_MESSAGES_CAP", 200, { min: 1 }),
+    str("ALERT_RECIPES_FILE"),
+    str("ALERT_RECIPES_REDIS_KEY"),
+    int("ALERT_SERIES_CACHE_POINTS", 64, { min: 16 }),
+
+    bool("ALERT_EXTERNAL_TELEMETRY_ENABLED", true, { aliases: ["ALERT_EXT_CONTEXT_ENABLED"] }),
+    int("ALERT_EXTERNAL_TELEMETRY_TIMEOUT_MS", 2500, { min: 1 }),
+    int("ALERT_EXTERNAL_TELEMETRY_CACHE_TTL_SECONDS", 300, { min: 1 }),
+    str("ALERT_EXTERNAL_TELEMETRY_CACHE_KEY", "alert:externalTelemetry:v1"),
+    str("ALERT_EXTERNAL_TELEMETRY_YAHOO_CHART_BASE_URL", "https://query1.finance.yahoo.com/v8/finance/chart"),
+    str("ALERT_EXTERNAL_TELEMETRY_COIN_SYMBOL", "COIN"),
+    str("ALERT_EXTERNAL_TELEMETRY_DXY_SYMBOL", "DX-Y.NYB"),
+    str("ALERT_EXTERNAL_TELEMETRY_QQQ_SYMBOL", "QQQ"),
+    str("ALERT_EXTERNAL_TELEMETRY_SPX_SYMBOL", "^GSPC"),
+    str("ALERT_EXTERNAL_TELEMETRY_VIX_URL", "https://cdn.cboe.com/api/global/us_indices/daily_prices/VIX_History.csv"),
+    str(
+      "ALERT_EXTERNAL_TELEMETRY_US2Y_URL_TEMPLATE",
+      "https://home.treasury.gov/resource-center/data-chart-center/interest-rates/pages/xml?data=daily_treasury_yield_curve&field_tdr_date_value={year}"
+    ),
+
+    str("ALERT_HEARTBEAT_KEY", "alert:lastRun"),
+    int("ALERT_HEARTBEAT_TTL_SECONDS", 60 * 60 * 24, { min: 60 }),
+
+    secret("ALERT_DESTINATIONS"),
+    bool("ALERT_LIFECYCLE_ENABLED", true),
+    str("ALERT_MUTES_KEY", "alert:mutes"),
+    num("ALERT_MUTE_DEFAULT_MINUTES", 120, { min: 1 }),
+    str("ALERT_CONFIG_OVERRIDES_KEY", "config:overrides"),
+    str("ALERT_CONFIG_AUDIT_KEY", "config:audit"),
+
+    num("ALERT_ACCOUNT_EQUITY_USD", 0, { min: 0 }),
+    num("ALERT_ACCOUNT_MAX_RISK_PCT", 1, { min: 0 }),
+    num("ALERT_ACCOUNT_MAX_NOTIONAL_USD", 0, { min: 0 }),
+    bool("ALERT_ACCOUNT_TG_LINE", false),
+    num("ALERT_RISK_MULT_CONSERVATIVE", 0.5, { min: 0 }),
+    num("ALERT_RISK_MULT_NORMAL", 1, { min: 0 }),
+    num("ALERT_RISK_MULT_AGGRESSIVE", 1.5, { min: 0 }),
+
+    bool("ALERT_EXPOSURE_GUARD_ENABLED", true),
+    int("ALERT_EXPOSURE_LOOKBACK_POINTS", 48, { min: 8 }),
+    int("ALERT_EXPOSURE_MIN_OVERLAP", 24, { min: 4 }),
+    num("ALERT_EXPOSURE_CORR_MAX", 0.8, { min: -1, max: 1 }),
+    int("ALERT_EXPOSURE_MAX_CORRELATED", 2, { min: 1 }),
+    num("ALERT_EXPOSURE_MAX_SAME_SIDE_BETA", 4, { min: 0 }),
+    bool("ALERT_EXPOSURE_INCLUDE_OPEN", true),
+
+    bool("ALERT_RUN_LOCK_ENABLED", true),
+    int("ALERT_RUN_LOCK_SECONDS", 120, { min: 10 }),
+    int("ALERT_RUN_RESULT_TTL_SECONDS", 900, { min: 60 }),
+    int("ALERT_RUN_LOCK_WAIT_MS", 8000, { min: 0 }),
+  ]),
+
+  ...section("analytics", [
+    secret("ANALYTICS_WEBHOOK_URL"),
+    secret("ANALYTICS_INGEST_SHARED_SECRET"),
+    int("ANALYTICS_MAX_EVENTS_PER_POST", 3, { min: 1, max: 10 }),
+    num("ANALYTICS_MIN_POST_INTERVAL_MINUTES", 0, { min: 0 }),
+    str("ANALYTICS_POST_THROTTLE_KEY", "alert:analytics:lastPostAt"),
+    str("ANALYTICS_OUTBOX_KEY", "analytics:outbox"),
+    int("ANALYTICS_OUTBOX_MAX_PER_RUN", 5, { min: 1 }),
+    int("ANALYTICS_OUTBOX_MAX_ATTEMPTS", 20, { min: 1 }),
+    num("ANALYTICS_OUTBOX_BACKOFF_MINUTES", 5, { min: 0 }),
+    str("ANALYTICS_LOCAL_SINK"),
+  ]),
+
+  ...section("outcomes", [
+    int("OUTCOMES_SETTLE_BUCKETS", 1, { min: 0 }),
+    int("OUTCOMES_MAX_BUCKETS_PER_RUN", 36, { min: 1 }),
+    int("OUTCOMES_LOCK_SECONDS", 120, { min: 10 }),
+    int("STATS_RETENTION_DAYS", 90, { min: 1 }),
+  ]),
+
+  ...section("paper_ledger", [
+    bool("PAPER_LEDGER_ENABLED", true),
+    num("PAPER_LEDGER_START_EQUITY", 10000, { min: 1 }),
+    num("PAPER_LEDGER_MARGIN_PCT", 100, { min: 0 }),
+    num("PAPER_LEDGER_FEE_BPS", 5, { min: 0 }),
+  ]),
+];
+
+const TRUE_WORDS = new Set(["1", "true", "yes", "on"]);
+const FALSE_WORDS = new Set(["0", "false", "no", "off"]);
+
+// { value } or { error }; numbers outside the range come back clamped with a note.
+function parseValue(entry, raw) {
+  const s = String(raw).trim();
+  if (entry.type === "number" || entry.type === "int") {
+    const n = Number(s);
+    if (!Number.isFinite(n)) return { error: "not a number" };
+    if (entry.type === "int" && !Number.isInteger(n)) return { error: "not an integer" };
+    if (entry.min != null && n < entry.min) return { value: entry.min, note: `below min ${entry.min}, clamped` };
+    if (entry.max != null && n > entry.max) return { value: entry.max, note: `above max ${entry.max}, clamped` };
+    return { value: n };
+  }
+  if (entry.type === "bool") {
+    const w = s.toLowerCase();
+    if (TRUE_WORDS.has(w)) return { value: true };
+    if (FALSE_WORDS.has(w)) return { value: false };
+    return { error: "expected 1/0 (or true/false)" };
+  }
+  if (entry.type === "enum") {
+    const w = s.toLowerCase();
+    return entry.values.includes(w) ? { value: w } : { error: `expected one of ${entry.values.join("|")}` };
+  }
+  if (entry.type === "list") {
+    const items = s
+      .split(",")
+      .map((x) => (entry.upper ? x.trim().toUpperCase() : x.trim().toLowerCase()))
+      .filter(Boolean);
+    if (!entry.values) return { value: items };
+    const bad = items.filter((x) => !entry.values.includes(x));
+    const good = items.filter((x) => entry.values.includes(x));
+    if (!good.length) return { error: `expected a comma list of ${entry.values.join("|")}` };
+    return bad.length ? { value: good, note: `ignored ${bad.join(",")}`, level: "invalid" } : { value: good };
+  }
+  return { value: s };
+}
+
+function isSet(env, key) {
+  return env[key] != null && String(env[key]).trim() !== "";
+}
+
+function knownKeys(schema) {
+  const keys = new Set();
+  for (const e of schema) {
+    keys.add(e.key);
+    for (const a of e.aliases || []) keys.add(a);
+  }
+  return keys;
+}
+
+/**
+ * Resolve every schema entry against env, then runtime overrides ({ KEY: raw string }, runtime entries only).
+ * values: { KEY: typed value } for the consumers; entries: one row per key with where the value came from
+ * (env | alias | default | override); warnings: [{ key, level: invalid|clamped|deprecated|ignored|unknown, message }].
+ * A list with some unknown items keeps the known ones (invalid warning); with none it falls back to the default.
+ * An override that doesn't parse is skipped (invalid warning) and the env value stands.
+ */
+function resolveConfig(env = process.env, schema = CONFIG_SCHEMA, overrides = {}) {
+  const values = {};
+  const entries = [];
+  const warnings = [];
+  const warned = new Set();
+  const warn = (key, level, message) => {
+    if (warned.has(`${key}:${level}`)) return;
+    warned.add(`${key}:${level}`);
+    warnings.push({ key, level, message });
+  };
+
+  for (const entry of schema) {
+    const alias = isSet(env, entry.key) ? null : (entry.aliases || []).find((a) => isSet(env, a)) || null;
+    const from = alias || (isSet(env, entry.key) ? entry.key : null);
+    if (entry.deprecated && from) warn(entry.key, "deprecated", `deprecated: ${entry.deprecated}`);
+
+    let value = entry.default;
+    let source = "default";
+    if (from) {
+      const parsed = parseValue(entry, env[from]);
+      if (parsed.error) {
+        warn(from, "invalid", `${parsed.error}; using default ${JSON.stringify(entry.default)}`);
+      } else {
+        value = parsed.value;
+        source = alias ? "alias" : "env";
+        if (parsed.note) warn(from, parsed.level || "clamped", parsed.note);
+      }
+    }
+    const override = entry.runtime && overrides[entry.key] != null ? parseValue(entry, overrides[entry.key]) : null;
+    if (override?.error) {
+      warn(entry.key, "invalid", `override: ${override.error}; using ${source} value`);
+    } else if (override) {
+      value = override.value;
+      source = "override";
+      if (override.note) warn(entry.key, override.level || "clamped", `override: ${override.note}`);
+    }
+    values[entry.key] = value;
+    entries.push({
+      key: entry.key,
+      scope: entry.scope,
+      type: entry.type,
+      value: entry.secret ? (from ? "(set)" : null) : value,
+      default: entry.secret ? null : entry.default,
+      source,
+      ...(entry.runtime ? { runtime: true } : {}),
+      ...(alias ? { alias } : {}),
+      ...(entry.min != null ? { min: entry.min } : {}),
+      ...(entry.max != null ? { max: entry.max } : {}),
+      ...(entry.values ? { values: entry.values } : {}),
+      ...(entry.deprecated ? { deprecated: entry.deprecated } : {}),
+    });
+  }
+
+  // One warning per alias, naming every setting it still feeds (ALERT_RISK_BUDGET_PCT covers three).
+  const aliasTargets = new Map();
+  for (const entry of schema) {
+    for (const a of entry.aliases || []) aliasTargets.set(a, [...(aliasTargets.get(a) || []), entry.key]);
+  }
+  for (const [a, targets] of aliasTargets) {
+    if (!isSet(env, a)) continue;
+    const shadowed = targets.filter((k) => isSet(env, k));
+    warn(a, "deprecated", `deprecated alias of ${targets.join(", ")}${shadowed.length ? `; ignored for ${shadowed.join(", ")} (set directly)` : ""}`);
+  }
+
+  const known = knownKeys(schema);
+  for (const key of Object.keys(env).sort()) {
+    if (known.has(key) || !CHECKED_PREFIXES.some((p) => key.startsWith(p))) continue;
+    const ignored = IGNORED_PREFIXES.find((x) => key.startsWith(x.prefix));
+    if (ignored) warn(key, "ignored", `not read: ${ignored.reason}`);
+    else warn(key, "unknown", "not a known setting (typo?)");
+  }
+
+  return { values, entries, warnings };
+}
+
+// Warnings are logged once per process however many modules load the config.
+const loggedWarnings = new Set();
+
+// Typed values for a module's CFG, validated against the schema; problems go to the log at load.
+function loadConfig(env = process.env) {
+  const { values, warnings } = resolveConfig(env);
+  for (const w of warnings) {
+    const line = `${w.key} ${w.level}: ${w.message}`;
+    if (loggedWarnings.has(line)) continue;
+    loggedWarnings.add(line);
+    console.warn("[config]", line);
+  }
+  return Object.freeze(values);
+}
+
+module.exports = { CONFIG_SCHEMA, TFS, parseValue, resolveConfig, loadConfig };
@@ -0,0 +1,112 @@
+// /lib/exchanges/binance.js
+// Binance USDT-M perpetual futures (fapi) + spot klines for divergence.
+// Pure URL builders + parsers; no fetch or Redis here so fixtures can be replayed offline.
+
+import { numOrNull, clampInt } from "./parse.js";
+
+const FUTURES_URL = "https://fapi.binance.com";
+const SPOT_URL = "https://api.binance.com";
+
+// fapi depth only accepts these limits
+const BOOK_LIMITS = [5, 10, 20, 50, 100, 500, 1000];
+
+function bookLimit(depth) {
+  const d = clampInt(depth, 1, 1000);
+  return BOOK_LIMITS.find((x) => x >= d) || 1000;
+}
+
+// Binance returns oldest first; normalize to newest first like OKX.
+function klineRows(rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  return list
+    .map((r) => [numOrNull(r?.[0]), numOrNull(r?.[1]), numOrNull(r?.[2]), numOrNull(r?.[3]), numOrNull(r?.[4])])
+    .reverse();
+}
+
+export const binance = {
+  venue: "binance",
+  instrumentListKey: "binance:instruments:usdm:list:v1",
+  instMapPrefix: "instmap:binance:usdm:",
+
+  instIdForBase(base) {
+    return `${String(base || "").toUpperCase()}USDT`;
+  },
+
+  spotIdForBase(base) {
+    return base ? `${String(base).toUpperCase()}USDT` : null;
+  },
+
+  urls: {
+    instruments: () => `${FUTURES_URL}/fapi/v1/exchangeInfo`,
+    ticker: (instId) => `${FUTURES_URL}/fapi/v1/ticker/price?symbol=${encodeURIComponent(instId)}`,
+    funding: (instId) => `${FUTURES_URL}/fapi/v1/premiumIndex?symbol=${encodeURIComponent(instId)}`,
+    openInterest: (instId) => `${FUTURES_URL}/fapi/v1/openInterest?symbol=${encodeURIComponent(instId)}`,
+    candles: (instId, limit) => `${FUTURES_URL}/fapi/v1/klines?symbol=${encodeURIComponent(instId)}&interval=5m&limit=${clampInt(limit, 1, 1500)}`,
+    spotCandles: (spotId, limit) => `${SPOT_URL}/api/v3/klines?symbol=${encodeURIComponent(spotId)}&interval=5m&limit=${clampInt(limit, 1, 1000)}`,
+    book: (instId, depth) => `${FUTURES_URL}/fapi/v1/depth?symbol=${encodeURIComponent(instId)}&limit=${bookLimit(depth)}`,
+
+    // History endpoints page backwards from endTime (inclusive).
+    historyCandles: (instId, endTs, limit) => `${FUTURES_URL}/fapi/v1/klines?symbol=${encodeURIComponent(instId)}&interval=5m&endTime=${Math.floor(endTs)}&limit=${clampInt(limit, 1, 1500)}`,
+    openInterestHistory: (instId, endTs, limit) => `${FUTURES_URL}/futures/data/openInterestHist?symbol=${encodeURIComponent(instId)}&period=5m&endTime=${Math.floor(endTs)}&limit=${clampInt(limit, 1, 500)}`,
+    fundingHistory: (instId, endTs, limit) => `${FUTURES_URL}/fapi/v1/fundingRate?symbol=${encodeURIComponent(instId)}&endTime=${Math.floor(endTs)}&limit=${clampInt(limit, 1, 1000)}`,
+  },
+
+  historyPageLimits: { candles: 1500, openInterest: 500, funding: 1000 },
+
+  // Rows: { instId, base, ctVal, ctValCcy }. Sizes are quoted in base coin, so ctVal is 1 base unit.
+  parseInstruments(json) {
+    const rows = Array.isArray(json) ? json : Array.isArray(json?.symbols) ? json.symbols : null;
+    if (!Array.isArray(rows)) return null;
+    return rows
+      .filter((x) => x?.instId || (
+        x?.symbol &&
+        String(x?.contractType || "").toUpperCase() === "PERPETUAL" &&
+        String(x?.quoteAsset || "").toUpperCase() === "USDT" &&
+        String(x?.status || "TRADING").toUpperCase() === "TRADING"
+      ))
+      .map((x) => {
+        const base = String(x?.base || x?.baseAsset || "").toUpperCase();
+        return {
+          instId: String(x?.instId || x?.symbol).toUpperCase(),
+          base,
+          ctVal: 1,
+          ctValCcy: base,
+        };
+      });
+  },
+
+  parseTicker(json) {
+    return { price: numOrNull(json?.price) };
+  },
+
+  parseFunding(json) {
+    return { funding_rate: numOrNull(json?.lastFundingRate) };
+  },
+
+  // Binance reports OI in base coin.
+  parseOpenInterest(json) {
+    return { open_interest_contracts: numOrNull(json?.openInterest) };
+  },
+
+  parseCandles(json) {
+    return klineRows(json);
+  },
+
+  // Rows: { ts, oi } with oi in base coin, matching parseOpenInterest.
+  parseOpenInterestHistory(json) {
+    const rows = Array.isArray(json) ? json : [];
+    return rows.map((r) => ({ ts: numOrNull(r?.timestamp), oi: numOrNull(r?.sumOpenInterest) }));
+  },
+
+  parseFundingHistory(json) {
+    const rows = Array.isArray(json) ? json : [];
+    return rows.map((r) => ({ ts: numOrNull(r?.fundingTime), fr: numOrNull(r?.fundingRate) }));
+  },
+
+  parseBook(json) {
+    return {
+      bids: Array.isArray(json?.bids) ? json.bids.map((r) => [r?.[0], r?.[1]]) : [],
+      asks: Array.isArray(json?.asks) ? json.asks.map((r) => [r?.[0], r?.[1]]) : [],
+    };
+  },
+};
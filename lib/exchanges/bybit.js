@@ -0,0 +1,102 @@
+// /lib/exchanges/bybit.js
+// Bybit linear USDT perpetuals (public REST v5).
+// Pure URL builders + parsers; no fetch or Redis here so fixtures can be replayed offline.
+
+import { numOrNull, clampInt } from "./parse.js";
+
+const BASE_URL = "https://api.bybit.com";
+
+// Bybit kline rows are already newest first: [start, open, high, low, close, volume, turnover]
+function klineRows(json) {
+  const list = Array.isArray(json?.result?.list) ? json.result.list : [];
+  return list.map((r) => [numOrNull(r?.[0]), numOrNull(r?.[1]), numOrNull(r?.[2]), numOrNull(r?.[3]), numOrNull(r?.[4])]);
+}
+
+export const bybit = {
+  venue: "bybit",
+  instrumentListKey: "bybit:instruments:linear:list:v1",
+  instMapPrefix: "instmap:bybit:linear:",
+
+  instIdForBase(base) {
+    return `${String(base || "").toUpperCase()}USDT`;
+  },
+
+  spotIdForBase(base) {
+    return base ? `${String(base).toUpperCase()}USDT` : null;
+  },
+
+  // Ticker carries price, funding and OI, so the three URLs are identical and fetched once.
+  urls: {
+    instruments: () => `${BASE_URL}/v5/market/instruments-info?category=linear&limit=1000`,
+    ticker: (instId) => `${BASE_URL}/v5/market/tickers?category=linear&symbol=${encodeURIComponent(instId)}`,
+    funding: (instId) => `${BASE_URL}/v5/market/tickers?category=linear&symbol=${encodeURIComponent(instId)}`,
+    openInterest: (instId) => `${BASE_URL}/v5/market/tickers?category=linear&symbol=${encodeURIComponent(instId)}`,
+    candles: (instId, limit) => `${BASE_URL}/v5/market/kline?category=linear&symbol=${encodeURIComponent(instId)}&interval=5&limit=${clampInt(limit, 1, 1000)}`,
+    spotCandles: (spotId, limit) => `${BASE_URL}/v5/market/kline?category=spot&symbol=${encodeURIComponent(spotId)}&interval=5&limit=${clampInt(limit, 1, 1000)}`,
+    book: (instId, depth) => `${BASE_URL}/v5/market/orderbook?category=linear&symbol=${encodeURIComponent(instId)}&limit=${clampInt(depth, 1, 500)}`,
+
+    // History endpoints page backwards from end/endTime (inclusive).
+    historyCandles: (instId, endTs, limit) => `${BASE_URL}/v5/market/kline?category=linear&symbol=${encodeURIComponent(instId)}&interval=5&end=${Math.floor(endTs)}&limit=${clampInt(limit, 1, 1000)}`,
+    openInterestHistory: (instId, endTs, limit) => `${BASE_URL}/v5/market/open-interest?category=linear&symbol=${encodeURIComponent(instId)}&intervalTime=5min&endTime=${Math.floor(endTs)}&limit=${clampInt(limit, 1, 200)}`,
+    fundingHistory: (instId, endTs, limit) => `${BASE_URL}/v5/market/funding/history?category=linear&symbol=${encodeURIComponent(instId)}&endTime=${Math.floor(endTs)}&limit=${clampInt(limit, 1, 200)}`,
+  },
+
+  historyPageLimits: { candles: 1000, openInterest: 200, funding: 200 },
+
+  // Rows: { instId, base, ctVal, ctValCcy }. Sizes are quoted in base coin, so ctVal is 1 base unit.
+  parseInstruments(json) {
+    const rows = Array.isArray(json) ? json : Array.isArray(json?.result?.list) ? json.result.list : null;
+    if (!Array.isArray(rows)) return null;
+    return rows
+      .filter((x) => x?.instId || (
+        x?.symbol &&
+        String(x?.contractType || "") === "LinearPerpetual" &&
+        String(x?.quoteCoin || "").toUpperCase() === "USDT" &&
+        String(x?.status || "Trading") === "Trading"
+      ))
+      .map((x) => {
+        const base = String(x?.base || x?.baseCoin || "").toUpperCase();
+        return {
+          instId: String(x?.instId || x?.symbol).toUpperCase(),
+          base,
+          ctVal: 1,
+          ctValCcy: base,
+        };
+      });
+  },
+
+  parseTicker(json) {
+    return { price: numOrNull(json?.result?.list?.[0]?.lastPrice) };
+  },
+
+  parseFunding(json) {
+    return { funding_rate: numOrNull(json?.result?.list?.[0]?.fundingRate) };
+  },
+
+  // Bybit reports OI in base coin.
+  parseOpenInterest(json) {
+    return { open_interest_contracts: numOrNull(json?.result?.list?.[0]?.openInterest) };
+  },
+
+  parseCandles(json) {
+    return klineRows(json);
+  },
+
+  // Rows: { ts, oi } with oi in base coin, matching parseOpenInterest.
+  parseOpenInterestHistory(json) {
+    const rows = Array.isArray(json?.result?.list) ? json.result.list : [];
+    return rows.map((r) => ({ ts: numOrNull(r?.timestamp), oi: numOrNull(r?.openInterest) }));
+  },
+
+  parseFundingHistory(json) {
+    const rows = Array.isArray(json?.result?.list) ? json.result.list : [];
+    return rows.map((r) => ({ ts: numOrNull(r?.fundingRateTimestamp), fr: numOrNull(r?.fundingRate) }));
+  },
+
+  parseBook(json) {
+    return {
+      bids: Array.isArray(json?.result?.b) ? json.result.b.map((r) => [r?.[0], r?.[1]]) : [],
+      asks: Array.isArray(json?.result?.a) ? json.result.a.map((r) => [r?.[0], r?.[1]]) : [],
+    };
+  },
+};
@@ -0,0 +1,130 @@
+// /lib/exchanges/index.js
+// Exchange adapter registry for /api/snapshot.
+//
+// Adapter contract (see okx.js / binance.js / bybit.js):
+// - venue, instrumentListKey, instMapPrefix
+// - instIdForBase(base), spotIdForBase(base)
+// - urls.{instruments, ticker, funding, openInterest, candles, spotCandles, book}
+// - urls.{historyCandles, openInterestHistory, fundingHistory}(instId, endTs, limit) + historyPageLimits
+// - parseInstruments / parseTicker / parseFunding / parseOpenInterest / parseCandles / parseBook
+// - parseOpenInterestHistory -> [{ ts, oi }], parseFundingHistory -> [{ ts, fr }]
+//
+// fetchVenueMarket takes an injectable fetchJson(url) so recorded fixtures can stand in for the network
+// (test/exchanges.test.js, test/fixtures/exchanges). Number parsing shared by the adapters lives in parse.js.
+
+import { okx } from "./okx.js";
+import { binance } from "./binance.js";
+import { bybit } from "./bybit.js";
+
+export const ADAPTERS = Object.freeze({ okx, binance, bybit });
+
+export const DEFAULT_VENUES = ["okx", "binance", "bybit"];
+
+export function getExchangeAdapter(venue) {
+  return ADAPTERS[String(venue || "").trim().toLowerCase()] || null;
+}
+
+// "okx,bybit" -> [okx, bybit]; unknown names are dropped, empty falls back to DEFAULT_VENUES.
+export function resolveVenueOrder(raw) {
+  const names = String(raw || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  const picked = [];
+  for (const name of names.length ? names : DEFAULT_VENUES) {
+    const adapter = getExchangeAdapter(name);
+    if (adapter && !picked.includes(adapter)) picked.push(adapter);
+  }
+  return picked.length ? picked : DEFAULT_VENUES.map(getExchangeAdapter);
+}
+
+// Returns parsed JSON or null; never throws.
+export function makeFetchJson(fetchImpl) {
+  return async function fetchJson(url) {
+    try {
+      const r = await fetchImpl(url);
+      if (!r?.ok) return null;
+      return await r.json().catch(() => null);
+    } catch {
+      return null;
+    }
+  };
+}
+
+// Pulls ticker/funding/OI/candles (+ optional spot candles and book) for one instrument.
+// Identical URLs (Bybit ticker carries funding + OI) are requested once.
+export async function fetchVenueMarket(adapter, { instId, spotId = null, fetchJson, spotEnabled = true, bookEnabled = true, bookDepth = 20, candleLimit = 13 }) {
+  const inflight = new Map();
+  const get = (url) => {
+    if (!url) return Promise.resolve(null);
+    if (!inflight.has(url)) inflight.set(url, fetchJson(url));
+    return inflight.get(url);
+  };
+
+  const [ticker, funding, oi, candles, spotCandles, book] = await Promise.all([
+    get(adapter.urls.ticker(instId)),
+    get(adapter.urls.funding(instId)),
+    get(adapter.urls.openInterest(instId)),
+    get(adapter.urls.candles(instId, candleLimit)),
+    spotEnabled && spotId ? get(adapter.urls.spotCandles(spotId, candleLimit)) : Promise.resolve(null),
+    bookEnabled ? get(adapter.urls.book(instId, bookDepth)) : Promise.resolve(null),
+  ]);
+
+  if (!ticker || !funding || !oi || !candles) {
+    return { ok: false, error: `${adapter.venue} fetch failed` };
+  }
+
+  return {
+    ok: true,
+    venue: adapter.venue,
+    ...adapter.parseTicker(ticker),
+    ...adapter.parseFunding(funding),
+    ...adapter.parseOpenInterest(oi),
+    candles: adapter.parseCandles(candles),
+    spotCandles: spotCandles ? adapter.parseCandles(spotCandles) : null,
+    book: book ? adapter.parseBook(book) : null,
+  };
+}
+
+const HISTORY_KINDS = {
+  candles: { url: "historyCandles", parse: "parseCandles", tsOf: (r) => r?.[0] },
+  openInterest: { url: "openInterestHistory", parse: "parseOpenInterestHistory", tsOf: (r) => r?.ts },
+  funding: { url: "fundingHistory", parse: "parseFundingHistory", tsOf: (r) => r?.ts },
+};
+
+// Pages a history endpoint backwards from toTs until fromTs is covered.
+// Returns rows (adapter shape) ascending by ts, deduped, within [fromTs, toTs].
+export async function fetchVenueHistory(adapter, kind, { instId, fromTs, toTs, fetchJson, maxPages = 20 }) {
+  const spec = HISTORY_KINDS[kind];
+  if (!spec) return { ok: false, error: `unknown history kind: ${kind}`, rows: [], pages: 0 };
+
+  const limit = Number(adapter.historyPageLimits?.[kind] || 100);
+  const byTs = new Map();
+  let endTs = toTs;
+  let pages = 0;
+
+  while (pages < maxPages) {
+    const j = await fetchJson(adapter.urls[spec.url](instId, endTs, limit));
+    pages += 1;
+    if (!j) {
+      if (pages === 1) return { ok: false, error: `${adapter.venue} ${kind} history fetch failed`, rows: [], pages };
+      break;
+    }
+
+    const rows = adapter[spec.parse](j).filter((r) => Number.isFinite(spec.tsOf(r)));
+    if (!rows.length) break;
+
+    let oldest = Infinity;
+    for (const r of rows) {
+      const ts = spec.tsOf(r);
+      if (ts < oldest) oldest = ts;
+      if (ts >= fromTs && ts <= toTs) byTs.set(ts, r);
+    }
+
+    if (oldest <= fromTs || oldest >= endTs) break;
+    endTs = oldest - 1;
+  }
+
+  const rows = [...byTs.values()].sort((a, b) => spec.tsOf(a) - spec.tsOf(b));
+  return { ok: true, rows, pages };
+}
@@ -0,0 +1,91 @@
+// /lib/exchanges/okx.js
+// OKX USDT-margined perpetual swaps (public REST v5).
+// Pure URL builders + parsers; no fetch or Redis here so fixtures can be replayed offline.
+
+import { numOrNull, clampInt } from "./parse.js";
+
+const BASE_URL = "https://www.okx.com";
+
+export const okx = {
+  venue: "okx",
+  instrumentListKey: "okx:instruments:swap:list:v1",
+  instMapPrefix: "instmap:okx:swap:",
+
+  instIdForBase(base) {
+    return `${String(base || "").toUpperCase()}-USDT-SWAP`;
+  },
+
+  spotIdForBase(base) {
+    return base ? `${String(base).toUpperCase()}-USDT` : null;
+  },
+
+  urls: {
+    instruments: () => `${BASE_URL}/api/v5/public/instruments?instType=SWAP`,
+    ticker: (instId) => `${BASE_URL}/api/v5/market/ticker?instId=${encodeURIComponent(instId)}`,
+    funding: (instId) => `${BASE_URL}/api/v5/public/funding-rate?instId=${encodeURIComponent(instId)}`,
+    openInterest: (instId) => `${BASE_URL}/api/v5/public/open-interest?instType=SWAP&instId=${encodeURIComponent(instId)}`,
+    candles: (instId, limit) => `${BASE_URL}/api/v5/market/candles?instId=${encodeURIComponent(instId)}&bar=5m&limit=${clampInt(limit, 1, 300)}`,
+    spotCandles: (spotId, limit) => `${BASE_URL}/api/v5/market/candles?instId=${encodeURIComponent(spotId)}&bar=5m&limit=${clampInt(limit, 1, 300)}`,
+    book: (instId, depth) => `${BASE_URL}/api/v5/market/books?instId=${encodeURIComponent(instId)}&sz=${clampInt(depth, 1, 400)}`,
+
+    // History endpoints page backwards: rows strictly older than endTs.
+    historyCandles: (instId, endTs, limit) => `${BASE_URL}/api/v5/market/history-candles?instId=${encodeURIComponent(instId)}&bar=5m&after=${Math.floor(endTs)}&limit=${clampInt(limit, 1, 100)}`,
+    openInterestHistory: (instId, endTs, limit) => `${BASE_URL}/api/v5/rubik/stat/contracts/open-interest-history?instId=${encodeURIComponent(instId)}&period=5m&end=${Math.floor(endTs)}&limit=${clampInt(limit, 1, 100)}`,
+    fundingHistory: (instId, endTs, limit) => `${BASE_URL}/api/v5/public/funding-rate-history?instId=${encodeURIComponent(instId)}&after=${Math.floor(endTs)}&limit=${clampInt(limit, 1, 100)}`,
+  },
+
+  historyPageLimits: { candles: 100, openInterest: 100, funding: 100 },
+
+  // Rows: { instId, base, ctVal, ctValCcy }. Also accepts the legacy cached raw OKX array.
+  parseInstruments(json) {
+    const rows = Array.isArray(json) ? json : Array.isArray(json?.data) ? json.data : null;
+    if (!Array.isArray(rows)) return null;
+    return rows
+      .filter((x) => x?.instId && (!x?.settleCcy || String(x.settleCcy).toUpperCase() === "USDT"))
+      .map((x) => ({
+        instId: String(x.instId).toUpperCase(),
+        base: String(x?.base || String(x.instId).split("-")[0] || "").toUpperCase(),
+        ctVal: numOrNull(x?.ctVal),
+        ctValCcy: String(x?.ctValCcy || ""),
+      }));
+  },
+
+  parseTicker(json) {
+    return { price: numOrNull(json?.data?.[0]?.last) };
+  },
+
+  parseFunding(json) {
+    return { funding_rate: numOrNull(json?.data?.[0]?.fundingRate) };
+  },
+
+  // OKX reports OI in contracts (ctVal units).
+  parseOpenInterest(json) {
+    return { open_interest_contracts: numOrNull(json?.data?.[0]?.oi) };
+  },
+
+  // Normalized rows, newest first: [ts, open, high, low, close]
+  parseCandles(json) {
+    const rows = Array.isArray(json?.data) ? json.data : [];
+    return rows.map((r) => [numOrNull(r?.[0]), numOrNull(r?.[1]), numOrNull(r?.[2]), numOrNull(r?.[3]), numOrNull(r?.[4])]);
+  },
+
+  // Rows: { ts, oi } with oi in contracts, matching parseOpenInterest.
+  parseOpenInterestHistory(json) {
+    const rows = Array.isArray(json?.data) ? json.data : [];
+    return rows.map((r) => ({ ts: numOrNull(r?.[0]), oi: numOrNull(r?.[1]) }));
+  },
+
+  // Rows: { ts, fr } keyed on settlement time.
+  parseFundingHistory(json) {
+    const rows = Array.isArray(json?.data) ? json.data : [];
+    return rows.map((r) => ({ ts: numOrNull(r?.fundingTime), fr: numOrNull(r?.fundingRate) }));
+  },
+
+  parseBook(json) {
+    const data = json?.data?.[0] || {};
+    return {
+      bids: Array.isArray(data?.bids) ? data.bids.map((r) => [r?.[0], r?.[1]]) : [],
+      asks: Array.isArray(data?.asks) ? data.asks.map((r) => [r?.[0], r?.[1]]) : [],
+    };
+  },
+};
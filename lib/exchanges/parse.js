@@ -0,0 +1,15 @@
+// /lib/exchanges/parse.js
+// Number helpers shared by the venue adapters. Venues send numbers as strings, "" for unset fields.
+
+export function numOrNull(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// URL limit params: floor, clamp to the venue's range; non-numeric -> min.
+export function clampInt(value, min, max) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n)) return min;
+  return Math.max(min, Math.min(max, n));
+}
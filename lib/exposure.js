@@ -0,0 +1,152 @@
+// /lib/exposure.js
+// Exposure guard for the recipe shortlist: stops one run (plus what is already open) from stacking the same bet
+// through several highly correlated symbols on the same side.
+// CommonJS because api/alert.js requires it.
+//
+// - Returns are bar-to-bar 5m returns from series5m over the last ALERT_EXPOSURE_LOOKBACK_POINTS points,
+//   aligned on bucket; correlation and beta need at least ALERT_EXPOSURE_MIN_OVERLAP shared bars.
+// - "Held" = picks already selected this run (same tier) + open paper positions + watched lifecycle alerts.
+// - exposure_cap: same-side held beta-to-BTC (unknown beta counts as 1) plus the candidate's would exceed
+//   ALERT_EXPOSURE_MAX_SAME_SIDE_BETA.
+// - correlation_cap: the candidate correlates >= ALERT_EXPOSURE_CORR_MAX with ALERT_EXPOSURE_MAX_CORRELATED
+//   or more same-side held symbols.
+// Opposite-side holdings are ignored (they offset rather than stack).
+
+const { readOpenPositions } = require("./paper-ledger.js");
+const { readWatchedAlerts } = require("./lifecycle.js");
+const { loadConfig } = require("./config.js");
+const { finiteOrNull, round4 } = require("./values.js");
+
+const C = loadConfig();
+
+const EXPOSURE_CFG = {
+  enabled: C.ALERT_EXPOSURE_GUARD_ENABLED,
+  lookbackPoints: C.ALERT_EXPOSURE_LOOKBACK_POINTS,
+  minOverlap: C.ALERT_EXPOSURE_MIN_OVERLAP,
+  corrMax: C.ALERT_EXPOSURE_CORR_MAX,
+  maxCorrelated: C.ALERT_EXPOSURE_MAX_CORRELATED,
+  maxSameSideBeta: C.ALERT_EXPOSURE_MAX_SAME_SIDE_BETA, // 0 = no cap
+  includeOpen: C.ALERT_EXPOSURE_INCLUDE_OPEN,
+};
+
+// series5m points -> Map(bucket -> return vs the previous bucket). Gaps break the chain instead of
+// producing a multi-bar return.
+function seriesReturns(points) {
+  const sorted = (points || [])
+    .filter((pt) => Number.isFinite(Number(pt?.b)) && finiteOrNull(pt?.p) > 0)
+    .sort((a, b) => a.b - b.b);
+  const out = new Map();
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1];
+    const cur = sorted[i];
+    if (Number(cur.b) - Number(prev.b) !== 1) continue;
+    out.set(Number(cur.b), Number(cur.p) / Number(prev.p) - 1);
+  }
+  return out;
+}
+
+function alignedPairs(a, b) {
+  const xs = [];
+  const ys = [];
+  for (const [bucket, x] of a || []) {
+    const y = b?.get(bucket);
+    if (y === undefined) continue;
+    xs.push(x);
+    ys.push(y);
+  }
+  return { xs, ys };
+}
+
+function moments(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((s, v) => s + v, 0) / n;
+  const my = ys.reduce((s, v) => s + v, 0) / n;
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return { cov, vx, vy };
+}
+
+// Pearson correlation of two seriesReturns maps; null below minOverlap shared bars or on a flat series.
+function returnCorrelation(a, b, minOverlap = EXPOSURE_CFG.minOverlap) {
+  const { xs, ys } = alignedPairs(a, b);
+  if (xs.length < minOverlap) return null;
+  const { cov, vx, vy } = moments(xs, ys);
+  if (!(vx > 0) || !(vy > 0)) return null;
+  return cov / Math.sqrt(vx * vy);
+}
+
+// OLS beta of a on bench (BTC); null below minOverlap or when bench is flat.
+function betaTo(a, bench, minOverlap = EXPOSURE_CFG.minOverlap) {
+  const { xs, ys } = alignedPairs(a, bench);
+  if (xs.length < minOverlap) return null;
+  const { cov, vy } = moments(xs, ys);
+  return vy > 0 ? cov / vy : null;
+}
+
+// candidate / held items: { instId, symbol, side, source, returns, beta }.
+// Returns { ok: true, sameSideBeta, correlated } or { ok: false, reason, detail }.
+function checkExposure(candidate, held, cfg = EXPOSURE_CFG) {
+  const side = String(candidate?.side || "").toLowerCase();
+  const sameSide = (held || []).filter((h) => String(h?.side || "").toLowerCase() === side);
+  const betaOf = (item) => Math.max(0, finiteOrNull(item?.beta) ?? 1);
+
+  const heldBeta = sameSide.reduce((s, h) => s + betaOf(h), 0);
+  const sameSideBeta = heldBeta + betaOf(candidate);
+  const base = {
+    side,
+    beta_to_btc: round4(finiteOrNull(candidate?.beta)),
+    same_side_held: sameSide.length,
+    lookback: cfg.lookbackPoints,
+  };
+
+  if (cfg.maxSameSideBeta > 0 && sameSide.length > 0 && sameSideBeta > cfg.maxSameSideBeta) {
+    return {
+      ok: false,
+      reason: "exposure_cap",
+      detail: { ...base, same_side_beta: round4(sameSideBeta), max_same_side_beta: cfg.maxSameSideBeta },
+    };
+  }
+
+  const correlated = [];
+  for (const h of sameSide) {
+    const corr = returnCorrelation(candidate?.returns, h.returns, cfg.minOverlap);
+    if (corr != null && corr >= cfg.corrMax) {
+      correlated.push({ symbol: h.symbol || h.instId, source: h.source, correlation: round4(corr) });
+    }
+  }
+  if (correlated.length >= cfg.maxCorrelated) {
+    return {
+      ok: false,
+      reason: "correlation_cap",
+      detail: { ...base, corr_with: correlated, corr_max: cfg.corrMax, max_correlated: cfg.maxCorrelated },
+    };
+  }
+
+  return { ok: true, sameSideBeta: round4(sameSideBeta), correlated };
+}
+
+// Open paper positions + watched lifecycle alerts, one entry per alert_id: [{ alert_id, instId, symbol, side, source }].
+// keys: { lastFiredAlert(instId, mode) } from /api/alert CFG. Never throws.
+async function loadOpenExposure(redis, keys) {
+  if (!EXPOSURE_CFG.includeOpen) return [];
+  const byId = new Map();
+  try {
+    for (const p of await readOpenPositions(redis)) {
+      byId.set(p.alert_id, { alert_id: p.alert_id, instId: p.instId, symbol: p.symbol, side: p.side, source: "paper" });
+    }
+  } catch (_) {}
+  try {
+    for (const a of await readWatchedAlerts(redis, keys)) {
+      if (!byId.has(a.alert_id)) byId.set(a.alert_id, { ...a, source: "lifecycle" });
+    }
+  } catch (_) {}
+  return [...byId.values()].filter((h) => h.instId && (h.side === "long" || h.side === "short"));
+}
+
+module.exports = { EXPOSURE_CFG, seriesReturns, returnCorrelation, betaTo, checkExposure, loadOpenExposure };
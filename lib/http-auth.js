@@ -0,0 +1,13 @@
+// /lib/http-auth.js
+// Shared ALERT_SECRET check for the operator endpoints: `Authorization: Bearer <secret>` or ?key=<secret>.
+// CommonJS because api/alert.js requires it.
+
+function isAuthorized(req) {
+  const secret = process.env.ALERT_SECRET || "";
+  const authHeader = String(req.headers?.authorization || "");
+  const bearer = authHeader.toLowerCase().startsWith("bearer ") ? authHeader.slice(7).trim() : "";
+  const provided = bearer || String(req.query?.key || "");
+  return !!secret && provided === secret;
+}
+
+module.exports = { isAuthorized };
@@ -0,0 +1,286 @@
+// /lib/lifecycle.js
+// Trade lifecycle follow-ups for delivered Premium alerts: TP hit, stop hit, invalidated, due window passed.
+// CommonJS because api/alert.js requires it (alert stays the only component that sends alert messages).
+//
+// Layout:
+// - alert:lifecycle:watch               hash {instId}:{mode} -> alert_id being watched (a newer fire replaces it)
+// - alert:lifecycle:{alert_id}          JSON { state, checked_bucket, last_price } (7d)
+// - alert:lifecycle:{alert_id}:followups list of sent follow-ups { state, ts, price, sent } (7d), appended by the
+//                                        run that holds the claim, so an overlapping run's record write can't drop one
+// - alert:lifecycle:{alert_id}:{STATE}  claim (SET NX) taken before a follow-up is sent
+//
+// Levels come from alert:lastFiredAlert:{instId}:{mode} (entry/TP/stop/invalidation/due + Telegram message ids);
+// price comes from series5m points after the entry bucket. Same-bar stop+TP counts as the stop, as in lib/outcomes.js.
+// INVALIDATED is a heads-up and watching continues; TP_HIT / STOP_HIT / DUE end it.
+// The claim makes each follow-up at-most-once even with overlapping runs. When no destination accepts the send
+// the claim is released and the state is not advanced, so the next run retries it. An alert with no configured
+// Telegram target is followed silently: states advance without a claim or a recorded follow-up.
+
+const { sendTelegramReply } = require("./notifiers.js");
+const { loadConfig } = require("./config.js");
+const { safeJsonParse, finiteOrNull } = require("./values.js");
+
+const C = loadConfig();
+
+const LIFECYCLE_KEYS = {
+  watch: () => "alert:lifecycle:watch",
+  record: (alertId) => `alert:lifecycle:${alertId}`,
+  followups: (alertId) => `alert:lifecycle:${alertId}:followups`,
+  claim: (alertId, state) => `alert:lifecycle:${alertId}:${state}`,
+};
+
+const LIFECYCLE_CFG = {
+  enabled: C.ALERT_LIFECYCLE_ENABLED,
+  ttlSeconds: 60 * 60 * 24 * 7,
+  maxPoints: 864,
+};
+
+const TERMINAL_STATES = new Set(["TP_HIT", "STOP_HIT", "DUE"]);
+const BUCKET_MS = 5 * 60 * 1000;
+
+function fmtPrice(n) {
+  if (!Number.isFinite(n)) return "—";
+  if (n >= 1000) return n.toFixed(2);
+  if (n >= 1) return n.toFixed(3);
+  return n.toFixed(4);
+}
+
+function signedReturnPct(side, entry, price) {
+  if (entry == null || price == null || entry <= 0) return null;
+  const raw = ((price - entry) / entry) * 100;
+  return side === "short" ? -raw : raw;
+}
+
+const watchField = (instId, mode) => `${instId}:${mode}`;
+
+// Called by /api/alert once a fired alert's state is stored. Never throws.
+async function watchLifecycle(redis, events) {
+  if (!LIFECYCLE_CFG.enabled) return 0;
+  const fields = {};
+  for (const e of events || []) {
+    if (e?.alert_id && e?.instId && e?.mode) fields[watchField(e.instId, e.mode)] = String(e.alert_id);
+  }
+  if (!Object.keys(fields).length) return 0;
+  try {
+    await redis.hset(LIFECYCLE_KEYS.watch(), fields);
+    return Object.keys(fields).length;
+  } catch (_) {
+    return 0;
+  }
+}
+
+// Watched alerts that are still open (not terminal): [{ alert_id, instId, mode, symbol, side }]. Read-only.
+// keys: { lastFiredAlert(instId, mode) } from /api/alert CFG.
+async function readWatchedAlerts(redis, keys) {
+  if (!LIFECYCLE_CFG.enabled) return [];
+  const watch = (await redis.hgetall(LIFECYCLE_KEYS.watch())) || {};
+  const out = [];
+  for (const [field, alertId] of Object.entries(watch)) {
+    const idx = field.lastIndexOf(":");
+    const instId = field.slice(0, idx);
+    const mode = field.slice(idx + 1);
+    const alert = safeJsonParse(await redis.get(keys.lastFiredAlert(instId, mode)));
+    if (!alert || String(alert.alertId || "") !== String(alertId)) continue;
+    const record = safeJsonParse(await redis.get(LIFECYCLE_KEYS.record(alertId)));
+    if (record && TERMINAL_STATES.has(record.state)) continue;
+    out.push({ alert_id: String(alertId), instId, mode, symbol: alert.symbol || "", side: String(alert.side || "").toLowerCase() });
+  }
+  return out;
+}
+
+// Walks points after the entry (and after anything already checked) up to due.
+// Returns { transitions: [{ state, price, ts }], checkedBucket }.
+function detectTransitions(alert, record, points, now) {
+  const side = String(alert.side || "").toLowerCase();
+  const isShort = side === "short";
+  const entryBucket = Math.floor(Number(alert.ts) / BUCKET_MS);
+  const dueTs = finiteOrNull(alert.dueTs);
+  const sl = finiteOrNull(alert.stopLoss);
+  const tp = finiteOrNull(alert.tpPrice);
+  const inv = finiteOrNull(alert.invalidationPrice);
+  const sent = new Set((record.followups || []).map((f) => f.state));
+
+  const against = (px, level) => level != null && px != null && (isShort ? px >= level : px <= level);
+  const towards = (px, level) => level != null && px != null && (isShort ? px <= level : px >= level);
+
+  const transitions = [];
+  let checkedBucket = Math.max(entryBucket, Number(record.checked_bucket || 0));
+  let lastPrice = null;
+
+  const fresh = (points || [])
+    .filter((pt) => Number(pt?.b) > checkedBucket && (dueTs == null || Number(pt.b) * BUCKET_MS <= dueTs))
+    .sort((a, b) => a.b - b.b);
+
+  for (const pt of fresh) {
+    const p = finiteOrNull(pt.p);
+    const h = finiteOrNull(pt.h) ?? p;
+    const l = finiteOrNull(pt.l) ?? p;
+    if (p != null) lastPrice = p;
+    checkedBucket = Number(pt.b);
+    const ts = Number(pt.b) * BUCKET_MS;
+    const adverse = isShort ? h : l;
+    const favourable = isShort ? l : h;
+
+    if (!sent.has("INVALIDATED") && against(adverse, inv)) {
+      transitions.push({ state: "INVALIDATED", price: inv, ts });
+      sent.add("INVALIDATED");
+    }
+    if (against(adverse, sl)) {
+      transitions.push({ state: "STOP_HIT", price: sl, ts });
+      return { transitions, checkedBucket };
+    }
+    if (towards(favourable, tp)) {
+      transitions.push({ state: "TP_HIT", price: tp, ts });
+      return { transitions, checkedBucket };
+    }
+  }
+
+  if (dueTs != null && now >= dueTs) {
+    const last = lastPrice ?? finiteOrNull(record.last_price);
+    transitions.push({ state: "DUE", price: last, ts: now });
+  }
+  return { transitions, checkedBucket, lastPrice };
+}
+
+const STATE_TITLES = {
+  INVALIDATED: "⚠️ Setup invalidated",
+  STOP_HIT: "🛑 Stop hit",
+  TP_HIT: "🎯 TP hit",
+  DUE: "⌛ Due window passed",
+};
+
+function followUpText(alert, transition) {
+  const side = String(alert.side || "").toLowerCase();
+  const entry = finiteOrNull(alert.entryPrice);
+  const ret = signedReturnPct(side, entry, finiteOrNull(transition.price));
+  const retText = ret == null ? "" : ` (${ret >= 0 ? "+" : ""}${ret.toFixed(2)}%)`;
+  const level =
+    transition.state === "DUE" ? "last" : transition.state === "TP_HIT" ? "TP" : transition.state === "STOP_HIT" ? "SL" : "invalidation";
+  const lines = [
+    `${STATE_TITLES[transition.state]} — ${alert.symbol} ${alert.mode} ${side}`,
+    `entry ${fmtPrice(entry)} → ${level} ${fmtPrice(finiteOrNull(transition.price))}${retText}`,
+  ];
+  if (transition.state === "INVALIDATED") lines.push("Structure broke; stop still live until it hits or the window ends.");
+  if (alert.recipeReason) lines.push(`recipe: ${alert.recipeReason}`);
+  return lines.join("\n");
+}
+
+const telegramDestination = (destinations, target) =>
+  (destinations || []).find((d) => d.id === target?.destination && d.type === "telegram");
+
+// Sends one follow-up as a reply on every Telegram destination that carried the original alert.
+async function sendFollowUp(destinations, alert, transition) {
+  const text = followUpText(alert, transition);
+  const sent = [];
+  for (const target of alert.replyTo || []) {
+    const dest = telegramDestination(destinations, target);
+    if (!dest) {
+      sent.push({ destination: target.destination, ok: false, message_id: null, detail: "destination_not_configured" });
+      continue;
+    }
+    const res = await sendTelegramReply(dest, text, target.message_id);
+    sent.push({ destination: dest.id, ok: res.ok, message_id: res.messageId, detail: res.ok ? null : res.detail ?? null });
+  }
+  return sent;
+}
+
+// One pass over every watched alert. keys: { lastFiredAlert(instId, mode), series5m(instId) } from /api/alert CFG.
+// Returns { ok, watched, followups: [{ alert_id, symbol, state, sent, retry? }], finished, error }. Never throws.
+async function runLifecycleFollowUps(redis, { keys, destinations, now = Date.now(), dry = false }) {
+  const out = { ok: true, watched: 0, followups: [], finished: 0, error: null };
+  if (!LIFECYCLE_CFG.enabled) return out;
+  try {
+    const watch = (await redis.hgetall(LIFECYCLE_KEYS.watch())) || {};
+    const seriesCache = new Map();
+
+    for (const [field, alertId] of Object.entries(watch)) {
+      const idx = field.lastIndexOf(":");
+      const instId = field.slice(0, idx);
+      const mode = field.slice(idx + 1);
+      const alert = safeJsonParse(await redis.get(keys.lastFiredAlert(instId, mode)));
+
+      // Expired state or a newer fire that didn't register a watch: nothing left to follow.
+      if (!alert || String(alert.alertId || "") !== String(alertId)) {
+        if (!dry) await redis.hdel(LIFECYCLE_KEYS.watch(), field);
+        continue;
+      }
+      out.watched += 1;
+
+      const stored = safeJsonParse(await redis.get(LIFECYCLE_KEYS.record(alertId))) || { state: "OPEN" };
+      const listed = ((await redis.lrange(LIFECYCLE_KEYS.followups(alertId), 0, -1)) || []).map(safeJsonParse);
+      // Records written before the followups list kept them inline.
+      const record = { ...stored, followups: [...(stored.followups || []), ...listed.filter(Boolean)] };
+      if (TERMINAL_STATES.has(record.state)) {
+        if (!dry) await redis.hdel(LIFECYCLE_KEYS.watch(), field);
+        continue;
+      }
+
+      if (!seriesCache.has(instId)) {
+        const raw = (await redis.lrange(keys.series5m(instId), -LIFECYCLE_CFG.maxPoints, -1)) || [];
+        seriesCache.set(instId, raw.map(safeJsonParse).filter(Boolean));
+      }
+      const { transitions, checkedBucket, lastPrice } = detectTransitions(alert, record, seriesCache.get(instId), now);
+
+      const next = {
+        ...stored,
+        alert_id: alertId,
+        instId,
+        mode,
+        checked_bucket: checkedBucket,
+        last_price: lastPrice ?? record.last_price ?? null,
+      };
+
+      const hasTarget = (alert.replyTo || []).some((target) => telegramDestination(destinations, target));
+
+      for (const transition of transitions) {
+        if (dry) {
+          out.followups.push({ alert_id: alertId, symbol: alert.symbol, state: transition.state, sent: [], dry: true });
+          continue;
+        }
+        if (!hasTarget) {
+          next.state = transition.state;
+          continue;
+        }
+        const claimKey = LIFECYCLE_KEYS.claim(alertId, transition.state);
+        const claimed = await redis.set(claimKey, String(now), { nx: true, ex: LIFECYCLE_CFG.ttlSeconds });
+        if (!claimed) {
+          next.state = transition.state;
+          continue;
+        }
+        const sent = await sendFollowUp(destinations, alert, transition);
+        if (!sent.some((s) => s.ok)) {
+          // Nothing went out: release the claim and re-check from the transition's bucket next run.
+          await redis.del(claimKey);
+          if (transition.state !== "DUE") next.checked_bucket = transition.ts / BUCKET_MS - 1;
+          out.followups.push({ alert_id: alertId, symbol: alert.symbol, state: transition.state, sent, retry: true });
+          break;
+        }
+        next.state = transition.state;
+        const followup = { state: transition.state, ts: transition.ts, price: transition.price, sent };
+        await redis.rpush(LIFECYCLE_KEYS.followups(alertId), JSON.stringify(followup));
+        await redis.expire(LIFECYCLE_KEYS.followups(alertId), LIFECYCLE_CFG.ttlSeconds);
+        out.followups.push({ alert_id: alertId, symbol: alert.symbol, state: transition.state, sent });
+      }
+
+      if (dry) continue;
+      await redis.set(LIFECYCLE_KEYS.record(alertId), JSON.stringify(next), { ex: LIFECYCLE_CFG.ttlSeconds });
+      if (TERMINAL_STATES.has(next.state)) {
+        await redis.hdel(LIFECYCLE_KEYS.watch(), field);
+        out.finished += 1;
+      }
+    }
+    return out;
+  } catch (err) {
+    console.error("[lifecycle] run failed", String(err?.message || err));
+    return { ...out, ok: false, error: String(err?.message || err) };
+  }
+}
+
+module.exports = {
+  LIFECYCLE_KEYS,
+  LIFECYCLE_CFG,
+  watchLifecycle,
+  readWatchedAlerts,
+  detectTransitions,
+  runLifecycleFollowUps,
+};
@@ -0,0 +1,126 @@
+// /lib/local-sink.js
+// Optional local analytics sink next to ANALYTICS_WEBHOOK_URL, so rows are queryable without Apps Script.
+// CommonJS because api/alert.js requires it.
+//
+// ANALYTICS_LOCAL_SINK:
+// - jsonl:./data/analytics.jsonl   append-only, one { sink_ts, kind, ...row } per line
+// - sqlite:./data/analytics.db     table analytics_rows (needs node:sqlite, Node 22.5+); full row in `row` (JSON)
+//
+// Meant for local/offline runs and self-hosting; Vercel's filesystem is read-only outside /tmp.
+// Writes never throw: failures come back as { ok: false, error }.
+
+const fs = require("fs");
+const path = require("path");
+
+const SQLITE_SCHEMA = `
+CREATE TABLE IF NOT EXISTS analytics_rows (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  sink_ts INTEGER NOT NULL,
+  kind TEXT NOT NULL,
+  alert_id TEXT,
+  observation_type TEXT,
+  symbol TEXT,
+  mode TEXT,
+  side TEXT,
+  ts INTEGER,
+  row TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS analytics_rows_alert_id ON analytics_rows (alert_id);
+`;
+
+function parseSinkSpec(raw) {
+  const spec = String(raw || "").trim();
+  if (!spec) return null;
+  const idx = spec.indexOf(":");
+  const kind = idx > 0 ? spec.slice(0, idx).toLowerCase() : "";
+  const file = idx > 0 ? spec.slice(idx + 1) : "";
+  if ((kind !== "jsonl" && kind !== "sqlite") || !file) return { error: `ANALYTICS_LOCAL_SINK: expected jsonl:<path> or sqlite:<path>` };
+  return { kind, file: path.resolve(file) };
+}
+
+function createJsonlSink(file) {
+  return {
+    kind: "jsonl",
+    write(rows, kind, now) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const lines = rows.map((row) => JSON.stringify({ sink_ts: now, kind, ...row })).join("\n");
+      fs.appendFileSync(file, `${lines}\n`);
+    },
+  };
+}
+
+function createSqliteSink(file) {
+  let db = null;
+  return {
+    kind: "sqlite",
+    write(rows, kind, now) {
+      if (!db) {
+        // node:sqlite only exists on newer Node; resolved lazily so JSONL users never need it.
+        let DatabaseSync;
+        try {
+          ({ DatabaseSync } = require("node:sqlite"));
+        } catch {
+          throw new Error("sqlite sink needs node:sqlite (Node 22.5+); use jsonl:<path> on older Node");
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        db = new DatabaseSync(file);
+        db.exec(SQLITE_SCHEMA);
+      }
+      const insert = db.prepare(
+        "INSERT INTO analytics_rows (sink_ts, kind, alert_id, observation_type, symbol, mode, side, ts, row) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)"
+      );
+      db.exec("BEGIN");
+      try {
+        for (const row of rows) {
+          const ts = Number(row?.ts);
+          insert.run(
+            now,
+            kind,
+            row?.alert_id ? String(row.alert_id) : null,
+            row?.observation_type ? String(row.observation_type) : null,
+            row?.symbol ? String(row.symbol) : null,
+            row?.mode ? String(row.mode) : null,
+            row?.side ? String(row.side) : null,
+            Number.isFinite(ts) ? ts : null,
+            JSON.stringify(row)
+          );
+        }
+        db.exec("COMMIT");
+      } catch (err) {
+        db.exec("ROLLBACK");
+        throw err;
+      }
+    },
+  };
+}
+
+let cached = { spec: undefined, sink: null, error: null };
+
+function getLocalSink() {
+  const raw = process.env.ANALYTICS_LOCAL_SINK || "";
+  if (cached.spec === raw) return cached;
+  const parsed = parseSinkSpec(raw);
+  cached = { spec: raw, sink: null, error: null };
+  if (!parsed) return cached;
+  if (parsed.error) cached.error = parsed.error;
+  else cached.sink = parsed.kind === "sqlite" ? createSqliteSink(parsed.file) : createJsonlSink(parsed.file);
+  return cached;
+}
+
+// kind: "alert" (postAnalyticsBatch rows) | "outcome_update" (/api/outcomes rows).
+// Returns { ok, status: "disabled" | "written" | "failed", written, error }.
+function writeLocalSink(rows, kind = "alert", now = Date.now()) {
+  const { sink, error } = getLocalSink();
+  if (error) return { ok: false, status: "failed", written: 0, error };
+  if (!sink) return { ok: true, status: "disabled", written: 0, error: null };
+  if (!Array.isArray(rows) || rows.length === 0) return { ok: true, status: "written", written: 0, error: null };
+  try {
+    sink.write(rows, kind, now);
+    return { ok: true, status: "written", written: rows.length, error: null };
+  } catch (err) {
+    console.error("[analytics] local sink write failed", String(err?.message || err));
+    return { ok: false, status: "failed", written: 0, error: String(err?.message || err) };
+  }
+}
+
+module.exports = { parseSinkSpec, writeLocalSink };
@@ -0,0 +1,146 @@
+// /lib/metrics.js
+// Gateway metrics kept in Redis so they survive across invocations, rendered as OpenMetrics text by /api/metrics.
+// CommonJS because api/alert.js requires it.
+//
+// Layout: hash metrics:counters (field `name{label="v",...}` -> integer, HINCRBY) and hash metrics:gauges
+// (same fields -> last value, HSET). Handlers add their samples to a pipeline they already send (or one of their
+// own) at the end of a request; a failed metrics write never fails the request.
+// - Counters only go up; durations are kept as integer milliseconds (`_ms_sum` / `_count` counters) and shown in
+//   seconds as an OpenMetrics summary.
+// - Families not in METRIC_FAMILIES are dropped on render, so a renamed metric disappears instead of going stale.
+
+const METRIC_KEYS = {
+  counters: "metrics:counters",
+  gauges: "metrics:gauges",
+};
+
+const METRIC_FAMILIES = {
+  gateway_snapshot_fetches: { type: "counter", help: "Snapshot fetches per symbol (result=ok|error)" },
+  gateway_okx_http_calls: { type: "counter", help: "OKX REST calls made by /api/multi" },
+  gateway_okx_http_failures: { type: "counter", help: "OKX REST calls from /api/multi that failed" },
+  gateway_multi_snapshot_reads: { type: "counter", help: "Snapshot reads by /api/multi (result=fresh|lagged|miss)" },
+  gateway_snapshot_lag_buckets: { type: "gauge", help: "5m buckets between now and the snapshot /api/multi last used" },
+  gateway_series_length: { type: "gauge", help: "Stored series5m points per symbol after the last /api/multi" },
+  gateway_alert_runs: { type: "counter", help: "/api/alert runs by outcome (result=ok or the failing stage)" },
+  gateway_alerts_rendered: { type: "counter", help: "Premium selections rendered into recipe messages" },
+  gateway_alert_messages_rendered: { type: "counter", help: "Recipe messages rendered" },
+  gateway_alerts_delivered: { type: "counter", help: "Premium selections delivered to at least one destination" },
+  gateway_delivery_failures: { type: "counter", help: "Failed destination sends (type=telegram|discord|slack|webhook)" },
+  gateway_alert_messages_unrouted: { type: "counter", help: "Recipe messages no ALERT_DESTINATIONS route matched" },
+  gateway_analytics_posts: { type: "counter", help: "Analytics webhook post attempts by status" },
+  gateway_run_duration_seconds: { type: "summary", help: "Handler run time", unit: "seconds" },
+  gateway_last_run_timestamp_seconds: { type: "gauge", help: "When each handler last finished", unit: "seconds" },
+  gateway_last_run_ok: { type: "gauge", help: "1 when the handler's last run succeeded" },
+};
+
+function escapeLabel(v) {
+  return String(v ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+// name + labels -> stored field / sample name, labels sorted so the same series always maps to one field.
+function seriesKey(name, labels = {}) {
+  const parts = Object.keys(labels)
+    .sort()
+    .filter((k) => labels[k] != null && labels[k] !== "")
+    .map((k) => `${k}="${escapeLabel(labels[k])}"`);
+  return parts.length ? `${name}{${parts.join(",")}}` : name;
+}
+
+/**
+ * Queues samples on a Redis pipeline (caller execs). counters: [[name, labels, by]], gauges: [[name, labels, value]];
+ * durations: [[labels, ms]] for gateway_run_duration_seconds. Returns the pipeline.
+ */
+function addMetrics(pipe, { counters = [], gauges = [], durations = [] } = {}) {
+  for (const [name, labels, by] of counters) {
+    const n = Math.round(Number(by));
+    if (Number.isFinite(n) && n > 0) pipe.hincrby(METRIC_KEYS.counters, seriesKey(name, labels), n);
+  }
+  for (const [labels, ms] of durations) {
+    pipe.hincrby(METRIC_KEYS.counters, seriesKey("gateway_run_duration_seconds_ms_sum", labels), Math.max(0, Math.round(Number(ms) || 0)));
+    pipe.hincrby(METRIC_KEYS.counters, seriesKey("gateway_run_duration_seconds_count", labels), 1);
+  }
+  const fields = {};
+  for (const [name, labels, value] of gauges) {
+    if (Number.isFinite(Number(value))) fields[seriesKey(name, labels)] = String(Number(value));
+  }
+  if (Object.keys(fields).length) pipe.hset(METRIC_KEYS.gauges, fields);
+  return pipe;
+}
+
+// One pipelined round trip. Never throws.
+async function recordMetrics(redis, samples) {
+  try {
+    await addMetrics(redis.pipeline(), samples).exec();
+  } catch (err) {
+    console.error("[metrics] write failed", String(err?.message || err));
+  }
+}
+
+// Start/finish samples every handler records.
+function runSamples(handler, { startedAt, now = Date.now(), ok }) {
+  return {
+    counters: [],
+    gauges: [
+      ["gateway_last_run_timestamp_seconds", { handler }, Math.floor(now / 1000)],
+      ["gateway_last_run_ok", { handler }, ok ? 1 : 0],
+    ],
+    durations: [[{ handler }, now - startedAt]],
+  };
+}
+
+function familyOf(sampleName) {
+  const base = sampleName.replace(/\{.*$/, "");
+  for (const suffix of ["_ms_sum", "_count"]) {
+    if (base.endsWith(suffix) && METRIC_FAMILIES[base.slice(0, -suffix.length)]?.type === "summary") {
+      return { family: base.slice(0, -suffix.length), suffix };
+    }
+  }
+  return METRIC_FAMILIES[base] ? { family: base, suffix: "" } : null;
+}
+
+/**
+ * OpenMetrics text for everything stored (families in METRIC_FAMILIES order, series sorted, "# EOF" last).
+ * Counters get the _total suffix; summaries turn the stored ms sum into seconds.
+ */
+async function renderMetrics(redis) {
+  const [counters, gauges] = await redis
+    .pipeline()
+    .hgetall(METRIC_KEYS.counters)
+    .hgetall(METRIC_KEYS.gauges)
+    .exec();
+
+  const byFamily = new Map(Object.keys(METRIC_FAMILIES).map((name) => [name, []]));
+  for (const [field, raw] of [...Object.entries(counters || {}), ...Object.entries(gauges || {})]) {
+    const hit = familyOf(field);
+    if (!hit) continue;
+    const labels = field.slice(field.indexOf("{") >= 0 ? field.indexOf("{") : field.length);
+    const value = Number(raw);
+    if (!Number.isFinite(value)) continue;
+    const { type } = METRIC_FAMILIES[hit.family];
+    const sample =
+      type === "counter"
+        ? `${hit.family}_total${labels} ${value}`
+        : type === "gauge"
+        ? `${hit.family}${labels} ${value}`
+        : hit.suffix === "_ms_sum"
+        ? `${hit.family}_sum${labels} ${value / 1000}`
+        : `${hit.family}_count${labels} ${value}`;
+    byFamily.get(hit.family).push([labels, sample]);
+  }
+
+  const lines = [];
+  for (const [name, samples] of byFamily) {
+    if (!samples.length) continue;
+    const { type, help, unit } = METRIC_FAMILIES[name];
+    lines.push(`# TYPE ${name} ${type}`);
+    if (unit) lines.push(`# UNIT ${name} ${unit}`);
+    lines.push(`# HELP ${name} ${help}`);
+    // By label set first, so a summary's _count and _sum for one series stay together.
+    samples.sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : a[0] < b[0] ? -1 : 1));
+    lines.push(...samples.map(([, sample]) => sample));
+  }
+  lines.push("# EOF");
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = { METRIC_KEYS, METRIC_FAMILIES, seriesKey, addMetrics, recordMetrics, runSamples, renderMetrics };
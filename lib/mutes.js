@@ -0,0 +1,59 @@
+// /lib/mutes.js
+// Per-symbol Telegram mutes shared by /api/telegram (/mute, /unmute) and /api/alert (honors them).
+// CommonJS because api/alert.js requires it.
+//
+// Layout: one hash (ALERT_MUTES_KEY, default alert:mutes), field SYMBOL -> muted-until epoch ms.
+// Expired fields are ignored on read and pruned by the next write.
+
+const { loadConfig } = require("./config.js");
+
+const C = loadConfig();
+
+const MUTES_KEY = C.ALERT_MUTES_KEY;
+
+function normalizeMuteSymbol(symbol) {
+  return String(symbol || "").trim().toUpperCase();
+}
+
+// Returns Map(SYMBOL -> untilTs) of mutes still active at `now`. Never throws (empty map on error).
+async function readMutes(redis, now = Date.now()) {
+  const active = new Map();
+  try {
+    const raw = (await redis.hgetall(MUTES_KEY)) || {};
+    for (const [symbol, until] of Object.entries(raw)) {
+      const untilTs = Number(until);
+      if (Number.isFinite(untilTs) && untilTs > now) active.set(symbol, untilTs);
+    }
+  } catch (_) {
+    // A Redis hiccup must not block alerts; treat as "nothing muted".
+  }
+  return active;
+}
+
+async function pruneExpiredMutes(redis, now) {
+  const raw = (await redis.hgetall(MUTES_KEY)) || {};
+  const expired = Object.entries(raw)
+    .filter(([, until]) => !(Number(until) > now))
+    .map(([symbol]) => symbol);
+  if (expired.length) await redis.hdel(MUTES_KEY, ...expired);
+}
+
+async function setMute(redis, symbol, untilTs, now = Date.now()) {
+  const sym = normalizeMuteSymbol(symbol);
+  await pruneExpiredMutes(redis, now);
+  await redis.hset(MUTES_KEY, { [sym]: String(untilTs) });
+  return { symbol: sym, untilTs };
+}
+
+// Clears one symbol, or every mute when symbol is empty. Returns the number of fields removed.
+async function clearMute(redis, symbol) {
+  const sym = normalizeMuteSymbol(symbol);
+  if (sym) return Number(await redis.hdel(MUTES_KEY, sym)) || 0;
+  const raw = (await redis.hgetall(MUTES_KEY)) || {};
+  const all = Object.keys(raw);
+  if (!all.length) return 0;
+  await redis.del(MUTES_KEY);
+  return all.length;
+}
+
+module.exports = { MUTES_KEY, normalizeMuteSymbol, readMutes, setMute, clearMute };
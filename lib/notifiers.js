@@ -0,0 +1,419 @@
+// /lib/notifiers.js
+// Alert delivery destinations for /api/alert (CommonJS because alert.js requires it).
+//
+// ALERT_DESTINATIONS is a JSON array; unset means one Telegram destination from
+// TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID (the pre-notifier behavior):
+//   [
+//     { "id": "tg", "type": "telegram" },
+//     { "id": "desk", "type": "discord", "url": "env:DISCORD_ALERT_WEBHOOK_URL", "route": { "sides": ["short"] } },
+//     { "id": "team", "type": "slack", "url": "env:SLACK_ALERT_WEBHOOK_URL", "route": { "modes": ["swing"] } },
+//     { "id": "ops", "type": "webhook", "url": "env:OPS_ALERT_WEBHOOK_URL", "headers": { "Authorization": "env:OPS_ALERT_AUTH" } }
+//   ]
+// - "env:NAME" string values are read from process.env at send time, so secrets stay out of the JSON.
+// - route: { recipes, modes, sides } — each list is optional; an omitted/empty list matches everything.
+// - telegram may override botToken / chatId (defaults: TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID).
+//
+// Each destination formats/chunks on its own and reports its own result; one failing
+// destination never stops delivery to the others.
+
+const DESTINATION_TYPES = new Set(["telegram", "discord", "slack", "webhook"]);
+
+const MAX_CHARS = {
+  telegram: 3900,
+  discord: 1900, // Discord rejects content over 2000
+  slack: 3900,
+};
+
+const DEFAULT_DESTINATIONS = Object.freeze([Object.freeze({ id: "telegram", type: "telegram", route: {} })]);
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function resolveValue(v) {
+  if (typeof v !== "string") return v;
+  return v.startsWith("env:") ? String(process.env[v.slice(4)] || "") : v;
+}
+
+function normalizeList(list) {
+  return Array.isArray(list) ? list.map((x) => String(x).trim().toLowerCase()).filter(Boolean) : [];
+}
+
+function compileDestination(def, path, errors) {
+  const before = errors.length;
+  if (!isPlainObject(def)) {
+    errors.push(`${path}: expected an object`);
+    return null;
+  }
+  if (typeof def.id !== "string" || !def.id.trim()) errors.push(`${path}.id: required string`);
+  if (!DESTINATION_TYPES.has(def.type)) {
+    errors.push(`${path}.type: expected one of ${[...DESTINATION_TYPES].join(", ")}`);
+  }
+  if (DESTINATION_TYPES.has(def.type) && def.type !== "telegram" && (typeof def.url !== "string" || !def.url)) {
+    errors.push(`${path}.url: required for ${def.type} (literal or "env:NAME")`);
+  }
+  if (def.headers != null && !isPlainObject(def.headers)) errors.push(`${path}.headers: expected an object`);
+  if (def.route != null) {
+    if (!isPlainObject(def.route)) errors.push(`${path}.route: expected { recipes, modes, sides }`);
+    else {
+      for (const k of ["recipes", "modes", "sides"]) {
+        if (def.route[k] != null && !Array.isArray(def.route[k])) errors.push(`${path}.route.${k}: expected an array`);
+      }
+    }
+  }
+  if (errors.length > before) return null;
+
+  return Object.freeze({
+    id: def.id.trim(),
+    type: def.type,
+    url: def.url || "",
+    botToken: def.botToken || "",
+    chatId: def.chatId || "",
+    headers: def.headers || {},
+    route: {
+      recipes: normalizeList(def.route?.recipes),
+      modes: normalizeList(def.route?.modes),
+      sides: normalizeList(def.route?.sides),
+    },
+  });
+}
+
+// Returns { destinations, source, errors }. An invalid ALERT_DESTINATIONS falls back to the default
+// Telegram destination (errors say why) so a config typo never silences alerts entirely.
+function loadDestinations(raw = process.env.ALERT_DESTINATIONS) {
+  if (raw == null || String(raw).trim() === "") {
+    return { destinations: DEFAULT_DESTINATIONS, source: "default", errors: [] };
+  }
+
+  let parsed;
+  try {
+    parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+  } catch (err) {
+    return { destinations: DEFAULT_DESTINATIONS, source: "default", errors: [`ALERT_DESTINATIONS: invalid JSON (${String(err?.message || err)})`] };
+  }
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    return { destinations: DEFAULT_DESTINATIONS, source: "default", errors: ["ALERT_DESTINATIONS: expected a non-empty array"] };
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const destinations = [];
+  parsed.forEach((def, i) => {
+    const dest = compileDestination(def, `ALERT_DESTINATIONS[${i}]`, errors);
+    if (!dest) return;
+    if (seen.has(dest.id)) {
+      errors.push(`ALERT_DESTINATIONS[${i}].id: duplicate id "${dest.id}"`);
+      return;
+    }
+    seen.add(dest.id);
+    destinations.push(dest);
+  });
+
+  if (errors.length) return { destinations: DEFAULT_DESTINATIONS, source: "default", errors };
+  return { destinations: Object.freeze(destinations), source: "env", errors: [] };
+}
+
+// group: { recipeId, mode, side }
+function routeMatches(dest, group) {
+  const { recipes = [], modes = [], sides = [] } = dest.route || {};
+  if (recipes.length && !recipes.includes(String(group.recipeId || "").toLowerCase())) return false;
+  if (modes.length && !modes.includes(String(group.mode || "").toLowerCase())) return false;
+  if (sides.length && !sides.includes(String(group.side || "").toLowerCase())) return false;
+  return true;
+}
+
+// ---- Formatting ----
+
+function chunkPlainText(rawText, maxChars) {
+  const parts = String(rawText || "")
+    .split("\n\n")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = "";
+
+  for (const part of parts) {
+    const next = current ? `${current}\n\n${part}` : part;
+
+    if (next.length <= maxChars) {
+      current = next;
+      continue;
+    }
+
+    if (current) chunks.push(current);
+
+    if (part.length <= maxChars) {
+      current = part;
+      continue;
+    }
+
+    const lines = part.split("\n");
+    let lineChunk = "";
+
+    for (const line of lines) {
+      const nextLine = lineChunk ? `${lineChunk}\n${line}` : line;
+
+      if (nextLine.length <= maxChars) {
+        lineChunk = nextLine;
+        continue;
+      }
+
+      if (lineChunk) chunks.push(lineChunk);
+
+      if (line.length <= maxChars) {
+        lineChunk = line;
+        continue;
+      }
+
+      for (let i = 0; i < line.length; i += maxChars) {
+        chunks.push(line.slice(i, i + maxChars));
+      }
+
+      lineChunk = "";
+    }
+
+    current = lineChunk;
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Telegram keeps the PASTE_ROWS_PIPE block pasteable: every chunk repeats the pipe header.
+function chunkTelegramText(rawText, maxChars = MAX_CHARS.telegram) {
+  const textValue = String(rawText || "");
+  const marker = "\nPASTE_ROWS_PIPE\n";
+
+  if (!textValue.includes(marker)) {
+    return chunkPlainText(textValue, maxChars);
+  }
+
+  const [preambleRaw, pipeRaw] = textValue.split(marker);
+  const chunks = [];
+
+  const preambleChunks = chunkPlainText(preambleRaw, maxChars);
+  chunks.push(...preambleChunks);
+
+  const pipeLines = String(pipeRaw || "").split("\n");
+  const header = pipeLines[0] || "";
+  const rows = pipeLines.slice(1).filter(Boolean);
+
+  const pipePrefix = `PASTE_ROWS_PIPE\n${header}`;
+  let current = pipePrefix;
+
+  for (const row of rows) {
+    const next = `${current}\n${row}`;
+
+    if (next.length <= maxChars) {
+      current = next;
+      continue;
+    }
+
+    if (current && current !== pipePrefix) {
+      chunks.push(current);
+    }
+
+    if ((`${pipePrefix}\n${row}`).length <= maxChars) {
+      current = `${pipePrefix}\n${row}`;
+      continue;
+    }
+
+    const rowLabel = row.split("|")[0] || row.slice(0, 50);
+    const safeRoom = Math.max(500, maxChars - pipePrefix.length - 32);
+    const rowParts = [];
+
+    for (let i = 0; i < row.length; i += safeRoom) {
+      rowParts.push(row.slice(i, i + safeRoom));
+    }
+
+    for (let i = 0; i < rowParts.length; i++) {
+      chunks.push(
+        `${pipePrefix}\n${rowLabel}|row_part_${i + 1}_of_${rowParts.length}|${rowParts[i]}`
+      );
+    }
+
+    current = pipePrefix;
+  }
+
+  if (current && current !== pipePrefix) {
+    chunks.push(current);
+  }
+
+  return chunks.filter(Boolean);
+}
+
+function escapeSlack(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Compact per-symbol rows for the generic webhook (the full analytics row stays in the sink).
+function webhookAlertRows(events) {
+  return (events || []).map((e) => ({
+    alert_id: e?.alert_id || "",
+    symbol: e?.symbol || "",
+    instId: e?.instId || "",
+    mode: e?.mode || "",
+    side: e?.side || "",
+    entry_price: e?.entry_price ?? null,
+    tp_price: e?.tp_price ?? null,
+    stop_loss: e?.stop_loss ?? null,
+    invalidation_price: e?.invalidation_price ?? null,
+  }));
+}
+
+// ---- Senders: each returns { ok, chunks, detail } ----
+
+async function postJson(url, body, headers = {}) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  const text = await r.text().catch(() => "");
+  return { r, text };
+}
+
+// messageIds: ids the destination returned per chunk (Telegram only), so follow-ups can reply to them.
+async function sendChunks(chunks, sendOne) {
+  let sent = 0;
+  const messageIds = [];
+  for (const chunk of chunks) {
+    const res = await sendOne(chunk);
+    if (!res.ok) return { ok: false, chunks: sent, messageIds, detail: res.detail };
+    if (res.messageId != null) messageIds.push(res.messageId);
+    sent += 1;
+  }
+  return { ok: true, chunks: sent, messageIds };
+}
+
+function telegramCredentials(dest) {
+  return {
+    token: resolveValue(dest.botToken) || process.env.TELEGRAM_BOT_TOKEN,
+    chatId: resolveValue(dest.chatId) || process.env.TELEGRAM_CHAT_ID,
+  };
+}
+
+async function postTelegramMessage(token, body) {
+  const { r, text } = await postJson(`https://api.telegram.org/bot${token}/sendMessage`, body);
+  let j = null;
+  try {
+    j = JSON.parse(text);
+  } catch {}
+  if (!r.ok || !j?.ok) return { ok: false, detail: j };
+  return { ok: true, messageId: j?.result?.message_id ?? null };
+}
+
+async function sendTelegramDestination(dest, group) {
+  const { token, chatId } = telegramCredentials(dest);
+  if (!token || !chatId) {
+    return { ok: false, chunks: 0, detail: "Missing TELEGRAM_BOT_TOKEN or TELEGRAM_CHAT_ID" };
+  }
+
+  return sendChunks(chunkTelegramText(group.text), (chunk) =>
+    postTelegramMessage(token, { chat_id: chatId, text: chunk, disable_web_page_preview: true })
+  );
+}
+
+// Threaded follow-up to an earlier alert message on a Telegram destination. Returns { ok, messageId, detail }.
+// Still sends (unthreaded) if the original message was deleted.
+async function sendTelegramReply(dest, text, replyToMessageId) {
+  const { token, chatId } = telegramCredentials(dest);
+  if (!token || !chatId) return { ok: false, messageId: null, detail: "Missing TELEGRAM_BOT_TOKEN or TELEGRAM_CHAT_ID" };
+  try {
+    const res = await postTelegramMessage(token, {
+      chat_id: chatId,
+      text: String(text).slice(0, MAX_CHARS.telegram),
+      disable_web_page_preview: true,
+      reply_parameters: { message_id: Number(replyToMessageId), allow_sending_without_reply: true },
+    });
+    return { ok: res.ok, messageId: res.messageId ?? null, detail: res.ok ? null : res.detail };
+  } catch (err) {
+    return { ok: false, messageId: null, detail: String(err?.message || err) };
+  }
+}
+
+async function sendDiscordDestination(dest, group) {
+  const url = resolveValue(dest.url);
+  if (!url) return { ok: false, chunks: 0, detail: `Missing url for ${dest.id}` };
+  return sendChunks(chunkPlainText(group.text, MAX_CHARS.discord), async (chunk) => {
+    // No @everyone / role pings from alert text.
+    const { r, text } = await postJson(url, { content: chunk, allowed_mentions: { parse: [] } });
+    return r.ok ? { ok: true } : { ok: false, detail: `discord_http_${r.status}${text ? `: ${text.slice(0, 200)}` : ""}` };
+  });
+}
+
+async function sendSlackDestination(dest, group) {
+  const url = resolveValue(dest.url);
+  if (!url) return { ok: false, chunks: 0, detail: `Missing url for ${dest.id}` };
+  return sendChunks(chunkPlainText(group.text, MAX_CHARS.slack), async (chunk) => {
+    const { r, text } = await postJson(url, { text: escapeSlack(chunk) });
+    return r.ok ? { ok: true } : { ok: false, detail: `slack_http_${r.status}${text ? `: ${text.slice(0, 200)}` : ""}` };
+  });
+}
+
+async function sendWebhookDestination(dest, group) {
+  const url = resolveValue(dest.url);
+  if (!url) return { ok: false, chunks: 0, detail: `Missing url for ${dest.id}` };
+  const headers = Object.fromEntries(Object.entries(dest.headers || {}).map(([k, v]) => [k, resolveValue(v)]));
+  const { r, text } = await postJson(
+    url,
+    {
+      source: "gateway",
+      kind: "alert",
+      ts: Date.now(),
+      recipe_id: group.recipeId,
+      mode: group.mode,
+      side: group.side,
+      text: group.text,
+      alerts: webhookAlertRows(group.events),
+    },
+    headers
+  );
+  return r.ok
+    ? { ok: true, chunks: 1 }
+    : { ok: false, chunks: 0, detail: `webhook_http_${r.status}${text ? `: ${text.slice(0, 200)}` : ""}` };
+}
+
+const SENDERS = {
+  telegram: sendTelegramDestination,
+  discord: sendDiscordDestination,
+  slack: sendSlackDestination,
+  webhook: sendWebhookDestination,
+};
+
+// Delivers one recipe message to every destination whose route matches.
+// Returns { routed, delivered, results: [{ destination, type, ok, chunks, message_id, detail }] }:
+// routed = some destination matched, delivered = at least one of them accepted it.
+// message_id is the first chunk's id where the destination returns one (Telegram), else null.
+async function deliverAlertGroup(destinations, group) {
+  const results = [];
+  for (const dest of destinations) {
+    if (!routeMatches(dest, group)) continue;
+    let res;
+    try {
+      res = await SENDERS[dest.type](dest, group);
+    } catch (err) {
+      res = { ok: false, chunks: 0, detail: String(err?.message || err) };
+    }
+    results.push({
+      destination: dest.id,
+      type: dest.type,
+      ok: !!res.ok,
+      chunks: res.chunks || 0,
+      message_id: res.ok ? res.messageIds?.[0] ?? null : null,
+      detail: res.ok ? null : res.detail ?? null,
+    });
+  }
+  return { routed: results.length > 0, delivered: results.some((r) => r.ok), results };
+}
+
+module.exports = {
+  DESTINATION_TYPES,
+  loadDestinations,
+  routeMatches,
+  chunkPlainText,
+  chunkTelegramText,
+  deliverAlertGroup,
+  sendTelegramReply,
+};
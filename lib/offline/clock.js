@@ -0,0 +1,34 @@
+// /lib/offline/clock.js
+// Replaces the global Date so handlers see replayed time: Date.now() and `new Date()` (no args)
+// both read the fake clock; every other Date use is untouched.
+
+export function installFakeClock(startMs) {
+  const RealDate = globalThis.Date;
+  let current = Number(startMs);
+
+  class FakeDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(current);
+      else super(...args);
+    }
+
+    static now() {
+      return current;
+    }
+  }
+
+  globalThis.Date = FakeDate;
+
+  return {
+    now: () => current,
+    set(ms) {
+      current = Number(ms);
+    },
+    advance(ms) {
+      current += Number(ms);
+    },
+    restore() {
+      globalThis.Date = RealDate;
+    },
+  };
+}
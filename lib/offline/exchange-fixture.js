@@ -0,0 +1,135 @@
+// /lib/offline/exchange-fixture.js
+// Fetch routes that stand in for the outside world when handlers run offline (scripts/dev-server.js):
+// - okxFixtureRoute: OKX public REST v5 answered from a series fixture ({ instId: [{ b, p, o, h, l, fr, oi }] }),
+//   as of the current (fake) clock; covers what /api/snapshot and /api/backfill call.
+// - recordedRoute: replays recorded responses by URL prefix (Yahoo / Cboe / Treasury telemetry, anything else).
+// - captureRoute: accepts outbound POSTs (Telegram, Discord, Slack, webhooks, analytics) into an outbox array.
+// Routes plug into installFetchRouter (lib/offline/invoke.js).
+
+import { jsonResponse } from "./invoke.js";
+
+const BUCKET_MS = 5 * 60 * 1000;
+const OKX_HOST = "www.okx.com";
+
+function str(n) {
+  return n == null || !Number.isFinite(Number(n)) ? "" : String(n);
+}
+
+function baseOf(instId) {
+  return String(instId || "").split("-")[0].toUpperCase();
+}
+
+function candleRow(p) {
+  const o = p.o ?? p.p;
+  return [str(p.b * BUCKET_MS), str(o), str(p.h ?? p.p), str(p.l ?? p.p), str(p.p), "0", "0", "0", "1"];
+}
+
+// Synthetic book: 20 levels each side, 1bp apart, 50 contracts per level.
+function bookAround(price) {
+  const level = (i, side) => [str(price * (1 + side * (i + 1) * 0.0001)), "50", "0", "1"];
+  return {
+    bids: Array.from({ length: 20 }, (_, i) => level(i, -1)),
+    asks: Array.from({ length: 20 }, (_, i) => level(i, 1)),
+  };
+}
+
+// series: { "BTC-USDT-SWAP": [points sorted by b] }. Spot ids (BTC-USDT) are served from the swap series.
+// ctVal: contract size per base (default 1 base coin per contract).
+export function okxFixtureRoute(series, { ctVal = {} } = {}) {
+  const byInst = new Map(Object.entries(series || {}));
+  const swapOf = (instId) => {
+    const id = String(instId || "").toUpperCase();
+    return id.endsWith("-SWAP") ? id : `${id}-SWAP`;
+  };
+  // Points visible at the current clock, oldest first.
+  const visible = (instId) => {
+    const nowBucket = Math.floor(Date.now() / BUCKET_MS);
+    return (byInst.get(swapOf(instId)) || []).filter((p) => p.b <= nowBucket);
+  };
+  const empty = () => jsonResponse({ code: "51001", msg: "Instrument ID does not exist", data: [] });
+  const ok = (data) => jsonResponse({ code: "0", msg: "", data });
+
+  return {
+    match: (url) => url.host === OKX_HOST,
+    handle: async (url) => {
+      const q = url.searchParams;
+      const instId = q.get("instId") || "";
+      const limit = Math.max(1, Number(q.get("limit") || 100));
+      const pts = instId ? visible(instId) : [];
+      const last = pts[pts.length - 1];
+
+      switch (url.pathname) {
+        case "/api/v5/public/instruments":
+          return ok(
+            [...byInst.keys()].map((id) => ({
+              instId: id,
+              instType: "SWAP",
+              settleCcy: "USDT",
+              ctVal: str(ctVal[baseOf(id)] ?? 1),
+              ctValCcy: baseOf(id),
+            }))
+          );
+        case "/api/v5/market/ticker":
+          return last ? ok([{ instId, last: str(last.p), ts: str(last.b * BUCKET_MS) }]) : empty();
+        case "/api/v5/public/funding-rate":
+          return last ? ok([{ instId, fundingRate: str(last.fr ?? 0) }]) : empty();
+        case "/api/v5/public/open-interest":
+          return last ? ok([{ instId, oi: str(last.oi) }]) : empty();
+        case "/api/v5/market/books":
+          return last ? ok([bookAround(Number(last.p))]) : empty();
+        case "/api/v5/market/candles":
+          return ok(pts.slice(-limit).reverse().map(candleRow));
+        // History endpoints page backwards: rows strictly older than `after` / not newer than `end`.
+        case "/api/v5/market/history-candles": {
+          const after = Number(q.get("after") || Infinity);
+          return ok(pts.filter((p) => p.b * BUCKET_MS < after).slice(-limit).reverse().map(candleRow));
+        }
+        case "/api/v5/rubik/stat/contracts/open-interest-history": {
+          const end = Number(q.get("end") || Infinity);
+          const rows = pts.filter((p) => p.b * BUCKET_MS <= end && p.oi != null).slice(-limit).reverse();
+          return ok(rows.map((p) => [str(p.b * BUCKET_MS), str(p.oi), "0", "0"]));
+        }
+        case "/api/v5/public/funding-rate-history": {
+          const after = Number(q.get("after") || Infinity);
+          const rows = pts.filter((p) => p.b * BUCKET_MS < after && p.fr != null).slice(-limit).reverse();
+          return ok(rows.map((p) => ({ instId, fundingTime: str(p.b * BUCKET_MS), fundingRate: str(p.fr) })));
+        }
+        default:
+          return jsonResponse({ code: "404", msg: `offline: ${url.pathname} not in fixture`, data: [] }, 404);
+      }
+    },
+  };
+}
+
+// recordings: [{ url: "https://host/path" (prefix), status?, content_type?, body }]; body strings are sent as-is,
+// anything else as JSON. First matching prefix wins.
+export function recordedRoute(recordings) {
+  const list = Array.isArray(recordings) ? recordings.filter((r) => r?.url) : [];
+  const find = (url) => list.find((r) => url.toString().startsWith(String(r.url)));
+  return {
+    match: (url, init) => String(init?.method || "GET").toUpperCase() === "GET" && !!find(url),
+    handle: async (url) => {
+      const rec = find(url);
+      const status = Number(rec.status || 200);
+      if (typeof rec.body === "string") {
+        return new Response(rec.body, { status, headers: { "Content-Type": rec.content_type || "text/plain" } });
+      }
+      return jsonResponse(rec.body ?? null, status);
+    },
+  };
+}
+
+// Any outbound POST lands in outbox [{ ts, url, body }] and gets a Telegram-shaped ok (other clients only check 2xx).
+export function captureRoute(outbox) {
+  return {
+    match: (_url, init) => String(init?.method || "GET").toUpperCase() === "POST",
+    handle: async (url, init) => {
+      let body = init?.body ?? null;
+      try {
+        body = typeof body === "string" ? JSON.parse(body) : body;
+      } catch {}
+      outbox.push({ ts: Date.now(), url: url.toString(), body });
+      return jsonResponse({ ok: true, result: { message_id: outbox.length } });
+    },
+  };
+}
@@ -0,0 +1,85 @@
+// /lib/offline/invoke.js
+// Runs Vercel-style handlers in-process and routes global fetch to fakes,
+// so the alert -> /api/multi hop and outbound webhooks never leave the machine.
+
+// Calls handler(req, res) with a minimal res shim; resolves with what the handler sent.
+export async function invokeHandler(handler, { method = "GET", query = {}, headers = {}, body = null } = {}) {
+  const sent = { status: 200, headers: {}, body: undefined };
+
+  const res = {
+    status(code) {
+      sent.status = Number(code);
+      return res;
+    },
+    setHeader(name, value) {
+      sent.headers[String(name).toLowerCase()] = value;
+      return res;
+    },
+    json(payload) {
+      sent.body = payload;
+      return res;
+    },
+    send(payload) {
+      sent.body = payload;
+      return res;
+    },
+    end(payload) {
+      if (payload !== undefined) sent.body = payload;
+      return res;
+    },
+  };
+
+  await handler({ method, query, headers, body }, res);
+  return sent;
+}
+
+export function jsonResponse(payload, status = 200) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+function queryFromUrl(url) {
+  const out = {};
+  for (const [k, v] of url.searchParams.entries()) out[k] = v;
+  return out;
+}
+
+// routes: [{ match(url: URL, init) -> bool, handle(url: URL, init) -> Response }]
+// Unmatched requests get a 503 so callers exercise their failure paths instead of hanging.
+export function installFetchRouter(routes) {
+  const realFetch = globalThis.fetch;
+  const calls = [];
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(typeof input === "string" ? input : input?.url);
+    const route = routes.find((r) => r.match(url, init));
+    calls.push({ url: url.toString(), method: init?.method || "GET", routed: !!route });
+    if (!route) return jsonResponse({ ok: false, error: "offline: no route" }, 503);
+    return route.handle(url, init);
+  };
+
+  return {
+    calls,
+    restore() {
+      globalThis.fetch = realFetch;
+    },
+  };
+}
+
+// Route that serves `{proto}://{host}{path}` from an in-process handler.
+export function handlerRoute(host, path, handler) {
+  return {
+    match: (url) => url.host === host && url.pathname === path,
+    handle: async (url, init) => {
+      const sent = await invokeHandler(handler, {
+        method: init?.method || "GET",
+        query: queryFromUrl(url),
+        headers: { host, ...(init?.headers || {}) },
+        body: init?.body ?? null,
+      });
+      return jsonResponse(sent.body ?? null, sent.status);
+    },
+  };
+}
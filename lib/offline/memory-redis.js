@@ -0,0 +1,318 @@
+// /lib/offline/memory-redis.js
+// In-memory stand-in for the subset of @upstash/redis the handlers use.
+// Mirrors Upstash's automatic (de)serialization: non-strings are JSON-encoded on write,
+// and reads JSON-parse when possible (so "123" comes back as 123, JSON blobs as objects).
+// Expiry is evaluated against Date.now(), so a fake clock drives TTLs too.
+// eval() runs the JS twin of the Lua scripts the handlers use (no Lua here); any other script throws.
+
+import { SERIES_WRITE_LUA, mergeSeriesRaw } from "../series5m.js";
+import { LEDGER_MARK_LUA } from "../paper-ledger.js";
+
+function serialize(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function deserialize(raw) {
+  if (raw == null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+function globToRegExp(pattern) {
+  const escaped = String(pattern || "*").replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+}
+
+function normalizeIndex(idx, len) {
+  const n = Number(idx);
+  return n < 0 ? len + n : n;
+}
+
+export function createMemoryRedis() {
+  const store = new Map(); // key -> { type: "string" | "list" | "hash" | "zset", value, expiresAt }
+  const counters = { commands: 0, pipelines: 0 };
+
+  function live(key) {
+    const entry = store.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt != null && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function typed(key, type, create) {
+    const entry = live(key);
+    if (entry) {
+      if (entry.type !== type) throw new Error("WRONGTYPE Operation against a key holding the wrong kind of value");
+      return entry;
+    }
+    if (!create) return null;
+    const fresh = { type, value: type === "list" ? [] : new Map(), expiresAt: null };
+    store.set(key, fresh);
+    return fresh;
+  }
+
+  const api = {
+    async ping() {
+      counters.commands += 1;
+      return "PONG";
+    },
+
+    async get(key) {
+      counters.commands += 1;
+      const entry = typed(key, "string", false);
+      return entry ? deserialize(entry.value) : null;
+    },
+
+    async mget(...keys) {
+      counters.commands += 1;
+      return keys.flat().map((k) => {
+        const entry = live(k);
+        return entry?.type === "string" ? deserialize(entry.value) : null;
+      });
+    },
+
+    // opts: { ex, px, nx, xx, get }
+    async set(key, value, opts = {}) {
+      counters.commands += 1;
+      const existing = live(key);
+      if (opts?.nx && existing) return null;
+      if (opts?.xx && !existing) return null;
+      const prev = existing?.type === "string" ? deserialize(existing.value) : null;
+      let expiresAt = null;
+      if (Number.isFinite(Number(opts?.ex))) expiresAt = Date.now() + Number(opts.ex) * 1000;
+      if (Number.isFinite(Number(opts?.px))) expiresAt = Date.now() + Number(opts.px);
+      store.set(key, { type: "string", value: serialize(value), expiresAt });
+      return opts?.get ? prev : "OK";
+    },
+
+    async del(...keys) {
+      counters.commands += 1;
+      let n = 0;
+      for (const k of keys.flat()) if (live(k) && store.delete(k)) n += 1;
+      return n;
+    },
+
+    async exists(...keys) {
+      counters.commands += 1;
+      return keys.flat().filter((k) => live(k)).length;
+    },
+
+    async expire(key, seconds) {
+      counters.commands += 1;
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + Number(seconds) * 1000;
+      return 1;
+    },
+
+    async ttl(key) {
+      counters.commands += 1;
+      const entry = live(key);
+      if (!entry) return -2;
+      if (entry.expiresAt == null) return -1;
+      return Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+    },
+
+    async incrby(key, by) {
+      counters.commands += 1;
+      const entry = typed(key, "string", false);
+      const cur = entry ? Number(entry.value) : 0;
+      if (!Number.isFinite(cur)) throw new Error("ERR value is not an integer or out of range");
+      const next = cur + Number(by);
+      if (entry) entry.value = String(next);
+      else store.set(key, { type: "string", value: String(next), expiresAt: null });
+      return next;
+    },
+
+    async incr(key) {
+      return api.incrby(key, 1);
+    },
+
+    async decr(key) {
+      return api.incrby(key, -1);
+    },
+
+    async rpush(key, ...values) {
+      counters.commands += 1;
+      const entry = typed(key, "list", true);
+      entry.value.push(...values.flat().map(serialize));
+      return entry.value.length;
+    },
+
+    async lpush(key, ...values) {
+      counters.commands += 1;
+      const entry = typed(key, "list", true);
+      for (const v of values.flat()) entry.value.unshift(serialize(v));
+      return entry.value.length;
+    },
+
+    async llen(key) {
+      counters.commands += 1;
+      const entry = typed(key, "list", false);
+      return entry ? entry.value.length : 0;
+    },
+
+    async lrange(key, start, stop) {
+      counters.commands += 1;
+      const entry = typed(key, "list", false);
+      if (!entry) return [];
+      const len = entry.value.length;
+      const s = Math.max(0, normalizeIndex(start, len));
+      const e = Math.min(len - 1, normalizeIndex(stop, len));
+      if (s > e) return [];
+      return entry.value.slice(s, e + 1).map(deserialize);
+    },
+
+    async lpop(key, count) {
+      counters.commands += 1;
+      const entry = typed(key, "list", false);
+      if (!entry) return null;
+      const n = count == null ? 1 : Math.max(0, Number(count));
+      const popped = entry.value.splice(0, n).map(deserialize);
+      if (!entry.value.length) store.delete(key);
+      return count == null ? popped[0] ?? null : popped;
+    },
+
+    async ltrim(key, start, stop) {
+      counters.commands += 1;
+      const entry = typed(key, "list", false);
+      if (!entry) return "OK";
+      const len = entry.value.length;
+      const s = Math.max(0, normalizeIndex(start, len));
+      const e = Math.min(len - 1, normalizeIndex(stop, len));
+      entry.value = s > e ? [] : entry.value.slice(s, e + 1);
+      if (!entry.value.length) store.delete(key);
+      return "OK";
+    },
+
+    async hset(key, fields) {
+      counters.commands += 1;
+      const entry = typed(key, "hash", true);
+      let added = 0;
+      for (const [f, v] of Object.entries(fields || {})) {
+        if (!entry.value.has(f)) added += 1;
+        entry.value.set(f, serialize(v));
+      }
+      return added;
+    },
+
+    async hget(key, field) {
+      counters.commands += 1;
+      const entry = typed(key, "hash", false);
+      return entry && entry.value.has(field) ? deserialize(entry.value.get(field)) : null;
+    },
+
+    async hgetall(key) {
+      counters.commands += 1;
+      const entry = typed(key, "hash", false);
+      if (!entry || !entry.value.size) return null;
+      return Object.fromEntries([...entry.value.entries()].map(([f, v]) => [f, deserialize(v)]));
+    },
+
+    async hdel(key, ...fields) {
+      counters.commands += 1;
+      const entry = typed(key, "hash", false);
+      if (!entry) return 0;
+      let n = 0;
+      for (const f of fields.flat()) if (entry.value.delete(f)) n += 1;
+      if (!entry.value.size) store.delete(key);
+      return n;
+    },
+
+    async hincrby(key, field, by) {
+      counters.commands += 1;
+      const entry = typed(key, "hash", true);
+      const next = Number(entry.value.get(field) || 0) + Number(by);
+      entry.value.set(field, String(next));
+      return next;
+    },
+
+    async keys(pattern) {
+      counters.commands += 1;
+      const re = globToRegExp(pattern);
+      return [...store.keys()].filter((k) => live(k) && re.test(k));
+    },
+
+    // Runs synchronously against the store, so nothing interleaves, like a script on the server.
+    async eval(script, keys, args) {
+      counters.commands += 1;
+      if (script === SERIES_WRITE_LUA) {
+        const [seriesKey, lastBucketKey] = keys;
+        const [lastBucket, cap, ttlSeconds, ...points] = args.map(String);
+        const kept = mergeSeriesRaw(typed(seriesKey, "list", false)?.value, points, Number(cap));
+        const expiresAt = Date.now() + Number(ttlSeconds) * 1000;
+        store.delete(seriesKey);
+        if (kept.length) store.set(seriesKey, { type: "list", value: kept, expiresAt });
+        const stored = typed(lastBucketKey, "string", false)?.value;
+        const last = Number(stored) > Number(lastBucket) ? stored : lastBucket;
+        store.set(lastBucketKey, { type: "string", value: last, expiresAt });
+        return kept.length;
+      }
+      if (script === LEDGER_MARK_LUA) {
+        const [openKey, ...claimKeys] = keys;
+        const open = typed(openKey, "hash", false)?.value;
+        let written = 0;
+        claimKeys.forEach((claimKey, i) => {
+          const id = String(args[2 * i]);
+          if (!open?.has(id) || live(claimKey)) return;
+          open.set(id, serialize(args[2 * i + 1]));
+          written += 1;
+        });
+        return written;
+      }
+      throw new Error("NOSCRIPT offline client has no twin for this script");
+    },
+
+    // Queues commands and runs them in order on exec(); covers both multi() and pipeline().
+    multi() {
+      const ops = [];
+      const chain = new Proxy(
+        {},
+        {
+          get(_, prop) {
+            if (prop === "exec") {
+              return async () => {
+                counters.pipelines += 1;
+                const out = [];
+                for (const [name, args] of ops) out.push(await api[name](...args));
+                return out;
+              };
+            }
+            if (typeof api[prop] !== "function") return undefined;
+            return (...args) => {
+              ops.push([prop, args]);
+              return chain;
+            };
+          },
+        }
+      );
+      return chain;
+    },
+
+    pipeline() {
+      return api.multi();
+    },
+
+    // Offline helpers (not part of the Upstash API)
+    _counters: counters,
+    _dump() {
+      const out = {};
+      for (const key of [...store.keys()].sort()) {
+        const entry = live(key);
+        if (!entry) continue;
+        if (entry.type === "list") out[key] = entry.value.map(deserialize);
+        else if (entry.type === "hash") out[key] = Object.fromEntries([...entry.value.entries()].map(([f, v]) => [f, deserialize(v)]));
+        else out[key] = deserialize(entry.value);
+      }
+      return out;
+    },
+  };
+
+  return api;
+}
@@ -0,0 +1,13 @@
+// /lib/offline/random.js
+// Deterministic Math.random for offline replays (mulberry32), so the random baseline picks the same rows every run.
+
+export function seededRandom(seed) {
+  let a = Number(seed) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,75 @@
+// /lib/outcome-queue.js
+// Pending-outcome queue shared by /api/alert (producer) and /api/outcomes (evaluator).
+// CommonJS because api/alert.js requires it.
+//
+// Layout:
+// - outcomes:due:{eval_bucket}  list of compact pending records, one per persisted fired/random row
+// - outcomes:cursor             last eval bucket the evaluator fully processed
+// - outcome:{alert_id}          resolved outcome (also guards against double resolution)
+// - outcomes:lock               held by the /api/outcomes run in progress
+
+const OUTCOME_TTL_SECONDS = 60 * 60 * 24 * 7; // 7d
+
+const OUTCOME_KEYS = {
+  due: (evalBucket) => `outcomes:due:${evalBucket}`,
+  cursor: () => "outcomes:cursor",
+  lock: () => "outcomes:lock",
+  resolved: (alertId) => `outcome:${alertId}`,
+};
+
+// Only the fields the evaluator needs; the analytics row itself stays in the sink.
+const PENDING_FIELDS = [
+  "alert_id",
+  "ts",
+  "due_ts",
+  "eval_bucket",
+  "symbol",
+  "instId",
+  "mode",
+  "side",
+  "entry_price",
+  "tp_price",
+  "stop_loss",
+  "invalidation_price",
+  "horizon_min",
+  "observation_type",
+  "recipe_stamp_reason",
+  "exec_reason",
+  "us_equity_session",
+  "day_of_week_et",
+  "confidence",
+  "confidence_score",
+  "trade_read_label",
+  "trade_read_score",
+];
+
+function pendingRecordFromEvent(e) {
+  const out = {};
+  for (const k of PENDING_FIELDS) out[k] = e?.[k] ?? "";
+  return out;
+}
+
+// Queues rows that have a due time; returns how many were queued. Never throws.
+async function enqueuePendingOutcomes(redis, events) {
+  const byBucket = new Map();
+  for (const e of events || []) {
+    const evalBucket = Number(e?.eval_bucket);
+    if (!e?.alert_id || !e?.instId || !Number.isFinite(evalBucket)) continue;
+    if (!byBucket.has(evalBucket)) byBucket.set(evalBucket, []);
+    byBucket.get(evalBucket).push(JSON.stringify(pendingRecordFromEvent(e)));
+  }
+
+  let queued = 0;
+  for (const [evalBucket, rows] of byBucket) {
+    try {
+      await redis.rpush(OUTCOME_KEYS.due(evalBucket), ...rows);
+      await redis.expire(OUTCOME_KEYS.due(evalBucket), OUTCOME_TTL_SECONDS);
+      queued += rows.length;
+    } catch (_) {
+      // Outcome tracking is best-effort; it must never fail an alert run.
+    }
+  }
+  return queued;
+}
+
+module.exports = { OUTCOME_KEYS, OUTCOME_TTL_SECONDS, pendingRecordFromEvent, enqueuePendingOutcomes };
@@ -0,0 +1,193 @@
+// /lib/outcomes.js
+// Forward-return math for fired alerts, filled from `series5m` points ({ b, p, h, l }).
+// Field names match the analytics columns on alert events (return_30m_pct etc.).
+// Point b carries the candle that closed at the top of bucket b, so +N minutes is point b + N/5.
+
+import { BUCKET_MS } from "./series5m.js";
+import { finiteOrNull, round4 } from "./values.js";
+
+export const FORWARD_RETURN_MINUTES = [10, 20, 30, 60];
+const R_LEVELS = [
+  ["1r", 1],
+  ["1_5r", 1.5],
+  ["2r", 2],
+];
+
+// Positive = in the trade's favour.
+export function signedReturnPct(side, entryPrice, price) {
+  const e = finiteOrNull(entryPrice);
+  const p = finiteOrNull(price);
+  if (e == null || p == null || e <= 0) return null;
+  const raw = ((p - e) / e) * 100;
+  return String(side || "").toLowerCase() === "short" ? -raw : raw;
+}
+
+function indexByBucket(points) {
+  const byBucket = new Map();
+  for (const pt of points || []) {
+    const b = finiteOrNull(pt?.b);
+    if (b != null) byBucket.set(b, pt);
+  }
+  return byBucket;
+}
+
+// Returns { return_10m_pct, ..., return_at_due_pct, best_return_before_due_pct, worst_return_before_due_pct,
+// complete } with null for horizons the series doesn't reach yet. best/worst use candle h/l when present.
+export function computeForwardReturns({ side, entryPrice, entryTs, points, horizonMin }) {
+  const byBucket = indexByBucket(points);
+  const entryBucket = Math.floor(Number(entryTs) / BUCKET_MS);
+  const priceAt = (minutes) => finiteOrNull(byBucket.get(entryBucket + Math.round(minutes / 5))?.p);
+
+  const out = {};
+  for (const m of FORWARD_RETURN_MINUTES) {
+    out[`return_${m}m_pct`] = round4(signedReturnPct(side, entryPrice, priceAt(m)));
+  }
+
+  const dueMin = finiteOrNull(horizonMin);
+  const dueSteps = dueMin != null && dueMin > 0 ? Math.round(dueMin / 5) : 0;
+  out.return_at_due_pct = dueSteps ? round4(signedReturnPct(side, entryPrice, priceAt(dueMin))) : null;
+
+  let best = null;
+  let worst = null;
+  let seen = 0;
+  for (let k = 1; k <= dueSteps; k++) {
+    const pt = byBucket.get(entryBucket + k);
+    if (!pt) continue;
+    seen += 1;
+    const p = finiteOrNull(pt.p);
+    const h = finiteOrNull(pt.h) ?? p;
+    const l = finiteOrNull(pt.l) ?? p;
+    for (const px of [h, l]) {
+      const r = signedReturnPct(side, entryPrice, px);
+      if (r == null) continue;
+      if (best == null || r > best) best = r;
+      if (worst == null || r < worst) worst = r;
+    }
+  }
+
+  out.best_return_before_due_pct = round4(best);
+  out.worst_return_before_due_pct = round4(worst);
+  out.complete = dueSteps > 0 && seen === dueSteps;
+  return out;
+}
+
+// Full outcome for one pending alert at its due time: forward returns plus MFE/MAE, R-multiple hits and the
+// first TP / SL / invalidation touch. Same-bar TP+SL counts as SL (candles don't say which came first).
+// result: WIN (TP first) | LOSS (SL first) | INVALIDATED | EXPIRED (no level hit by due) | NO_DATA.
+// realized_r: return at the first level touched (or at due) in units of entry->SL risk.
+export function resolveOutcome({ side, entryPrice, entryTs, horizonMin, tpPrice, stopLoss, invalidationPrice, points }) {
+  const fwd = computeForwardReturns({ side, entryPrice, entryTs, points, horizonMin });
+  const byBucket = indexByBucket(points);
+  const entryBucket = Math.floor(Number(entryTs) / BUCKET_MS);
+  const dueMin = finiteOrNull(horizonMin);
+  const dueSteps = dueMin != null && dueMin > 0 ? Math.round(dueMin / 5) : 0;
+  const isShort = String(side || "").toLowerCase() === "short";
+
+  const entry = finiteOrNull(entryPrice);
+  const tp = finiteOrNull(tpPrice);
+  const sl = finiteOrNull(stopLoss);
+  const inv = finiteOrNull(invalidationPrice);
+  const riskPct = entry != null && sl != null ? Math.abs(signedReturnPct(side, entry, sl)) : null;
+
+  // Favourable / adverse extremes of a bar for this side.
+  const favourable = (h, l) => (isShort ? l : h);
+  const adverse = (h, l) => (isShort ? h : l);
+  const crossedUp = (px, level) => level != null && px != null && (isShort ? px <= level : px >= level);
+  const crossedDown = (px, level) => level != null && px != null && (isShort ? px >= level : px <= level);
+
+  let mfe = null;
+  let mae = null;
+  let timeToMfe = null;
+  let firstHit = null;
+  let firstHitMin = null;
+  let lastPrice = null;
+  let seen = 0;
+  const rHitMin = {};
+
+  for (let k = 1; k <= dueSteps; k++) {
+    const pt = byBucket.get(entryBucket + k);
+    if (!pt) continue;
+    seen += 1;
+    const minutes = k * 5;
+    const p = finiteOrNull(pt.p);
+    const h = finiteOrNull(pt.h) ?? p;
+    const l = finiteOrNull(pt.l) ?? p;
+    if (p != null) lastPrice = p;
+
+    const fav = signedReturnPct(side, entry, favourable(h, l));
+    const adv = signedReturnPct(side, entry, adverse(h, l));
+    if (fav != null && (mfe == null || fav > mfe)) {
+      mfe = fav;
+      timeToMfe = minutes;
+    }
+    if (adv != null && (mae == null || adv < mae)) mae = adv;
+
+    if (riskPct != null && riskPct > 0 && fav != null) {
+      for (const [name, mult] of R_LEVELS) {
+        if (rHitMin[name] == null && fav >= riskPct * mult) rHitMin[name] = minutes;
+      }
+    }
+
+    if (!firstHit) {
+      const slHit = crossedDown(adverse(h, l), sl);
+      const invHit = crossedDown(adverse(h, l), inv);
+      const tpHit = crossedUp(favourable(h, l), tp);
+      if (slHit) firstHit = "SL";
+      else if (invHit) firstHit = "INVALIDATION";
+      else if (tpHit) firstHit = "TP";
+      if (firstHit) firstHitMin = minutes;
+    }
+  }
+
+  const returnAtDue = fwd.return_at_due_pct ?? round4(signedReturnPct(side, entry, lastPrice));
+  // Realized R: exit at the first level touched, else at due. Risk is entry -> SL.
+  const exitReturn =
+    firstHit === "SL"
+      ? signedReturnPct(side, entry, sl)
+      : firstHit === "TP"
+      ? signedReturnPct(side, entry, tp)
+      : firstHit === "INVALIDATION"
+      ? signedReturnPct(side, entry, inv)
+      : returnAtDue;
+  const realizedR = riskPct != null && riskPct > 0 && exitReturn != null ? exitReturn / riskPct : null;
+  const result = !seen
+    ? "NO_DATA"
+    : firstHit === "TP"
+    ? "WIN"
+    : firstHit === "SL"
+    ? "LOSS"
+    : firstHit === "INVALIDATION"
+    ? "INVALIDATED"
+    : "EXPIRED";
+
+  const out = {
+    exit_price: lastPrice,
+    return_pct: returnAtDue,
+    abs_return_pct: returnAtDue == null ? null : round4(Math.abs(returnAtDue)),
+    mfe_pct: round4(mfe),
+    mae_pct: round4(mae),
+    mfe_before_due_pct: round4(mfe),
+    mae_before_due_pct: round4(mae),
+    time_to_mfe_min: timeToMfe,
+    return_at_due_pct: returnAtDue,
+    first_hit_level: firstHit,
+    first_hit_min: firstHitMin,
+    mfe_giveback_pct: mfe != null && returnAtDue != null ? round4(mfe - returnAtDue) : null,
+    realized_r: round4(realizedR),
+    return_10m_pct: fwd.return_10m_pct,
+    return_20m_pct: fwd.return_20m_pct,
+    return_30m_pct: fwd.return_30m_pct,
+    return_60m_pct: fwd.return_60m_pct,
+    best_return_before_due_pct: fwd.best_return_before_due_pct,
+    worst_return_before_due_pct: fwd.worst_return_before_due_pct,
+    result,
+    coverage_pct: dueSteps ? round4((seen / dueSteps) * 100) : null,
+  };
+
+  for (const [name] of R_LEVELS) {
+    out[`hit_${name}`] = riskPct != null && riskPct > 0 ? rHitMin[name] != null : null;
+    out[`time_to_${name}_min`] = rHitMin[name] ?? null;
+  }
+
+  return out;
+}
@@ -0,0 +1,336 @@
+// /lib/paper-ledger.js
+// Paper-trade ledger that follows every delivered Premium alert.
+// CommonJS because api/alert.js requires it.
+//
+// Layout:
+// - ledger:open            hash alert_id -> open position (entry/TP/SL/invalidation/due from the alert event)
+// - ledger:closed          list of closed positions, oldest first (capped)
+// - ledger:equity          list of { ts, equity_usd, realized_usd, unrealized_usd, open } marks (capped)
+// - ledger:totals          hash realized_cents / opened / closed / wins
+// - ledger:recipes         hash {recipe}:pnl_cents / :closed / :wins (uncapped per-recipe P&L)
+// - ledger:close:{alert_id} claim (SET NX, 7d) taken before a close is recorded
+//
+// /api/alert opens positions (openPaperPositions); /api/snapshot marks them each run (markPaperLedger) and closes
+// on SL / invalidation / TP touch or once due. Same-bar SL+TP counts as SL, as in lib/outcomes.js.
+// Overlapping snapshot runs both see the same open position: only the run that takes the close claim appends it
+// and adds to the totals. Marks are written by LEDGER_MARK_LUA, which skips positions that are gone from
+// ledger:open or already have a close claim, so a run that read a position before another run closed it cannot
+// re-add it. A run that dies after the claim loses that close rather than counting it twice.
+// Sizing follows computeLeverageFromStop: margin = PAPER_LEDGER_MARGIN_PCT of equity at open, notional =
+// margin x leverage_suggested_high, so a stop-out costs about risk_budget_pct of the margin.
+
+const { loadConfig } = require("./config.js");
+const { safeJsonParse, finiteOrNull, round2 } = require("./values.js");
+
+const C = loadConfig();
+
+const LEDGER_KEYS = {
+  open: () => "ledger:open",
+  closed: () => "ledger:closed",
+  equity: () => "ledger:equity",
+  totals: () => "ledger:totals",
+  recipes: () => "ledger:recipes",
+  closeClaim: (alertId) => `ledger:close:${alertId}`,
+};
+
+const LEDGER_CFG = {
+  enabled: C.PAPER_LEDGER_ENABLED,
+  startEquityUsd: C.PAPER_LEDGER_START_EQUITY,
+  marginPct: C.PAPER_LEDGER_MARGIN_PCT,
+  feeBps: C.PAPER_LEDGER_FEE_BPS,
+  closedCap: 2000,
+  equityCap: 2016, // 7d of 5m marks
+  closeClaimSeconds: 60 * 60 * 24 * 7,
+};
+
+const BUCKET_MS = 5 * 60 * 1000;
+
+// KEYS[1] = ledger:open, KEYS[i] = close claim of the (i - 1)th position; ARGV = id, position JSON, ... in the same
+// order. Updates only positions still open and unclaimed; returns how many were written.
+const LEDGER_MARK_LUA = `
+local n = 0
+for i = 2, #KEYS do
+  local id, row = ARGV[2 * i - 3], ARGV[2 * i - 2]
+  if redis.call("HEXISTS", KEYS[1], id) == 1 and redis.call("EXISTS", KEYS[i]) == 0 then
+    redis.call("HSET", KEYS[1], id, row)
+    n = n + 1
+  end
+end
+return n
+`;
+
+function signedReturnPct(side, entry, price) {
+  if (entry == null || price == null || entry <= 0) return null;
+  const raw = ((price - entry) / entry) * 100;
+  return side === "short" ? -raw : raw;
+}
+
+function toCents(usd) {
+  return Math.round(Number(usd || 0) * 100);
+}
+
+async function readTotals(redis) {
+  const raw = (await redis.hgetall(LEDGER_KEYS.totals())) || {};
+  const realizedUsd = Number(raw.realized_cents || 0) / 100;
+  return {
+    realized_usd: round2(realizedUsd),
+    equity_usd: round2(LEDGER_CFG.startEquityUsd + realizedUsd),
+    opened: Number(raw.opened || 0),
+    closed: Number(raw.closed || 0),
+    wins: Number(raw.wins || 0),
+  };
+}
+
+async function readOpenPositions(redis) {
+  const raw = (await redis.hgetall(LEDGER_KEYS.open())) || {};
+  return Object.values(raw)
+    .map(safeJsonParse)
+    .filter((p) => p?.alert_id)
+    .sort((a, b) => a.opened_ts - b.opened_ts);
+}
+
+// Builds an open position from a delivered alert event; null when the event lacks entry or stop.
+function positionFromEvent(e, equityUsd, now) {
+  const entry = finiteOrNull(e?.entry_price);
+  const sl = finiteOrNull(e?.stop_loss);
+  const side = String(e?.side || "").toLowerCase();
+  if (!e?.alert_id || !e?.instId || entry == null || entry <= 0 || sl == null) return null;
+  if (side !== "long" && side !== "short") return null;
+
+  const leverage = Math.max(1, finiteOrNull(e.leverage_suggested_high) ?? 1);
+  const marginUsd = (equityUsd * LEDGER_CFG.marginPct) / 100;
+  const notionalUsd = marginUsd * leverage;
+  const riskPct = Math.abs(signedReturnPct(side, entry, sl) ?? 0);
+
+  return {
+    alert_id: String(e.alert_id),
+    opened_ts: now,
+    opened_bucket: Math.floor(now / BUCKET_MS),
+    symbol: e.symbol || "",
+    instId: e.instId,
+    mode: e.mode || "",
+    side,
+    recipe: String(e.exec_reason || e.recipe_stamp_reason || ""),
+    confidence: e.confidence || "",
+    entry_price: entry,
+    tp_price: finiteOrNull(e.tp_price),
+    stop_loss: sl,
+    invalidation_price: finiteOrNull(e.invalidation_price),
+    due_ts: finiteOrNull(e.due_ts),
+    leverage,
+    margin_usd: round2(marginUsd),
+    notional_usd: round2(notionalUsd),
+    qty: notionalUsd / entry,
+    risk_usd: round2((notionalUsd * riskPct) / 100),
+    entry_fee_usd: round2((notionalUsd * LEDGER_CFG.feeBps) / 10000),
+    last_price: entry,
+    last_ts: now,
+    unrealized_usd: 0,
+    mfe_pct: 0,
+    mae_pct: 0,
+  };
+}
+
+// Opens one position per delivered event. Returns { ok, opened, skipped, error }. Never throws.
+async function openPaperPositions(redis, events, now = Date.now()) {
+  if (!LEDGER_CFG.enabled) return { ok: true, opened: 0, skipped: 0, error: null };
+  try {
+    const { equity_usd } = await readTotals(redis);
+    const fields = {};
+    let skipped = 0;
+    for (const e of events || []) {
+      const pos = positionFromEvent(e, equity_usd, now);
+      if (!pos) {
+        skipped += 1;
+        continue;
+      }
+      fields[pos.alert_id] = JSON.stringify(pos);
+    }
+    const opened = Object.keys(fields).length;
+    if (opened) {
+      await redis.hset(LEDGER_KEYS.open(), fields);
+      await redis.hincrby(LEDGER_KEYS.totals(), "opened", opened);
+    }
+    return { ok: true, opened, skipped, error: null };
+  } catch (err) {
+    console.error("[ledger] open failed", String(err?.message || err));
+    return { ok: false, opened: 0, skipped: 0, error: String(err?.message || err) };
+  }
+}
+
+// Exit for one quote, or null to stay open. Snapshot h/l are the last closed candle (the bucket before the
+// quote's), so they only count once that candle starts after the open bucket: the entry's own candle also
+// holds the minutes before the entry.
+function exitForQuote(pos, quote, now) {
+  const px = finiteOrNull(quote.price);
+  if (px == null) return null;
+  const quoteBucket = Math.floor(Number(quote.ts ?? now) / BUCKET_MS);
+  const useRange = quoteBucket - 1 > pos.opened_bucket;
+  const h = useRange ? finiteOrNull(quote.high) ?? px : px;
+  const l = useRange ? finiteOrNull(quote.low) ?? px : px;
+  const isShort = pos.side === "short";
+  const adverse = isShort ? Math.max(h, px) : Math.min(l, px);
+  const favourable = isShort ? Math.min(l, px) : Math.max(h, px);
+  const crossedAgainst = (level) => level != null && (isShort ? adverse >= level : adverse <= level);
+  const crossedFor = (level) => level != null && (isShort ? favourable <= level : favourable >= level);
+
+  if (crossedAgainst(pos.stop_loss)) return { reason: "SL", price: pos.stop_loss };
+  if (crossedAgainst(pos.invalidation_price)) return { reason: "INVALIDATION", price: pos.invalidation_price };
+  if (crossedFor(pos.tp_price)) return { reason: "TP", price: pos.tp_price };
+  if (pos.due_ts != null && now >= pos.due_ts) return { reason: "DUE", price: px };
+  return null;
+}
+
+function markPosition(pos, quote, now) {
+  const px = finiteOrNull(quote.price);
+  const ret = signedReturnPct(pos.side, pos.entry_price, px);
+  if (ret == null) return pos;
+  return {
+    ...pos,
+    last_price: px,
+    last_ts: now,
+    unrealized_usd: round2((pos.notional_usd * ret) / 100 - pos.entry_fee_usd),
+    mfe_pct: Math.max(pos.mfe_pct ?? 0, Math.round(ret * 10000) / 10000),
+    mae_pct: Math.min(pos.mae_pct ?? 0, Math.round(ret * 10000) / 10000),
+  };
+}
+
+function closePosition(pos, exit, now) {
+  const ret = signedReturnPct(pos.side, pos.entry_price, exit.price) ?? 0;
+  const exitFeeUsd = ((pos.notional_usd * (1 + ret / 100)) * LEDGER_CFG.feeBps) / 10000;
+  const pnlUsd = (pos.notional_usd * ret) / 100 - pos.entry_fee_usd - exitFeeUsd;
+  return {
+    ...pos,
+    closed_ts: now,
+    exit_reason: exit.reason,
+    exit_price: exit.price,
+    return_pct: Math.round(ret * 10000) / 10000,
+    fees_usd: round2(pos.entry_fee_usd + exitFeeUsd),
+    pnl_usd: round2(pnlUsd),
+    r_multiple: pos.risk_usd > 0 ? Math.round((pnlUsd / pos.risk_usd) * 100) / 100 : null,
+    unrealized_usd: 0,
+  };
+}
+
+// quotes: [{ instId, price, high, low, ts }]. Marks every open position on a quoted instId, closes the ones
+// that hit a level or are due, then appends one equity mark. Returns { ok, marked, closed, open, equity_usd, error }.
+async function markPaperLedger(redis, quotes, now = Date.now()) {
+  const out = { ok: true, marked: 0, closed: [], open: 0, equity_usd: null, error: null };
+  if (!LEDGER_CFG.enabled) return out;
+  try {
+    const byInst = new Map((quotes || []).filter((q) => q?.instId).map((q) => [q.instId, q]));
+    const positions = await readOpenPositions(redis);
+    const updates = {};
+    const due = [];
+    const closed = [];
+
+    for (const pos of positions) {
+      const quote = byInst.get(pos.instId);
+      if (!quote) continue;
+      const exit = exitForQuote(pos, quote, now);
+      if (exit) due.push(closePosition(pos, exit, now));
+      else updates[pos.alert_id] = JSON.stringify(markPosition(pos, quote, now));
+    }
+
+    const ids = Object.keys(updates);
+    if (ids.length) {
+      const keys = [LEDGER_KEYS.open(), ...ids.map((id) => LEDGER_KEYS.closeClaim(id))];
+      const written = await redis.eval(LEDGER_MARK_LUA, keys, ids.flatMap((id) => [id, updates[id]]));
+      out.marked = Number(written) || 0;
+    }
+    if (due.length) {
+      for (const p of due) {
+        const claimed = await redis.set(LEDGER_KEYS.closeClaim(p.alert_id), String(now), {
+          nx: true,
+          ex: LEDGER_CFG.closeClaimSeconds,
+        });
+        if (claimed) closed.push(p);
+      }
+      await redis.hdel(LEDGER_KEYS.open(), ...due.map((p) => p.alert_id));
+    }
+    if (closed.length) {
+      await redis.rpush(LEDGER_KEYS.closed(), ...closed.map((p) => JSON.stringify(p)));
+      await redis.ltrim(LEDGER_KEYS.closed(), -LEDGER_CFG.closedCap, -1);
+      const wins = closed.filter((p) => p.pnl_usd > 0).length;
+      await redis.hincrby(LEDGER_KEYS.totals(), "realized_cents", closed.reduce((a, p) => a + toCents(p.pnl_usd), 0));
+      await redis.hincrby(LEDGER_KEYS.totals(), "closed", closed.length);
+      if (wins) await redis.hincrby(LEDGER_KEYS.totals(), "wins", wins);
+      for (const p of closed) {
+        const recipe = p.recipe || "unstamped";
+        await redis.hincrby(LEDGER_KEYS.recipes(), `${recipe}:pnl_cents`, toCents(p.pnl_usd));
+        await redis.hincrby(LEDGER_KEYS.recipes(), `${recipe}:closed`, 1);
+        if (p.pnl_usd > 0) await redis.hincrby(LEDGER_KEYS.recipes(), `${recipe}:wins`, 1);
+      }
+    }
+
+    const stillOpen = await readOpenPositions(redis);
+    const totals = await readTotals(redis);
+    const unrealizedUsd = stillOpen.reduce((a, p) => a + Number(p.unrealized_usd || 0), 0);
+    const mark = {
+      ts: now,
+      equity_usd: round2(totals.equity_usd + unrealizedUsd),
+      realized_usd: totals.realized_usd,
+      unrealized_usd: round2(unrealizedUsd),
+      open: stillOpen.length,
+    };
+    await redis.rpush(LEDGER_KEYS.equity(), JSON.stringify(mark));
+    await redis.ltrim(LEDGER_KEYS.equity(), -LEDGER_CFG.equityCap, -1);
+
+    out.closed = closed.map((p) => ({ alert_id: p.alert_id, symbol: p.symbol, exit_reason: p.exit_reason, pnl_usd: p.pnl_usd }));
+    out.open = stillOpen.length;
+    out.equity_usd = mark.equity_usd;
+    return out;
+  } catch (err) {
+    console.error("[ledger] mark failed", String(err?.message || err));
+    return { ...out, ok: false, error: String(err?.message || err) };
+  }
+}
+
+// Per-recipe realized P&L from ledger:recipes, plus unrealized from open positions.
+async function readRecipePnl(redis, openPositions) {
+  const raw = (await redis.hgetall(LEDGER_KEYS.recipes())) || {};
+  const byRecipe = new Map();
+  const row = (recipe) => {
+    if (!byRecipe.has(recipe)) byRecipe.set(recipe, { recipe, closed: 0, wins: 0, realized_usd: 0, open: 0, unrealized_usd: 0 });
+    return byRecipe.get(recipe);
+  };
+  for (const [field, value] of Object.entries(raw)) {
+    const idx = field.lastIndexOf(":");
+    const recipe = field.slice(0, idx);
+    const stat = field.slice(idx + 1);
+    if (stat === "pnl_cents") row(recipe).realized_usd = Number(value || 0) / 100;
+    else if (stat === "closed" || stat === "wins") row(recipe)[stat] = Number(value || 0);
+  }
+  for (const p of openPositions) {
+    const r = row(p.recipe || "unstamped");
+    r.open += 1;
+    r.unrealized_usd = round2(r.unrealized_usd + Number(p.unrealized_usd || 0));
+  }
+  return [...byRecipe.values()]
+    .map((r) => ({ ...r, win_rate: r.closed ? Math.round((r.wins / r.closed) * 10000) / 10000 : null }))
+    .sort((a, b) => b.realized_usd - a.realized_usd);
+}
+
+// Everything /api/ledger shows (closed newest first). equityPoints / closedLimit bound the list reads.
+async function readLedger(redis, { equityPoints = 288, closedLimit = 50 } = {}) {
+  const [totals, open] = [await readTotals(redis), await readOpenPositions(redis)];
+  const tail = async (key, n) => (n > 0 ? ((await redis.lrange(key, -n, -1)) || []).map(safeJsonParse).filter(Boolean) : []);
+  const equity = await tail(LEDGER_KEYS.equity(), equityPoints);
+  const closed = (await tail(LEDGER_KEYS.closed(), closedLimit)).reverse();
+  const unrealizedUsd = open.reduce((a, p) => a + Number(p.unrealized_usd || 0), 0);
+  return {
+    start_equity_usd: LEDGER_CFG.startEquityUsd,
+    equity_usd: round2(totals.equity_usd + unrealizedUsd),
+    realized_usd: totals.realized_usd,
+    unrealized_usd: round2(unrealizedUsd),
+    opened: totals.opened,
+    closed_count: totals.closed,
+    win_rate: totals.closed ? Math.round((totals.wins / totals.closed) * 10000) / 10000 : null,
+    recipes: await readRecipePnl(redis, open),
+    open,
+    closed,
+    equity,
+  };
+}
+
+module.exports = { LEDGER_KEYS, LEDGER_CFG, LEDGER_MARK_LUA, openPaperPositions, markPaperLedger, readOpenPositions, readLedger };
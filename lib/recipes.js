@@ -0,0 +1,319 @@
+// /lib/recipes.js
+// Declarative manual-recipe definitions for /api/alert (CommonJS because alert.js requires it).
+//
+// A recipe config is { version: 1, recipes: [...] } where each recipe is:
+//   {
+//     id, mode: "scalp" | "swing", side: "long" | "short", profile, managementHint,
+//     tier:    "live" (default, sent to Telegram) | "shadow" (full pipeline, recorded only),
+//     when:    [{ field, op, value }, ...]                      // all must hold
+//     rank:    { field, direction: "asc" | "desc", label, format, digits }
+//     context: [{ label, field, format, digits }, ...]          // "Market:" line, read from the top-ranked candidate
+//   }
+// Fields are t.ctx keys from RECIPE_CTX_FIELDS (the probe context the direct-recipe path builds).
+// Ops: < <= > >= (numeric), == != (numeric, or case-insensitive string when value is a string), in / not_in (strings).
+// Numeric reads use Number(v) like alert.js asNum, so a null ctx value reads as 0 — same as the old closures.
+//
+// compileRecipeConfig() returns { ok, recipes, errors }; recipes have the same shape the hard-coded
+// LIVE_MANUAL_RECIPES had (matches / rankValue / rankMetric / marketContext functions).
+
+const fs = require("fs");
+const path = require("path");
+
+const RECIPE_CONFIG_VERSION = 1;
+
+const RECIPE_CTX_FIELDS = Object.freeze([
+  "btc5mOi15mPct",
+  "btc5mOi60mPct",
+  "btc5mFunding15mAvg",
+  "symbolVsBtc15mPct",
+  "symbolVsEth1hPct",
+  "cryptoBreadth1hPct",
+  "spotVsPerp1hPct",
+  "anomalyPattern",
+]);
+
+const NUMERIC_OPS = new Set(["<", "<=", ">", ">="]);
+const EQUALITY_OPS = new Set(["==", "!="]);
+const SET_OPS = new Set(["in", "not_in"]);
+const ALL_OPS = [...NUMERIC_OPS, ...EQUALITY_OPS, ...SET_OPS];
+const MODES = new Set(["scalp", "swing"]);
+const SIDES = new Set(["long", "short"]);
+const TIERS = new Set(["live", "shadow"]);
+const FORMATS = new Set(["pct", "funding", "number", "text"]);
+
+const asNum = (x) => (Number.isFinite(Number(x)) ? Number(x) : null);
+
+function formatValue(value, format, digits) {
+  if (format === "text") return value == null || value === "" ? "n/a" : String(value);
+  const n = Number(value);
+  if (!Number.isFinite(n)) return "n/a";
+  if (format === "pct") return `${n.toFixed(digits ?? 2)}%`;
+  if (format === "funding") return n.toFixed(digits ?? 6);
+  return n.toFixed(digits ?? 2);
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function checkField(field, path, errors) {
+  if (typeof field !== "string" || !field) {
+    errors.push(`${path}.field: required string`);
+    return false;
+  }
+  if (!RECIPE_CTX_FIELDS.includes(field)) {
+    errors.push(`${path}.field: unknown ctx field "${field}" (expected one of ${RECIPE_CTX_FIELDS.join(", ")})`);
+    return false;
+  }
+  return true;
+}
+
+function checkFormat(spec, path, errors) {
+  if (spec.format != null && !FORMATS.has(spec.format)) {
+    errors.push(`${path}.format: unknown format "${spec.format}" (expected one of ${[...FORMATS].join(", ")})`);
+  }
+  if (spec.digits != null && !(Number.isInteger(spec.digits) && spec.digits >= 0 && spec.digits <= 8)) {
+    errors.push(`${path}.digits: expected an integer 0..8`);
+  }
+}
+
+function compilePredicate(cond, path, errors) {
+  if (!isPlainObject(cond)) {
+    errors.push(`${path}: expected { field, op, value }`);
+    return null;
+  }
+  const fieldOk = checkField(cond.field, path, errors);
+  const { op, value } = cond;
+
+  if (!ALL_OPS.includes(op)) {
+    errors.push(`${path}.op: unknown operator ${JSON.stringify(op)} (expected one of ${ALL_OPS.join(", ")})`);
+    return null;
+  }
+  if (NUMERIC_OPS.has(op) && !(typeof value === "number" && Number.isFinite(value))) {
+    errors.push(`${path}.value: "${op}" needs a finite number`);
+    return null;
+  }
+  if (EQUALITY_OPS.has(op) && !(typeof value === "string" || (typeof value === "number" && Number.isFinite(value)))) {
+    errors.push(`${path}.value: "${op}" needs a number or string`);
+    return null;
+  }
+  if (SET_OPS.has(op) && !(Array.isArray(value) && value.length && value.every((v) => typeof v === "string"))) {
+    errors.push(`${path}.value: "${op}" needs a non-empty array of strings`);
+    return null;
+  }
+  if (!fieldOk) return null;
+
+  const field = cond.field;
+
+  if (SET_OPS.has(op)) {
+    const set = new Set(value.map((v) => v.toLowerCase()));
+    const wantIn = op === "in";
+    return (ctx) => set.has(String(ctx?.[field] || "").toLowerCase()) === wantIn;
+  }
+
+  if (typeof value === "string") {
+    const want = value.toLowerCase();
+    const eq = op === "==";
+    return (ctx) => (String(ctx?.[field] || "").toLowerCase() === want) === eq;
+  }
+
+  return (ctx) => {
+    const n = asNum(ctx?.[field]);
+    if (!Number.isFinite(n)) return false;
+    if (op === "<") return n < value;
+    if (op === "<=") return n <= value;
+    if (op === ">") return n > value;
+    if (op === ">=") return n >= value;
+    if (op === "==") return n === value;
+    return n !== value;
+  };
+}
+
+function compileRecipe(def, path, errors) {
+  const before = errors.length;
+  if (!isPlainObject(def)) {
+    errors.push(`${path}: expected an object`);
+    return null;
+  }
+
+  if (typeof def.id !== "string" || !/^[a-z0-9_]+$/.test(def.id)) {
+    errors.push(`${path}.id: required, lowercase letters/digits/underscores`);
+  }
+  if (!MODES.has(def.mode)) errors.push(`${path}.mode: expected one of ${[...MODES].join(", ")}`);
+  if (!SIDES.has(def.side)) errors.push(`${path}.side: expected one of ${[...SIDES].join(", ")}`);
+  if (typeof def.profile !== "string" || !def.profile.trim()) errors.push(`${path}.profile: required string`);
+  if (def.tier != null && !TIERS.has(def.tier)) errors.push(`${path}.tier: expected one of ${[...TIERS].join(", ")}`);
+  if (def.managementHint != null && typeof def.managementHint !== "string") {
+    errors.push(`${path}.managementHint: expected a string`);
+  }
+
+  const predicates = [];
+  if (!Array.isArray(def.when) || def.when.length === 0) {
+    errors.push(`${path}.when: expected a non-empty array of predicates`);
+  } else {
+    def.when.forEach((cond, i) => {
+      const fn = compilePredicate(cond, `${path}.when[${i}]`, errors);
+      if (fn) predicates.push(fn);
+    });
+  }
+
+  const rank = def.rank;
+  if (!isPlainObject(rank)) {
+    errors.push(`${path}.rank: expected { field, direction, label }`);
+  } else {
+    checkField(rank.field, `${path}.rank`, errors);
+    if (rank.direction != null && rank.direction !== "asc" && rank.direction !== "desc") {
+      errors.push(`${path}.rank.direction: expected "asc" or "desc"`);
+    }
+    if (typeof rank.label !== "string" || !rank.label.trim()) errors.push(`${path}.rank.label: required string`);
+    checkFormat(rank, `${path}.rank`, errors);
+  }
+
+  const context = def.context == null ? [] : def.context;
+  if (!Array.isArray(context)) {
+    errors.push(`${path}.context: expected an array`);
+  } else {
+    context.forEach((line, i) => {
+      const p = `${path}.context[${i}]`;
+      if (!isPlainObject(line)) {
+        errors.push(`${p}: expected { label, field }`);
+        return;
+      }
+      checkField(line.field, p, errors);
+      if (typeof line.label !== "string" || !line.label.trim()) errors.push(`${p}.label: required string`);
+      checkFormat(line, p, errors);
+    });
+  }
+
+  if (errors.length > before) return null;
+
+  const rankField = rank.field;
+  const rankFormat = rank.format || "pct";
+  const contextLines = context.map((line) => ({ ...line, format: line.format || "pct" }));
+
+  return Object.freeze({
+    id: def.id,
+    mode: def.mode,
+    side: def.side,
+    profile: def.profile,
+    managementHint: def.managementHint || "",
+    tier: def.tier || "live",
+    rankDirection: rank.direction || "asc",
+    matches: (t) => predicates.every((fn) => fn(t?.ctx)),
+    rankValue: (t) => asNum(t?.ctx?.[rankField]),
+    rankMetric: (t) => `${rank.label} ${formatValue(t?.ctx?.[rankField], rankFormat, rank.digits)}`,
+    marketContext: (t) => contextLines.map((line) => `${line.label} ${formatValue(t?.ctx?.[line.field], line.format, line.digits)}`),
+    definition: def,
+  });
+}
+
+// Validates and compiles a whole config. Never throws; errors carry the JSON path of each problem.
+function compileRecipeConfig(config) {
+  const errors = [];
+  if (!isPlainObject(config)) return { ok: false, recipes: [], errors: ["config: expected { version, recipes }"] };
+  if (Number(config.version) !== RECIPE_CONFIG_VERSION) {
+    errors.push(`version: expected ${RECIPE_CONFIG_VERSION}, got ${JSON.stringify(config.version)}`);
+  }
+  if (!Array.isArray(config.recipes)) {
+    errors.push("recipes: expected an array");
+    return { ok: false, recipes: [], errors };
+  }
+
+  const recipes = [];
+  const seen = new Set();
+  config.recipes.forEach((def, i) => {
+    const recipe = compileRecipe(def, `recipes[${i}]`, errors);
+    if (!recipe) return;
+    if (seen.has(recipe.id)) {
+      errors.push(`recipes[${i}].id: duplicate id "${recipe.id}"`);
+      return;
+    }
+    seen.add(recipe.id);
+    recipes.push(recipe);
+  });
+
+  if (errors.length) return { ok: false, recipes: [], errors };
+  return { ok: true, recipes: Object.freeze(recipes), errors: [] };
+}
+
+function parseRecipeConfig(raw) {
+  if (raw == null || raw === "") return { ok: false, recipes: [], errors: ["config: empty"] };
+  if (typeof raw === "object") return compileRecipeConfig(raw);
+  try {
+    return compileRecipeConfig(JSON.parse(raw));
+  } catch (err) {
+    return { ok: false, recipes: [], errors: [`config: invalid JSON (${String(err?.message || err)})`] };
+  }
+}
+
+// Bundled set: `file` (ALERT_RECIPES_FILE) when given, else config/recipes.json. Throws when invalid,
+// since a broken bundled config should fail the deploy rather than silently drop recipes.
+function loadBundledRecipes(file) {
+  const raw = file ? fs.readFileSync(path.resolve(file), "utf8") : require("../config/recipes.json");
+  const compiled = parseRecipeConfig(raw);
+  if (!compiled.ok) {
+    throw new Error(`invalid recipe config (${file || "config/recipes.json"}): ${compiled.errors.join("; ")}`);
+  }
+  return compiled.recipes;
+}
+
+// Redis override (ALERT_RECIPES_REDIS_KEY). Returns { recipes, source, errors }: the bundled set when
+// the key is unset, missing or holds an invalid config (errors say why).
+async function loadRecipesWithOverride(redis, { file, redisKey, bundled }) {
+  const bundledRecipes = bundled || loadBundledRecipes(file);
+  const bundledSource = file ? "file" : "bundled";
+  if (!redisKey) return { recipes: bundledRecipes, source: bundledSource, errors: [] };
+
+  const raw = await redis.get(redisKey).catch(() => null);
+  if (raw == null) return { recipes: bundledRecipes, source: bundledSource, errors: [] };
+
+  const compiled = parseRecipeConfig(raw);
+  if (!compiled.ok) return { recipes: bundledRecipes, source: bundledSource, errors: compiled.errors };
+  return { recipes: compiled.recipes, source: `redis:${redisKey}`, errors: [] };
+}
+
+// The one numeric (< <= > >=) `when` condition on `field`: what a runtime threshold override replaces.
+// Returns { cond } or { error } (no such recipe, no numeric condition on the field, or more than one).
+function findRecipeThreshold(recipes, recipeId, field) {
+  const recipe = (recipes || []).find((r) => r.id === recipeId);
+  if (!recipe) return { error: `unknown recipe ${JSON.stringify(recipeId)}` };
+  const conds = (recipe.definition?.when || []).filter((c) => c.field === field && NUMERIC_OPS.has(c.op));
+  if (!conds.length) return { error: `${recipeId} has no numeric condition on ${field}` };
+  if (conds.length > 1) return { error: `${recipeId} has ${conds.length} numeric conditions on ${field}` };
+  return { cond: conds[0] };
+}
+
+// Recompiles the recipes named in thresholds ({ recipeId: { field: number } }) with those values swapped in.
+// Returns { recipes, applied: ["id:field", ...], errors }; a recipe whose override doesn't apply is kept as is.
+function applyRecipeThresholds(recipes, thresholds = {}) {
+  const applied = [];
+  const errors = [];
+  const out = (recipes || []).map((recipe) => {
+    const fields = thresholds[recipe.id];
+    if (!fields) return recipe;
+    const ok = Object.keys(fields).filter((field) => {
+      const found = findRecipeThreshold([recipe], recipe.id, field);
+      if (found.error) errors.push(found.error);
+      return !found.error;
+    });
+    if (!ok.length) return recipe;
+    const def = recipe.definition;
+    const when = def.when.map((c) => (ok.includes(c.field) && NUMERIC_OPS.has(c.op) ? { ...c, value: fields[c.field] } : c));
+    const compiled = compileRecipe({ ...def, when }, recipe.id, errors);
+    if (!compiled) return recipe;
+    applied.push(...ok.map((field) => `${recipe.id}:${field}`));
+    return compiled;
+  });
+  return { recipes: Object.freeze(out), applied, errors };
+}
+
+module.exports = {
+  RECIPE_CONFIG_VERSION,
+  RECIPE_CTX_FIELDS,
+  compileRecipeConfig,
+  parseRecipeConfig,
+  loadBundledRecipes,
+  loadRecipesWithOverride,
+  findRecipeThreshold,
+  applyRecipeThresholds,
+};
@@ -0,0 +1,79 @@
+// /lib/redis.js
+// Shared Upstash client for the handlers.
+// Offline runners (backtest, local dev) call setRedisClient() with an in-memory client
+// BEFORE importing any handler, since handlers bind the client at module load.
+
+const { Redis } = require("@upstash/redis");
+
+let client = null;
+
+function getRedis() {
+  if (!client) {
+    client = new Redis({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    });
+  }
+  return client;
+}
+
+function setRedisClient(next) {
+  client = next || null;
+}
+
+// Wraps a client so every direct command, and every pipeline()/multi() exec(), counts as one REST round trip.
+// Handlers wrap their module-level client and reset() per request; overlapping requests on one instance share
+// the counts, which is fine for a debug figure.
+function countRoundTrips(target) {
+  const stats = { round_trips: 0, commands: 0, pipelined_commands: 0, pipelines: 0 };
+
+  const wrapBatch = (batch) => {
+    const proxy = new Proxy(batch, {
+      get(t, prop) {
+        const value = t[prop];
+        if (typeof value !== "function") return value;
+        if (prop === "exec") {
+          return (...args) => {
+            stats.round_trips += 1;
+            stats.pipelines += 1;
+            return value.apply(t, args);
+          };
+        }
+        return (...args) => {
+          stats.commands += 1;
+          stats.pipelined_commands += 1;
+          const out = value.apply(t, args);
+          return out === t ? proxy : out;
+        };
+      },
+    });
+    return proxy;
+  };
+
+  const redis = new Proxy(target, {
+    get(t, prop) {
+      const value = t[prop];
+      // _-prefixed members are offline-client helpers, not commands.
+      if (typeof value !== "function" || String(prop).startsWith("_")) return value;
+      if (prop === "pipeline" || prop === "multi") return (...args) => wrapBatch(value.apply(t, args));
+      return (...args) => {
+        stats.round_trips += 1;
+        stats.commands += 1;
+        return value.apply(t, args);
+      };
+    },
+  });
+
+  return {
+    redis,
+    stats,
+    reset() {
+      for (const k of Object.keys(stats)) stats[k] = 0;
+    },
+    snapshot() {
+      return { ...stats };
+    },
+  };
+}
+
+module.exports = { getRedis, setRedisClient, countRoundTrips };
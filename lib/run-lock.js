@@ -0,0 +1,91 @@
+// /lib/run-lock.js
+// Per-bucket run lock + idempotent result for /api/alert, so cron overlaps and curl retries of the same
+// 5m bucket don't evaluate (and send / post analytics) twice.
+// CommonJS because api/alert.js requires it.
+//
+// Layout (run key = {bucket}:{modes sorted}):
+// - alert:run:{runKey}:lock    SET NX owner token, ALERT_RUN_LOCK_SECONDS (held by the run in progress)
+// - alert:run:{runKey}:result  JSON { status, body, owner, ts } of the first completed run, ALERT_RUN_RESULT_TTL_SECONDS
+//
+// A run that fails (non-2xx or throws) before it persisted anything releases its lock and stores nothing, so a retry
+// evaluates again. Once it has sent or written results (persisted), even a non-2xx response (e.g. delivery_failed
+// after the Random / shadow rows were posted and queued) is stored and replayed: a re-run would post them twice.
+// A duplicate that finds the lock held waits up to ALERT_RUN_LOCK_WAIT_MS for the first run's result.
+// Release is get-then-del (not atomic): a lock that expired mid-run and was re-taken could be freed early; the
+// lock TTL is well above the function timeout so that needs a run stuck past both.
+// acquireLock / releaseLock are the same SET NX owner-token lock without the stored result (/api/outcomes).
+
+const { loadConfig } = require("./config.js");
+const { safeJsonParse } = require("./values.js");
+
+const C = loadConfig();
+
+const RUN_LOCK_CFG = {
+  enabled: C.ALERT_RUN_LOCK_ENABLED,
+  bucketMs: 5 * 60 * 1000,
+  lockSeconds: C.ALERT_RUN_LOCK_SECONDS,
+  resultSeconds: C.ALERT_RUN_RESULT_TTL_SECONDS,
+  waitMs: C.ALERT_RUN_LOCK_WAIT_MS,
+  pollMs: 500,
+};
+
+const RUN_KEYS = {
+  lock: (runKey) => `alert:run:${runKey}:lock`,
+  result: (runKey) => `alert:run:${runKey}:result`,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Idempotency key for one evaluation: the 5m bucket of `now` plus the mode set (order-insensitive).
+function runIdempotencyKey(now, modes) {
+  const bucket = Math.floor(Number(now) / RUN_LOCK_CFG.bucketMs);
+  const modeKey = [...new Set((modes || []).map((m) => String(m).toLowerCase()))].sort().join(",") || "default";
+  return `${bucket}:${modeKey}`;
+}
+
+// SET NX owner token; true when this caller now holds the lock.
+async function acquireLock(redis, key, owner, seconds) {
+  return !!(await redis.set(key, owner, { nx: true, ex: seconds }));
+}
+
+// Frees the lock only if this owner still holds it. Never throws.
+async function releaseLock(redis, key, owner) {
+  try {
+    if ((await redis.get(key)) === owner) await redis.del(key);
+  } catch (err) {
+    console.error("[run-lock] release failed", String(err?.message || err));
+  }
+}
+
+// Returns { state: "acquired" } (caller runs, then finishRun), { state: "done", result } (replay it) or
+// { state: "busy" } (first run still going after waitMs).
+async function claimRun(redis, runKey, owner, { waitMs = RUN_LOCK_CFG.waitMs } = {}) {
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    const result = safeJsonParse(await redis.get(RUN_KEYS.result(runKey)));
+    if (result) return { state: "done", result };
+
+    if (await acquireLock(redis, RUN_KEYS.lock(runKey), owner, RUN_LOCK_CFG.lockSeconds)) return { state: "acquired" };
+
+    if (Date.now() >= deadline) return { state: "busy" };
+    await sleep(RUN_LOCK_CFG.pollMs);
+  }
+}
+
+// Stores a 2xx (or any persisted) result for later duplicates; otherwise drops the lock so a retry runs again.
+// Never throws.
+async function finishRun(redis, runKey, owner, { status, body, persisted = false }) {
+  try {
+    if ((status >= 200 && status < 300) || persisted) {
+      await redis.set(RUN_KEYS.result(runKey), JSON.stringify({ status, body, owner, ts: Date.now() }), {
+        ex: RUN_LOCK_CFG.resultSeconds,
+      });
+      return;
+    }
+    await releaseLock(redis, RUN_KEYS.lock(runKey), owner);
+  } catch (err) {
+    console.error("[run-lock] finish failed", String(err?.message || err));
+  }
+}
+
+module.exports = { RUN_LOCK_CFG, RUN_KEYS, runIdempotencyKey, acquireLock, releaseLock, claimRun, finishRun };
@@ -0,0 +1,266 @@
+// /lib/series5m.js
+// Helpers for the rolling `series5m:{instId}` list maintained by /api/multi.
+// Point shape: { b, ts, p, o, h, l, fr, oi, v } (+ bf: 1 when written by /api/backfill)
+// v = venue the point came from; oi is in that venue's units (OKX contracts, Binance / Bybit base coin), so OI is
+// only compared between points of one venue. Points written before v existed are OKX.
+
+import { finiteOrNull } from "./values.js";
+
+export const BUCKET_MS = 5 * 60 * 1000;
+export const SERIES_POINTS_CAP = 864; // 72h / 5m
+export const SERIES_TTL_SECONDS = 60 * 60 * 96; // 96h
+
+export function seriesVenue(point) {
+  return point?.v || "okx";
+}
+
+// Newest candle whose 5m window has ended by ts (normalized [ts, o, h, l, c] rows, any order). Venues also return
+// the still-forming candle; its o/h/l only cover the first seconds of the bucket, so snapshots skip it.
+export function lastClosedCandle(candles, ts) {
+  let best = null;
+  let bestStart = -Infinity;
+  for (const c of candles || []) {
+    const start = finiteOrNull(c?.[0]);
+    if (start == null || start + BUCKET_MS > ts || start <= bestStart) continue;
+    best = c;
+    bestStart = start;
+  }
+  return best;
+}
+
+// Builds one point per bucket in [fromBucket, toBucket] from historical rows.
+// A live snapshot taken in bucket b reads o/h/l from lastClosedCandle (candle b-1), so:
+//   p = close of candle (b-1), o/h/l = that candle, oi = OI at bucket start, fr = last funding at or before it.
+// candles: normalized [ts, o, h, l, c]; openInterest: [{ ts, oi }]; funding: [{ ts, fr }] (any order).
+// venue: the adapter the history came from, stored as v.
+export function buildBackfillPoints({ candles, openInterest, funding, fromBucket, toBucket, venue = "okx" }) {
+  const candleByBucket = new Map();
+  for (const c of candles || []) {
+    const ts = finiteOrNull(c?.[0]);
+    if (ts == null) continue;
+    candleByBucket.set(Math.floor(ts / BUCKET_MS), c);
+  }
+
+  const oiByBucket = new Map();
+  for (const r of openInterest || []) {
+    const ts = finiteOrNull(r?.ts);
+    const oi = finiteOrNull(r?.oi);
+    if (ts == null || oi == null) continue;
+    oiByBucket.set(Math.floor(ts / BUCKET_MS), oi);
+  }
+
+  const fundingRows = (funding || [])
+    .map((r) => ({ ts: finiteOrNull(r?.ts), fr: finiteOrNull(r?.fr) }))
+    .filter((r) => r.ts != null && r.fr != null)
+    .sort((a, b) => a.ts - b.ts);
+
+  const points = [];
+  let fi = -1;
+
+  for (let b = fromBucket; b <= toBucket; b++) {
+    const c = candleByBucket.get(b - 1);
+    const p = finiteOrNull(c?.[4]);
+    if (p == null) continue;
+
+    const ts = b * BUCKET_MS;
+    while (fi + 1 < fundingRows.length && fundingRows[fi + 1].ts <= ts) fi++;
+
+    // OI history is sampled at bucket start; tolerate one bucket of venue lag.
+    const oi = oiByBucket.has(b) ? oiByBucket.get(b) : oiByBucket.has(b - 1) ? oiByBucket.get(b - 1) : null;
+
+    points.push({
+      b,
+      ts,
+      p,
+      o: finiteOrNull(c?.[1]),
+      h: finiteOrNull(c?.[2]),
+      l: finiteOrNull(c?.[3]),
+      fr: fi >= 0 ? fundingRows[fi].fr : null,
+      oi,
+      v: venue,
+      bf: 1,
+    });
+  }
+
+  return points;
+}
+
+// Existing points always win for a bucket (live data is authoritative); result is ascending by b and capped.
+export function mergeSeriesPoints(existing, incoming, cap = SERIES_POINTS_CAP) {
+  const byBucket = new Map();
+  let droppedInvalid = 0;
+
+  for (const p of existing || []) {
+    const b = finiteOrNull(p?.b);
+    if (b == null) {
+      droppedInvalid += 1;
+      continue;
+    }
+    if (!byBucket.has(b)) byBucket.set(b, p);
+  }
+
+  const existingCount = byBucket.size;
+  let added = 0;
+  for (const p of incoming || []) {
+    const b = finiteOrNull(p?.b);
+    if (b == null || byBucket.has(b)) continue;
+    byBucket.set(b, p);
+    added += 1;
+  }
+
+  const all = [...byBucket.entries()].sort((x, y) => x[0] - y[0]).map(([, p]) => p);
+  const points = all.length > cap ? all.slice(all.length - cap) : all;
+
+  return {
+    points,
+    existing_points: existingCount,
+    added,
+    dropped_invalid: droppedInvalid,
+    trimmed: all.length - points.length,
+    changed: added > 0 || droppedInvalid > 0 || all.length !== points.length,
+  };
+}
+
+// Missing buckets between consecutive stored points (ascending by b). Trailing lag to `toBucket` is reported separately.
+export function findSeriesGaps(points, { toBucket = null, maxRanges = 10 } = {}) {
+  const bs = (points || [])
+    .map((p) => finiteOrNull(p?.b))
+    .filter((b) => b != null)
+    .sort((x, y) => x - y);
+
+  const ranges = [];
+  let missing = 0;
+  let largest = 0;
+  let interpolated = 0;
+
+  for (const p of points || []) if (p?.ip) interpolated += 1;
+
+  for (let i = 1; i < bs.length; i++) {
+    const gap = bs[i] - bs[i - 1] - 1;
+    if (gap <= 0) continue;
+    missing += gap;
+    if (gap > largest) largest = gap;
+    ranges.push([bs[i - 1] + 1, bs[i] - 1]);
+  }
+
+  const lastB = bs.length ? bs[bs.length - 1] : null;
+  const trailing = Number.isFinite(toBucket) && lastB != null ? Math.max(0, toBucket - lastB) : null;
+
+  return {
+    points: bs.length,
+    first_bucket: bs.length ? bs[0] : null,
+    last_bucket: lastB,
+    span_buckets: bs.length ? lastB - bs[0] + 1 : 0,
+    missing_buckets: missing,
+    gap_count: ranges.length,
+    largest_gap_buckets: largest,
+    interpolated_points: interpolated,
+    trailing_missing_buckets: trailing,
+    ranges: ranges.slice(-Math.max(0, maxRanges)),
+  };
+}
+
+// Fills gaps of <= maxGapBuckets by linear interpolation (p, oi) with funding and venue held from the left point.
+// OI is left null across a venue change (the two ends are in different units).
+// Synthesized points carry ip: 1 so deltas over them are marked degraded.
+export function interpolateSeriesGaps(points, maxGapBuckets) {
+  const sorted = (points || []).filter((p) => finiteOrNull(p?.b) != null).sort((x, y) => x.b - y.b);
+  const out = [];
+  let added = 0;
+
+  for (let i = 0; i < sorted.length; i++) {
+    const cur = sorted[i];
+    const next = sorted[i + 1];
+    out.push(cur);
+    if (!next) continue;
+
+    const span = next.b - cur.b;
+    const gap = span - 1;
+    if (gap <= 0 || gap > maxGapBuckets) continue;
+
+    const p0 = finiteOrNull(cur.p);
+    const p1 = finiteOrNull(next.p);
+    if (p0 == null || p1 == null) continue;
+    const sameVenue = seriesVenue(cur) === seriesVenue(next);
+    const oi0 = sameVenue ? finiteOrNull(cur.oi) : null;
+    const oi1 = sameVenue ? finiteOrNull(next.oi) : null;
+
+    for (let k = 1; k <= gap; k++) {
+      const frac = k / span;
+      const p = p0 + (p1 - p0) * frac;
+      const b = cur.b + k;
+      out.push({
+        b,
+        ts: b * BUCKET_MS,
+        p,
+        o: p,
+        h: p,
+        l: p,
+        fr: finiteOrNull(cur.fr),
+        oi: oi0 != null && oi1 != null ? oi0 + (oi1 - oi0) * frac : null,
+        v: seriesVenue(cur),
+        ip: 1,
+      });
+      added += 1;
+    }
+  }
+
+  return { points: out, added };
+}
+
+// Merges points into series5m:{instId} inside one Lua script, so a point /api/multi appended after the caller's read
+// is kept: stored points win per bucket (like mergeSeriesPoints), the list stays ascending and capped, and
+// lastBucket never moves backwards. Points are kept as the raw JSON they were written with.
+// KEYS: series, lastBucket. ARGV: lastBucket, cap, ttlSeconds, ...point JSON. Returns the stored length.
+export const SERIES_WRITE_LUA = `
+local rows, seen = {}, {}
+local function add(raw)
+  local ok, p = pcall(cjson.decode, raw)
+  local b = ok and type(p) == "table" and tonumber(p.b) or nil
+  if b and not seen[b] then
+    seen[b] = true
+    rows[#rows + 1] = { b, raw }
+  end
+end
+for _, raw in ipairs(redis.call("LRANGE", KEYS[1], 0, -1)) do add(raw) end
+for i = 4, #ARGV do add(ARGV[i]) end
+table.sort(rows, function(x, y) return x[1] < y[1] end)
+local first = math.max(1, #rows - tonumber(ARGV[2]) + 1)
+redis.call("DEL", KEYS[1])
+for i = first, #rows do redis.call("RPUSH", KEYS[1], rows[i][2]) end
+local last = redis.call("GET", KEYS[2])
+if not (tonumber(last) and tonumber(last) > tonumber(ARGV[1])) then last = ARGV[1] end
+redis.call("SET", KEYS[2], last, "EX", ARGV[3])
+redis.call("EXPIRE", KEYS[1], ARGV[3])
+return #rows - first + 1
+`;
+
+// The script's merge in JS, for the offline client (no Lua there).
+export function mergeSeriesRaw(stored, incoming, cap = SERIES_POINTS_CAP) {
+  const rows = [];
+  const seen = new Set();
+  for (const raw of [...(stored || []), ...(incoming || [])]) {
+    let b = null;
+    try {
+      const v = JSON.parse(raw)?.b;
+      // Lua's tonumber: numbers and numeric strings only.
+      if (typeof v === "number" || (typeof v === "string" && v.trim() !== "")) b = finiteOrNull(v);
+    } catch {
+      b = null;
+    }
+    if (b == null || seen.has(b)) continue;
+    seen.add(b);
+    rows.push([b, raw]);
+  }
+  rows.sort((x, y) => x[0] - y[0]);
+  return rows.slice(Math.max(0, rows.length - cap)).map(([, raw]) => raw);
+}
+
+// Used by backfill and gap repair; see SERIES_WRITE_LUA.
+export async function writeSeriesPoints(redis, instId, points, lastBucket) {
+  return redis.eval(
+    SERIES_WRITE_LUA,
+    [`series5m:${instId}`, `lastBucket:${instId}`],
+    [String(lastBucket), String(SERIES_POINTS_CAP), String(SERIES_TTL_SECONDS), ...points.map((p) => JSON.stringify(p))]
+  );
+}
@@ -0,0 +1,119 @@
+// /lib/sizing.js
+// Account-aware position size for an alert selection: risk % (dynamic risk budget x risk_profile, capped) of a
+// configured account, turned into USD notional and exchange contracts via ctVal.
+// CommonJS because api/alert.js requires it.
+//
+// ALERT_ACCOUNT_EQUITY_USD unset/0 disables sizing (fields stay blank, no Telegram line).
+// contracts are rounded down to 0.01; exchange lot-size rounding beyond that is left to the trader. A size that
+// rounds to 0 contracts is flagged (belowMinSize) rather than passed off as a tradable position.
+
+const { loadConfig } = require("./config.js");
+const { finiteOrNull, round2 } = require("./values.js");
+
+const C = loadConfig();
+
+const RISK_PROFILES = ["conservative", "normal", "aggressive"];
+
+const ACCOUNT_CFG = {
+  equityUsd: C.ALERT_ACCOUNT_EQUITY_USD,
+  maxRiskPct: C.ALERT_ACCOUNT_MAX_RISK_PCT,
+  maxNotionalUsd: C.ALERT_ACCOUNT_MAX_NOTIONAL_USD, // 0 = no cap
+  telegramLine: C.ALERT_ACCOUNT_TG_LINE,
+  // risk_profile scales the risk budget before the max-risk cap.
+  profileMultipliers: {
+    conservative: C.ALERT_RISK_MULT_CONSERVATIVE,
+    normal: C.ALERT_RISK_MULT_NORMAL,
+    aggressive: C.ALERT_RISK_MULT_AGGRESSIVE,
+  },
+};
+
+const QUOTE_CCYS = new Set(["USD", "USDT", "USDC"]);
+
+// USD value of one contract: ctVal is in base coin for linear USDT swaps (OKX BTC = 0.01 BTC; Binance/Bybit = 1),
+// or already in USD when ctValCcy is a quote currency.
+function contractValueUsd(contract, price) {
+  const ctVal = finiteOrNull(contract?.ct_val);
+  if (ctVal == null || ctVal <= 0 || price == null) return null;
+  return QUOTE_CCYS.has(String(contract?.ct_val_ccy || "").toUpperCase()) ? ctVal : ctVal * price;
+}
+
+// lev: computeLeverageFromStop() result (riskBudgetPct already includes the dynamic risk budget; adjustedMax caps
+// leverage). contract: { ct_val, ct_val_ccy } from the snapshot, or null when unknown.
+// Returns null when sizing is disabled or the stop distance is unusable; belowMinSize when the risk budget buys
+// less than 0.01 contracts (notional / risk are then 0).
+function computePositionSize({ entryPrice, stopLossPx, lev, riskProfile, contract, account = ACCOUNT_CFG }) {
+  const equity = Number(account.equityUsd || 0);
+  const entry = finiteOrNull(entryPrice);
+  const sl = finiteOrNull(stopLossPx);
+  if (!(equity > 0) || entry == null || entry <= 0 || sl == null) return null;
+
+  const stopDistPct = (Math.abs(entry - sl) / entry) * 100;
+  if (!(stopDistPct > 0)) return null;
+
+  const profile = RISK_PROFILES.includes(riskProfile) ? riskProfile : "normal";
+  const multiplier = finiteOrNull(account.profileMultipliers?.[profile]) ?? 1;
+  const budgetPct = finiteOrNull(lev?.riskBudgetPct) ?? account.maxRiskPct;
+  const riskPct = Math.min(budgetPct * multiplier, account.maxRiskPct);
+
+  let notional = (equity * riskPct) / 100 / (stopDistPct / 100);
+  let cappedBy = "";
+  const levCap = finiteOrNull(lev?.adjustedMax);
+  if (levCap != null && notional > equity * levCap) {
+    notional = equity * levCap;
+    cappedBy = "leverage";
+  }
+  if (account.maxNotionalUsd > 0 && notional > account.maxNotionalUsd) {
+    notional = account.maxNotionalUsd;
+    cappedBy = "max_notional";
+  }
+
+  const ctUsd = contractValueUsd(contract, entry);
+  const contracts = ctUsd ? Math.floor((notional / ctUsd) * 100) / 100 : null;
+  // With contracts known, report what that whole-lot position actually risks.
+  const sizedNotional = contracts != null ? contracts * ctUsd : notional;
+  const belowMinSize = contracts === 0;
+
+  return {
+    equityUsd: equity,
+    riskProfile: profile,
+    profileMultiplier: multiplier,
+    riskPct: Math.round((sizedNotional * stopDistPct) / equity * 10000) / 10000,
+    riskUsd: round2((sizedNotional * stopDistPct) / 100),
+    notionalUsd: round2(sizedNotional),
+    contracts,
+    ctVal: finiteOrNull(contract?.ct_val),
+    ctValCcy: contract?.ct_val_ccy || "",
+    cappedBy,
+    belowMinSize,
+    minLotUsd: ctUsd ? round2(ctUsd * 0.01) : null,
+  };
+}
+
+// Analytics columns; blank when sizing is off.
+function positionSizeFields(size) {
+  return {
+    account_equity_usd: size?.equityUsd ?? "",
+    position_risk_profile: size?.riskProfile ?? "",
+    position_risk_multiplier: size?.profileMultiplier ?? "",
+    position_risk_pct: size?.riskPct ?? "",
+    position_risk_usd: size?.riskUsd ?? "",
+    position_notional_usd: size?.notionalUsd ?? "",
+    position_contracts: size?.contracts ?? "",
+    position_ct_val: size?.ctVal ?? "",
+    position_ct_val_ccy: size?.ctValCcy ?? "",
+    position_capped_by: size?.cappedBy ?? "",
+    position_below_min_size: size ? !!size.belowMinSize : "",
+  };
+}
+
+// Optional Telegram line (ALERT_ACCOUNT_TG_LINE=1).
+function positionSizeLine(size) {
+  if (!size) return "";
+  if (size.belowMinSize) return `Size: below 0.01 ct (0.01 ct ≈ $${size.minLotUsd}) — not tradable at this risk`;
+  const usd = (n) => `$${Math.round(Number(n) || 0).toLocaleString("en-US")}`;
+  const qty = size.contracts != null ? `${size.contracts} ct ≈ ` : "";
+  const cap = size.cappedBy ? ` (capped: ${size.cappedBy})` : "";
+  return `Size: ${qty}${usd(size.notionalUsd)} | risk ${usd(size.riskUsd)} (${Number(size.riskPct).toFixed(2)}%)${cap}`;
+}
+
+module.exports = { ACCOUNT_CFG, RISK_PROFILES, computePositionSize, positionSizeFields, positionSizeLine };
@@ -0,0 +1,174 @@
+// /lib/stats.js
+// Per-recipe performance aggregation over resolved outcomes, for /api/stats.
+//
+// /api/outcomes appends one compact row per resolved alert to stats:outcomes:{YYYY-MM-DD} (UTC day of the
+// alert ts, kept STATS_RETENTION_DAYS). Fired/shadow rows are grouped by the requested dimensions and
+// compared against the Random cohort over the same mode/side (+ any non-recipe dimensions grouped on).
+
+import { loadConfig } from "./config.js";
+import { finiteOrNull, safeJsonParse, round4 } from "./values.js";
+
+export { round4 };
+
+export const STATS_RETENTION_DAYS = loadConfig().STATS_RETENTION_DAYS;
+export const STATS_DIMENSIONS = ["recipe", "mode", "side", "session", "dow"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const statsDayKey = (day) => `stats:outcomes:${day}`;
+
+export function utcDay(ts) {
+  return new Date(Number(ts)).toISOString().slice(0, 10);
+}
+
+// Days (oldest first) covering [now - days, now]: days + 1 keys, since now - days falls inside the oldest one.
+export function statsDaysBack(now, days) {
+  const out = [];
+  for (let i = days; i >= 0; i--) out.push(utcDay(now - i * DAY_MS));
+  return out;
+}
+
+// Rows for alerts with ts in [now - days, now], oldest day first.
+export async function loadStatsRows(redis, now, days) {
+  const fromTs = now - days * DAY_MS;
+  const rows = [];
+  for (const day of statsDaysBack(now, days)) {
+    const raw = (await redis.lrange(statsDayKey(day), 0, -1)) || [];
+    for (const item of raw) {
+      const row = typeof item === "string" ? safeJsonParse(item) : item;
+      if (row && Number(row.ts) >= fromTs) rows.push(row);
+    }
+  }
+  return rows;
+}
+
+// Only what the aggregation reads; the full outcome row lives in the analytics sink.
+export function statsRowFromOutcome(row) {
+  return {
+    alert_id: row.alert_id,
+    ts: finiteOrNull(row.ts),
+    observation_type: String(row.observation_type || ""),
+    recipe: String(row.exec_reason || row.recipe_stamp_reason || ""),
+    mode: String(row.mode || ""),
+    side: String(row.side || ""),
+    session: String(row.us_equity_session || ""),
+    dow: String(row.day_of_week_et || ""),
+    result: String(row.result || ""),
+    return_pct: finiteOrNull(row.return_pct),
+    realized_r: finiteOrNull(row.realized_r),
+    mfe_pct: finiteOrNull(row.mfe_pct),
+    mae_pct: finiteOrNull(row.mae_pct),
+    confidence: String(row.confidence || ""),
+    confidence_score: finiteOrNull(row.confidence_score),
+    trade_read_label: String(row.trade_read_label || ""),
+    trade_read_score: finiteOrNull(row.trade_read_score),
+  };
+}
+
+function mean(values) {
+  const xs = values.filter((v) => v != null);
+  return xs.length ? round4(xs.reduce((a, b) => a + b, 0) / xs.length) : null;
+}
+
+function quantile(values, q) {
+  const xs = values.filter((v) => v != null).sort((a, b) => a - b);
+  if (!xs.length) return null;
+  const pos = (xs.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return round4(xs[lo] + (xs[hi] - xs[lo]) * (pos - lo));
+}
+
+// Win rate is WIN over rows that had data (NO_DATA is excluded from the denominator).
+export function summarize(rows) {
+  const counts = { WIN: 0, LOSS: 0, INVALIDATED: 0, EXPIRED: 0, NO_DATA: 0 };
+  for (const r of rows) counts[r.result] = (counts[r.result] || 0) + 1;
+  const withData = rows.length - counts.NO_DATA;
+  const col = (k) => rows.map((r) => r[k]);
+  return {
+    n: rows.length,
+    wins: counts.WIN,
+    losses: counts.LOSS,
+    invalidated: counts.INVALIDATED,
+    expired: counts.EXPIRED,
+    no_data: counts.NO_DATA,
+    win_rate: withData > 0 ? round4(counts.WIN / withData) : null,
+    avg_return_pct: mean(col("return_pct")),
+    avg_r: mean(col("realized_r")),
+    mfe_p25: quantile(col("mfe_pct"), 0.25),
+    mfe_p50: quantile(col("mfe_pct"), 0.5),
+    mfe_p75: quantile(col("mfe_pct"), 0.75),
+    mae_p25: quantile(col("mae_pct"), 0.25),
+    mae_p50: quantile(col("mae_pct"), 0.5),
+    mae_p75: quantile(col("mae_pct"), 0.75),
+  };
+}
+
+// groupBy: subset of STATS_DIMENSIONS. cohort: "fired" | "shadow".
+// Returns { groups: [{ ...dims, ...summary, random_n, random_win_rate, random_avg_return_pct, random_avg_r,
+// edge_return_pct, edge_r }], cohorts: { fired, shadow, random } }.
+export function aggregateStats(rows, { groupBy = ["recipe"], cohort = "fired", recipe = "" } = {}) {
+  const wantRecipe = String(recipe || "").toLowerCase();
+  const picked = rows.filter(
+    (r) => r.observation_type === cohort && (!wantRecipe || r.recipe.toLowerCase() === wantRecipe)
+  );
+  const random = rows.filter((r) => r.observation_type === "random");
+
+  const groups = new Map();
+  for (const r of picked) {
+    const key = groupBy.map((d) => r[d]).join("|");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+
+  // Baseline: Random rows matching the group on every non-recipe dimension; a recipe group
+  // also pins mode/side (a recipe only ever trades one), so the comparison is like for like.
+  const baselineDims = groupBy.filter((d) => d !== "recipe");
+  const out = [];
+  for (const members of groups.values()) {
+    const first = members[0];
+    const pinned = new Set(baselineDims);
+    if (groupBy.includes("recipe")) {
+      pinned.add("mode");
+      pinned.add("side");
+    }
+    const baseline = random.filter((r) => [...pinned].every((d) => r[d] === first[d]));
+    const summary = summarize(members);
+    const base = summarize(baseline);
+    out.push({
+      ...Object.fromEntries(groupBy.map((d) => [d, first[d]])),
+      ...summary,
+      random_n: base.n,
+      random_win_rate: base.win_rate,
+      random_avg_return_pct: base.avg_return_pct,
+      random_avg_r: base.avg_r,
+      edge_return_pct:
+        summary.avg_return_pct != null && base.avg_return_pct != null
+          ? round4(summary.avg_return_pct - base.avg_return_pct)
+          : null,
+      edge_r: summary.avg_r != null && base.avg_r != null ? round4(summary.avg_r - base.avg_r) : null,
+    });
+  }
+  out.sort((a, b) => b.n - a.n);
+
+  return {
+    groups: out,
+    cohorts: {
+      fired: summarize(rows.filter((r) => r.observation_type === "fired")),
+      shadow: summarize(rows.filter((r) => r.observation_type === "shadow")),
+      random: summarize(random),
+    },
+  };
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  if (!rows.length) return "";
+  const header = Object.keys(rows[0]);
+  return [header.join(","), ...rows.map((r) => header.map((k) => csvCell(r[k])).join(","))].join("\n") + "\n";
+}
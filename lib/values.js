@@ -0,0 +1,33 @@
+// /lib/values.js
+// Small value helpers shared by the lib/ and api/ modules.
+// CommonJS because api/alert.js requires modules that use it.
+
+function finiteOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Redis values arrive as JSON strings (ioredis) or already-parsed objects (Upstash REST).
+function safeJsonParse(v) {
+  if (v == null) return null;
+  if (typeof v === "object") return v;
+  if (typeof v === "string") {
+    try {
+      return JSON.parse(v);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+function round2(n) {
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : null;
+}
+
+function round4(n) {
+  return Number.isFinite(n) ? Math.round(n * 10000) / 10000 : null;
+}
+
+module.exports = { finiteOrNull, safeJsonParse, round2, round4 };
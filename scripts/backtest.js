@@ -0,0 +1,374 @@
+// /scripts/backtest.js
+// Replays stored 5m history through the real /api/multi + /api/alert handlers, bucket by bucket,
+// against an in-memory Redis and a fake clock. Reports every fired alert per recipe with forward returns.
+//
+// Usage:
+//   node scripts/backtest.js --fixture fixtures/week.json [--modes scalp,swing] [--from 2025-01-06] [--to 2025-01-08]
+//   node scripts/backtest.js --source redis --symbols BTCUSDT,ETHUSDT --export fixtures/week.json
+//
+// Options:
+//   --fixture <file>     { version: 1, series: { "BTC-USDT-SWAP": [{ b, ts, p, o, h, l, fr, oi }, ...] } }
+//   --source redis       read series5m:{instId} from Upstash (UPSTASH_REDIS_REST_URL/TOKEN); read-only
+//   --export <file>      write the loaded series as a fixture and exit
+//   --symbols a,b        limit to these symbols (required with --source redis unless DEFAULT_SYMBOLS is set)
+//   --modes a,b          alert modes (default: DEFAULT_MODES or scalp)
+//   --from / --to        ISO date or epoch ms; default replays everything after the warmup
+//   --warmup <buckets>   points seeded into series5m before the first replayed bucket (default 49 = 4h deltas)
+//   --random [--seed n]  keep the random baseline on (seeded) and report it as its own group
+//   --out <file>         write the JSON report there instead of stdout
+//   --verbose            keep handler console output
+//
+// Notes:
+// - Each bucket b writes snap5m:{instId}:{b} from point b, then runs the alert at b*5m + 60s (the :01 cron).
+// - Telegram and the analytics webhook are faked; "fired" rows are what the live job would have persisted.
+// - Shadow-tier recipes are reported as "shadow:{recipe}" groups next to the live ones.
+// - External telemetry and anything else outbound gets a 503, so those gates behave as if the feed were down.
+// - Cooldowns and last-state keys live in the fake Redis, so repeat suppression matches production.
+// - Lifecycle follow-ups (Telegram replies) are listed under telegram_followups, not counted as messages.
+// - The paper ledger is marked from each bucket's point (as the snapshot cron would) and reported as paper_ledger.
+// - redis: Upstash round trips the alert run (incl. its /api/multi call) would have made, total and per run.
+
+import fs from "node:fs";
+import path from "node:path";
+import { countRoundTrips, getRedis, setRedisClient } from "../lib/redis.js";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { installFakeClock } from "../lib/offline/clock.js";
+import { seededRandom } from "../lib/offline/random.js";
+import { handlerRoute, installFetchRouter, invokeHandler, jsonResponse } from "../lib/offline/invoke.js";
+import { BUCKET_MS, SERIES_TTL_SECONDS } from "../lib/series5m.js";
+import { computeForwardReturns } from "../lib/outcomes.js";
+
+const HOST = "backtest.local";
+const ANALYTICS_URL = "https://analytics.backtest.local/ingest";
+const DEFAULT_WARMUP_BUCKETS = 49;
+const FIXTURE_VERSION = 1;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next == null || next.startsWith("--")) args[key] = true;
+    else {
+      args[key] = next;
+      i += 1;
+    }
+  }
+  return args;
+}
+
+function listArg(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function instIdFromSymbol(symbol) {
+  const s = String(symbol || "").toUpperCase();
+  return s.endsWith("USDT") ? `${s.slice(0, -4)}-USDT-SWAP` : null;
+}
+
+function symbolFromInstId(instId) {
+  return String(instId || "").replace(/-USDT-SWAP$/, "USDT");
+}
+
+function parseTimeArg(raw) {
+  if (raw == null || raw === true) return null;
+  const n = Number(raw);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(String(raw));
+  return Number.isFinite(t) ? t : null;
+}
+
+function safeJsonParse(v) {
+  if (v == null) return null;
+  if (typeof v === "object") return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+function normalizeSeries(series, symbols) {
+  const wanted = new Set(symbols.map(instIdFromSymbol).filter(Boolean));
+  const out = {};
+  for (const [instId, raw] of Object.entries(series || {})) {
+    if (wanted.size && !wanted.has(instId)) continue;
+    const byBucket = new Map();
+    for (const p of (raw || []).map(safeJsonParse)) {
+      const b = Number(p?.b);
+      if (Number.isFinite(b) && Number.isFinite(Number(p?.p))) byBucket.set(b, p);
+    }
+    const points = [...byBucket.values()].sort((x, y) => x.b - y.b);
+    if (points.length) out[instId] = points;
+  }
+  return out;
+}
+
+function loadFixture(file) {
+  const j = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (Number(j?.version) !== FIXTURE_VERSION || typeof j?.series !== "object") {
+    throw new Error(`unsupported fixture (expected { version: ${FIXTURE_VERSION}, series })`);
+  }
+  return j.series;
+}
+
+async function loadFromRedis(symbols) {
+  const redis = getRedis();
+  const series = {};
+  for (const symbol of symbols) {
+    const instId = instIdFromSymbol(symbol);
+    if (!instId) continue;
+    series[instId] = await redis.lrange(`series5m:${instId}`, 0, -1);
+  }
+  return series;
+}
+
+// Same shape /api/snapshot writes; only the fields /api/multi reads are needed.
+function snapshotFromPoint(instId, p) {
+  return {
+    instId,
+    ts: Number(p.ts) || p.b * BUCKET_MS,
+    price: p.p,
+    open: p.o ?? p.p,
+    high: p.h ?? p.p,
+    low: p.l ?? p.p,
+    funding_rate: p.fr ?? null,
+    open_interest_contracts: p.oi,
+    venue: p.v || "okx",
+  };
+}
+
+function mean(xs) {
+  const v = xs.filter((x) => Number.isFinite(x));
+  return v.length ? Math.round((v.reduce((a, b) => a + b, 0) / v.length) * 10000) / 10000 : null;
+}
+
+function winRate(xs) {
+  const v = xs.filter((x) => Number.isFinite(x));
+  return v.length ? Math.round((v.filter((x) => x > 0).length / v.length) * 10000) / 10000 : null;
+}
+
+function summarizeGroup(fires) {
+  const col = (k) => fires.map((f) => f[k]);
+  return {
+    fires: fires.length,
+    complete: fires.filter((f) => f.complete).length,
+    avg_return_30m_pct: mean(col("return_30m_pct")),
+    avg_return_60m_pct: mean(col("return_60m_pct")),
+    avg_return_at_due_pct: mean(col("return_at_due_pct")),
+    avg_best_return_before_due_pct: mean(col("best_return_before_due_pct")),
+    avg_worst_return_before_due_pct: mean(col("worst_return_before_due_pct")),
+    win_rate_60m: winRate(col("return_60m_pct")),
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const symbols = listArg(args.symbols || process.env.DEFAULT_SYMBOLS).map((s) => s.toUpperCase());
+
+  let rawSeries;
+  if (args.fixture) rawSeries = loadFixture(path.resolve(String(args.fixture)));
+  else if (args.source === "redis") {
+    if (!symbols.length) throw new Error("--source redis needs --symbols (or DEFAULT_SYMBOLS)");
+    rawSeries = await loadFromRedis(symbols);
+  } else throw new Error("pass --fixture <file> or --source redis");
+
+  const series = normalizeSeries(rawSeries, symbols);
+  const instIds = Object.keys(series);
+  if (!instIds.length) throw new Error("no series points for the requested symbols");
+
+  if (args.export) {
+    const file = path.resolve(String(args.export));
+    fs.writeFileSync(file, JSON.stringify({ version: FIXTURE_VERSION, exported_at: new Date().toISOString(), series }));
+    const counts = Object.fromEntries(instIds.map((id) => [id, series[id].length]));
+    process.stdout.write(`${JSON.stringify({ ok: true, exported: file, points: counts })}\n`);
+    return;
+  }
+
+  const allBuckets = [...new Set(instIds.flatMap((id) => series[id].map((p) => p.b)))].sort((x, y) => x - y);
+  const warmup = Math.max(0, Number(args.warmup ?? DEFAULT_WARMUP_BUCKETS) || 0);
+  const fromTs = parseTimeArg(args.from);
+  const toTs = parseTimeArg(args.to);
+  const fromBucket = fromTs != null ? Math.floor(fromTs / BUCKET_MS) : allBuckets[Math.min(warmup, allBuckets.length - 1)];
+  const toBucket = toTs != null ? Math.floor(toTs / BUCKET_MS) : allBuckets[allBuckets.length - 1];
+  const replayBuckets = allBuckets.filter((b) => b >= fromBucket && b <= toBucket);
+  if (!replayBuckets.length) throw new Error("no buckets inside --from/--to");
+
+  // Handlers bind Redis and read env at import time, so everything below happens before the dynamic imports.
+  const memory = createMemoryRedis();
+  // Handler traffic (alert + the multi hop) is counted as Upstash REST round trips; seeding/ledger writes are not.
+  const redisTrips = countRoundTrips(memory);
+  setRedisClient(redisTrips.redis);
+
+  for (const instId of instIds) {
+    const seed = series[instId].filter((p) => p.b < fromBucket).slice(-Math.max(warmup, 1));
+    if (!seed.length) continue;
+    await memory.rpush(`series5m:${instId}`, ...seed.map((p) => JSON.stringify(p)));
+    await memory.set(`lastBucket:${instId}`, String(seed[seed.length - 1].b));
+  }
+
+  const secret = "backtest";
+  Object.assign(process.env, {
+    ALERT_SECRET: secret,
+    TELEGRAM_BOT_TOKEN: "backtest",
+    TELEGRAM_CHAT_ID: "backtest",
+    ANALYTICS_WEBHOOK_URL: ANALYTICS_URL,
+    ANALYTICS_MIN_POST_INTERVAL_MINUTES: "0",
+    ANALYTICS_INGEST_SHARED_SECRET: "",
+    MULTI_DATA_SOURCE: "snapshot",
+    DEFAULT_SYMBOLS: instIds.map(symbolFromInstId).join(","),
+    RANDOM_BASELINE_ENABLED: args.random ? "1" : "0",
+  });
+  if (args.modes) process.env.DEFAULT_MODES = String(args.modes);
+  if (args.random) Math.random = seededRandom(args.seed ?? 1);
+
+  const clock = installFakeClock(fromBucket * BUCKET_MS + 60 * 1000);
+
+  const multi = (await import("../api/multi.js")).default;
+  const alert = (await import("../api/alert.js")).default;
+  const { markPaperLedger, readLedger } = await import("../lib/paper-ledger.js");
+
+  const posted = [];
+  let telegramMessages = 0;
+  const telegramFollowUps = [];
+  const router = installFetchRouter([
+    handlerRoute(HOST, "/api/multi", multi),
+    {
+      match: (url) => url.host === "api.telegram.org",
+      handle: async (_url, init) => {
+        const body = safeJsonParse(init?.body);
+        if (body?.reply_parameters) {
+          telegramFollowUps.push({ ts: Date.now(), reply_to: body.reply_parameters.message_id, text: body.text });
+          return jsonResponse({ ok: true, result: { message_id: 100000 + telegramFollowUps.length } });
+        }
+        telegramMessages += 1;
+        return jsonResponse({ ok: true, result: { message_id: telegramMessages } });
+      },
+    },
+    {
+      match: (url) => url.href === ANALYTICS_URL,
+      handle: async (_url, init) => {
+        const body = safeJsonParse(init?.body);
+        for (const e of body?.events || []) posted.push(e);
+        return jsonResponse({ ok: true });
+      },
+    },
+  ]);
+
+  const realLog = console.log;
+  const realError = console.error;
+  if (!args.verbose) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  const runs = { ok: 0, failed: 0, errors: {} };
+  try {
+    for (const b of replayBuckets) {
+      const quotes = [];
+      for (const instId of instIds) {
+        const p = series[instId].find((x) => x.b === b);
+        if (!p) continue;
+        await memory.set(`snap5m:${instId}:${b}`, JSON.stringify(snapshotFromPoint(instId, p)), { ex: SERIES_TTL_SECONDS });
+        quotes.push({ instId, price: p.p, high: p.h, low: p.l, ts: b * BUCKET_MS });
+      }
+      await markPaperLedger(memory, quotes, b * BUCKET_MS);
+
+      clock.set(b * BUCKET_MS + 60 * 1000);
+      const sent = await invokeHandler(alert, {
+        query: { key: secret },
+        headers: { host: HOST, "x-forwarded-proto": "https" },
+      });
+
+      if (sent.status === 200 && sent.body?.ok) runs.ok += 1;
+      else {
+        runs.failed += 1;
+        const reason = String(sent.body?.error || `http_${sent.status}`);
+        runs.errors[reason] = (runs.errors[reason] || 0) + 1;
+      }
+    }
+  } finally {
+    console.log = realLog;
+    console.error = realError;
+    router.restore();
+    clock.restore();
+  }
+
+  async function paperLedgerSummary() {
+    const { open, closed, equity, ...rest } = await readLedger(memory, { equityPoints: 0, closedLimit: 2000 });
+    return { ...rest, open: open.length, closed: closed.reverse() };
+  }
+
+  const fires = posted
+    .filter((e) => e.observation_type === "fired" || e.observation_type === "shadow" || (args.random && e.observation_type === "random"))
+    .map((e) => {
+      const fwd = computeForwardReturns({
+        side: e.side,
+        entryPrice: e.entry_price,
+        entryTs: e.ts,
+        points: series[e.instId] || [],
+        horizonMin: e.horizon_min,
+      });
+      return {
+        group:
+          e.observation_type === "random"
+            ? "random_baseline"
+            : e.observation_type === "shadow"
+            ? `shadow:${e.recipe_stamp_reason || "unstamped"}`
+            : e.recipe_stamp_reason || "unstamped",
+        alert_id: e.alert_id,
+        ts: e.ts,
+        iso: new Date(Number(e.ts)).toISOString(),
+        symbol: e.symbol,
+        instId: e.instId,
+        mode: e.mode,
+        side: e.side,
+        entry_price: e.entry_price,
+        stop_loss: e.stop_loss,
+        tp_price: e.tp_price,
+        horizon_min: e.horizon_min,
+        exec_reason: e.exec_reason,
+        ...fwd,
+      };
+    });
+
+  const groups = new Map();
+  for (const f of fires) {
+    if (!groups.has(f.group)) groups.set(f.group, []);
+    groups.get(f.group).push(f);
+  }
+
+  const report = {
+    ok: runs.failed === 0,
+    source: args.fixture ? path.resolve(String(args.fixture)) : "redis",
+    symbols: instIds.map(symbolFromInstId),
+    modes: process.env.DEFAULT_MODES || "",
+    from: new Date(replayBuckets[0] * BUCKET_MS).toISOString(),
+    to: new Date(replayBuckets[replayBuckets.length - 1] * BUCKET_MS).toISOString(),
+    buckets_replayed: replayBuckets.length,
+    runs,
+    telegram_messages: telegramMessages,
+    telegram_followups: telegramFollowUps,
+    redis: {
+      ...redisTrips.snapshot(),
+      round_trips_per_run: replayBuckets.length ? Math.round((redisTrips.stats.round_trips / replayBuckets.length) * 10) / 10 : null,
+    },
+    recipes: Object.fromEntries([...groups.entries()].map(([k, v]) => [k, summarizeGroup(v)])),
+    paper_ledger: await paperLedgerSummary(),
+    fires,
+  };
+
+  const text = `${JSON.stringify(report, null, 2)}\n`;
+  if (args.out) fs.writeFileSync(path.resolve(String(args.out)), text);
+  else process.stdout.write(text);
+}
+
+main().catch((err) => {
+  process.stderr.write(`backtest failed: ${String(err?.message || err)}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,333 @@
+// /scripts/dev-server.js
+// Local, fully offline runner: mounts every api/*.js handler on a Node HTTP server against an in-memory Redis,
+// a fake clock and fixture-backed outbound fetches, so snapshot -> multi -> alert can be driven end to end.
+//
+// Usage:
+//   node scripts/dev-server.js --fixture fixture.json [--port 3000] [--at 2025-01-06T12:00Z] [--warmup 49]
+//                              [--symbols a,b] [--modes scalp,swing] [--recordings recordings.json]
+//
+//   curl "localhost:3000/__dev/tick?n=3"                  # 3 buckets: snapshot at b*5m+5s, alert at b*5m+60s
+//   curl "localhost:3000/api/alert?key=dev&debug=1&dry=1" # any handler, as deployed (ALERT_SECRET=dev)
+//
+// Dev routes:
+//   /__dev                       clock, bucket, fixture range, outbox size, redis round trips
+//   /__dev/tick?n=1[&alert=0][&outcomes=1]   advance n buckets and run the cron chain for each
+//   /__dev/clock?to=<iso|ms>     jump the clock (no handlers run)
+//   /__dev/outbox[?clear=1]      captured Telegram / Discord / Slack / webhook / analytics POSTs
+//   /__dev/redis[?pattern=alert:*]  dump of the in-memory Redis
+//
+// Notes:
+// - Fixture format is the backtest's ({ version: 1, series }); make one with scripts/backtest.js --export.
+// - --at defaults to the fixture's first bucket + warmup; series5m is seeded with the warmup points before it so
+//   multi deltas are warm from the first tick.
+// - OKX is answered from the fixture as of the fake clock (lib/offline/exchange-fixture.js); SNAPSHOT_VENUES=okx.
+// - recordings.json: [{ url (prefix), status?, content_type?, body }] for Yahoo / Cboe / Treasury telemetry etc.
+//   Unmatched GETs get a 503, so missing feeds behave as if they were down. Nothing leaves the machine.
+// - api/health.js builds its own Upstash client, so it reports not-ok here.
+
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { countRoundTrips, setRedisClient } from "../lib/redis.js";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { installFakeClock } from "../lib/offline/clock.js";
+import { installFetchRouter, invokeHandler, jsonResponse } from "../lib/offline/invoke.js";
+import { captureRoute, okxFixtureRoute, recordedRoute } from "../lib/offline/exchange-fixture.js";
+import { BUCKET_MS } from "../lib/series5m.js";
+
+const API_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../api");
+const DEFAULT_WARMUP_BUCKETS = 49;
+const FIXTURE_VERSION = 1;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next == null || next.startsWith("--")) args[key] = true;
+    else {
+      args[key] = next;
+      i += 1;
+    }
+  }
+  return args;
+}
+
+function listArg(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function instIdFromSymbol(symbol) {
+  const s = String(symbol || "").toUpperCase();
+  return s.endsWith("USDT") ? `${s.slice(0, -4)}-USDT-SWAP` : null;
+}
+
+function symbolFromInstId(instId) {
+  return String(instId || "").replace(/-USDT-SWAP$/, "USDT");
+}
+
+function parseTimeArg(raw) {
+  if (raw == null || raw === true) return null;
+  const n = Number(raw);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(String(raw));
+  return Number.isFinite(t) ? t : null;
+}
+
+function safeJsonParse(v) {
+  if (v == null) return null;
+  if (typeof v === "object") return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+function loadSeries(file, symbols) {
+  const j = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (Number(j?.version) !== FIXTURE_VERSION || typeof j?.series !== "object") {
+    throw new Error(`unsupported fixture (expected { version: ${FIXTURE_VERSION}, series })`);
+  }
+  const wanted = new Set(symbols.map(instIdFromSymbol).filter(Boolean));
+  const out = {};
+  for (const [instId, raw] of Object.entries(j.series)) {
+    if (wanted.size && !wanted.has(instId)) continue;
+    const byBucket = new Map();
+    for (const p of (raw || []).map(safeJsonParse)) {
+      const b = Number(p?.b);
+      if (Number.isFinite(b) && Number.isFinite(Number(p?.p))) byBucket.set(b, p);
+    }
+    const points = [...byBucket.values()].sort((x, y) => x.b - y.b);
+    if (points.length) out[instId] = points;
+  }
+  return out;
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (!text) return resolve(null);
+      resolve(String(req.headers["content-type"] || "").includes("application/json") ? safeJsonParse(text) : text);
+    });
+    req.on("error", () => resolve(null));
+  });
+}
+
+function writeSent(res, sent) {
+  for (const [k, v] of Object.entries(sent.headers || {})) res.setHeader(k, v);
+  const body = sent.body;
+  if (body === undefined) return res.writeHead(sent.status).end();
+  if (typeof body === "string" || Buffer.isBuffer(body)) return res.writeHead(sent.status).end(body);
+  if (!res.hasHeader("content-type")) res.setHeader("content-type", "application/json; charset=utf-8");
+  return res.writeHead(sent.status).end(JSON.stringify(body, null, 2));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.fixture) throw new Error("pass --fixture <file> (scripts/backtest.js --export writes one)");
+
+  const port = Number(args.port || 3000);
+  const symbols = listArg(args.symbols).map((s) => s.toUpperCase());
+  const series = loadSeries(path.resolve(String(args.fixture)), symbols);
+  const instIds = Object.keys(series);
+  if (!instIds.length) throw new Error("no series points for the requested symbols");
+
+  const allBuckets = [...new Set(instIds.flatMap((id) => series[id].map((p) => p.b)))].sort((x, y) => x - y);
+  const warmup = Math.max(0, Number(args.warmup ?? DEFAULT_WARMUP_BUCKETS) || 0);
+  const atTs = parseTimeArg(args.at);
+  const startBucket = atTs != null ? Math.floor(atTs / BUCKET_MS) : allBuckets[Math.min(warmup, allBuckets.length - 1)];
+
+  // Handlers bind Redis and read env at import time, so everything below happens before the dynamic imports.
+  const memory = createMemoryRedis();
+  const redisTrips = countRoundTrips(memory);
+  setRedisClient(redisTrips.redis);
+
+  for (const instId of instIds) {
+    const seed = series[instId].filter((p) => p.b <= startBucket).slice(-Math.max(warmup, 1));
+    if (!seed.length) continue;
+    await memory.rpush(`series5m:${instId}`, ...seed.map((p) => JSON.stringify(p)));
+    await memory.set(`lastBucket:${instId}`, String(seed[seed.length - 1].b));
+  }
+
+  const secret = process.env.DEV_ALERT_SECRET || "dev";
+  Object.assign(process.env, {
+    ALERT_SECRET: secret,
+    TELEGRAM_BOT_TOKEN: "dev",
+    TELEGRAM_CHAT_ID: "dev",
+    ANALYTICS_WEBHOOK_URL: "https://analytics.dev.local/ingest",
+    ANALYTICS_MIN_POST_INTERVAL_MINUTES: "0",
+    ANALYTICS_INGEST_SHARED_SECRET: "",
+    MULTI_DATA_SOURCE: "snapshot",
+    SNAPSHOT_VENUES: "okx",
+    DEFAULT_SYMBOLS: instIds.map(symbolFromInstId).join(","),
+  });
+  if (args.modes) process.env.DEFAULT_MODES = String(args.modes);
+
+  const clock = installFakeClock(startBucket * BUCKET_MS + 60 * 1000);
+
+  const handlers = new Map();
+  for (const file of fs.readdirSync(API_DIR).filter((f) => f.endsWith(".js")).sort()) {
+    const mod = await import(path.join(API_DIR, file));
+    if (typeof mod.default === "function") handlers.set(`/api/${file.slice(0, -3)}`, mod.default);
+  }
+
+  const selfHost = `localhost:${port}`;
+  const outbox = [];
+  const recordings = args.recordings ? JSON.parse(fs.readFileSync(path.resolve(String(args.recordings)), "utf8")) : [];
+  const router = installFetchRouter([
+    // alert -> /api/multi (and any other self call) stays in-process
+    {
+      match: (url) => (url.hostname === "localhost" || url.hostname === "127.0.0.1") && handlers.has(url.pathname),
+      handle: async (url, init) => {
+        const sent = await invokeHandler(handlers.get(url.pathname), {
+          method: init?.method || "GET",
+          query: Object.fromEntries(url.searchParams.entries()),
+          headers: { host: url.host, ...(init?.headers || {}) },
+          body: safeJsonParse(init?.body) ?? init?.body ?? null,
+        });
+        return typeof sent.body === "string" ? new Response(sent.body, { status: sent.status }) : jsonResponse(sent.body, sent.status);
+      },
+    },
+    okxFixtureRoute(series),
+    recordedRoute(recordings),
+    captureRoute(outbox),
+  ]);
+
+  const call = (name, query = {}) =>
+    invokeHandler(handlers.get(`/api/${name}`), { query, headers: { host: selfHost, "x-forwarded-proto": "http" } });
+
+  // One cron slot: snapshot at b*5m+5s, alert at the :01 slot, optional outcomes sweep after it.
+  async function tick({ alert = true, outcomes = false } = {}) {
+    const b = Math.floor(clock.now() / BUCKET_MS) + 1;
+    const step = { bucket: b, iso: new Date(b * BUCKET_MS).toISOString() };
+
+    clock.set(b * BUCKET_MS + 5 * 1000);
+    const snap = await call("snapshot");
+    step.snapshot = { status: snap.status, ok: snap.body?.results?.filter((r) => r.ok).length ?? (snap.body?.ok ? 1 : 0) };
+
+    clock.set(b * BUCKET_MS + 60 * 1000);
+    if (alert) {
+      const sentBefore = outbox.length;
+      const run = await call("alert", { key: secret });
+      step.alert = {
+        status: run.status,
+        ok: !!run.body?.ok,
+        sent: !!run.body?.sent,
+        triggered_count: run.body?.triggered_count ?? null,
+        error: run.body?.error,
+        outbox_new: outbox.length - sentBefore,
+      };
+    }
+    if (outcomes) {
+      const o = await call("outcomes", { key: secret });
+      step.outcomes = { status: o.status, ok: !!o.body?.ok };
+    }
+    return step;
+  }
+
+  function state() {
+    const bucket = Math.floor(clock.now() / BUCKET_MS);
+    return {
+      ok: true,
+      clock: new Date(clock.now()).toISOString(),
+      bucket,
+      fixture: {
+        symbols: instIds.map(symbolFromInstId),
+        from: new Date(allBuckets[0] * BUCKET_MS).toISOString(),
+        to: new Date(allBuckets[allBuckets.length - 1] * BUCKET_MS).toISOString(),
+        buckets_left: allBuckets.filter((x) => x > bucket).length,
+      },
+      outbox: outbox.length,
+      redis: redisTrips.snapshot(),
+      handlers: [...handlers.keys()],
+      secret,
+    };
+  }
+
+  async function devRoute(url) {
+    const q = url.searchParams;
+    switch (url.pathname) {
+      case "/__dev":
+        return { status: 200, body: state() };
+      case "/__dev/tick": {
+        const n = Math.max(1, Math.min(288, Math.floor(Number(q.get("n") || 1)) || 1));
+        const steps = [];
+        for (let i = 0; i < n; i++) {
+          steps.push(await tick({ alert: q.get("alert") !== "0", outcomes: q.get("outcomes") === "1" }));
+        }
+        return { status: 200, body: { ok: true, steps, clock: new Date(clock.now()).toISOString() } };
+      }
+      case "/__dev/clock": {
+        const to = parseTimeArg(q.get("to"));
+        if (to == null) return { status: 400, body: { ok: false, error: "pass ?to=<iso|ms>" } };
+        clock.set(to);
+        return { status: 200, body: state() };
+      }
+      case "/__dev/outbox": {
+        const items = [...outbox];
+        if (q.get("clear") === "1") outbox.length = 0;
+        return { status: 200, body: { ok: true, count: items.length, items } };
+      }
+      case "/__dev/redis": {
+        const pattern = q.get("pattern") || "*";
+        const keys = new Set(await memory.keys(pattern));
+        const dump = Object.fromEntries(Object.entries(memory._dump()).filter(([k]) => keys.has(k)));
+        return { status: 200, body: { ok: true, pattern, count: keys.size, keys: dump } };
+      }
+      default:
+        return { status: 404, body: { ok: false, error: "unknown dev route" } };
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || selfHost}`);
+      if (url.pathname === "/__dev" || url.pathname.startsWith("/__dev/")) {
+        return writeSent(res, { headers: {}, ...(await devRoute(url)) });
+      }
+      const handler = handlers.get(url.pathname.replace(/\/$/, ""));
+      if (!handler) return writeSent(res, { status: 404, headers: {}, body: { ok: false, error: "no such handler" } });
+
+      const sent = await invokeHandler(handler, {
+        method: req.method,
+        query: Object.fromEntries(url.searchParams.entries()),
+        headers: { ...req.headers, "x-forwarded-proto": "http" },
+        body: await readBody(req),
+      });
+      return writeSent(res, sent);
+    } catch (err) {
+      return writeSent(res, { status: 500, headers: {}, body: { ok: false, error: String(err?.message || err) } });
+    }
+  });
+
+  const shutdown = () => {
+    server.close();
+    router.restore();
+    clock.restore();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  server.listen(port, () => {
+    process.stderr.write(
+      `dev server on http://${selfHost} (offline) — clock ${new Date(clock.now()).toISOString()}, ` +
+        `symbols ${instIds.map(symbolFromInstId).join(",")}, key=${secret}\n` +
+        `  /__dev  /__dev/tick?n=1  /__dev/outbox  /__dev/redis?pattern=*  ${[...handlers.keys()].join("  ")}\n`
+    );
+  });
+}
+
+main().catch((err) => {
+  process.stderr.write(`dev server failed: ${String(err?.message || err)}\n`);
+  process.exit(1);
+});
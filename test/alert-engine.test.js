@@ -0,0 +1,114 @@
+// /test/alert-engine.test.js
+// evaluateRun (lib/alert/engine.js) called directly, without the handler: the first firing bucket of
+// test/fixtures/golden-series.json must produce the same Telegram text and fired events the golden handler
+// replay recorded, read Redis without writing to it, and give the same result when run twice.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { setRedisClient } from "../lib/redis.js";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { installFakeClock } from "../lib/offline/clock.js";
+import { seededRandom } from "../lib/offline/random.js";
+import { installFetchRouter, invokeHandler } from "../lib/offline/invoke.js";
+import { BUCKET_MS, SERIES_TTL_SECONDS } from "../lib/series5m.js";
+
+const FIRE_BUCKET = 5787245;
+const MODES = "scalp,swing";
+
+const { series } = JSON.parse(fs.readFileSync(new URL("./fixtures/golden-series.json", import.meta.url), "utf8"));
+const golden = JSON.parse(fs.readFileSync(new URL("./fixtures/golden/alert-replay.json", import.meta.url), "utf8"));
+const instIds = Object.keys(series).sort();
+const symbols = instIds.map((id) => id.split("-")[0] + "USDT");
+
+// Same env as the golden replay; CFG is read when lib/alert loads.
+Object.assign(process.env, {
+  MULTI_DATA_SOURCE: "snapshot",
+  DEFAULT_SYMBOLS: symbols.join(","),
+  DEFAULT_MODES: MODES,
+  RANDOM_BASELINE_ENABLED: "1",
+  ALERT_RECIPES_REDIS_KEY: "alert:recipes:golden",
+});
+
+const memory = createMemoryRedis();
+setRedisClient(memory);
+const multi = (await import("../api/multi.js")).default;
+const { evaluateRun } = await import("../lib/alert/engine.js");
+const { createRedisState } = await import("../lib/alert/state.js");
+const { loadExternalTelemetry } = await import("../lib/alert/telemetry.js");
+const { CFG, normalizeDriverTf, prioritizeModes } = await import("../lib/alert/config.js");
+const { loadRuntimeConfig } = await import("../lib/config-overrides.js");
+
+// History before the bucket plus this bucket's snapshot, then /api/multi as the handler would call it.
+async function seedAndFetchMulti(b) {
+  for (const instId of instIds) {
+    const seed = series[instId].filter((p) => p.b < b);
+    await memory.rpush(`series5m:${instId}`, ...seed.map((p) => JSON.stringify(p)));
+    await memory.set(`lastBucket:${instId}`, String(seed[seed.length - 1].b));
+    const p = series[instId].find((x) => x.b === b);
+    const snap = {
+      instId,
+      ts: b * BUCKET_MS,
+      price: p.p,
+      open: p.o ?? p.p,
+      high: p.h ?? p.p,
+      low: p.l ?? p.p,
+      funding_rate: p.fr ?? null,
+      open_interest_contracts: p.oi,
+      venue: "okx",
+    };
+    await memory.set(`snap5m:${instId}:${b}`, JSON.stringify(snap), { ex: SERIES_TTL_SECONDS });
+  }
+  const sent = await invokeHandler(multi, {
+    query: { symbols: symbols.join(","), driver_tf: normalizeDriverTf(), source: "snapshot" },
+    headers: { host: "engine.local" },
+  });
+  assert.equal(sent.status, 200);
+  return sent.body;
+}
+
+test("evaluateRun reproduces the golden fire, writes nothing and is repeatable", async () => {
+  const now = FIRE_BUCKET * BUCKET_MS + 60 * 1000;
+  const clock = installFakeClock(now);
+  const router = installFetchRouter([]);
+  const realLog = console.log;
+  const realRandom = Math.random;
+  console.log = () => {};
+  try {
+    const multiPayload = await seedAndFetchMulti(FIRE_BUCKET);
+    const externalTelemetry = await loadExternalTelemetry(memory);
+    const config = {
+      modes: prioritizeModes(MODES.split(",")),
+      riskProfile: CFG.defaultRisk,
+      driverTf: normalizeDriverTf(),
+      force: false,
+      debug: true,
+      configVersion: (await loadRuntimeConfig(memory)).version,
+    };
+    // The random baseline draws from Math.random; a fresh seed per call keeps the repeat identical.
+    const evaluate = () => {
+      Math.random = seededRandom(1);
+      return evaluateRun({ multiPayload, state: createRedisState(memory, { externalTelemetry }), now, config });
+    };
+
+    const before = memory._dump();
+    const first = await evaluate();
+    assert.deepEqual(memory._dump(), before, "evaluateRun must not write");
+
+    const sentTexts = golden.telegram.filter((t) => t.ts === now && !t.body.reply_parameters).map((t) => t.body.text);
+    assert.ok(sentTexts.length > 0, "golden has no fire at this bucket");
+    assert.deepEqual(first.messages.map((m) => m.text), sentTexts);
+
+    // The handler only adds delivered_to once a destination accepts the message.
+    const goldenFired = golden.fired_events.filter((e) => e.ts === now).map(({ delivered_to, ...e }) => e);
+    assert.deepEqual(first.messages.flatMap((m) => m.events), goldenFired);
+    assert.deepEqual(first.events.filter((e) => e.observation_type === "fired"), goldenFired);
+
+    assert.deepEqual(await evaluate(), first, "same inputs, same result");
+  } finally {
+    console.log = realLog;
+    Math.random = realRandom;
+    router.restore();
+    clock.restore();
+  }
+});
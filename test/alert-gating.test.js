@@ -0,0 +1,274 @@
+// /test/alert-gating.test.js
+// buildCrossAssetAnomaly (lib/alert/gates.js) / computeStopLossPx / chooseDynamicTp / evaluateRepeatAlertPolicy
+// (lib/alert/risk.js), against an in-memory Redis run state (reversal stops read series5m). Assumes default ALERT_* env.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { createRedisState } from "../lib/alert/state.js";
+import { buildCrossAssetAnomaly } from "../lib/alert/gates.js";
+import { computeStopLossPx, chooseDynamicTp, evaluateRepeatAlertPolicy } from "../lib/alert/risk.js";
+
+const memory = createMemoryRedis();
+const state = createRedisState(memory);
+
+const anomalyItems = JSON.parse(fs.readFileSync(new URL("./fixtures/anomaly-items.json", import.meta.url), "utf8")).items;
+
+const near = (a, b, eps = 1e-9) => Number.isFinite(a) && Math.abs(a - b) < eps;
+
+// Levels for every tf, { hi, mid, lo } around a price; mirror() reflects them so a short sees what a long did.
+function levelsAround(price, pctByTf) {
+  const out = {};
+  for (const [tf, pct] of Object.entries(pctByTf)) {
+    out[tf] = { hi: price * (1 + pct / 100), mid: price * (1 + pct / 200), lo: price * (1 - pct / 100), warmup: false };
+  }
+  return out;
+}
+
+function mirror(levels, price) {
+  const out = {};
+  for (const [tf, lvl] of Object.entries(levels)) {
+    const r = (x) => (Number.isFinite(x) ? 2 * price - x : x);
+    out[tf] = { ...lvl, hi: r(lvl.lo), mid: r(lvl.mid), lo: r(lvl.hi) };
+  }
+  return out;
+}
+
+// Each reversal test gets its own instId: the run state caches series tails per instId.
+let seriesSeq = 0;
+async function seedSeries(closes) {
+  const instId = `TEST${++seriesSeq}-USDT-SWAP`;
+  const b0 = 1000;
+  for (const [i, p] of closes.entries()) await memory.rpush(`series5m:${instId}`, JSON.stringify({ b: b0 + i, p }));
+  return instId;
+}
+
+// ---- buildCrossAssetAnomaly ----
+
+test("anomaly: rows with NaN / missing inputs and failed items are dropped", () => {
+  const out = buildCrossAssetAnomaly({ items: anomalyItems });
+  assert.equal(out.ok, true);
+  const ranked = out.ranking.map((r) => r.symbol);
+  for (const s of ["LDOUSDT", "ARBUSDT", "OPUSDT", "APTUSDT"]) assert.ok(!ranked.includes(s), s);
+  assert.deepEqual(out.basket_symbols, ["BTCUSDT", "ETHUSDT", "SOLUSDT", "NEARUSDT", "SUIUSDT"]);
+});
+
+test("anomaly: ranking is sorted by score and the outlier leads", () => {
+  const out = buildCrossAssetAnomaly({ items: anomalyItems });
+  const scores = out.ranking.map((r) => r.score);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+  assert.equal(out.ranking[0].symbol, "NEARUSDT");
+  assert.equal(out.ranking[0].pattern, "short_build");
+});
+
+test("anomaly: basket falls back to any valid rows, then reports too small", () => {
+  const few = anomalyItems.filter((it) => ["SOLUSDT", "SUIUSDT"].includes(it.symbol));
+  const tooSmall = buildCrossAssetAnomaly({ items: few });
+  assert.equal(tooSmall.ok, false);
+  assert.equal(tooSmall.reason, "basket_too_small");
+  assert.deepEqual(tooSmall.basket_symbols, ["SOLUSDT", "SUIUSDT"]);
+
+  const fallback = buildCrossAssetAnomaly({ items: anomalyItems, preferredBasket: ["XRPUSDT"] });
+  assert.equal(fallback.ok, true);
+  assert.deepEqual(fallback.basket_symbols, ["BTCUSDT", "ETHUSDT", "NEARUSDT", "SOLUSDT", "SUIUSDT"]);
+});
+
+test("anomaly: empty input is basket_too_small, not a throw", () => {
+  assert.equal(buildCrossAssetAnomaly({ items: [] }).reason, "basket_too_small");
+  assert.equal(buildCrossAssetAnomaly({ items: null }).reason, "basket_too_small");
+});
+
+test("anomaly: flipping every price / OI move keeps scores and mirrors patterns", () => {
+  const flipped = anomalyItems.map((it) => {
+    const d = it.deltas?.["15m"];
+    if (!d || !Number.isFinite(d.price_change_pct) || !Number.isFinite(d.oi_change_pct)) return it;
+    return { ...it, deltas: { "15m": { price_change_pct: -d.price_change_pct, oi_change_pct: -d.oi_change_pct } } };
+  });
+  const mirrorPattern = { long_build: "long_liq", long_liq: "long_build", short_build: "short_squeeze", short_squeeze: "short_build" };
+  const a = buildCrossAssetAnomaly({ items: anomalyItems });
+  const b = buildCrossAssetAnomaly({ items: flipped });
+  const bySymbol = new Map(b.ranking.map((r) => [r.symbol, r]));
+  for (const r of a.ranking) {
+    const m = bySymbol.get(r.symbol);
+    assert.equal(m.score, r.score, r.symbol);
+    assert.equal(m.pattern, mirrorPattern[r.pattern], r.symbol);
+  }
+});
+
+// ---- computeStopLossPx ----
+
+test("stop: continuation stop sits beyond the stop-tf range, mirrored for shorts", async () => {
+  const levels = levelsAround(100, { "15m": 2, "1h": 4, "4h": 8 });
+  const long = await computeStopLossPx({ state, instId: "X", mode: "scalp", bias: "long", price: 100, levels, execReason: "" });
+  const short = await computeStopLossPx({ state, instId: "X", mode: "scalp", bias: "short", price: 100, levels, execReason: "" });
+  assert.ok(near(long, 98 * (1 - 0.0003)), String(long));
+  assert.ok(near(short, 102 * (1 + 0.0003)), String(short));
+
+  const swingLong = await computeStopLossPx({ state, instId: "X", mode: "swing", bias: "long", price: 100, levels, execReason: "" });
+  assert.ok(near(swingLong, 96 * (1 - 0.0003)), "swing uses 1h");
+});
+
+test("stop: warmup / missing stop-tf levels give no stop", async () => {
+  const levels = levelsAround(100, { "15m": 2 });
+  levels["15m"].warmup = true;
+  assert.equal(await computeStopLossPx({ state, mode: "scalp", bias: "long", price: 100, levels, execReason: "" }), null);
+  assert.equal(await computeStopLossPx({ state, mode: "swing", bias: "long", price: 100, levels, execReason: "" }), null);
+});
+
+test("stop: NaN / missing inputs give no stop", async () => {
+  const levels = levelsAround(100, { "15m": 2 });
+  const args = { state, instId: "X", mode: "scalp", levels, execReason: "" };
+  assert.equal(await computeStopLossPx({ ...args, bias: "long", price: NaN }), null);
+  assert.equal(await computeStopLossPx({ ...args, bias: "long", price: undefined }), null);
+  assert.equal(await computeStopLossPx({ ...args, bias: "neutral", price: 100 }), null);
+
+  const holes = { "15m": { hi: undefined, mid: 100, lo: "NaN", warmup: false } };
+  assert.equal(await computeStopLossPx({ ...args, levels: holes, bias: "short", price: 100 }), null);
+  assert.equal(await computeStopLossPx({ ...args, levels: holes, bias: "long", price: 100 }), null);
+});
+
+test("stop: reversal stop flips the last candle body, mirrored for shorts", async () => {
+  const instId = await seedSeries([99, 100, 102]);
+  const args = { state, instId, mode: "scalp", price: 102, levels: {}, execReason: "b1_reversal" };
+  const long = await computeStopLossPx({ ...args, bias: "long" });
+  const short = await computeStopLossPx({ ...args, bias: "short" });
+  assert.ok(near(long, 100 * (1 - 0.0005)), String(long));
+  assert.ok(near(short, 104 * (1 + 0.0005)), String(short));
+});
+
+test("stop: reversal without two closes or with a flat body gives no stop", async () => {
+  const one = await seedSeries([100]);
+  const flat = await seedSeries([100, 100]);
+  const args = { state, mode: "scalp", bias: "long", price: 100, levels: {}, execReason: "wick_reclaim" };
+  assert.equal(await computeStopLossPx({ ...args, instId: one }), null);
+  assert.equal(await computeStopLossPx({ ...args, instId: flat }), null);
+  assert.equal(await computeStopLossPx({ ...args, instId: "TEST-EMPTY-USDT-SWAP" }), null);
+});
+
+// ---- chooseDynamicTp ----
+
+test("tp: scalp takes the nearest 15m target that clears min RR, mirrored for shorts", () => {
+  const levels = levelsAround(100, { "15m": 2, "1h": 4, "4h": 8 });
+  const long = chooseDynamicTp({ mode: "scalp", bias: "long", price: 100, levels, stopLossPx: 99.5 });
+  assert.deepEqual([long.tf, long.level, long.forced], ["15m", "mid", false]);
+  assert.ok(near(long.tp, 101));
+
+  const short = chooseDynamicTp({ mode: "scalp", bias: "short", price: 100, levels: mirror(levels, 100), stopLossPx: 100.5 });
+  assert.deepEqual([short.tf, short.level, short.forced], ["15m", "mid", false]);
+  assert.ok(near(short.tp, 99));
+});
+
+test("tp: min RR pushes scalp out to a wider tf", () => {
+  const levels = levelsAround(100, { "15m": 2, "1h": 4, "4h": 8 });
+  // 1% stop needs >= 1.5% target: 15m mid (1%) fails, 15m high (2%) passes.
+  const long = chooseDynamicTp({ mode: "scalp", bias: "long", price: 100, levels, stopLossPx: 99 });
+  assert.deepEqual([long.tf, long.level], ["15m", "high"]);
+  // 3% stop needs >= 4.5%: everything up to 4h mid (4%) fails, 4h high (8%) passes.
+  const wide = chooseDynamicTp({ mode: "scalp", bias: "long", price: 100, levels, stopLossPx: 97 });
+  assert.deepEqual([wide.tf, wide.level, wide.forced], ["4h", "high", false]);
+});
+
+test("tp: nothing clears min RR -> nearest candidate, forced", () => {
+  const levels = levelsAround(100, { "15m": 2, "1h": 4 });
+  const long = chooseDynamicTp({ mode: "scalp", bias: "long", price: 100, levels, stopLossPx: 90 });
+  assert.equal(long.forced, true);
+  assert.ok(near(long.tp, 101));
+  const short = chooseDynamicTp({ mode: "scalp", bias: "short", price: 100, levels: mirror(levels, 100), stopLossPx: 110 });
+  assert.equal(short.forced, true);
+  assert.ok(near(short.tp, 99));
+});
+
+test("tp: warmup tfs are skipped", () => {
+  const levels = levelsAround(100, { "15m": 2, "1h": 4 });
+  levels["15m"].warmup = true;
+  const pick = chooseDynamicTp({ mode: "scalp", bias: "long", price: 100, levels, stopLossPx: 99.5 });
+  assert.equal(pick.tf, "1h");
+  assert.equal(chooseDynamicTp({ mode: "swing", bias: "long", price: 100, levels: {}, stopLossPx: 99 }), null);
+});
+
+test("tp: NaN / missing levels never become a long target", () => {
+  const levels = { "15m": { hi: 102, mid: NaN, lo: undefined, warmup: false }, "1h": { hi: NaN, mid: undefined, lo: "NaN" } };
+  const long = chooseDynamicTp({ mode: "scalp", bias: "long", price: 100, levels, stopLossPx: 99 });
+  assert.deepEqual([long.level, long.tp], ["high", 102]);
+  assert.equal(chooseDynamicTp({ mode: "scalp", bias: "long", price: NaN, levels, stopLossPx: 99 }), null);
+});
+
+test("tp: swing and build are mirror images for long / short", () => {
+  const levels = levelsAround(100, { "1h": 3, "4h": 6 });
+  for (const mode of ["swing", "build"]) {
+    const long = chooseDynamicTp({ mode, bias: "long", price: 100, levels, stopLossPx: 98.5 });
+    const short = chooseDynamicTp({ mode, bias: "short", price: 100, levels: mirror(levels, 100), stopLossPx: 101.5 });
+    assert.ok(long && short, mode);
+    const level = { high: "low", low: "high" }[long.level] || long.level;
+    assert.deepEqual([short.tf, short.level, short.forced], [long.tf, level, long.forced], mode);
+    assert.ok(near(short.tp, 200 - long.tp), mode);
+  }
+});
+
+// ---- evaluateRepeatAlertPolicy ----
+
+const NOW = Date.UTC(2026, 0, 5, 12, 0, 0);
+const MIN = 60 * 1000;
+const PREMIUM = { label: "PREMIUM" };
+
+function setup(bias, overrides = {}) {
+  return { symbol: "BTCUSDT", instId: "BTC-USDT-SWAP", mode: "scalp", bias, execReason: "b1_continuation", price: 100, ...overrides };
+}
+
+function lastFired(bias, overrides = {}) {
+  const { bias: side, ...rest } = setup(bias);
+  return { ...rest, side, entryPrice: 100, ts: NOW - 30 * MIN, ...overrides };
+}
+
+for (const bias of ["long", "short"]) {
+  test(`repeat policy (${bias}): decisions by age, recipe, entry distance and cautions`, () => {
+    const lastFiredState = (over) => (over === null ? null : lastFired(bias, over));
+    const run = (tOver, lastOver, extra = {}) =>
+      evaluateRepeatAlertPolicy({
+        t: setup(bias, tOver),
+        recipeStamp: PREMIUM,
+        tradeRead: { cautions: [] },
+        lastFiredState: lastFiredState(lastOver),
+        now: NOW,
+        ...extra,
+      });
+
+    assert.equal(run({}, null).reason, "new_or_changed_setup");
+    assert.equal(run({ mode: "swing" }, {}).reason, "new_or_changed_setup");
+    assert.equal(run({ execReason: "b1_reversal" }, {}).reason, "new_or_changed_setup");
+    assert.equal(run({}, { side: bias === "long" ? "short" : "long" }).reason, "new_or_changed_setup");
+
+    const cooldown = run({}, { ts: NOW - 5 * MIN });
+    assert.deepEqual([cooldown.reject, cooldown.reason, cooldown.ageMinutes], [true, "cooldown", 5]);
+
+    // scalp keeps the state for max(2 x cooldown, 60m horizon).
+    assert.equal(run({}, { ts: NOW - 61 * MIN }).reason, "repeat_state_expired");
+    assert.equal(run({}, {}, { recipeStamp: { label: "STANDARD" } }).reason, "repeat_non_manual_recipe_suppressed");
+    assert.equal(run({}, {}, { recipeStamp: { label: "SHADOW" } }).isReminder, true);
+    assert.equal(run({ price: bias === "long" ? 101 : 99 }, {}).reason, "premium_repeat_not_near_entry");
+    assert.equal(run({}, {}, { tradeRead: { cautions: ["a", "b"] } }).reason, "premium_repeat_caution_heavy");
+
+    const reminder = run({ price: bias === "long" ? 100.2 : 99.8 }, {});
+    assert.deepEqual([reminder.reject, reminder.isReminder, reminder.reason], [false, true, "premium_still_valid_entry_reminder"]);
+    assert.ok(near(reminder.entryDistancePct, 0.2, 1e-6));
+  });
+}
+
+test("repeat policy: missing / NaN timestamps and prices never count as a fresh reminder", () => {
+  const base = { t: setup("long"), recipeStamp: PREMIUM, tradeRead: { cautions: [] }, now: NOW };
+  for (const ts of [undefined, "NaN"]) {
+    const out = evaluateRepeatAlertPolicy({ ...base, lastFiredState: lastFired("long", { ts }) });
+    assert.equal(out.reason, "repeat_state_missing_timestamp", String(ts));
+  }
+  // A timestamp in the future is treated as missing too.
+  const future = evaluateRepeatAlertPolicy({ ...base, lastFiredState: lastFired("long", { ts: NOW + MIN }) });
+  assert.equal(future.reason, "repeat_state_missing_timestamp");
+
+  for (const price of [NaN, undefined]) {
+    const out = evaluateRepeatAlertPolicy({ ...base, t: setup("long", { price }), lastFiredState: lastFired("long") });
+    assert.equal(out.reason, "premium_repeat_not_near_entry", String(price));
+  }
+  const noEntry = evaluateRepeatAlertPolicy({ ...base, lastFiredState: lastFired("long", { entryPrice: undefined }) });
+  assert.equal(noEntry.reason, "premium_repeat_not_near_entry");
+});
@@ -0,0 +1,289 @@
+// /test/alert-golden.test.js
+// Golden replay of /api/alert: test/fixtures/golden-series.json is replayed bucket by bucket through the real
+// /api/multi + /api/alert handlers (in-memory Redis, fake clock, debug=1) and every observable output is compared
+// byte for byte with test/fixtures/golden/alert-replay.json: response bodies, Telegram sends, analytics events
+// and the Redis state left behind. Refactors of the alert engine must keep this green.
+//
+// The replay runs the random baseline (seeded), the recipes in test/fixtures/golden-recipes.json on top of the
+// bundled set (a shadow twin and an unrouted scalp long) and two destinations (Telegram for swing, a webhook for
+// shorts), so shadow, random, cooldown expiry, multi-destination and unrouted paths all reach the golden file.
+// The tests after the golden one check behaviour the golden only pins as digests: config_version, metrics,
+// venue tagging, unrouted recipes and lifecycle follow-ups.
+//
+// Regenerate after an intended behavior change: UPDATE_GOLDEN=1 node --test test/alert-golden.test.js
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { setRedisClient } from "../lib/redis.js";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { installFakeClock } from "../lib/offline/clock.js";
+import { seededRandom } from "../lib/offline/random.js";
+import { handlerRoute, installFetchRouter, invokeHandler, jsonResponse } from "../lib/offline/invoke.js";
+import { BUCKET_MS, SERIES_TTL_SECONDS } from "../lib/series5m.js";
+
+const GOLDEN_FILE = new URL("./fixtures/golden/alert-replay.json", import.meta.url);
+const HOST = "golden.local";
+const ANALYTICS_URL = "https://analytics.golden.local/ingest";
+const DESK_URL = "https://hooks.golden.local/desk";
+const RECIPES_KEY = "alert:recipes:golden";
+const DESTINATIONS = [
+  { id: "telegram", type: "telegram", route: { modes: ["swing"] } },
+  { id: "desk", type: "webhook", url: DESK_URL, route: { sides: ["short"] } },
+];
+const WARMUP_BUCKETS = 49;
+const MODES = "scalp,swing";
+
+const readJson = (rel) => JSON.parse(fs.readFileSync(new URL(rel, import.meta.url), "utf8"));
+const { series } = readJson("./fixtures/golden-series.json");
+const instIds = Object.keys(series).sort();
+
+const sha256 = (value) => crypto.createHash("sha256").update(JSON.stringify(value)).digest("hex");
+
+// Same snapshot shape scripts/backtest.js writes.
+function snapshotFromPoint(instId, p) {
+  return {
+    instId,
+    ts: Number(p.ts) || p.b * BUCKET_MS,
+    price: p.p,
+    open: p.o ?? p.p,
+    high: p.h ?? p.p,
+    low: p.l ?? p.p,
+    funding_rate: p.fr ?? null,
+    open_interest_contracts: p.oi,
+    venue: "okx",
+  };
+}
+
+async function replay() {
+  const memory = createMemoryRedis();
+  setRedisClient(memory);
+
+  const buckets = [...new Set(instIds.flatMap((id) => series[id].map((p) => p.b)))].sort((a, b) => a - b);
+  const firstBucket = buckets[WARMUP_BUCKETS];
+  for (const instId of instIds) {
+    const seed = series[instId].filter((p) => p.b < firstBucket);
+    await memory.rpush(`series5m:${instId}`, ...seed.map((p) => JSON.stringify(p)));
+    await memory.set(`lastBucket:${instId}`, String(seed[seed.length - 1].b));
+  }
+  const bundled = readJson("../config/recipes.json");
+  const extra = readJson("./fixtures/golden-recipes.json");
+  await memory.set(RECIPES_KEY, JSON.stringify({ version: bundled.version, recipes: [...bundled.recipes, ...extra.recipes] }));
+
+  Object.assign(process.env, {
+    ALERT_SECRET: "golden",
+    TELEGRAM_BOT_TOKEN: "golden",
+    TELEGRAM_CHAT_ID: "golden",
+    ANALYTICS_WEBHOOK_URL: ANALYTICS_URL,
+    ANALYTICS_MIN_POST_INTERVAL_MINUTES: "0",
+    ANALYTICS_INGEST_SHARED_SECRET: "",
+    MULTI_DATA_SOURCE: "snapshot",
+    DEFAULT_SYMBOLS: instIds.map((id) => id.split("-")[0] + "USDT").join(","),
+    DEFAULT_MODES: MODES,
+    RANDOM_BASELINE_ENABLED: "1",
+    ALERT_RECIPES_REDIS_KEY: RECIPES_KEY,
+    ALERT_DESTINATIONS: JSON.stringify(DESTINATIONS),
+  });
+  const realRandom = Math.random;
+  Math.random = seededRandom(1);
+
+  const clock = installFakeClock(firstBucket * BUCKET_MS + 60 * 1000);
+  const multi = (await import("../api/multi.js")).default;
+  const alert = (await import("../api/alert.js")).default;
+  const { markPaperLedger } = await import("../lib/paper-ledger.js");
+
+  const telegram = [];
+  const webhooks = [];
+  const analytics = [];
+  const router = installFetchRouter([
+    handlerRoute(HOST, "/api/multi", multi),
+    {
+      match: (url) => url.host === "api.telegram.org",
+      handle: async (_url, init) => {
+        telegram.push({ ts: Date.now(), body: JSON.parse(init.body) });
+        return jsonResponse({ ok: true, result: { message_id: telegram.length } });
+      },
+    },
+    {
+      match: (url) => url.href === DESK_URL,
+      handle: async (_url, init) => {
+        webhooks.push({ ts: Date.now(), body: JSON.parse(init.body) });
+        return jsonResponse({ ok: true });
+      },
+    },
+    {
+      match: (url) => url.href === ANALYTICS_URL,
+      handle: async (_url, init) => {
+        analytics.push(...(JSON.parse(init.body).events || []));
+        return jsonResponse({ ok: true });
+      },
+    },
+  ]);
+
+  const realLog = console.log;
+  const realError = console.error;
+  const realWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  const runs = [];
+  let dump;
+  try {
+    for (const b of buckets.slice(WARMUP_BUCKETS)) {
+      const quotes = [];
+      for (const instId of instIds) {
+        const p = series[instId].find((x) => x.b === b);
+        if (!p) continue;
+        await memory.set(`snap5m:${instId}:${b}`, JSON.stringify(snapshotFromPoint(instId, p)), { ex: SERIES_TTL_SECONDS });
+        quotes.push({ instId, price: p.p, high: p.h, low: p.l, ts: b * BUCKET_MS });
+      }
+      await markPaperLedger(memory, quotes, b * BUCKET_MS);
+
+      clock.set(b * BUCKET_MS + 60 * 1000);
+      const sent = await invokeHandler(alert, {
+        query: { key: "golden", debug: "1" },
+        headers: { host: HOST, "x-forwarded-proto": "https" },
+      });
+      runs.push({ b, status: sent.status, body: sent.body });
+    }
+    // Dumped on the fake clock: keys with a TTL would read as expired on the real one.
+    dump = memory._dump();
+  } finally {
+    console.log = realLog;
+    console.error = realError;
+    console.warn = realWarn;
+    router.restore();
+    clock.restore();
+    Math.random = realRandom;
+  }
+
+  return { runs, telegram, webhooks, analytics, redis: dump };
+}
+
+// Bodies are kept as digests (debug bodies are large); what was sent and fired is kept in full so a diff reads.
+function toGolden({ runs, telegram, webhooks, analytics, redis }) {
+  return {
+    fixture: "golden-series.json",
+    modes: MODES,
+    runs: runs.map((r) => ({
+      b: r.b,
+      status: r.status,
+      triggered: r.body?.triggered_count ?? null,
+      sent: r.body?.sent ?? null,
+      body_sha256: sha256(r.body),
+    })),
+    telegram,
+    webhooks,
+    analytics: analytics.map((e) => ({
+      alert_id: e.alert_id,
+      observation_type: e.observation_type,
+      event_sha256: sha256(e),
+    })),
+    fired_events: analytics.filter((e) => e.observation_type === "fired"),
+    redis_sha256: sha256(redis),
+  };
+}
+
+// One replay shared by every test below.
+let replayed = null;
+const replayOnce = () => (replayed ??= replay());
+
+test("alert replay matches the golden output byte for byte", { timeout: 600000 }, async () => {
+  const actual = toGolden(await replayOnce());
+
+  if (process.env.UPDATE_GOLDEN === "1") {
+    fs.mkdirSync(new URL("./fixtures/golden/", import.meta.url), { recursive: true });
+    fs.writeFileSync(GOLDEN_FILE, `${JSON.stringify(actual, null, 2)}\n`);
+    return;
+  }
+
+  const golden = JSON.parse(fs.readFileSync(GOLDEN_FILE, "utf8"));
+  assert.ok(actual.telegram.length > 0 && actual.fired_events.length > 0, "fixture no longer fires; golden is vacuous");
+  assert.deepEqual(actual.telegram, golden.telegram, "telegram sends");
+  assert.deepEqual(actual.webhooks, golden.webhooks, "webhook sends");
+  assert.deepEqual(actual.fired_events, golden.fired_events, "fired analytics events");
+  for (let i = 0; i < golden.runs.length; i++) assert.deepEqual(actual.runs[i], golden.runs[i], `run for bucket ${golden.runs[i].b}`);
+  assert.equal(actual.runs.length, golden.runs.length, "run count");
+  assert.deepEqual(actual.analytics, golden.analytics, "analytics events");
+  assert.equal(actual.redis_sha256, golden.redis_sha256, "redis state after replay");
+});
+
+test("the replay reaches the shadow, random, cooldown expiry and multi-destination paths", { timeout: 600000 }, async () => {
+  const { runs, analytics } = await replayOnce();
+  const types = new Set(analytics.map((e) => e.observation_type));
+  assert.deepEqual([...types].sort(), ["fired", "random", "shadow"]);
+
+  // A live recipe held back by its cooldown fires again once the cooldown has run out.
+  const recipe = "swing_breadth_btc_oi_unwind_eth_lag_short";
+  const fires = runs.filter((r) => r.body.delivery?.some((d) => d.recipeId === recipe)).map((r) => r.b);
+  const held = runs.filter((r) => r.body.skipped?.some((s) => s.reason === "recipe_cooldown" && s.detail?.recipe === recipe));
+  assert.ok(fires.length >= 2, `fires: ${fires}`);
+  assert.ok(held.some((r) => r.b > fires[0] && r.b < fires[1]), "no cooldown skip between the fires");
+
+  const fanOut = runs.flatMap((r) => r.body.delivery || []).find((d) => d.recipeId === recipe);
+  assert.deepEqual(fanOut.results.map((x) => [x.destination, x.ok]), [["telegram", true], ["desk", true]]);
+});
+
+test("analytics events, heartbeat and debug output carry the run's config_version", { timeout: 600000 }, async () => {
+  const { runs, analytics } = await replayOnce();
+  const versions = new Set(runs.map((r) => r.body.config.version));
+  assert.equal(versions.size, 1);
+  const [version] = versions;
+  assert.match(version, /^[0-9a-f]{12}$/);
+  assert.ok(analytics.every((e) => e.config_version === version));
+  assert.ok(runs.every((r) => r.body.heartbeat_last_run.config_version === version));
+  assert.deepEqual(runs[0].body.config.overrides, []);
+});
+
+test("alert metrics accumulate across the replayed runs", { timeout: 600000 }, async () => {
+  const { runs, telegram, redis } = await replayOnce();
+  const counters = redis["metrics:counters"];
+  const sum = (name) => Object.entries(counters).filter(([k]) => k === name || k.startsWith(`${name}{`)).reduce((s, [, v]) => s + Number(v), 0);
+  assert.equal(counters['gateway_alert_runs{result="ok"}'], runs.length);
+  assert.equal(sum("gateway_alert_messages_unrouted"), runs.reduce((n, r) => n + (r.body.unrouted_recipes?.length || 0), 0));
+  assert.equal(sum("gateway_delivery_failures"), 0);
+  assert.ok(sum("gateway_alerts_delivered") > 0 && sum("gateway_alerts_delivered") <= telegram.length);
+  assert.equal(counters['gateway_run_duration_seconds_count{handler="alert"}'], runs.length);
+});
+
+test("series points replayed from OKX snapshots are tagged with their venue and keep their OI deltas", { timeout: 600000 }, async () => {
+  const { runs, redis } = await replayOnce();
+  for (const instId of instIds) {
+    const appended = redis[`series5m:${instId}`].filter((p) => p.b >= runs[0].b);
+    assert.equal(appended.length, runs.length);
+    assert.ok(appended.every((p) => p.v === "okx"), instId);
+  }
+  // Every window spans one venue, so no OI delta is dropped for a venue change.
+  const deltas = runs.flatMap((r) => r.body.triggered || []).flatMap((t) => Object.values(t._rawItem.deltas || {}));
+  assert.ok(deltas.length > 0 && deltas.every((d) => d.venue_change === false));
+});
+
+test("a recipe no destination routes is reported as unrouted and never sent", { timeout: 600000 }, async () => {
+  const { runs, telegram, webhooks, analytics } = await replayOnce();
+  const recipe = "scalp_btc_oi_spike_long";
+  const unrouted = runs.filter((r) => r.body.unrouted_recipes?.includes(recipe));
+  assert.ok(unrouted.length > 0);
+  for (const r of unrouted) {
+    assert.deepEqual(r.body.delivery.find((d) => d.recipeId === recipe), { recipeId: recipe, routed: false, delivered: false, results: [] });
+  }
+  const texts = [...telegram.map((t) => t.body.text), ...webhooks.map((w) => JSON.stringify(w.body))];
+  assert.ok(!texts.some((t) => /SCALP LONG/i.test(t)));
+  assert.ok(!analytics.some((e) => e.observation_type === "fired" && e.recipe_stamp_label === recipe));
+});
+
+test("lifecycle follow-ups reply to the Telegram message that carried each alert", { timeout: 600000 }, async () => {
+  const { runs, telegram, redis } = await replayOnce();
+  const alerts = telegram.map((t, i) => ({ ...t, message_id: i + 1 })).filter((t) => !t.body.reply_parameters);
+  const replies = telegram.filter((t) => t.body.reply_parameters);
+  assert.ok(replies.length > 0);
+  const alertIds = new Set(alerts.map((a) => a.message_id));
+  assert.ok(replies.every((t) => alertIds.has(t.body.reply_parameters.message_id)));
+
+  const followups = runs.flatMap((r) => r.body.lifecycle?.followups || []);
+  assert.equal(followups.length, replies.length);
+  assert.ok(followups.every((f) => f.sent.length === 1 && f.sent[0].destination === "telegram" && f.sent[0].ok));
+  const recorded = Object.keys(redis).filter((k) => /^alert:lifecycle:.+:followups$/.test(k));
+  assert.equal(recorded.reduce((n, k) => n + redis[k].length, 0), followups.length);
+});
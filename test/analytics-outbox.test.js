@@ -0,0 +1,59 @@
+// /test/analytics-outbox.test.js
+// lib/analytics-outbox.js: overlapping drains send each queued batch once, and a failed retry keeps queue order.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { OUTBOX_KEYS, enqueueAnalyticsOutbox, drainAnalyticsOutbox } from "../lib/analytics-outbox.js";
+import { safeJsonParse } from "../lib/values.js";
+
+const HOUR = 60 * 60 * 1000;
+const NOW = 1_700_000_000_000;
+
+async function queued(redis) {
+  return ((await redis.lrange(OUTBOX_KEYS.queue(), 0, -1)) || []).map(safeJsonParse);
+}
+
+// send() that records batch numbers and answers after a tick, so overlapping drains interleave.
+function recorder(fail = () => false) {
+  const sent = [];
+  const send = async (payload) => {
+    sent.push(payload.batch);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    return fail(payload.batch) ? { ok: false, errorCode: "analytics_webhook_http_503" } : { ok: true };
+  };
+  return { sent, send };
+}
+
+test("two drains at once send every queued batch exactly once", async () => {
+  const redis = createMemoryRedis();
+  await enqueueAnalyticsOutbox(redis, [1, 2, 3, 4].map((batch) => ({ batch, ingest_key: "k" })), "http_500", NOW - HOUR);
+  const { sent, send } = recorder();
+
+  const [a, b] = await Promise.all([drainAnalyticsOutbox(redis, send, NOW), drainAnalyticsOutbox(redis, send, NOW)]);
+
+  assert.deepEqual(sent, [1, 2, 3, 4]);
+  assert.equal(a.delivered + b.delivered, 4);
+  assert.deepEqual(await queued(redis), []);
+  assert.equal(await redis.get(OUTBOX_KEYS.lock()), null);
+});
+
+test("a failed retry stays at the head with its attempt counted and the queue order kept", async () => {
+  const redis = createMemoryRedis();
+  await enqueueAnalyticsOutbox(redis, [1, 2, 3].map((batch) => ({ batch })), "http_500", NOW - HOUR);
+  const { sent, send } = recorder((batch) => batch === 2);
+
+  const out = await drainAnalyticsOutbox(redis, send, NOW);
+  assert.deepEqual([out.retried, out.delivered, out.depth], [2, 1, 2]);
+  assert.deepEqual(sent, [1, 2]);
+
+  const rest = await queued(redis);
+  assert.deepEqual(rest.map((e) => [e.payload.batch, e.attempts]), [[2, 2], [3, 1]]);
+  assert.ok(rest[0].next_attempt_at > NOW);
+
+  // Not due yet: nothing is sent, and the stored ingest_key never was.
+  const again = recorder();
+  await drainAnalyticsOutbox(redis, again.send, NOW + 1000);
+  assert.deepEqual(again.sent, []);
+  assert.ok(rest.every((e) => !("ingest_key" in e.payload)));
+});
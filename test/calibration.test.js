@@ -0,0 +1,55 @@
+// /test/calibration.test.js
+// lib/calibration.js: the threshold grid search (decimal steps, the top grid point, minN per label) and the
+// monotonicity check (only bins with n >= minN take part).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildCalibrationReport, suggestConfidenceThresholds } from "../lib/calibration.js";
+
+// n rows at one confidence_score with the same realized R.
+const rows = (score, n, r, extra = {}) =>
+  Array.from({ length: n }, () => ({ confidence_score: score, result: r > 0 ? "WIN" : "LOSS", return_pct: r, realized_r: r, ...extra }));
+
+test("a 0.1 grid reaches its top point: the only monotonic split puts A at the highest score", () => {
+  // C at 1.0, B at 1.1 and 1.4, A at 1.5: A must be in (1.4, 1.5], B in (1.0, 1.1].
+  const scored = [...rows(1.0, 3, -1), ...rows(1.1, 2, 0.2), ...rows(1.4, 2, 0.4), ...rows(1.5, 3, 1)];
+  const out = suggestConfidenceThresholds(scored, { metric: "avg_r", minN: 3, step: 0.1 });
+  assert.equal(out.ok, true, out.reason);
+  assert.deepEqual(out.suggested.thresholds, { A: 1.5, B: 1.1 });
+  assert.deepEqual(
+    Object.values(out.suggested.labels).map((l) => [l.n, l.avg_r]),
+    [[3, 1], [4, 0.3], [3, -1]]
+  );
+  assert.equal(out.suggested.spread, 2);
+});
+
+test("suggestConfidenceThresholds needs minN rows in every label and scored, resolved rows", () => {
+  const scored = [...rows(1.0, 3, -1), ...rows(1.1, 2, 0.2), ...rows(1.4, 2, 0.4), ...rows(1.5, 3, 1)];
+  assert.equal(suggestConfidenceThresholds(scored, { minN: 4, step: 0.1 }).reason, "no_monotonic_split");
+
+  const unscored = [...rows(null, 5, 1), ...rows(2, 5, 1, { result: "NO_DATA" })];
+  const none = suggestConfidenceThresholds(unscored, { minN: 1 });
+  assert.deepEqual([none.ok, none.reason, none.current.thresholds], [false, "no_scored_rows", { A: 2.5, B: 1.5 }]);
+
+  // Higher scores doing worse has no monotonic split at all.
+  const inverted = [...rows(1, 5, 1), ...rows(2, 5, 0), ...rows(3, 5, -1)];
+  assert.equal(suggestConfidenceThresholds(inverted, { minN: 2, step: 0.5 }).reason, "no_monotonic_split");
+});
+
+test("violations only compare bins with at least minN rows", () => {
+  const resolved = [
+    ...rows(0.2, 4, 1, { confidence: "C" }),
+    ...rows(1.7, 1, -1, { confidence: "B" }),
+    ...rows(3.1, 4, -0.5, { confidence: "A" }),
+  ];
+  const report = buildCalibrationReport([...resolved, ...rows(3.2, 5, 2, { result: "NO_DATA" })], { minN: 2 });
+  assert.equal(report.rows, 9);
+  assert.deepEqual(report.dimensions.confidence.map((b) => [b.bin, b.n]), [["C", 4], ["B", 1], ["A", 4]]);
+  assert.deepEqual(report.dimensions.confidence_score.map((b) => b.bin), ["[0, 0.5)", "[1.5, 2)", "[3, 3.5)"]);
+
+  // B (n=1) is skipped, so C is compared with A directly.
+  const byMetric = report.violations.filter((v) => v.dimension === "confidence").map((v) => [v.metric, v.lower_bin, v.higher_bin]);
+  assert.deepEqual(byMetric, [["hit_rate", "C", "A"], ["avg_return_pct", "C", "A"], ["avg_r", "C", "A"]]);
+
+  assert.deepEqual(buildCalibrationReport(resolved, { minN: 5 }).violations, []);
+});
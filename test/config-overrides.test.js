@@ -0,0 +1,213 @@
+// /test/config-overrides.test.js
+// Runtime overrides (lib/config-overrides.js): validation, TTL expiry with its audit row, layering over env into CFG
+// and the config version, recipe threshold overrides, and the /api/overrides handler (POST-only writes, unverified
+// actor, a cleared override leaving CFG on env within the same process).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setRedisClient } from "../lib/redis.js";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { invokeHandler } from "../lib/offline/invoke.js";
+import { loadBundledRecipes, applyRecipeThresholds } from "../lib/recipes.js";
+import {
+  validateOverride,
+  readOverrides,
+  readAudit,
+  setOverride,
+  clearOverride,
+  loadRuntimeConfig,
+} from "../lib/config-overrides.js";
+import { CFG, applyRuntimeValues } from "../lib/alert/config.js";
+
+// Handlers bind the client at import, so both handler tests share this one.
+const memory = createMemoryRedis();
+setRedisClient(memory);
+
+const recipes = loadBundledRecipes();
+const LONG = "swing_eth_relative_weakness_btc_funding_long";
+const HOUR = 60 * 60 * 1000;
+
+test("validateOverride accepts runtime settings and recipe thresholds only", () => {
+  assert.deepEqual(validateOverride("alert_cooldown_minutes", " 45 ", recipes), {
+    ok: true,
+    key: "ALERT_COOLDOWN_MINUTES",
+    value: "45",
+  });
+  assert.match(validateOverride("ALERT_HEARTBEAT_KEY", "x", recipes).error, /not a runtime setting/);
+  assert.match(validateOverride("ALERT_SECRET", "x", recipes).error, /not a runtime setting/);
+  assert.equal(validateOverride("ALERT_COOLDOWN_MINUTES", "-5", recipes).error, "below min 0");
+  assert.equal(validateOverride("ALERT_RECIPE_SHORTLIST_SIZE", "2.5", recipes).error, "not an integer");
+  assert.equal(validateOverride("ALERT_COOLDOWN_MINUTES", "", recipes).error, "empty value");
+
+  assert.deepEqual(validateOverride(`recipe:${LONG}:symbolVsEth1hPct`, "-0.250", recipes), {
+    ok: true,
+    key: `recipe:${LONG}:symbolVsEth1hPct`,
+    value: "-0.25",
+  });
+  assert.match(validateOverride(`recipe:${LONG}:spreadBps`, "1", recipes).error, /no numeric condition/);
+  assert.match(validateOverride("recipe:nope:symbolVsEth1hPct", "1", recipes).error, /unknown recipe/);
+  assert.match(
+    validateOverride("recipe:swing_breadth_btc_oi_unwind_eth_lag_short:anomalyPattern", "1", recipes).error,
+    /no numeric condition/
+  );
+});
+
+test("a TTL override expires on read and is pruned with an expired audit row by the next write", async () => {
+  const redis = createMemoryRedis();
+  const now = 1_700_000_000_000;
+  const set = await setOverride(
+    redis,
+    { key: "ALERT_COOLDOWN_MINUTES", value: "5", ttlMinutes: 240, by: "ops", reason: "loosen for 4h" },
+    { recipes, now }
+  );
+  assert.equal(set.ok, true);
+  assert.equal(set.override.expires_at, now + 4 * HOUR);
+  assert.equal((await setOverride(redis, { key: "ALERT_COOLDOWN_MINUTES", value: "5" }, { recipes, now })).error, "missing by");
+
+  assert.deepEqual(Object.keys(await readOverrides(redis, now + HOUR)), ["ALERT_COOLDOWN_MINUTES"]);
+  assert.deepEqual(await readOverrides(redis, now + 5 * HOUR), {});
+
+  await setOverride(redis, { key: "ALERT_MIN_RR", value: "1.2", by: "ana" }, { recipes, now: now + 5 * HOUR });
+  const cleared = await clearOverride(redis, { key: "alert_min_rr", by: "ana" }, { now: now + 6 * HOUR });
+  assert.equal(cleared.cleared, true);
+  assert.equal((await clearOverride(redis, { key: "ALERT_MIN_RR", by: "ana" }, { now: now + 7 * HOUR })).cleared, false);
+
+  const audit = await readAudit(redis);
+  assert.deepEqual(
+    audit.map((r) => [r.ts - now, r.action, r.key, r.by, r.value, r.previous]),
+    [
+      [0, "set", "ALERT_COOLDOWN_MINUTES", "ops", "5", null],
+      [4 * HOUR, "expired", "ALERT_COOLDOWN_MINUTES", "ttl", null, "5"],
+      [5 * HOUR, "set", "ALERT_MIN_RR", "ana", "1.2", null],
+      [6 * HOUR, "clear", "ALERT_MIN_RR", "ana", null, "1.2"],
+    ]
+  );
+  assert.equal(audit[0].reason, "loosen for 4h");
+  assert.deepEqual(audit.map((r) => r.by_verified), [false, true, false, false]);
+  assert.deepEqual(await readOverrides(redis, now + 7 * HOUR), {});
+  assert.equal(await redis.exists("config:overrides"), 0);
+});
+
+test("overrides layer over env into CFG and change the config version until cleared", async () => {
+  const redis = createMemoryRedis();
+  const env = { ALERT_COOLDOWN_MINUTES: "30" };
+  const base = await loadRuntimeConfig(redis, { env });
+  assert.equal(base.values.ALERT_COOLDOWN_MINUTES, 30);
+
+  await setOverride(redis, { key: "ALERT_COOLDOWN_MINUTES", value: "10", by: "ops" }, { recipes });
+  await setOverride(redis, { key: `recipe:${LONG}:symbolVsEth1hPct`, value: "-0.2", by: "ops" }, { recipes });
+  const layered = await loadRuntimeConfig(redis, { env });
+  assert.equal(layered.values.ALERT_COOLDOWN_MINUTES, 10);
+  assert.equal(layered.entries.find((e) => e.key === "ALERT_COOLDOWN_MINUTES").source, "override");
+  assert.deepEqual(layered.thresholds, { [LONG]: { symbolVsEth1hPct: -0.2 } });
+  assert.notEqual(layered.version, base.version);
+  assert.match(layered.version, /^[0-9a-f]{12}$/);
+
+  const envCooldown = CFG.cooldownMinutes;
+  try {
+    applyRuntimeValues(layered.values);
+    assert.equal(CFG.cooldownMinutes, 10);
+  } finally {
+    applyRuntimeValues((await loadRuntimeConfig(createMemoryRedis())).values);
+  }
+  assert.equal(CFG.cooldownMinutes, envCooldown);
+
+  await clearOverride(redis, { key: "ALERT_COOLDOWN_MINUTES", by: "ops" });
+  await clearOverride(redis, { key: `recipe:${LONG}:symbolVsEth1hPct`, by: "ops" });
+  assert.equal((await loadRuntimeConfig(redis, { env })).version, base.version);
+});
+
+test("applyRecipeThresholds recompiles only the overridden condition", () => {
+  const t = { ctx: { symbolVsEth1hPct: -0.3, btc5mFunding15mAvg: 0.0001 } };
+  const long = (list) => list.find((r) => r.id === LONG);
+  assert.equal(long(recipes).matches(t), false);
+
+  const { recipes: out, applied, errors } = applyRecipeThresholds(recipes, { [LONG]: { symbolVsEth1hPct: -0.25 } });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(applied, [`${LONG}:symbolVsEth1hPct`]);
+  assert.equal(long(out).matches(t), true);
+  assert.equal(long(out).definition.when[1].value, 0.00008);
+  assert.equal(out.length, recipes.length);
+
+  const bad = applyRecipeThresholds(recipes, { [LONG]: { spreadBps: 1 } });
+  assert.equal(long(bad.recipes), long(recipes));
+  assert.equal(bad.errors.length, 1);
+});
+
+test("/api/overrides needs the secret, POST and an actor, and /api/config reports the override", async () => {
+  const saved = process.env.ALERT_SECRET;
+  process.env.ALERT_SECRET = "ov-test";
+  try {
+    const overrides = (await import("../api/overrides.js")).default;
+    const config = (await import("../api/config.js")).default;
+    const call = (query) => invokeHandler(overrides, { query: { key: "ov-test", ...query } });
+    const post = (body) => invokeHandler(overrides, { method: "POST", query: { key: "ov-test" }, body: JSON.stringify(body) });
+
+    assert.equal((await invokeHandler(overrides, { method: "POST", body: { set: "ALERT_MIN_RR", value: "1" } })).status, 401);
+    const viaGet = await call({ set: "ALERT_MIN_RR", value: "1", by: "ops" });
+    assert.deepEqual([viaGet.status, viaGet.body.error], [405, "method_not_allowed"]);
+    assert.equal((await call({ clear: "ALERT_MIN_RR", by: "ops" })).status, 405);
+    assert.equal((await post({})).body.error, "bad request");
+    assert.equal((await post({ set: "ALERT_MIN_RR", value: "1" })).body.error, "bad by");
+    assert.equal((await post({ set: "ALERT_MIN_RR", value: "1", by: "ops", ttl: "soon" })).body.error, "bad ttl");
+    const rejected = await post({ set: "ALERT_RUN_LOCK_SECONDS", value: "60", by: "ops" });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.error, "bad override");
+    assert.deepEqual(await readAudit(memory), []);
+
+    const before = (await call({})).body.config_version;
+    const sent = await post({ set: "ALERT_RECIPE_SHORTLIST_SIZE", value: "5", by: "ops", ttl: "4h", reason: "wider" });
+    assert.equal(sent.status, 200);
+    assert.deepEqual([sent.body.override.set_by, sent.body.override.by_verified], ["ops", false]);
+    assert.notEqual(sent.body.config_version, before);
+
+    const view = await invokeHandler(config, { query: { key: "ov-test", source: "override" } });
+    assert.deepEqual(view.body.entries.map((e) => [e.key, e.value]), [["ALERT_RECIPE_SHORTLIST_SIZE", 5]]);
+    assert.equal(view.body.config_version, sent.body.config_version);
+
+    const listed = (await call({})).body;
+    assert.deepEqual(listed.overrides.map((o) => [o.key, o.value, o.reason]), [["ALERT_RECIPE_SHORTLIST_SIZE", "5", "wider"]]);
+    assert.deepEqual(listed.audit.map((r) => r.action), ["set"]);
+
+    const cleared = await post({ clear: "ALERT_RECIPE_SHORTLIST_SIZE", by: "ops" });
+    assert.equal(cleared.body.cleared, true);
+    assert.equal(cleared.body.config_version, before);
+  } finally {
+    if (saved == null) delete process.env.ALERT_SECRET;
+    else process.env.ALERT_SECRET = saved;
+  }
+});
+
+test("clearing an override puts CFG back on env within the same process", async () => {
+  const saved = process.env.ALERT_SECRET;
+  process.env.ALERT_SECRET = "ov-test";
+  const envCfg = JSON.stringify(CFG);
+  // What /api/alert does at the start of every run on a warm instance.
+  const run = async () => applyRuntimeValues((await loadRuntimeConfig(memory)).values);
+  try {
+    const overrides = (await import("../api/overrides.js")).default;
+    const post = (body) => invokeHandler(overrides, { method: "POST", query: { key: "ov-test" }, body });
+
+    await post({ set: "ALERT_RECIPE_COOLDOWN_MINUTES_SCALP", value: "7", by: "ops" });
+    await post({ set: "ALERT_MIN_RR", value: "2.5", by: "ops" });
+    await run();
+    assert.equal(CFG.recipeRouting.cooldownMinutesByMode.scalp, 7);
+    assert.equal(CFG.minRR, 2.5);
+
+    await post({ clear: "ALERT_RECIPE_COOLDOWN_MINUTES_SCALP", by: "ops" });
+    await run();
+    assert.equal(CFG.minRR, 2.5);
+    await post({ clear: "ALERT_MIN_RR", by: "ops" });
+    await run();
+    assert.equal(JSON.stringify(CFG), envCfg);
+
+    // Keys a rebuild no longer produces don't linger either.
+    CFG.leftover = { stale: true };
+    applyRuntimeValues();
+    assert.equal("leftover" in CFG, false);
+  } finally {
+    applyRuntimeValues();
+    if (saved == null) delete process.env.ALERT_SECRET;
+    else process.env.ALERT_SECRET = saved;
+  }
+});
@@ -0,0 +1,120 @@
+// /test/config.test.js
+// lib/config.js schema resolution (types, ranges, aliases, unknown keys) and the /api/config view.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CONFIG_SCHEMA, parseValue, resolveConfig } from "../lib/config.js";
+import { invokeHandler } from "../lib/offline/invoke.js";
+
+const entry = (key) => CONFIG_SCHEMA.find((e) => e.key === key);
+const warningFor = (warnings, key) => warnings.filter((w) => w.key === key).map((w) => w.level);
+
+test("empty env resolves every setting to its default", () => {
+  const { values, entries, warnings } = resolveConfig({});
+  assert.deepEqual(warnings, []);
+  assert.equal(entries.length, CONFIG_SCHEMA.length);
+  assert.ok(entries.every((e) => e.source === "default"));
+  assert.equal(values.ALERT_COOLDOWN_MINUTES, 20);
+  assert.equal(values.ALERT_DPS_ENABLED, true);
+  assert.equal(values.ALERT_ANOMALY_TF, "15m");
+  assert.deepEqual(values.ALERT_FLOW_PERSISTS_TFS, ["5m", "15m", "30m"]);
+  assert.deepEqual(values.DEFAULT_SYMBOLS, []);
+});
+
+test("schema keys are unique and defaults parse against their own entry", () => {
+  const keys = CONFIG_SCHEMA.map((e) => e.key);
+  assert.equal(new Set(keys).size, keys.length);
+  for (const e of CONFIG_SCHEMA) {
+    if (e.type === "list" || e.secret || e.default === "") continue;
+    const raw = e.type === "bool" ? (e.default ? "1" : "0") : String(e.default);
+    assert.deepEqual(parseValue(e, raw), { value: e.default }, e.key);
+  }
+});
+
+test("typed parsing: numbers, ints, bools, enums, lists", () => {
+  assert.deepEqual(parseValue(entry("ALERT_COOLDOWN_MINUTES"), " 45 "), { value: 45 });
+  assert.equal(parseValue(entry("ALERT_COOLDOWN_MINUTES"), "2o").error, "not a number");
+  assert.equal(parseValue(entry("ALERT_RUN_LOCK_SECONDS"), "12.5").error, "not an integer");
+  assert.deepEqual(parseValue(entry("ALERT_DPS_ENABLED"), "false"), { value: false });
+  assert.deepEqual(parseValue(entry("ALERT_DPS_ENABLED"), "On"), { value: true });
+  assert.ok(parseValue(entry("ALERT_DPS_ENABLED"), "maybe").error);
+  assert.deepEqual(parseValue(entry("ALERT_ANOMALY_TF"), "1H"), { value: "1h" });
+  assert.ok(parseValue(entry("ALERT_ANOMALY_TF"), "2h").error);
+  assert.deepEqual(parseValue(entry("DEFAULT_SYMBOLS"), "btcusdt, ethusdt,,"), { value: ["BTCUSDT", "ETHUSDT"] });
+});
+
+test("invalid values fall back to the default, out-of-range numbers clamp", () => {
+  const { values, entries, warnings } = resolveConfig({
+    ALERT_COOLDOWN_MINUTES: "twenty",
+    ALERT_RUN_LOCK_SECONDS: "5",
+    SNAPSHOT_ORDER_BOOK_DEPTH: "500",
+    ALERT_FLOW_PERSISTS_TFS: "5m,2h,1h",
+  });
+  assert.equal(values.ALERT_COOLDOWN_MINUTES, 20);
+  assert.equal(entries.find((e) => e.key === "ALERT_COOLDOWN_MINUTES").source, "default");
+  assert.deepEqual(warningFor(warnings, "ALERT_COOLDOWN_MINUTES"), ["invalid"]);
+  assert.equal(values.ALERT_RUN_LOCK_SECONDS, 10);
+  assert.equal(values.SNAPSHOT_ORDER_BOOK_DEPTH, 100);
+  assert.deepEqual(warningFor(warnings, "SNAPSHOT_ORDER_BOOK_DEPTH"), ["clamped"]);
+  assert.deepEqual(values.ALERT_FLOW_PERSISTS_TFS, ["5m", "1h"]);
+  assert.deepEqual(warningFor(warnings, "ALERT_FLOW_PERSISTS_TFS"), ["invalid"]);
+});
+
+test("deprecated aliases apply when the canonical name is unset, once per alias", () => {
+  const { values, entries, warnings } = resolveConfig({
+    ALERT_MACRO_BTC_4H_PRICE_PCT_MIN: "1.25",
+    ALERT_RISK_BUDGET_PCT: "0.7",
+    ALERT_LEVERAGE_RISK_BUDGET_PCT_SWING: "2",
+    ALERT_EXT_CONTEXT_ENABLED: "0",
+  });
+  assert.equal(values.ALERT_MACRO_BTC_PRICE_PCT_MIN, 1.25);
+  const macro = entries.find((e) => e.key === "ALERT_MACRO_BTC_PRICE_PCT_MIN");
+  assert.equal(macro.source, "alias");
+  assert.equal(macro.alias, "ALERT_MACRO_BTC_4H_PRICE_PCT_MIN");
+  assert.equal(values.ALERT_LEVERAGE_RISK_BUDGET_PCT_SCALP, 0.7);
+  assert.equal(values.ALERT_LEVERAGE_RISK_BUDGET_PCT_SWING, 2);
+  assert.equal(values.ALERT_LEVERAGE_RISK_BUDGET_PCT_BUILD, 0.7);
+  assert.equal(values.ALERT_EXTERNAL_TELEMETRY_ENABLED, false);
+  assert.deepEqual(warningFor(warnings, "ALERT_RISK_BUDGET_PCT"), ["deprecated"]);
+  assert.match(warnings.find((w) => w.key === "ALERT_RISK_BUDGET_PCT").message, /ignored for ALERT_LEVERAGE_RISK_BUDGET_PCT_SWING/);
+  assert.deepEqual(warningFor(warnings, "ALERT_EXT_CONTEXT_ENABLED"), ["deprecated"]);
+});
+
+test("unknown and ignored prefixed keys are reported, other env is not", () => {
+  const { warnings } = resolveConfig({
+    ALERT_COOLDOWN_MINUTE: "5",
+    MULTI_DATASOURCE: "snapshot",
+    ALERT_EXT_CONTEXT_WEIGHT: "2",
+    DEFAULT_MODE: "swing",
+    PATH: "/usr/bin",
+    VERCEL_ENV: "production",
+  });
+  assert.deepEqual(warningFor(warnings, "ALERT_COOLDOWN_MINUTE"), ["unknown"]);
+  assert.deepEqual(warningFor(warnings, "MULTI_DATASOURCE"), ["unknown"]);
+  assert.deepEqual(warningFor(warnings, "ALERT_EXT_CONTEXT_WEIGHT"), ["ignored"]);
+  assert.deepEqual(warningFor(warnings, "DEFAULT_MODE"), ["deprecated"]);
+  assert.equal(warnings.length, 4);
+});
+
+test("/api/config needs the secret, redacts secrets and filters by scope", async () => {
+  const saved = { ...process.env };
+  Object.assign(process.env, { ALERT_SECRET: "cfg-test", ALERT_COOLDOWN_MINUTES: "30", ALERT_TYPO_KEY: "1" });
+  try {
+    const config = (await import("../api/config.js")).default;
+    assert.equal((await invokeHandler(config, { query: {} })).status, 401);
+    assert.equal((await invokeHandler(config, { query: { key: "cfg-test", scope: "nope" } })).status, 400);
+
+    const sent = await invokeHandler(config, { query: {}, headers: { authorization: "Bearer cfg-test" } });
+    assert.equal(sent.status, 200);
+    const secret = sent.body.entries.find((e) => e.key === "ALERT_SECRET");
+    assert.equal(secret.value, "(set)");
+    assert.ok(!JSON.stringify(sent.body).includes("cfg-test"));
+    assert.deepEqual(sent.body.warnings.filter((w) => w.key === "ALERT_TYPO_KEY").map((w) => w.level), ["unknown"]);
+
+    const alertOnly = await invokeHandler(config, { query: { key: "cfg-test", scope: "alert", source: "env" } });
+    assert.deepEqual(alertOnly.body.entries.map((e) => [e.key, e.value]), [["ALERT_COOLDOWN_MINUTES", 30]]);
+  } finally {
+    for (const k of Object.keys(process.env)) if (!(k in saved)) delete process.env[k];
+    Object.assign(process.env, saved);
+  }
+});
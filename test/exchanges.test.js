@@ -0,0 +1,155 @@
+// /test/exchanges.test.js
+// lib/exchanges adapters against recorded venue responses (test/fixtures/exchanges/*.json, keyed by URL path):
+// instrument filters, ticker / funding / OI / candle / book / history parsers, unit normalisation across venues,
+// and fetchVenueMarket / fetchVenueHistory driven through an injected fetchJson.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { ADAPTERS, fetchVenueMarket, fetchVenueHistory, resolveVenueOrder } from "../lib/exchanges/index.js";
+import { numOrNull, clampInt } from "../lib/exchanges/parse.js";
+
+const recorded = Object.fromEntries(
+  Object.keys(ADAPTERS).map((venue) => [
+    venue,
+    JSON.parse(fs.readFileSync(new URL(`./fixtures/exchanges/${venue}.json`, import.meta.url), "utf8")),
+  ])
+);
+
+// fetchJson that answers from the recording by path and logs what was asked.
+function replay(venue) {
+  const urls = [];
+  const fetchJson = async (url) => {
+    urls.push(url);
+    return recorded[venue].responses[new URL(url).pathname] ?? null;
+  };
+  return { fetchJson, urls };
+}
+
+const BTC_PRICE_RANGE = [96000, 96500];
+
+test("shared parse helpers: venue number strings and URL limits", () => {
+  assert.equal(numOrNull("0.0001034"), 0.0001034);
+  assert.equal(numOrNull(""), null);
+  assert.equal(numOrNull("  "), null);
+  assert.equal(numOrNull(null), null);
+  assert.equal(numOrNull("n/a"), null);
+  assert.equal(numOrNull(0), 0);
+  assert.equal(clampInt("13.9", 1, 300), 13);
+  assert.equal(clampInt(5000, 1, 300), 300);
+  assert.equal(clampInt("x", 1, 300), 1);
+});
+
+test("instrument lists keep USDT perpetuals only and carry contract size", () => {
+  const okx = ADAPTERS.okx.parseInstruments(recorded.okx.responses["/api/v5/public/instruments"]);
+  assert.deepEqual(okx, [
+    { instId: "BTC-USDT-SWAP", base: "BTC", ctVal: 0.01, ctValCcy: "BTC" },
+    { instId: "ETH-USDT-SWAP", base: "ETH", ctVal: 0.1, ctValCcy: "ETH" },
+  ]);
+  assert.deepEqual(ADAPTERS.binance.parseInstruments(recorded.binance.responses["/fapi/v1/exchangeInfo"]), [
+    { instId: "BTCUSDT", base: "BTC", ctVal: 1, ctValCcy: "BTC" },
+  ]);
+  assert.deepEqual(ADAPTERS.bybit.parseInstruments(recorded.bybit.responses["/v5/market/instruments-info"]), [
+    { instId: "BTCUSDT", base: "BTC", ctVal: 1, ctValCcy: "BTC" },
+  ]);
+  // Cached rows (already parsed) round-trip unchanged.
+  assert.deepEqual(ADAPTERS.okx.parseInstruments(okx), okx);
+  assert.equal(ADAPTERS.okx.parseInstruments({ code: "50011", msg: "rate limited" }), null);
+});
+
+for (const venue of Object.keys(ADAPTERS)) {
+  test(`${venue}: fetchVenueMarket parses ticker, funding, OI, candles and book from the recording`, async () => {
+    const adapter = ADAPTERS[venue];
+    const { fetchJson, urls } = replay(venue);
+    const market = await fetchVenueMarket(adapter, {
+      instId: recorded[venue].instId,
+      spotId: adapter.spotIdForBase("BTC"),
+      fetchJson,
+      bookDepth: 20,
+    });
+
+    assert.equal(market.ok, true);
+    assert.equal(market.venue, venue);
+    assert.ok(market.price > BTC_PRICE_RANGE[0] && market.price < BTC_PRICE_RANGE[1], String(market.price));
+    assert.ok(market.funding_rate > 0 && market.funding_rate < 0.001, String(market.funding_rate));
+    assert.ok(Number.isFinite(market.open_interest_contracts) && market.open_interest_contracts > 0);
+
+    // Candles: [ts, o, h, l, c] numbers, newest first on every venue, and the newest close is the ticker price area.
+    assert.equal(market.candles.length, 2);
+    for (const row of market.candles) {
+      assert.equal(row.length, 5);
+      assert.ok(row.every((x) => typeof x === "number" && Number.isFinite(x)), JSON.stringify(row));
+      assert.ok(row[2] >= Math.max(row[1], row[4]) && row[3] <= Math.min(row[1], row[4]), JSON.stringify(row));
+    }
+    assert.equal(market.candles[0][0], 1736174100000);
+    assert.ok(market.candles[0][0] > market.candles[1][0]);
+
+    assert.ok(market.book.bids.length > 0 && market.book.asks.length > 0);
+    assert.ok(Number(market.book.bids[0][0]) < Number(market.book.asks[0][0]));
+
+    // Bybit's ticker carries funding and OI: one request, not three.
+    if (venue === "bybit") assert.equal(urls.filter((u) => u.includes("/v5/market/tickers")).length, 1);
+  });
+
+  test(`${venue}: missing ticker / funding / OI / candles fails the venue`, async () => {
+    const adapter = ADAPTERS[venue];
+    const market = await fetchVenueMarket(adapter, { instId: recorded[venue].instId, fetchJson: async () => null });
+    assert.deepEqual(market, { ok: false, error: `${venue} fetch failed` });
+  });
+
+  test(`${venue}: OI / funding / candle history parse to ascending rows inside the window`, async () => {
+    const adapter = ADAPTERS[venue];
+    const { fetchJson } = replay(venue);
+    const args = { instId: recorded[venue].instId, fromTs: 1736173500000, toTs: 1736173800000, fetchJson };
+
+    const oi = await fetchVenueHistory(adapter, "openInterest", args);
+    assert.equal(oi.ok, true);
+    assert.deepEqual(oi.rows.map((r) => r.ts), [1736173500000, 1736173800000]);
+    assert.ok(oi.rows.every((r) => Number.isFinite(r.oi) && r.oi > 0));
+
+    const candles = await fetchVenueHistory(adapter, "candles", args);
+    assert.deepEqual(candles.rows.map((r) => r[0]), venue === "okx" ? [1736173500000, 1736173800000] : [1736173800000]);
+
+    const funding = await fetchVenueHistory(adapter, "funding", { ...args, fromTs: 1736150400000 });
+    assert.deepEqual(funding.rows.map((r) => [r.ts, r.fr]), [[1736150400000, venue === "okx" ? 0.0000987 : 0.0001]]);
+
+    const failed = await fetchVenueHistory(adapter, "openInterest", { ...args, fetchJson: async () => null });
+    assert.deepEqual([failed.ok, failed.rows], [false, []]);
+  });
+}
+
+test("OI normalises to base coin with ctVal: OKX contracts x 0.01 = BTC, Binance / Bybit are already BTC", async () => {
+  const instruments = {
+    okx: ADAPTERS.okx.parseInstruments(recorded.okx.responses["/api/v5/public/instruments"]),
+    binance: ADAPTERS.binance.parseInstruments(recorded.binance.responses["/fapi/v1/exchangeInfo"]),
+    bybit: ADAPTERS.bybit.parseInstruments(recorded.bybit.responses["/v5/market/instruments-info"]),
+  };
+  const baseOi = {};
+  for (const venue of Object.keys(ADAPTERS)) {
+    const { ctVal, ctValCcy } = instruments[venue].find((r) => r.instId === recorded[venue].instId);
+    assert.equal(ctValCcy, "BTC");
+    const { open_interest_contracts } = ADAPTERS[venue].parseOpenInterest(
+      recorded[venue].responses[new URL(ADAPTERS[venue].urls.openInterest(recorded[venue].instId)).pathname]
+    );
+    baseOi[venue] = open_interest_contracts * ctVal;
+  }
+
+  // OKX's own oiCcy is the same OI in BTC.
+  const okxRow = recorded.okx.responses["/api/v5/public/open-interest"].data[0];
+  assert.ok(Math.abs(baseOi.okx - Number(okxRow.oiCcy)) < 1e-6, `${baseOi.okx} vs ${okxRow.oiCcy}`);
+  assert.equal(ADAPTERS.okx.parseOpenInterest(recorded.okx.responses["/api/v5/public/open-interest"]).open_interest_contracts, 2812345.6);
+  assert.equal(baseOi.binance, 81234.567);
+  assert.equal(baseOi.bybit, 60123.456);
+  // Same order of magnitude in base units; raw OKX contracts would be ~100x off.
+  for (const venue of ["binance", "bybit"]) {
+    assert.ok(baseOi[venue] / baseOi.okx > 0.5 && baseOi[venue] / baseOi.okx < 5, venue);
+  }
+});
+
+test("URL builders clamp limits to each venue's range", () => {
+  assert.match(ADAPTERS.okx.urls.candles("BTC-USDT-SWAP", 5000), /limit=300$/);
+  assert.match(ADAPTERS.binance.urls.book("BTCUSDT", 30), /limit=50$/);
+  assert.match(ADAPTERS.bybit.urls.openInterestHistory("BTCUSDT", 1736173800000, 900), /limit=200$/);
+  assert.deepEqual(resolveVenueOrder("bybit,nope,bybit").map((a) => a.venue), ["bybit"]);
+  assert.deepEqual(resolveVenueOrder("").map((a) => a.venue), ["okx", "binance", "bybit"]);
+});
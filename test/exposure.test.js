@@ -0,0 +1,92 @@
+// /test/exposure.test.js
+// Exposure guard maths (lib/exposure.js): gaps in seriesReturns, the minOverlap floor for correlation / beta, and
+// checkExposure's same-side filter, unknown beta counting as 1, and both cap reasons.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { seriesReturns, returnCorrelation, betaTo, checkExposure } from "../lib/exposure.js";
+
+const START = 5_900_000;
+
+// prices[i] is the close of bucket START + i; null leaves the bucket out.
+const points = (prices) => prices.map((p, i) => (p == null ? null : { b: START + i, p })).filter(Boolean);
+const returnsOf = (prices) => seriesReturns(points(prices));
+
+const cfg = (over = {}) => ({
+  lookbackPoints: 48,
+  minOverlap: 3,
+  corrMax: 0.8,
+  maxCorrelated: 2,
+  maxSameSideBeta: 0,
+  ...over,
+});
+
+test("seriesReturns only chains adjacent buckets, so a gap never yields a multi-bar return", () => {
+  const r = returnsOf([100, 101, null, 103, 103, 0, 104]);
+  assert.deepEqual([...r.keys()], [START + 1, START + 4]);
+  assert.ok(Math.abs(r.get(START + 1) - 0.01) < 1e-12);
+  assert.equal(r.get(START + 4), 0);
+
+  // Unsorted input and non-positive prices are handled the same way.
+  const shuffled = seriesReturns([{ b: START + 1, p: 110 }, { b: START, p: 100 }, { b: START + 2, p: -1 }]);
+  assert.deepEqual([...shuffled.entries()].map(([b, v]) => [b, Math.round(v * 100) / 100]), [[START + 1, 0.1]]);
+});
+
+test("correlation and beta need minOverlap shared bars and a moving series", () => {
+  const btc = returnsOf([100, 101, 100, 102, 101, 103]);
+  const twice = returnsOf([100, 102, 100.0198, 104.0594, 102.0192, 106.0592]);
+  const corr = returnCorrelation(twice, btc, 3);
+  assert.ok(corr > 0.99, String(corr));
+  assert.ok(Math.abs(betaTo(twice, btc, 3) - 2) < 0.01);
+
+  // Only 2 bars overlap once the gap splits the candidate's chain.
+  const gappy = returnsOf([100, 102, null, null, 101, 103]);
+  assert.equal(returnCorrelation(gappy, btc, 3), null);
+  assert.equal(betaTo(gappy, btc, 3), null);
+  assert.notEqual(returnCorrelation(gappy, btc, 2), null);
+
+  const flat = returnsOf([100, 100, 100, 100, 100, 100]);
+  assert.equal(returnCorrelation(flat, btc, 3), null);
+  assert.equal(betaTo(btc, flat, 3), null);
+});
+
+test("the beta cap counts same-side holdings only, with unknown beta as 1", () => {
+  const candidate = { symbol: "SOLUSDT", side: "long", beta: 1.2 };
+  const held = [
+    { symbol: "ETHUSDT", side: "long", beta: null, source: "run" },
+    { symbol: "DOGEUSDT", side: "short", beta: 3, source: "paper" },
+  ];
+
+  // 1 (unknown) + 1.2 = 2.2; the short DOGE is ignored.
+  const capped = checkExposure(candidate, held, cfg({ maxSameSideBeta: 2 }));
+  assert.equal(capped.reason, "exposure_cap");
+  assert.deepEqual([capped.detail.same_side_beta, capped.detail.same_side_held], [2.2, 1]);
+
+  assert.deepEqual(checkExposure(candidate, held, cfg({ maxSameSideBeta: 2.5 })), { ok: true, sameSideBeta: 2.2, correlated: [] });
+  // Nothing held on the same side: the candidate alone never trips the cap.
+  assert.equal(checkExposure({ ...candidate, beta: 9 }, held.slice(1), cfg({ maxSameSideBeta: 2 })).ok, true);
+  // 0 = no cap.
+  assert.equal(checkExposure(candidate, held, cfg()).ok, true);
+});
+
+test("the correlation cap trips at maxCorrelated same-side holdings at or above corrMax", () => {
+  const base = [100, 101, 100, 102, 101, 103];
+  const returns = returnsOf(base);
+  const alike = returnsOf(base.map((p) => p * 2));
+  const unrelated = returnsOf([100, 100.5, 101, 100.8, 101.5, 101]);
+  const candidate = { symbol: "SOLUSDT", side: "long", returns };
+  const held = [
+    { symbol: "ETHUSDT", side: "long", returns: alike, source: "run" },
+    { symbol: "AVAXUSDT", side: "long", returns: unrelated, source: "lifecycle" },
+    { symbol: "LINKUSDT", side: "short", returns: alike, source: "paper" },
+  ];
+
+  const one = checkExposure(candidate, held, cfg());
+  assert.equal(one.ok, true);
+  assert.deepEqual(one.correlated, [{ symbol: "ETHUSDT", source: "run", correlation: 1 }]);
+
+  const capped = checkExposure(candidate, [...held, { instId: "ADA-USDT-SWAP", side: "LONG", returns: alike, source: "paper" }], cfg());
+  assert.equal(capped.reason, "correlation_cap");
+  assert.deepEqual(capped.detail.corr_with.map((c) => c.symbol), ["ETHUSDT", "ADA-USDT-SWAP"]);
+  assert.deepEqual([capped.detail.corr_max, capped.detail.max_correlated, capped.detail.same_side_held], [0.8, 2, 3]);
+});
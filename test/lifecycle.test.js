@@ -0,0 +1,148 @@
+// /test/lifecycle.test.js
+// lib/lifecycle.js follow-ups: overlapping runs send and record each state once, a send no destination accepts
+// is retried on the next run, and an alert with no Telegram target is followed without claims or records.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { installFetchRouter, jsonResponse } from "../lib/offline/invoke.js";
+import { LIFECYCLE_KEYS, watchLifecycle, runLifecycleFollowUps } from "../lib/lifecycle.js";
+
+const BUCKET_MS = 5 * 60 * 1000;
+const ENTRY_BUCKET = 5_700_000;
+
+const keys = {
+  lastFiredAlert: (instId, mode) => `alert:lastFiredAlert:${instId}:${mode}`,
+  series5m: (instId) => `series5m:${instId}`,
+};
+
+const TG = [{ id: "tg", type: "telegram", botToken: "T", chatId: "C", route: {} }];
+const point = (b, p, h, l) => JSON.stringify({ b, p, h, l });
+
+// Telegram stub: status(n) gives the HTTP status of the n-th sendMessage (1-based); returns the reply texts.
+function telegram({ status = () => 200 } = {}) {
+  const texts = [];
+  let n = 0;
+  const router = installFetchRouter([
+    {
+      match: (url) => url.host === "api.telegram.org",
+      handle: async (url, init) => {
+        n += 1;
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        const code = status(n);
+        if (code !== 200) return jsonResponse({ ok: false, description: "Bad Gateway" }, code);
+        texts.push(JSON.parse(init.body).text);
+        return jsonResponse({ ok: true, result: { message_id: 100 + n } });
+      },
+    },
+  ]);
+  return { texts, restore: router.restore };
+}
+
+async function watchAlert(redis, over = {}) {
+  const alert = {
+    alertId: "L1",
+    symbol: "ETHUSDT",
+    mode: "scalp",
+    side: "long",
+    ts: ENTRY_BUCKET * BUCKET_MS,
+    entryPrice: 100,
+    stopLoss: 97,
+    tpPrice: 104,
+    invalidationPrice: 99,
+    dueTs: (ENTRY_BUCKET + 12) * BUCKET_MS,
+    replyTo: [{ destination: "tg", message_id: 7 }],
+    ...over,
+  };
+  await redis.set(keys.lastFiredAlert("ETH-USDT-SWAP", "scalp"), JSON.stringify(alert));
+  await watchLifecycle(redis, [{ alert_id: alert.alertId, instId: "ETH-USDT-SWAP", mode: "scalp" }]);
+  return alert;
+}
+
+test("overlapping runs record each follow-up once and keep it across record rewrites", async () => {
+  const redis = createMemoryRedis();
+  await watchAlert(redis);
+  await redis.rpush(keys.series5m("ETH-USDT-SWAP"), point(ENTRY_BUCKET + 1, 99.5, 100.2, 98.8));
+
+  const now = (ENTRY_BUCKET + 1) * BUCKET_MS + 30_000;
+  const tg = telegram();
+  try {
+    const runs = await Promise.all([
+      runLifecycleFollowUps(redis, { keys, destinations: TG, now }),
+      runLifecycleFollowUps(redis, { keys, destinations: TG, now }),
+    ]);
+    assert.deepEqual(runs.flatMap((r) => r.followups.map((f) => f.state)), ["INVALIDATED"]);
+
+    // TP on the next bucket: the earlier follow-up survives the record rewrites and is not re-detected.
+    await redis.rpush(keys.series5m("ETH-USDT-SWAP"), point(ENTRY_BUCKET + 2, 104.5, 105, 101));
+    const later = await runLifecycleFollowUps(redis, { keys, destinations: TG, now: now + BUCKET_MS });
+    assert.deepEqual(later.followups.map((f) => f.state), ["TP_HIT"]);
+    assert.equal(later.finished, 1);
+  } finally {
+    tg.restore();
+  }
+  assert.equal(tg.texts.length, 2);
+
+  const followups = await redis.lrange(LIFECYCLE_KEYS.followups("L1"), 0, -1);
+  assert.deepEqual(followups.map((f) => [f.state, f.sent[0].ok, f.sent[0].message_id]), [
+    ["INVALIDATED", true, 101],
+    ["TP_HIT", true, 102],
+  ]);
+  assert.equal((await redis.get(LIFECYCLE_KEYS.record("L1"))).state, "TP_HIT");
+  assert.equal(await redis.hgetall(LIFECYCLE_KEYS.watch()), null);
+});
+
+test("a follow-up no destination accepts releases its claim and is sent on the next run", async () => {
+  const redis = createMemoryRedis();
+  await watchAlert(redis);
+  await redis.rpush(keys.series5m("ETH-USDT-SWAP"), point(ENTRY_BUCKET + 1, 99.5, 100.2, 98.8));
+  await redis.rpush(keys.series5m("ETH-USDT-SWAP"), point(ENTRY_BUCKET + 2, 96.5, 98.9, 96.5));
+  const now = (ENTRY_BUCKET + 2) * BUCKET_MS + 30_000;
+
+  // INVALIDATED goes out, the stop on the next bucket hits a 502.
+  const flaky = telegram({ status: (n) => (n === 2 ? 502 : 200) });
+  let failed;
+  try {
+    failed = await runLifecycleFollowUps(redis, { keys, destinations: TG, now });
+  } finally {
+    flaky.restore();
+  }
+  assert.deepEqual(failed.followups.map((f) => [f.state, !!f.retry]), [["INVALIDATED", false], ["STOP_HIT", true]]);
+  assert.equal(failed.finished, 0);
+  assert.equal(await redis.get(LIFECYCLE_KEYS.claim("L1", "STOP_HIT")), null);
+  assert.equal((await redis.get(LIFECYCLE_KEYS.record("L1"))).state, "INVALIDATED");
+  assert.equal((await redis.hgetall(LIFECYCLE_KEYS.watch()))["ETH-USDT-SWAP:scalp"], "L1");
+
+  const ok = telegram();
+  let retried;
+  try {
+    retried = await runLifecycleFollowUps(redis, { keys, destinations: TG, now: now + 60_000 });
+  } finally {
+    ok.restore();
+  }
+  assert.deepEqual(retried.followups.map((f) => f.state), ["STOP_HIT"]);
+  assert.equal(retried.finished, 1);
+  assert.equal(ok.texts.length, 1);
+  assert.match(ok.texts[0], /^🛑 Stop hit/);
+  const followups = await redis.lrange(LIFECYCLE_KEYS.followups("L1"), 0, -1);
+  assert.deepEqual(followups.map((f) => f.state), ["INVALIDATED", "STOP_HIT"]);
+});
+
+test("an alert with no Telegram target advances without claiming or recording follow-ups", async () => {
+  const redis = createMemoryRedis();
+  await watchAlert(redis, { alertId: "L2", replyTo: [] });
+  await redis.rpush(keys.series5m("ETH-USDT-SWAP"), point(ENTRY_BUCKET + 1, 104.5, 105, 101));
+
+  const tg = telegram();
+  let out;
+  try {
+    out = await runLifecycleFollowUps(redis, { keys, destinations: TG, now: (ENTRY_BUCKET + 1) * BUCKET_MS + 30_000 });
+  } finally {
+    tg.restore();
+  }
+  assert.deepEqual([out.watched, out.followups, out.finished], [1, [], 1]);
+  assert.equal(tg.texts.length, 0);
+  assert.equal(await redis.get(LIFECYCLE_KEYS.claim("L2", "TP_HIT")), null);
+  assert.deepEqual(await redis.lrange(LIFECYCLE_KEYS.followups("L2"), 0, -1), []);
+  assert.equal((await redis.get(LIFECYCLE_KEYS.record("L2"))).state, "TP_HIT");
+});
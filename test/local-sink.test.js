@@ -0,0 +1,76 @@
+// /test/local-sink.test.js
+// ANALYTICS_LOCAL_SINK (lib/local-sink.js): spec parsing and the JSONL writer (append-only lines, created
+// directories, failures returned instead of thrown).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseSinkSpec, writeLocalSink } from "../lib/local-sink.js";
+
+function withSink(spec, fn) {
+  const saved = process.env.ANALYTICS_LOCAL_SINK;
+  process.env.ANALYTICS_LOCAL_SINK = spec;
+  try {
+    return fn();
+  } finally {
+    if (saved == null) delete process.env.ANALYTICS_LOCAL_SINK;
+    else process.env.ANALYTICS_LOCAL_SINK = saved;
+  }
+}
+
+test("parseSinkSpec accepts jsonl: / sqlite: paths only", () => {
+  assert.equal(parseSinkSpec(""), null);
+  assert.deepEqual(parseSinkSpec(" JSONL:data/a.jsonl "), { kind: "jsonl", file: path.resolve("data/a.jsonl") });
+  assert.equal(parseSinkSpec("sqlite:/tmp/a.db").kind, "sqlite");
+  for (const bad of ["csv:/tmp/a.csv", "jsonl:", "/tmp/a.jsonl"]) assert.match(parseSinkSpec(bad).error, /expected jsonl:<path>/, bad);
+});
+
+test("the JSONL sink appends one { sink_ts, kind, ...row } line per row", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "local-sink-"));
+  const file = path.join(dir, "nested", "analytics.jsonl");
+  try {
+    withSink(`jsonl:${file}`, () => {
+      assert.deepEqual(writeLocalSink([{ alert_id: "a1", symbol: "BTCUSDT" }, { alert_id: "a2" }], "alert", 1000), {
+        ok: true,
+        status: "written",
+        written: 2,
+        error: null,
+      });
+      assert.equal(writeLocalSink([], "alert", 2000).written, 0);
+      writeLocalSink([{ alert_id: "a1", result: "WIN" }], "outcome_update", 3000);
+    });
+
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+    assert.equal(lines.pop(), "");
+    assert.deepEqual(lines.map((l) => JSON.parse(l)), [
+      { sink_ts: 1000, kind: "alert", alert_id: "a1", symbol: "BTCUSDT" },
+      { sink_ts: 1000, kind: "alert", alert_id: "a2" },
+      { sink_ts: 3000, kind: "outcome_update", alert_id: "a1", result: "WIN" },
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a bad spec or an unwritable path is reported, never thrown; no spec is disabled", () => {
+  assert.deepEqual(withSink("", () => writeLocalSink([{ alert_id: "a1" }])), { ok: true, status: "disabled", written: 0, error: null });
+
+  const bad = withSink("csv:/tmp/a.csv", () => writeLocalSink([{ alert_id: "a1" }]));
+  assert.deepEqual([bad.ok, bad.status], [false, "failed"]);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "local-sink-"));
+  const blocker = path.join(dir, "file");
+  fs.writeFileSync(blocker, "");
+  const realError = console.error;
+  console.error = () => {};
+  try {
+    const failed = withSink(`jsonl:${path.join(blocker, "analytics.jsonl")}`, () => writeLocalSink([{ alert_id: "a1" }]));
+    assert.deepEqual([failed.ok, failed.status, failed.written], [false, "failed", 0]);
+    assert.ok(failed.error);
+  } finally {
+    console.error = realError;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,114 @@
+// /test/metrics.test.js
+// lib/metrics.js: series keys, OpenMetrics rendering and counters accumulating across requests in Redis; the
+// /api/multi samples and the /api/metrics handler (auth, content type).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setRedisClient } from "../lib/redis.js";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { installFakeClock } from "../lib/offline/clock.js";
+import { invokeHandler } from "../lib/offline/invoke.js";
+import { BUCKET_MS } from "../lib/series5m.js";
+import { METRIC_KEYS, seriesKey, recordMetrics, runSamples, renderMetrics } from "../lib/metrics.js";
+
+test("seriesKey sorts labels, drops empty ones and escapes values", () => {
+  assert.equal(seriesKey("gateway_okx_http_calls"), "gateway_okx_http_calls");
+  assert.equal(
+    seriesKey("gateway_snapshot_fetches", { symbol: "BTCUSDT", result: "ok", venue: "" }),
+    'gateway_snapshot_fetches{result="ok",symbol="BTCUSDT"}'
+  );
+  assert.equal(seriesKey("x", { a: 'say "hi"\\n' }), 'x{a="say \\"hi\\"\\\\n"}');
+});
+
+test("counters accumulate across writes and render as OpenMetrics", async () => {
+  const redis = createMemoryRedis();
+  await recordMetrics(redis, {
+    counters: [
+      ["gateway_snapshot_fetches", { symbol: "ETHUSDT", result: "ok" }, 1],
+      ["gateway_okx_http_calls", {}, 4],
+      ["gateway_okx_http_failures", {}, 0],
+    ],
+    gauges: [["gateway_series_length", { symbol: "ETHUSDT" }, 12]],
+    durations: [[{ handler: "snapshot" }, 1250]],
+  });
+  await recordMetrics(redis, {
+    ...runSamples("snapshot", { startedAt: 1_700_000_000_000, now: 1_700_000_000_750, ok: false }),
+    counters: [
+      ["gateway_snapshot_fetches", { symbol: "ETHUSDT", result: "ok" }, 1],
+      ["gateway_okx_http_calls", {}, 2],
+    ],
+  });
+  await redis.hset(METRIC_KEYS.counters, { "gateway_retired_metric": "9" });
+
+  assert.equal(
+    await renderMetrics(redis),
+    [
+      "# TYPE gateway_snapshot_fetches counter",
+      "# HELP gateway_snapshot_fetches Snapshot fetches per symbol (result=ok|error)",
+      'gateway_snapshot_fetches_total{result="ok",symbol="ETHUSDT"} 2',
+      "# TYPE gateway_okx_http_calls counter",
+      "# HELP gateway_okx_http_calls OKX REST calls made by /api/multi",
+      "gateway_okx_http_calls_total 6",
+      "# TYPE gateway_series_length gauge",
+      "# HELP gateway_series_length Stored series5m points per symbol after the last /api/multi",
+      'gateway_series_length{symbol="ETHUSDT"} 12',
+      "# TYPE gateway_run_duration_seconds summary",
+      "# UNIT gateway_run_duration_seconds seconds",
+      "# HELP gateway_run_duration_seconds Handler run time",
+      'gateway_run_duration_seconds_count{handler="snapshot"} 2',
+      'gateway_run_duration_seconds_sum{handler="snapshot"} 2',
+      "# TYPE gateway_last_run_timestamp_seconds gauge",
+      "# UNIT gateway_last_run_timestamp_seconds seconds",
+      "# HELP gateway_last_run_timestamp_seconds When each handler last finished",
+      'gateway_last_run_timestamp_seconds{handler="snapshot"} 1700000000',
+      "# TYPE gateway_last_run_ok gauge",
+      "# HELP gateway_last_run_ok 1 when the handler's last run succeeded",
+      'gateway_last_run_ok{handler="snapshot"} 0',
+      "# EOF",
+      "",
+    ].join("\n")
+  );
+  assert.equal(await renderMetrics(createMemoryRedis()), "# EOF\n");
+});
+
+test("/api/multi records snapshot reads, lag and series length; /api/metrics serves them", async () => {
+  const memory = createMemoryRedis();
+  setRedisClient(memory);
+  const bucket = 5_700_000;
+  const clock = installFakeClock(bucket * BUCKET_MS + 60_000);
+  const saved = process.env.ALERT_SECRET;
+  process.env.ALERT_SECRET = "metrics-test";
+  try {
+    const snap = { ts: (bucket - 1) * BUCKET_MS, price: 100, high: 101, low: 99, open: 100, open_interest_contracts: 5000 };
+    await memory.set(`snap5m:BTC-USDT-SWAP:${bucket - 1}`, JSON.stringify(snap));
+
+    const multi = (await import("../api/multi.js")).default;
+    const metrics = (await import("../api/metrics.js")).default;
+    const query = { symbols: "BTCUSDT,ETHUSDT", source: "snapshot" };
+    assert.equal((await invokeHandler(multi, { query })).status, 200);
+    clock.advance(2_000);
+    assert.equal((await invokeHandler(multi, { query })).status, 200);
+
+    assert.equal((await invokeHandler(metrics, { query: {} })).status, 401);
+    const sent = await invokeHandler(metrics, { query: {}, headers: { authorization: "Bearer metrics-test" } });
+    assert.equal(sent.status, 200);
+    assert.match(sent.headers["content-type"], /^application\/openmetrics-text; version=1\.0\.0/);
+    const lines = sent.body.split("\n");
+    for (const line of [
+      'gateway_multi_snapshot_reads_total{result="lagged"} 2',
+      'gateway_multi_snapshot_reads_total{result="miss"} 2',
+      'gateway_snapshot_lag_buckets{symbol="BTCUSDT"} 1',
+      'gateway_series_length{symbol="BTCUSDT"} 1',
+      'gateway_run_duration_seconds_count{handler="multi"} 2',
+      'gateway_last_run_ok{handler="multi"} 0',
+    ]) {
+      assert.ok(lines.includes(line), line);
+    }
+    assert.ok(!sent.body.includes("gateway_okx_http_calls_total"));
+    assert.ok(!sent.body.includes('symbol="ETHUSDT"'));
+  } finally {
+    clock.restore();
+    if (saved == null) delete process.env.ALERT_SECRET;
+    else process.env.ALERT_SECRET = saved;
+  }
+});
@@ -0,0 +1,121 @@
+// /test/multi-derivations.test.js
+// classifyState / computeTfDeltas / computeBuildRegime from api/multi.js.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { setRedisClient } from "../lib/redis.js";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+
+// Handlers bind their Redis client at import; keep the suite offline.
+setRedisClient(createMemoryRedis());
+const { classifyState, computeTfDeltas, computeBuildRegime } = await import("../api/multi.js");
+
+const deltaCases = JSON.parse(fs.readFileSync(new URL("./fixtures/tf-deltas.json", import.meta.url), "utf8")).cases;
+
+function assertClose(actual, expected, label) {
+  if (expected === null || typeof expected !== "number") {
+    assert.deepEqual(actual, expected, label);
+    return;
+  }
+  assert.ok(Number.isFinite(actual) && Math.abs(actual - expected) < 1e-9, `${label}: ${actual} != ${expected}`);
+}
+
+// Price path reflected around the first finite price (direction flips); OI / funding untouched.
+function mirrorPrices(points) {
+  const ref = points.map((pt) => pt.p).find((p) => Number.isFinite(p));
+  return points.map((pt) => (Number.isFinite(pt.p) ? { ...pt, p: 2 * ref - pt.p } : { ...pt }));
+}
+
+test("classifyState covers all four quadrants and missing inputs", () => {
+  assert.equal(classifyState(1, 1), "longs opening");
+  assert.equal(classifyState(-1, 1), "shorts opening");
+  assert.equal(classifyState(1, -1), "shorts closing");
+  assert.equal(classifyState(-1, -1), "longs closing");
+  assert.equal(classifyState(null, 1), "unknown");
+  assert.equal(classifyState(1, null), "unknown");
+  // Flat counts as "not up".
+  assert.equal(classifyState(0, 0), "longs closing");
+});
+
+for (const c of deltaCases) {
+  test(`computeTfDeltas: ${c.name}`, () => {
+    const out = computeTfDeltas(c.points, c.tf, 0.0001);
+    assert.equal(out.tf, c.tf);
+    for (const [key, expected] of Object.entries(c.expect)) assertClose(out[key], expected, key);
+    if (out.warmup) assert.equal(out.degraded, false, "warmup is never also degraded");
+  });
+}
+
+test("computeTfDeltas: mirrored price path flips lean and keeps window metadata", () => {
+  const flip = { long: "short", short: "long", neutral: "neutral" };
+  for (const c of deltaCases) {
+    const up = computeTfDeltas(c.points, c.tf, null);
+    const down = computeTfDeltas(mirrorPrices(c.points), c.tf, null);
+    assert.equal(down.warmup, up.warmup, c.name);
+    assert.equal(down.degraded, up.degraded, c.name);
+    assert.equal(down.span_buckets, up.span_buckets, c.name);
+    assert.equal(down.gap_buckets, up.gap_buckets, c.name);
+    if (up.price_change_pct != null && up.price_change_pct !== 0) {
+      assert.equal(Math.sign(down.price_change_pct), -Math.sign(up.price_change_pct), c.name);
+      assert.equal(down.lean, flip[up.lean], c.name);
+    }
+  }
+});
+
+test("computeTfDeltas: neutral why mentions funding only when it is finite", () => {
+  const pts = [{ b: 103, p: 101, oi: 1010 }];
+  assert.match(computeTfDeltas(pts, "5m", 0.0002).why, /funding slightly positive/);
+  assert.match(computeTfDeltas(pts, "5m", -0.0002).why, /funding slightly negative/);
+  assert.equal(computeTfDeltas(pts, "5m", NaN).why, "Not enough change data yet.");
+});
+
+// n points, price and OI moving linearly from start to end, flat funding.
+function regimeSeries(n, { p0, p1, oi0, oi1, fr = 0.0001 }) {
+  return Array.from({ length: n }, (_, i) => {
+    const k = n > 1 ? i / (n - 1) : 0;
+    return { p: p0 + (p1 - p0) * k, oi: oi0 + (oi1 - oi0) * k, fr };
+  });
+}
+
+test("computeBuildRegime: warmup below 200 usable points", () => {
+  const out = computeBuildRegime(regimeSeries(199, { p0: 100, p1: 110, oi0: 1000, oi1: 1050 }));
+  assert.equal(out.ok, false);
+  assert.equal(out.warmup, true);
+  assert.equal(out.regime, "neutral");
+  assert.equal(computeBuildRegime(null).warmup, true);
+});
+
+test("computeBuildRegime: NaN prices don't count toward warmup", () => {
+  const pts = regimeSeries(199, { p0: 100, p1: 110, oi0: 1000, oi1: 1050 });
+  pts.push({ p: NaN, oi: 1050, fr: 0.0001 }, null, { p: "101", oi: 1050 });
+  assert.equal(computeBuildRegime(pts).warmup, true);
+  pts.push({ p: 110, oi: 1050, fr: 0.0001 });
+  assert.equal(computeBuildRegime(pts).warmup, false);
+});
+
+test("computeBuildRegime: steady rise with OI build is accumulate", () => {
+  const out = computeBuildRegime(regimeSeries(864, { p0: 100, p1: 102, oi0: 1000, oi1: 1040 }));
+  assert.equal(out.ok, true);
+  assert.equal(out.regime, "accumulate");
+  assert.equal(out.flags.waterfall_risk, false);
+  assert.equal(out.inputs.points72, 864);
+  assert.ok(out.score >= 30);
+});
+
+test("computeBuildRegime: falling price into rising OI is avoid with waterfall risk", () => {
+  const out = computeBuildRegime(regimeSeries(864, { p0: 100, p1: 88, oi0: 1000, oi1: 1050 }));
+  assert.equal(out.ok, true);
+  assert.equal(out.regime, "avoid");
+  assert.equal(out.flags.waterfall_risk, true);
+  assert.ok(out.reasons.some((r) => r.startsWith("Waterfall risk")));
+});
+
+test("computeBuildRegime: missing OI and funding still scores on price alone", () => {
+  const pts = regimeSeries(300, { p0: 100, p1: 101, oi0: 0, oi1: 0 }).map((pt) => ({ p: pt.p }));
+  const out = computeBuildRegime(pts);
+  assert.equal(out.ok, true);
+  assert.equal(out.inputs.oiChg72, null);
+  assert.equal(out.inputs.fr_z72, null);
+  assert.equal(out.score, 35);
+});
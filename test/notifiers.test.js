@@ -0,0 +1,111 @@
+// /test/notifiers.test.js
+// ALERT_DESTINATIONS (lib/notifiers.js): parsing and the Telegram-only fallback on a bad config, route matching
+// by recipes / modes / sides, and deliverAlertGroup fan-out with per-destination results.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { installFetchRouter, jsonResponse } from "../lib/offline/invoke.js";
+import { loadDestinations, routeMatches, deliverAlertGroup } from "../lib/notifiers.js";
+
+const TELEGRAM_ONLY = [{ id: "telegram", type: "telegram", route: {} }];
+
+test("a bad ALERT_DESTINATIONS falls back to Telegram only and says why", () => {
+  assert.deepEqual(loadDestinations(undefined), { destinations: TELEGRAM_ONLY, source: "default", errors: [] });
+  assert.deepEqual(loadDestinations("  ").source, "default");
+
+  const invalidJson = loadDestinations("[{");
+  assert.deepEqual([invalidJson.destinations, invalidJson.source], [TELEGRAM_ONLY, "default"]);
+  assert.match(invalidJson.errors[0], /^ALERT_DESTINATIONS: invalid JSON/);
+
+  assert.deepEqual(loadDestinations("[]").errors, ["ALERT_DESTINATIONS: expected a non-empty array"]);
+  assert.deepEqual(loadDestinations('{"id":"tg"}').errors, ["ALERT_DESTINATIONS: expected a non-empty array"]);
+
+  // One bad entry drops the whole list, valid entries included.
+  const partial = loadDestinations(
+    JSON.stringify([
+      { id: "tg", type: "telegram" },
+      { id: "desk", type: "discord" },
+      { id: "pager", type: "sms", url: "https://x" },
+      { id: "ops", type: "webhook", url: "https://x", headers: [], route: { sides: "short" } },
+      { id: "tg", type: "telegram" },
+    ])
+  );
+  assert.deepEqual([partial.destinations, partial.source], [TELEGRAM_ONLY, "default"]);
+  assert.deepEqual(partial.errors, [
+    'ALERT_DESTINATIONS[1].url: required for discord (literal or "env:NAME")',
+    "ALERT_DESTINATIONS[2].type: expected one of telegram, discord, slack, webhook",
+    "ALERT_DESTINATIONS[3].headers: expected an object",
+    "ALERT_DESTINATIONS[3].route.sides: expected an array",
+    'ALERT_DESTINATIONS[4].id: duplicate id "tg"',
+  ]);
+
+  const ok = loadDestinations(JSON.stringify([{ id: " tg ", type: "telegram" }, { id: "desk", type: "discord", url: "env:DESK_URL" }]));
+  assert.deepEqual([ok.source, ok.errors, ok.destinations.map((d) => d.id)], ["env", [], ["tg", "desk"]]);
+});
+
+test("routes match on every listed dimension, case-insensitively; empty lists match everything", () => {
+  const { destinations } = loadDestinations(
+    JSON.stringify([
+      { id: "all", type: "telegram" },
+      { id: "shorts", type: "webhook", url: "https://x", route: { sides: ["SHORT"] } },
+      { id: "swing_recipe", type: "webhook", url: "https://x", route: { recipes: ["Swing_A"], modes: ["swing"] } },
+    ])
+  );
+  const routed = (group) => destinations.filter((d) => routeMatches(d, group)).map((d) => d.id);
+
+  assert.deepEqual(routed({ recipeId: "scalp_b", mode: "scalp", side: "long" }), ["all"]);
+  assert.deepEqual(routed({ recipeId: "scalp_b", mode: "scalp", side: "Short" }), ["all", "shorts"]);
+  assert.deepEqual(routed({ recipeId: "swing_a", mode: "swing", side: "long" }), ["all", "swing_recipe"]);
+  assert.deepEqual(routed({ recipeId: "swing_a", mode: "scalp", side: "long" }), ["all"]);
+  assert.deepEqual(routed({ recipeId: "", mode: "swing", side: "short" }), ["all", "shorts"]);
+});
+
+test("deliverAlertGroup sends to matching destinations only and reports each one", async () => {
+  process.env.DESK_URL = "https://desk.test/hook";
+  const { destinations } = loadDestinations(
+    JSON.stringify([
+      { id: "tg", type: "telegram", botToken: "T", chatId: "C", route: { modes: ["scalp"] } },
+      { id: "desk", type: "discord", url: "env:DESK_URL" },
+      { id: "ops", type: "webhook", url: "https://ops.test/in", headers: { "X-Key": "k" }, route: { sides: ["short"] } },
+      { id: "team", type: "slack", url: "https://slack.test/hook", route: { recipes: ["other"] } },
+    ])
+  );
+  const bodies = {};
+  const router = installFetchRouter([
+    {
+      match: (url) => url.host === "api.telegram.org",
+      handle: async (url, init) => {
+        bodies.tg = JSON.parse(init.body);
+        return jsonResponse({ ok: true, result: { message_id: 77 } });
+      },
+    },
+    { match: (url) => url.host === "desk.test", handle: async () => jsonResponse({ error: "rate limited" }, 429) },
+    {
+      match: (url) => url.host === "ops.test",
+      handle: async (url, init) => {
+        bodies.ops = { headers: init.headers, body: JSON.parse(init.body) };
+        return jsonResponse({ ok: true });
+      },
+    },
+  ]);
+  try {
+    const group = { recipeId: "scalp_x", mode: "scalp", side: "short", text: "BTC short", events: [{ alert_id: "a1", symbol: "BTCUSDT" }] };
+    const out = await deliverAlertGroup(destinations, group);
+    assert.deepEqual([out.routed, out.delivered], [true, true]);
+    assert.deepEqual(
+      out.results.map((r) => [r.destination, r.ok, r.message_id]),
+      [["tg", true, 77], ["desk", false, null], ["ops", true, null]]
+    );
+    assert.match(out.results[1].detail, /^discord_http_429/);
+    assert.equal(bodies.tg.chat_id, "C");
+    assert.equal(bodies.ops.headers["X-Key"], "k");
+    assert.deepEqual(bodies.ops.body.alerts.map((a) => a.alert_id), ["a1"]);
+    assert.ok(!router.calls.some((c) => c.url.includes("slack.test")));
+
+    const none = await deliverAlertGroup(destinations.slice(3), group);
+    assert.deepEqual(none, { routed: false, delivered: false, results: [] });
+  } finally {
+    router.restore();
+    delete process.env.DESK_URL;
+  }
+});
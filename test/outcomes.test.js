@@ -0,0 +1,183 @@
+// /test/outcomes.test.js
+// resolveOutcome (lib/outcomes.js): every result, same-bar SL+TP counted as SL, realized_r. /api/outcomes runs:
+// one run at a time, per-batch resolved marking after a partial sink failure, and the first run (no cursor)
+// starting at the oldest queued bucket.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setRedisClient } from "../lib/redis.js";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { invokeHandler, installFetchRouter, jsonResponse } from "../lib/offline/invoke.js";
+import { OUTCOME_KEYS, enqueuePendingOutcomes } from "../lib/outcome-queue.js";
+import { BUCKET_MS } from "../lib/series5m.js";
+import { statsDayKey, utcDay } from "../lib/stats.js";
+import { resolveOutcome } from "../lib/outcomes.js";
+import { safeJsonParse } from "../lib/values.js";
+
+const memory = createMemoryRedis();
+setRedisClient(memory);
+process.env.ALERT_SECRET = "outcomes-test";
+process.env.ANALYTICS_WEBHOOK_URL = "https://sink.test/ingest";
+const outcomes = (await import("../api/outcomes.js")).default;
+const run = () => invokeHandler(outcomes, { query: { key: "outcomes-test" } });
+
+async function reset() {
+  for (const key of await memory.keys("*")) await memory.del(key);
+}
+
+const ENTRY_BUCKET = 5_800_000;
+
+// bars: [p, h, l] for the buckets after entry (null = missing point).
+function resolveBars(bars, { side = "long", tp = 104, sl = 98, inv = null, horizonMin = 30 } = {}) {
+  const points = bars
+    .map((bar, i) => (bar ? { b: ENTRY_BUCKET + i + 1, p: bar[0], h: bar[1], l: bar[2] } : null))
+    .filter(Boolean);
+  return resolveOutcome({
+    side,
+    entryPrice: 100,
+    entryTs: ENTRY_BUCKET * BUCKET_MS + 60_000,
+    horizonMin,
+    tpPrice: tp,
+    stopLoss: sl,
+    invalidationPrice: inv,
+    points,
+  });
+}
+
+test("resolveOutcome: WIN / LOSS / INVALIDATED / EXPIRED / NO_DATA with realized_r in entry->SL risk", () => {
+  const win = resolveBars([[101, 101.5, 100.5], [104, 104.5, 103]]);
+  assert.deepEqual([win.result, win.first_hit_level, win.first_hit_min, win.realized_r], ["WIN", "TP", 10, 2]);
+  assert.deepEqual([win.hit_1r, win.hit_2r, win.time_to_1r_min], [true, true, 10]);
+
+  const loss = resolveBars([[101, 102.5, 100.5]], { side: "short", tp: 96, sl: 102 });
+  assert.deepEqual([loss.result, loss.first_hit_level, loss.realized_r], ["LOSS", "SL", -1]);
+
+  const invalidated = resolveBars([[99.5, 100.2, 98.8]], { sl: 97, inv: 99 });
+  assert.deepEqual([invalidated.result, invalidated.first_hit_level, invalidated.realized_r], ["INVALIDATED", "INVALIDATION", -0.3333]);
+
+  const expired = resolveBars([[100.5, 101, 100], [101, 101.2, 100.4], [101, 101.5, 100.8]], { horizonMin: 15 });
+  assert.deepEqual([expired.result, expired.first_hit_level, expired.return_pct, expired.realized_r], ["EXPIRED", null, 1, 0.5]);
+  assert.deepEqual([expired.mfe_pct, expired.mae_pct, expired.coverage_pct], [1.5, 0, 100]);
+
+  const noData = resolveBars([]);
+  assert.deepEqual([noData.result, noData.realized_r, noData.return_pct, noData.coverage_pct], ["NO_DATA", null, null, 0]);
+});
+
+test("resolveOutcome: a bar touching both SL and TP resolves as SL, for either side", () => {
+  const long = resolveBars([[101, 105, 97.5]]);
+  assert.deepEqual([long.result, long.first_hit_level, long.realized_r], ["LOSS", "SL", -1]);
+
+  const short = resolveBars([[99, 102.5, 95]], { side: "short", tp: 96, sl: 102 });
+  assert.deepEqual([short.result, short.first_hit_level, short.realized_r], ["LOSS", "SL", -1]);
+
+  // A later TP does not undo an earlier stop.
+  const later = resolveBars([[99, 99.5, 97.8], [104, 104.5, 103]]);
+  assert.deepEqual([later.result, later.first_hit_min], ["LOSS", 5]);
+});
+
+// Queues `count` alerts due in evalBucket; returns their ids.
+async function queue(evalBucket, count, prefix) {
+  const ts = (evalBucket - 12) * BUCKET_MS;
+  const events = Array.from({ length: count }, (_, i) => ({
+    alert_id: `${prefix}${i}`,
+    instId: "BTC-USDT-SWAP",
+    eval_bucket: evalBucket,
+    ts,
+    due_ts: evalBucket * BUCKET_MS,
+    side: "long",
+    entry_price: 100,
+    horizon_min: 60,
+    observation_type: "fired",
+  }));
+  await enqueuePendingOutcomes(memory, events);
+  return events.map((e) => e.alert_id);
+}
+
+// Sink that records every accepted alert_id; fail(n) rejects the n-th POST (1-based).
+function sink({ fail = () => false } = {}) {
+  const posted = [];
+  let n = 0;
+  const router = installFetchRouter([
+    {
+      match: (url) => url.host === "sink.test",
+      handle: async (url, init) => {
+        n += 1;
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        if (fail(n)) return jsonResponse({ ok: false, error: "sink_down" }, 503);
+        posted.push(...JSON.parse(init.body).events.map((e) => e.alert_id));
+        return jsonResponse({ ok: true });
+      },
+    },
+  ]);
+  return { posted, restore: router.restore };
+}
+
+async function statsIds(evalBucket) {
+  const rows = await memory.lrange(statsDayKey(utcDay((evalBucket - 12) * BUCKET_MS)), 0, -1);
+  return rows.map((r) => safeJsonParse(r).alert_id).sort();
+}
+
+test("an overlapping run is turned away instead of posting and counting the same rows twice", async () => {
+  await reset();
+  const bucket = Math.floor(Date.now() / BUCKET_MS) - 5;
+  const ids = await queue(bucket, 2, "ov");
+  await memory.set(OUTCOME_KEYS.cursor(), String(bucket - 1));
+  const { posted, restore } = sink();
+  try {
+    const [a, b] = await Promise.all([run(), run()]);
+    assert.deepEqual([a.status, b.status].sort(), [200, 409]);
+    assert.equal([a, b].find((r) => r.status === 409).body.error, "run_in_progress");
+    assert.deepEqual(posted.sort(), ids);
+    assert.deepEqual(await statsIds(bucket), ids);
+    assert.equal(await memory.get(OUTCOME_KEYS.lock()), null);
+  } finally {
+    restore();
+  }
+});
+
+test("after a partial sink failure the accepted batches stay resolved and only the rest are re-posted", async () => {
+  await reset();
+  const bucket = Math.floor(Date.now() / BUCKET_MS) - 5;
+  const ids = await queue(bucket, 5, "pf");
+  await memory.set(OUTCOME_KEYS.cursor(), String(bucket - 1));
+
+  // 3 rows per post (ANALYTICS_MAX_EVENTS_PER_POST): the first batch lands, the second fails.
+  const first = sink({ fail: (n) => n === 2 });
+  let failed;
+  try {
+    failed = await run();
+  } finally {
+    first.restore();
+  }
+  assert.equal(failed.status, 502);
+  assert.equal(failed.body.analytics.batches, 1);
+  assert.equal(Number(await memory.get(OUTCOME_KEYS.cursor())), bucket - 1);
+  assert.equal(first.posted.length, 3);
+
+  const second = sink();
+  try {
+    const retried = await run();
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.already_resolved, 3);
+  } finally {
+    second.restore();
+  }
+  assert.deepEqual([...first.posted, ...second.posted].sort(), ids);
+  assert.deepEqual(await statsIds(bucket), ids);
+  assert.equal(Number(await memory.get(OUTCOME_KEYS.cursor())), Math.floor(Date.now() / BUCKET_MS) - 1);
+});
+
+test("the first run starts at the oldest queued bucket, however far back", async () => {
+  await reset();
+  const old = Math.floor(Date.now() / BUCKET_MS) - 200;
+  const ids = await queue(old, 1, "old");
+  const { posted, restore } = sink();
+  try {
+    const first = await run();
+    assert.equal(first.body.from_bucket, old);
+    assert.equal(first.body.caught_up, false);
+    assert.deepEqual(posted, ids);
+  } finally {
+    restore();
+  }
+});
@@ -0,0 +1,112 @@
+// /test/paper-ledger.test.js
+// lib/paper-ledger.js closes: overlapping snapshot runs record each close once, and a run that only marks never
+// re-adds a position another run closed.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { LEDGER_KEYS, openPaperPositions, markPaperLedger, readLedger } from "../lib/paper-ledger.js";
+
+const BUCKET_MS = 5 * 60 * 1000;
+const OPENED = 5_700_000 * BUCKET_MS;
+
+const event = (alertId, side, sl, tp) => ({
+  alert_id: alertId,
+  instId: "BTC-USDT-SWAP",
+  symbol: "BTCUSDT",
+  mode: "scalp",
+  side,
+  exec_reason: "scalp_breakout",
+  entry_price: 100,
+  stop_loss: sl,
+  tp_price: tp,
+  leverage_suggested_high: 5,
+});
+
+// Redis view whose hash writes (HSET, or the guarded mark script) wait for `gate`.
+function writesAfter(redis, gate) {
+  return new Proxy(redis, {
+    get(target, name) {
+      const value = target[name];
+      if (name === "hset" || name === "eval") {
+        return async (...args) => {
+          await gate;
+          return value.apply(target, args);
+        };
+      }
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+}
+
+test("two overlapping marks close a position once: one closed row, totals counted once", async () => {
+  const redis = createMemoryRedis();
+  await openPaperPositions(redis, [event("a1", "long", 98, 103), event("a2", "short", 102, 97)], OPENED);
+
+  // The first candle after the entry bucket (the snapshot's closed candle two buckets on) touches the long's TP
+  // and the short's stop.
+  const now = OPENED + 2 * BUCKET_MS + 10_000;
+  const quotes = [{ instId: "BTC-USDT-SWAP", price: 102.5, high: 103.5, low: 101, ts: now }];
+  const [first, second] = await Promise.all([markPaperLedger(redis, quotes, now), markPaperLedger(redis, quotes, now)]);
+
+  assert.equal(first.closed.length + second.closed.length, 2);
+  const ledger = await readLedger(redis);
+  assert.deepEqual(ledger.closed.map((p) => [p.alert_id, p.exit_reason]).sort(), [["a1", "TP"], ["a2", "SL"]]);
+  assert.equal(ledger.closed_count, 2);
+  assert.equal(ledger.open.length, 0);
+  assert.deepEqual(
+    ledger.recipes.map((r) => [r.recipe, r.closed, r.wins]),
+    [["scalp_breakout", 2, 1]]
+  );
+  const realized = ledger.closed.reduce((a, p) => a + p.pnl_usd, 0);
+  assert.ok(Math.abs(ledger.realized_usd - realized) < 0.011, `${ledger.realized_usd} vs ${realized}`);
+});
+
+test("the entry bucket's own candle never closes a position", async () => {
+  const redis = createMemoryRedis();
+  await openPaperPositions(redis, [event("c1", "long", 98, 103)], OPENED);
+
+  // One bucket on, the snapshot's closed candle is the entry's own: its high predates the entry.
+  const now = OPENED + BUCKET_MS + 10_000;
+  const mark = await markPaperLedger(redis, [{ instId: "BTC-USDT-SWAP", price: 100.5, high: 104, low: 99, ts: now }], now);
+  assert.deepEqual([mark.closed, mark.open], [[], 1]);
+});
+
+test("a run marking a position while another closes it does not leave it open", async () => {
+  const redis = createMemoryRedis();
+  await openPaperPositions(redis, [event("g1", "long", 98, 103)], OPENED);
+
+  // Same bucket, two snapshot runs: one quote is through the stop, the other still inside the range. Both read
+  // the open position; the marking run's write lands after the close.
+  const now = OPENED + 2 * BUCKET_MS + 10_000;
+  const closingRun = markPaperLedger(redis, [{ instId: "BTC-USDT-SWAP", price: 97.5, high: 99, low: 97.5, ts: now }], now);
+  const markingRun = markPaperLedger(
+    writesAfter(redis, closingRun),
+    [{ instId: "BTC-USDT-SWAP", price: 101, high: 101.5, low: 100.5, ts: now }],
+    now
+  );
+  const [closing, marking] = await Promise.all([closingRun, markingRun]);
+  assert.deepEqual(closing.closed.map((p) => p.exit_reason), ["SL"]);
+  assert.equal(marking.closed.length, 0);
+
+  const ledger = await readLedger(redis);
+  assert.deepEqual([ledger.open.length, ledger.closed_count], [0, 1]);
+  const [mark] = (await redis.lrange(LEDGER_KEYS.equity(), -1, -1)).map((m) => (typeof m === "string" ? JSON.parse(m) : m));
+  assert.deepEqual([mark.open, mark.unrealized_usd], [0, 0]);
+});
+
+test("a position re-added by a stale mark after its close is dropped without recording it again", async () => {
+  const redis = createMemoryRedis();
+  await openPaperPositions(redis, [event("b1", "long", 98, 103)], OPENED);
+  const stale = await redis.hget(LEDGER_KEYS.open(), "b1");
+
+  const now = OPENED + BUCKET_MS;
+  await markPaperLedger(redis, [{ instId: "BTC-USDT-SWAP", price: 97, high: 100, low: 97, ts: now }], now);
+  await redis.hset(LEDGER_KEYS.open(), { b1: JSON.stringify(stale) });
+
+  const later = now + BUCKET_MS;
+  const again = await markPaperLedger(redis, [{ instId: "BTC-USDT-SWAP", price: 96, high: 97, low: 95, ts: later }], later);
+  assert.deepEqual([again.closed, again.open], [[], 0]);
+  const ledger = await readLedger(redis);
+  assert.deepEqual([ledger.closed.length, ledger.closed_count], [1, 1]);
+});
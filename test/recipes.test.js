@@ -0,0 +1,115 @@
+// /test/recipes.test.js
+// Recipe config validation (lib/recipes.js): the bundled config compiles, invalid configs are rejected with the
+// JSON path of each problem, compiled predicates / rank / context behave as declared, and a bad Redis override
+// falls back to the bundled set.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { compileRecipeConfig, parseRecipeConfig, loadBundledRecipes, loadRecipesWithOverride } from "../lib/recipes.js";
+
+const recipe = (over = {}) => ({
+  id: "scalp_test_long",
+  mode: "scalp",
+  side: "long",
+  profile: "Test",
+  when: [{ field: "btc5mOi15mPct", op: ">=", value: 0.2 }],
+  rank: { field: "symbolVsBtc15mPct", direction: "asc", label: "vs BTC 15m" },
+  ...over,
+});
+const config = (...recipes) => ({ version: 1, recipes });
+
+test("the bundled config compiles", () => {
+  const recipes = loadBundledRecipes();
+  assert.ok(recipes.length > 0);
+  assert.ok(recipes.every((r) => typeof r.matches === "function" && ["live", "shadow"].includes(r.tier)));
+});
+
+test("invalid recipes are rejected with the path of each problem and no partial set", () => {
+  const bad = compileRecipeConfig(
+    config(
+      recipe(),
+      recipe({ id: "Bad-Id", mode: "daytrade", side: "up", profile: " ", tier: "paper" }),
+      recipe({ id: "unknown_field", when: [{ field: "btcPrice", op: ">", value: 1 }] }),
+      recipe({ id: "bad_ops", when: [{ field: "btc5mOi15mPct", op: "~", value: 1 }, { field: "anomalyPattern", op: "in", value: [] }] }),
+      recipe({ id: "numeric_string", when: [{ field: "btc5mOi15mPct", op: ">", value: "0.2" }] }),
+      recipe({ id: "no_when", when: [] }),
+      recipe({ id: "bad_rank", rank: { field: "symbolVsBtc15mPct", direction: "up", label: "", format: "bps", digits: 12 } }),
+      recipe()
+    )
+  );
+  assert.equal(bad.ok, false);
+  assert.deepEqual(bad.recipes, []);
+  const expected = [
+    "recipes[1].id: required",
+    "recipes[1].mode:",
+    "recipes[1].side:",
+    "recipes[1].profile:",
+    "recipes[1].tier:",
+    'recipes[2].when[0].field: unknown ctx field "btcPrice"',
+    "recipes[3].when[0].op: unknown operator",
+    'recipes[3].when[1].value: "in" needs a non-empty array of strings',
+    'recipes[4].when[0].value: ">" needs a finite number',
+    "recipes[5].when: expected a non-empty array",
+    'recipes[6].rank.direction: expected "asc" or "desc"',
+    "recipes[6].rank.label: required string",
+    'recipes[6].rank.format: unknown format "bps"',
+    "recipes[6].rank.digits: expected an integer 0..8",
+    'recipes[7].id: duplicate id "scalp_test_long"',
+  ];
+  assert.equal(bad.errors.length, expected.length, bad.errors.join("\n"));
+  expected.forEach((prefix, i) => assert.ok(bad.errors[i].startsWith(prefix), `${bad.errors[i]} !~ ${prefix}`));
+
+  assert.deepEqual(compileRecipeConfig({ version: 2, recipes: [recipe()] }).errors, ["version: expected 1, got 2"]);
+  assert.deepEqual(compileRecipeConfig({ version: 1 }).errors, ["recipes: expected an array"]);
+  assert.deepEqual(parseRecipeConfig("").errors, ["config: empty"]);
+  assert.match(parseRecipeConfig("{not json").errors[0], /^config: invalid JSON/);
+});
+
+test("compiled recipes evaluate predicates, rank and context as declared", () => {
+  const { ok, recipes } = parseRecipeConfig(
+    JSON.stringify(
+      config(
+        recipe({
+          when: [
+            { field: "btc5mOi15mPct", op: ">=", value: 0.2 },
+            { field: "anomalyPattern", op: "not_in", value: ["OI_UNWIND"] },
+            { field: "spotVsPerp1hPct", op: "!=", value: 0 },
+          ],
+          context: [{ label: "Funding", field: "btc5mFunding15mAvg", format: "funding", digits: 5 }],
+        })
+      )
+    )
+  );
+  assert.equal(ok, true);
+  const [r] = recipes;
+  const t = (ctx) => ({ ctx });
+  assert.equal(r.tier, "live");
+  assert.equal(r.matches(t({ btc5mOi15mPct: 0.2, anomalyPattern: "none", spotVsPerp1hPct: 0.1 })), true);
+  assert.equal(r.matches(t({ btc5mOi15mPct: 0.19, anomalyPattern: "none", spotVsPerp1hPct: 0.1 })), false);
+  assert.equal(r.matches(t({ btc5mOi15mPct: 0.3, anomalyPattern: "oi_unwind", spotVsPerp1hPct: 0.1 })), false);
+  assert.equal(r.matches(t({ btc5mOi15mPct: "n/a", anomalyPattern: "none", spotVsPerp1hPct: 0.1 })), false);
+  assert.equal(r.rankValue(t({ symbolVsBtc15mPct: "-0.5" })), -0.5);
+  assert.equal(r.rankMetric(t({ symbolVsBtc15mPct: -0.5 })), "vs BTC 15m -0.50%");
+  assert.deepEqual(r.marketContext(t({ btc5mFunding15mAvg: 0.0001 })), ["Funding 0.00010"]);
+  assert.deepEqual(r.marketContext(t({})), ["Funding n/a"]);
+});
+
+test("an invalid Redis override keeps the bundled set and reports why", async () => {
+  const redis = createMemoryRedis();
+  const bundled = loadBundledRecipes();
+  const key = "alert:recipes:override";
+
+  const missing = await loadRecipesWithOverride(redis, { redisKey: key, bundled });
+  assert.deepEqual([missing.source, missing.recipes, missing.errors], ["bundled", bundled, []]);
+
+  await redis.set(key, JSON.stringify(config(recipe({ side: "flat" }))));
+  const invalid = await loadRecipesWithOverride(redis, { redisKey: key, bundled });
+  assert.equal(invalid.source, "bundled");
+  assert.equal(invalid.recipes, bundled);
+  assert.match(invalid.errors[0], /^recipes\[0\]\.side:/);
+
+  await redis.set(key, JSON.stringify(config(recipe())));
+  const valid = await loadRecipesWithOverride(redis, { redisKey: key, bundled });
+  assert.deepEqual([valid.source, valid.recipes.map((r) => r.id)], [`redis:${key}`, ["scalp_test_long"]]);
+});
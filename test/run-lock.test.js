@@ -0,0 +1,29 @@
+// /test/run-lock.test.js
+// lib/run-lock.js: which finished runs are stored for replay and which release the lock for a retry.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { RUN_KEYS, claimRun, finishRun } from "../lib/run-lock.js";
+
+test("a failed run that persisted nothing releases the lock; the retry runs again", async () => {
+  const redis = createMemoryRedis();
+  assert.equal((await claimRun(redis, "1:scalp", "a", { waitMs: 0 })).state, "acquired");
+  assert.equal((await claimRun(redis, "1:scalp", "b", { waitMs: 0 })).state, "busy");
+
+  await finishRun(redis, "1:scalp", "a", { status: 502, body: { ok: false, error: "multi fetch failed" } });
+  assert.equal(await redis.get(RUN_KEYS.result("1:scalp")), null);
+  assert.equal((await claimRun(redis, "1:scalp", "b", { waitMs: 0 })).state, "acquired");
+});
+
+test("a failed run that already posted / queued results is stored and replayed, not re-run", async () => {
+  const redis = createMemoryRedis();
+  assert.equal((await claimRun(redis, "2:scalp", "a", { waitMs: 0 })).state, "acquired");
+
+  const body = { ok: false, error: "delivery_failed", failed_recipes: ["scalp_breakout"] };
+  await finishRun(redis, "2:scalp", "a", { status: 500, body, persisted: true });
+
+  const retry = await claimRun(redis, "2:scalp", "b", { waitMs: 0 });
+  assert.equal(retry.state, "done");
+  assert.deepEqual([retry.result.status, retry.result.body, retry.result.owner], [500, body, "a"]);
+});
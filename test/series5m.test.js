@@ -0,0 +1,98 @@
+// /test/series5m.test.js
+// lib/series5m.js point builders (venue tagging of backfilled and interpolated points, live/backfill candle
+// alignment against the recorded venue responses) and the merged series write.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { ADAPTERS } from "../lib/exchanges/index.js";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import {
+  BUCKET_MS,
+  buildBackfillPoints,
+  interpolateSeriesGaps,
+  lastClosedCandle,
+  mergeSeriesRaw,
+  seriesVenue,
+  writeSeriesPoints,
+} from "../lib/series5m.js";
+
+test("backfilled points carry the venue their history came from", () => {
+  const candles = [[99 * BUCKET_MS, 100, 101, 99, 100.5]];
+  const points = buildBackfillPoints({
+    candles,
+    openInterest: [{ ts: 100 * BUCKET_MS, oi: 5000 }],
+    funding: [],
+    fromBucket: 100,
+    toBucket: 100,
+    venue: "bybit",
+  });
+  assert.deepEqual(points.map((p) => [p.b, p.p, p.oi, p.v, p.bf]), [[100, 100.5, 5000, "bybit", 1]]);
+  assert.equal(seriesVenue({ b: 1 }), "okx");
+});
+
+test("live snapshots and backfill read o/h/l from the same closed candle", () => {
+  for (const venue of Object.keys(ADAPTERS)) {
+    const adapter = ADAPTERS[venue];
+    const { responses } = JSON.parse(fs.readFileSync(new URL(`./fixtures/exchanges/${venue}.json`, import.meta.url), "utf8"));
+    const liveCandles = adapter.parseCandles(responses[new URL(adapter.urls.candles("X", 13)).pathname]);
+    const historyCandles = adapter.parseCandles(responses[new URL(adapter.urls.historyCandles("X", 0, 100)).pathname]);
+
+    // The recordings were taken a few seconds into this bucket, while its own candle was still forming.
+    const bucket = Math.max(...liveCandles.map((c) => c[0])) / BUCKET_MS;
+    const live = lastClosedCandle(liveCandles, bucket * BUCKET_MS + 5_000);
+    assert.equal(live[0], (bucket - 1) * BUCKET_MS, venue);
+
+    const [point] = buildBackfillPoints({ candles: historyCandles, openInterest: [], funding: [], fromBucket: bucket, toBucket: bucket, venue });
+    assert.deepEqual([point.o, point.h, point.l, point.p], live.slice(1, 5), venue);
+  }
+  assert.equal(lastClosedCandle([[100 * BUCKET_MS, 1, 1, 1, 1]], 100 * BUCKET_MS + 1), null);
+});
+
+test("interpolation holds the left venue and leaves OI null across a venue change", () => {
+  const same = interpolateSeriesGaps(
+    [
+      { b: 100, p: 100, oi: 1000, v: "binance" },
+      { b: 102, p: 102, oi: 1020, v: "binance" },
+    ],
+    3
+  );
+  assert.deepEqual(same.points.map((p) => [p.b, p.oi, p.v]), [[100, 1000, "binance"], [101, 1010, "binance"], [102, 1020, "binance"]]);
+
+  const crossed = interpolateSeriesGaps(
+    [
+      { b: 100, p: 100, oi: 500000 },
+      { b: 102, p: 102, oi: 5020, v: "binance" },
+    ],
+    3
+  );
+  const filled = crossed.points.find((p) => p.b === 101);
+  assert.deepEqual([filled.p, filled.oi, filled.v, filled.ip], [101, null, "okx", 1]);
+});
+
+test("writeSeriesPoints keeps a point appended after the caller's read and never moves lastBucket back", async () => {
+  const redis = createMemoryRedis();
+  const point = (b, extra = {}) => ({ b, ts: b * BUCKET_MS, p: b, oi: 1000, v: "okx", ...extra });
+  await redis.rpush("series5m:BTC-USDT-SWAP", JSON.stringify(point(100)), JSON.stringify(point(102)));
+  await redis.set("lastBucket:BTC-USDT-SWAP", "102");
+
+  // A repair reads the list, then /api/multi appends bucket 103 before the repair writes.
+  const read = (await redis.lrange("series5m:BTC-USDT-SWAP", 0, -1)).map((p) => ({ ...p }));
+  await redis.rpush("series5m:BTC-USDT-SWAP", JSON.stringify(point(103)));
+  await redis.set("lastBucket:BTC-USDT-SWAP", "103");
+  const repaired = [read[0], point(101, { ip: 1, p: 999 }), { ...read[1], p: 555 }];
+
+  assert.equal(await writeSeriesPoints(redis, "BTC-USDT-SWAP", repaired, 102), 4);
+  const stored = await redis.lrange("series5m:BTC-USDT-SWAP", 0, -1);
+  assert.deepEqual(stored.map((p) => [p.b, p.p]), [[100, 100], [101, 999], [102, 102], [103, 103]]);
+  assert.equal(await redis.get("lastBucket:BTC-USDT-SWAP"), 103);
+  assert.ok((await redis.ttl("series5m:BTC-USDT-SWAP")) > 0);
+});
+
+test("mergeSeriesRaw mirrors the script: stored wins per bucket, invalid rows drop, capped to the newest", () => {
+  const raw = (b, p) => JSON.stringify({ b, p });
+  assert.deepEqual(
+    mergeSeriesRaw([raw(3, "s3"), "not json", raw(1, "s1"), JSON.stringify({ b: "" })], [raw(2, "w2"), raw(3, "w3"), raw(4, "w4")], 3),
+    [raw(2, "w2"), raw(3, "s3"), raw(4, "w4")]
+  );
+});
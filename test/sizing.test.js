@@ -0,0 +1,83 @@
+// /test/sizing.test.js
+// computePositionSize (lib/sizing.js): which cap wins, ctVal in base vs quote currency, sizes that round to 0
+// contracts, and the risk_profile multiplier clipped by ALERT_ACCOUNT_MAX_RISK_PCT.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computePositionSize, positionSizeFields, positionSizeLine } from "../lib/sizing.js";
+
+const account = (over = {}) => ({
+  equityUsd: 10_000,
+  maxRiskPct: 1,
+  maxNotionalUsd: 0,
+  telegramLine: false,
+  profileMultipliers: { conservative: 0.5, normal: 1, aggressive: 1.5 },
+  ...over,
+});
+
+// Entry 100, stop 99: a 1% stop, so notional = equity x risk % / 1%.
+const size = (over = {}) =>
+  computePositionSize({
+    entryPrice: 100,
+    stopLossPx: 99,
+    lev: { riskBudgetPct: 1, adjustedMax: 20 },
+    riskProfile: "normal",
+    contract: null,
+    account: account(),
+    ...over,
+  });
+
+test("the tighter of the leverage cap and ALERT_ACCOUNT_MAX_NOTIONAL_USD wins", () => {
+  const uncapped = size();
+  assert.deepEqual([uncapped.notionalUsd, uncapped.riskUsd, uncapped.cappedBy], [10_000, 100, ""]);
+
+  const byLeverage = size({ lev: { riskBudgetPct: 1, adjustedMax: 0.5 }, account: account({ maxNotionalUsd: 8_000 }) });
+  assert.deepEqual([byLeverage.notionalUsd, byLeverage.riskUsd, byLeverage.riskPct, byLeverage.cappedBy], [5_000, 50, 0.5, "leverage"]);
+
+  const byNotional = size({ lev: { riskBudgetPct: 1, adjustedMax: 0.5 }, account: account({ maxNotionalUsd: 3_000 }) });
+  assert.deepEqual([byNotional.notionalUsd, byNotional.riskUsd, byNotional.cappedBy], [3_000, 30, "max_notional"]);
+
+  assert.equal(size({ account: account({ equityUsd: 0 }) }), null);
+  assert.equal(size({ stopLossPx: 100 }), null);
+});
+
+test("ctVal in base coin is valued at entry; ctVal in a quote currency is already USD", () => {
+  // OKX BTC-USDT-SWAP: 0.01 BTC per contract at 30,000 = $300; risk figures follow the rounded-down count.
+  const base = size({ entryPrice: 30_000, stopLossPx: 29_700, contract: { ct_val: 0.01, ct_val_ccy: "BTC" } });
+  assert.deepEqual([base.contracts, base.notionalUsd, base.riskUsd, base.riskPct], [33.33, 9_999, 99.99, 0.9999]);
+
+  const quote = size({ entryPrice: 30_000, stopLossPx: 29_700, contract: { ct_val: 100, ct_val_ccy: "usdt" } });
+  assert.deepEqual([quote.contracts, quote.notionalUsd, quote.ctValCcy], [100, 10_000, "usdt"]);
+
+  const unknown = size({ contract: { ct_val: 0, ct_val_ccy: "BTC" } });
+  assert.deepEqual([unknown.contracts, unknown.notionalUsd], [null, 10_000]);
+});
+
+test("a size that rounds down to 0 contracts is flagged, not reported as a position", () => {
+  // $100 at 1% risk over a 1% stop = $100 notional, a third of a 0.01 lot of 1 BTC at 30,000.
+  const tiny = size({
+    entryPrice: 30_000,
+    stopLossPx: 29_700,
+    contract: { ct_val: 1, ct_val_ccy: "BTC" },
+    account: account({ equityUsd: 100 }),
+  });
+  assert.deepEqual([tiny.contracts, tiny.notionalUsd, tiny.riskUsd, tiny.belowMinSize], [0, 0, 0, true]);
+  assert.equal(positionSizeFields(tiny).position_below_min_size, true);
+  assert.equal(positionSizeLine(tiny), "Size: below 0.01 ct (0.01 ct ≈ $300) — not tradable at this risk");
+
+  const smallest = size({ entryPrice: 30_000, stopLossPx: 29_700, contract: { ct_val: 1, ct_val_ccy: "BTC" }, account: account({ equityUsd: 300 }) });
+  assert.deepEqual([smallest.contracts, smallest.belowMinSize], [0.01, false]);
+  assert.equal(positionSizeFields(null).position_below_min_size, "");
+});
+
+test("the risk_profile multiplier scales the budget and is clipped at the max risk %", () => {
+  const lev = { riskBudgetPct: 0.8, adjustedMax: 20 };
+  const pct = (riskProfile, over = {}) => size({ lev, riskProfile, ...over }).riskPct;
+  assert.equal(pct("conservative"), 0.4);
+  assert.equal(pct("normal"), 0.8);
+  assert.equal(pct("aggressive"), 1);
+  assert.equal(pct("aggressive", { account: account({ maxRiskPct: 2 }) }), 1.2);
+  assert.equal(size({ lev, riskProfile: "yolo" }).riskProfile, "normal");
+  // No budget from the leverage calc: the max risk % is the budget.
+  assert.equal(size({ lev: null, riskProfile: "conservative" }).riskPct, 0.5);
+});
@@ -0,0 +1,27 @@
+// /test/stats.test.js
+// lib/stats.js window: which stats:outcomes day keys a days=N read covers.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryRedis } from "../lib/offline/memory-redis.js";
+import { statsDayKey, statsDaysBack, loadStatsRows } from "../lib/stats.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test("statsDaysBack lists days + 1 keys, oldest first, so now - days is inside the window", () => {
+  const now = Date.parse("2025-01-07T10:00:00Z");
+  assert.deepEqual(statsDaysBack(now, 1), ["2025-01-06", "2025-01-07"]);
+  assert.deepEqual(statsDaysBack(now, 3), ["2025-01-04", "2025-01-05", "2025-01-06", "2025-01-07"]);
+});
+
+test("loadStatsRows with days=1 keeps yesterday after the cutoff and drops what is before it", async () => {
+  const redis = createMemoryRedis();
+  const now = Date.parse("2025-01-07T10:00:00Z");
+  const row = (id, ts) => JSON.stringify({ alert_id: id, ts });
+  await redis.rpush(statsDayKey("2025-01-06"), row("early", now - 26 * HOUR_MS), row("late", now - 10 * HOUR_MS));
+  await redis.rpush(statsDayKey("2025-01-07"), row("today", now - HOUR_MS));
+  await redis.rpush(statsDayKey("2025-01-05"), row("old", now - 40 * HOUR_MS));
+
+  const rows = await loadStatsRows(redis, now, 1);
+  assert.deepEqual(rows.map((r) => r.alert_id), ["late", "today"]);
+});
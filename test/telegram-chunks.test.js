@@ -0,0 +1,110 @@
+// /test/telegram-chunks.test.js
+// chunkPlainText / chunkTelegramText from lib/notifiers.js, incl. the PASTE_ROWS_PIPE block.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { chunkPlainText, chunkTelegramText } from "../lib/notifiers.js";
+
+const HEADER = "symbol|mode|side|entry|tp|sl|rr";
+const PREFIX = `PASTE_ROWS_PIPE\n${HEADER}`;
+
+function row(symbol, pad = 0) {
+  return `${symbol}|scalp|long|100.5|101.5|99.8|1.43${pad ? `|${"x".repeat(pad)}` : ""}`;
+}
+
+function alertText(preamble, rows) {
+  return `${preamble}\nPASTE_ROWS_PIPE\n${[HEADER, ...rows].join("\n")}`;
+}
+
+// Data rows of the pipe chunks, in order, with the repeated prefix checked and stripped.
+function pipeRows(chunks) {
+  const rows = [];
+  for (const c of chunks.filter((c) => c.startsWith("PASTE_ROWS_PIPE\n"))) {
+    assert.ok(c.startsWith(`${PREFIX}\n`), "every pipe chunk repeats the header");
+    rows.push(...c.slice(PREFIX.length + 1).split("\n"));
+  }
+  return rows;
+}
+
+test("plain: paragraphs pack up to the limit and nothing is lost", () => {
+  const paras = Array.from({ length: 12 }, (_, i) => `para ${i} ${"a".repeat(40)}`);
+  const chunks = chunkPlainText(paras.join("\n\n"), 120);
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) assert.ok(c.length <= 120, String(c.length));
+  assert.deepEqual(chunks.join("\n\n").split("\n\n"), paras);
+});
+
+test("plain: over-long paragraphs split on lines, over-long lines hard-split", () => {
+  const longLine = "z".repeat(250);
+  const chunks = chunkPlainText(`short\nline two\n${longLine}`, 100);
+  assert.deepEqual(chunks, ["short\nline two", "z".repeat(100), "z".repeat(100), "z".repeat(50)]);
+});
+
+test("plain: empty and whitespace-only input give no chunks", () => {
+  assert.deepEqual(chunkPlainText("", 100), []);
+  assert.deepEqual(chunkPlainText(null, 100), []);
+  assert.deepEqual(chunkPlainText("\n\n  \n\n", 100), []);
+});
+
+test("telegram: text without the marker chunks like plain text", () => {
+  const text = "Premium BTCUSDT long\n\nEntry 100\n\nPASTE_ROWS_PIPE is mentioned but not a block";
+  assert.deepEqual(chunkTelegramText(text, 40), chunkPlainText(text, 40));
+});
+
+test("telegram: a small message stays one chunk with the pipe block intact", () => {
+  const text = alertText("Premium BTCUSDT long", [row("BTCUSDT")]);
+  assert.deepEqual(chunkTelegramText(text, 4096), ["Premium BTCUSDT long", `${PREFIX}\n${row("BTCUSDT")}`]);
+});
+
+test("telegram: rows spill into new chunks, each repeating the header, in order", () => {
+  const rows = Array.from({ length: 40 }, (_, i) => row(`SYM${i}USDT`));
+  const chunks = chunkTelegramText(alertText("Premium basket", rows), 300);
+  assert.equal(chunks[0], "Premium basket");
+  assert.ok(chunks.length > 3);
+  for (const c of chunks) assert.ok(c.length <= 300, String(c.length));
+  assert.deepEqual(pipeRows(chunks), rows);
+});
+
+test("telegram: a row that exactly fills the limit is not split", () => {
+  const r = row("BTCUSDT");
+  const exact = `${PREFIX}\n${r}`.length;
+  assert.deepEqual(chunkTelegramText(alertText("p", [r]), exact), ["p", `${PREFIX}\n${r}`]);
+  assert.deepEqual(chunkTelegramText(alertText("p", [r, r]), exact), ["p", `${PREFIX}\n${r}`, `${PREFIX}\n${r}`]);
+});
+
+test("telegram: an oversized row becomes labelled row_part_i_of_n chunks that rejoin to the row", () => {
+  const big = row("ETHUSDT", 9000);
+  const rows = [row("BTCUSDT"), big, row("SOLUSDT")];
+  const chunks = chunkTelegramText(alertText("Premium", rows), 4096);
+  for (const c of chunks) assert.ok(c.length <= 4096, String(c.length));
+
+  const parts = pipeRows(chunks).filter((r) => r.includes("|row_part_"));
+  assert.equal(parts.length, 3);
+  parts.forEach((p, i) => assert.ok(p.startsWith(`ETHUSDT|row_part_${i + 1}_of_3|`), p.slice(0, 40)));
+  assert.equal(parts.map((p) => p.replace(/^ETHUSDT\|row_part_\d+_of_\d+\|/, "")).join(""), big);
+
+  // Rows around the oversized one keep their order and aren't merged into its parts.
+  const plain = pipeRows(chunks).filter((r) => !r.includes("|row_part_"));
+  assert.deepEqual(plain, [row("BTCUSDT"), row("SOLUSDT")]);
+});
+
+test("telegram: header only / blank rows produce no bare header chunk", () => {
+  assert.deepEqual(chunkTelegramText(alertText("Premium", []), 4096), ["Premium"]);
+  assert.deepEqual(chunkTelegramText(alertText("Premium", ["", ""]), 4096), ["Premium"]);
+  const withBlanks = chunkTelegramText(alertText("Premium", ["", row("BTCUSDT"), ""]), 4096);
+  assert.deepEqual(pipeRows(withBlanks), [row("BTCUSDT")]);
+});
+
+test("telegram: empty preamble sends only the pipe block", () => {
+  const chunks = chunkTelegramText(alertText("", [row("BTCUSDT")]), 4096);
+  assert.deepEqual(chunks, [`${PREFIX}\n${row("BTCUSDT")}`]);
+});
+
+test("telegram: a long preamble is chunked before the pipe block", () => {
+  const preamble = Array.from({ length: 30 }, (_, i) => `line ${i} ${"p".repeat(30)}`).join("\n\n");
+  const chunks = chunkTelegramText(alertText(preamble, [row("BTCUSDT")]), 200);
+  const firstPipe = chunks.findIndex((c) => c.startsWith("PASTE_ROWS_PIPE\n"));
+  assert.ok(firstPipe > 1);
+  assert.ok(chunks.slice(firstPipe).every((c) => c.startsWith(PREFIX)));
+  assert.deepEqual(chunks.slice(0, firstPipe), chunkPlainText(preamble, 200));
+});